@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+// Command-line exporter: checks a model JSON file as the editor would and
+// writes the code for it, so committed designs can be validated and
+// regenerated in build pipelines. Run with --help for the options.
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { loadDesignText, checkDesign, exportDesign, exportTargets, getExportTarget } from '../src/core.js';
+
+// Exit codes
+const EXIT_OK = 0;
+const EXIT_INVALID = 1; // the design has errors (or warnings with --strict) or cannot be exported
+const EXIT_USAGE = 2; // bad arguments, or a file that cannot be read or written
+
+const COMMANDS = ['check', 'export'];
+const ONNX_WEIGHTS = ['random', 'zeros'];
+
+const USAGE = `Usage: netsnap <command> <model.json> [options]
+
+Commands:
+  check                 Validate the design and report its issues
+  export                Validate the design, then write the code for a target
+
+Options:
+  -t, --target <id>     ${exportTargets.map(target => target.id).join(', ')} (may be repeated; default pytorch)
+  -o, --out <dir>       Output directory, created if missing (default .)
+      --weights <kind>  Initial ONNX weights: ${ONNX_WEIGHTS.join(' or ')} (default random)
+      --strict          Fail on warnings too
+  -h, --help            Show this help
+
+Exit codes: ${EXIT_OK} success, ${EXIT_INVALID} invalid design or failed export, ${EXIT_USAGE} usage or file error`;
+
+const usageError = (message) => {
+  console.error(`netsnap: ${message}\n\n${USAGE}`);
+  return EXIT_USAGE;
+};
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+const main = async (args) => {
+  let options;
+  try {
+    options = parseArgs({
+      args,
+      allowPositionals: true,
+      options: {
+        target: { type: 'string', short: 't', multiple: true },
+        out: { type: 'string', short: 'o', default: '.' },
+        weights: { type: 'string', default: 'random' },
+        strict: { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (err) {
+    return usageError(err.message);
+  }
+  const { values, positionals } = options;
+  if (values.help) {
+    console.log(USAGE);
+    return EXIT_OK;
+  }
+  const [command, file, ...extra] = positionals;
+  if (!COMMANDS.includes(command)) {
+    return usageError(command ? `unknown command "${command}"` : 'missing command');
+  }
+  if (!file) return usageError('missing the model file');
+  if (extra.length > 0) return usageError(`unexpected argument "${extra[0]}"`);
+  const targets = [...new Set(values.target ?? ['pytorch'])];
+  const unknown = targets.find(id => !getExportTarget(id));
+  if (unknown) return usageError(`unknown target "${unknown}"`);
+  if (!ONNX_WEIGHTS.includes(values.weights)) return usageError(`--weights must be ${ONNX_WEIGHTS.join(' or ')}`);
+
+  let text;
+  try {
+    text = await readFile(file, 'utf8');
+  } catch (err) {
+    console.error(`netsnap: cannot read ${file}: ${err.message}`);
+    return EXIT_USAGE;
+  }
+
+  // Format errors come first; the design is only checked once it loads
+  const { design, errors } = loadDesignText(text);
+  if (!design) {
+    errors.forEach(error => console.error(`${file}: error: ${error}`));
+    return EXIT_INVALID;
+  }
+  const issues = checkDesign(design);
+  const layerLabel = (index) => (index === null ? '' : `${design.layers[index].type} #${index + 1}: `);
+  issues.forEach(issue => console.error(`${file}: ${issue.severity}: ${layerLabel(issue.layerIndex)}${issue.message}`));
+  const errorCount = issues.filter(issue => issue.severity === 'error').length;
+  const warningCount = issues.length - errorCount;
+  if (errorCount > 0 || (values.strict && warningCount > 0)) {
+    console.error(`${file}: failed with ${plural(errorCount, 'error')} and ${plural(warningCount, 'warning')}`);
+    return EXIT_INVALID;
+  }
+  if (command === 'check') {
+    console.log(`${file}: OK, ${plural(design.layers.length, 'layer')}${warningCount > 0 ? `, ${plural(warningCount, 'warning')}` : ''}`);
+    return EXIT_OK;
+  }
+
+  // Generate every target before writing, so a failure leaves no partial output
+  let files;
+  try {
+    files = targets.map(id => exportDesign(design, id, { weights: values.weights }));
+  } catch (err) {
+    console.error(`${file}: error: ${err.message}`);
+    return EXIT_INVALID;
+  }
+  try {
+    await mkdir(values.out, { recursive: true });
+    for (const { fileName, data } of files) {
+      const outputPath = path.join(values.out, fileName);
+      await writeFile(outputPath, data);
+      console.log(`Wrote ${outputPath}`);
+    }
+  } catch (err) {
+    console.error(`netsnap: cannot write to ${values.out}: ${err.message}`);
+    return EXIT_USAGE;
+  }
+  return EXIT_OK;
+};
+
+process.exitCode = await main(process.argv.slice(2));
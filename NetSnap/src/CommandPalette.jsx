@@ -0,0 +1,107 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Search } from 'lucide-react';
+
+// Every word typed has to appear in the command's label or group
+const matches = (command, query) => {
+  const text = `${command.label} ${command.group}`.toLowerCase();
+  return query.toLowerCase().split(/\s+/).filter(Boolean).every(word => text.includes(word));
+};
+
+// Searchable list of commands, opened with Ctrl+K. Commands are
+// { id, label, group, icon, shortcut }; calls onSelect(command) for the
+// chosen one. Focus returns to where it was when the palette closes.
+const CommandPalette = ({ commands, onSelect, onCancel }) => {
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const activeRef = useRef(null);
+  const results = commands.filter(command => matches(command, query));
+  const active = results[Math.min(activeIndex, results.length - 1)];
+
+  useEffect(() => {
+    const previousFocus = document.activeElement;
+    return () => previousFocus?.focus?.();
+  }, []);
+
+  useEffect(() => {
+    activeRef.current?.scrollIntoView?.({ block: 'nearest' });
+  }, [activeIndex, query]);
+
+  const handleQueryChange = (e) => {
+    setQuery(e.target.value);
+    setActiveIndex(0);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (results.length === 0) return;
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActiveIndex((results.indexOf(active) + step + results.length) % results.length);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (active) onSelect(active);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      onCancel();
+    } else if (e.key === 'Tab') {
+      // The search field is the only stop in the dialog
+      e.preventDefault();
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-30 flex items-start justify-center pt-24 z-50" onMouseDown={onCancel}>
+      <div
+        className="bg-white rounded-lg shadow-lg w-[32rem]"
+        role="dialog"
+        aria-modal="true"
+        aria-label="Command palette"
+        onMouseDown={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center border-b border-amber-200 px-3">
+          <Search className="w-4 h-4 text-amber-700" />
+          <input
+            type="text"
+            value={query}
+            onChange={handleQueryChange}
+            onKeyDown={handleKeyDown}
+            autoFocus
+            placeholder="Insert a layer or run a command…"
+            role="combobox"
+            aria-expanded="true"
+            aria-autocomplete="list"
+            aria-controls="command-palette-results"
+            aria-activedescendant={active ? `command-${active.id}` : undefined}
+            aria-label="Search commands"
+            className="flex-1 p-3 focus:outline-none text-amber-900"
+          />
+        </div>
+        <ul id="command-palette-results" role="listbox" aria-label="Commands" className="max-h-80 overflow-auto py-1">
+          {results.length === 0 && (
+            <li className="px-4 py-2 text-sm text-amber-700">No matching commands</li>
+          )}
+          {results.map((command, index) => (
+            <li
+              key={command.id}
+              id={`command-${command.id}`}
+              ref={command === active ? activeRef : null}
+              role="option"
+              aria-selected={command === active}
+              onMouseMove={() => setActiveIndex(index)}
+              onClick={() => onSelect(command)}
+              className={`px-4 py-2 flex items-center cursor-pointer ${command === active ? 'bg-amber-100' : ''}`}
+            >
+              <span className="text-lg w-7">{command.icon}</span>
+              <span className="text-amber-900">{command.label}</span>
+              <span className="ml-auto text-xs text-amber-700">
+                {command.shortcut ? <kbd className="font-mono">{command.shortcut}</kbd> : command.group}
+              </span>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default CommandPalette;
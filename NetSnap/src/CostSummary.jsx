@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import { topologicalSort } from './graph.js';
+import { formatShape } from './shapeInference.js';
+import { formatCount, formatBytes } from './modelStats.js';
+
+const CHART_METRICS = [
+  { id: 'params', label: 'Params' },
+  { id: 'macs', label: 'MACs' },
+  { id: 'activationBytes', label: 'Activations' }
+];
+
+// torchsummary-style table of per-layer costs with model totals and an
+// optional per-layer breakdown chart. `costs` comes from estimateCosts.
+const CostSummary = ({ layers, layerShapes, costs, batchSize, onBatchSizeChange, nodeLabel }) => {
+  const [chartMetric, setChartMetric] = useState(null);
+  const { totals } = costs;
+  const ordered = topologicalSort(layers).map(layer => ({ layer, index: layers.indexOf(layer) }));
+  const chartRows = chartMetric
+    ? ordered.filter(({ index }) => costs.layers[index]?.[chartMetric] > 0)
+    : [];
+  const chartMax = Math.max(1, ...chartRows.map(({ index }) => costs.layers[index][chartMetric]));
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mb-8">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold text-amber-900">Cost Estimate</h2>
+        <label className="text-sm text-amber-800 flex items-center">
+          Batch size
+          <input
+            type="number"
+            min="1"
+            value={batchSize}
+            onChange={(e) => onBatchSizeChange(Math.max(1, parseInt(e.target.value) || 1))}
+            className="ml-2 w-20 p-1 border border-amber-300 rounded"
+          />
+        </label>
+      </div>
+
+      <table className="w-full text-sm font-mono text-amber-900">
+        <thead>
+          <tr className="border-b-2 border-amber-300 text-left">
+            <th className="py-1">Layer (type)</th>
+            <th className="py-1">Output Shape</th>
+            <th className="py-1 text-right">Param #</th>
+            <th className="py-1 text-right">MACs</th>
+            <th className="py-1 text-right">Activations</th>
+          </tr>
+        </thead>
+        <tbody>
+          {ordered.map(({ layer, index }) => {
+            const layerCosts = costs.layers[index];
+            return (
+              <tr key={layer.id} className="border-b border-amber-100">
+                <td className="py-1">{nodeLabel(layer.id)}{layer.frozen ? ' (frozen)' : ''}</td>
+                <td className="py-1">{layerShapes[index].outputShape ? formatShape([batchSize, ...layerShapes[index].outputShape]) : '?'}</td>
+                <td className="py-1 text-right">{layerCosts ? layerCosts.params.toLocaleString() : '?'}</td>
+                <td className="py-1 text-right">{layerCosts ? formatCount(layerCosts.macs) : '?'}</td>
+                <td className="py-1 text-right">{layerCosts ? formatBytes(layerCosts.activationBytes) : '?'}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <div className="grid grid-cols-2 gap-x-8 gap-y-1 mt-4 text-sm text-amber-900">
+        <div className="flex justify-between"><span>Total params</span><span className="font-mono">{totals.params.toLocaleString()}</span></div>
+        <div className="flex justify-between"><span>Input size</span><span className="font-mono">{formatBytes(totals.inputBytes)}</span></div>
+        <div className="flex justify-between"><span>Trainable params</span><span className="font-mono">{totals.trainable.toLocaleString()}</span></div>
+        <div className="flex justify-between"><span>Forward/backward pass size</span><span className="font-mono">{formatBytes(totals.activationBytes)}</span></div>
+        <div className="flex justify-between"><span>Non-trainable params</span><span className="font-mono">{totals.nonTrainable.toLocaleString()}</span></div>
+        <div className="flex justify-between"><span>Params size</span><span className="font-mono">{formatBytes(totals.paramBytes)}</span></div>
+        <div className="flex justify-between"><span>Total MACs</span><span className="font-mono">{formatCount(totals.macs)}</span></div>
+        <div className="flex justify-between font-bold"><span>Estimated total size</span><span className="font-mono">{formatBytes(totals.totalBytes)}</span></div>
+      </div>
+      {!costs.complete && (
+        <div className="text-sm text-yellow-800 mt-2">Layers marked ? have no valid shape and are left out of the totals.</div>
+      )}
+
+      {/* Breakdown chart */}
+      <div className="flex items-center space-x-1 mt-4 text-sm">
+        <span className="text-amber-800 mr-2">Breakdown:</span>
+        {CHART_METRICS.map(metric => (
+          <button
+            key={metric.id}
+            onClick={() => setChartMetric(chartMetric === metric.id ? null : metric.id)}
+            aria-pressed={chartMetric === metric.id}
+            className={`py-1 px-3 rounded font-medium ${chartMetric === metric.id ? 'bg-amber-600 text-white' : 'bg-amber-100 text-amber-900 hover:bg-amber-200'}`}
+          >
+            {metric.label}
+          </button>
+        ))}
+      </div>
+      {chartMetric && (
+        <div className="mt-3 space-y-1">
+          {chartRows.length === 0 && <div className="text-sm text-amber-700">Nothing to show.</div>}
+          {chartRows.map(({ layer, index }) => {
+            const value = costs.layers[index][chartMetric];
+            return (
+              <div key={layer.id} className="flex items-center text-xs text-amber-900">
+                <span className="w-40 truncate">{nodeLabel(layer.id)}</span>
+                <div className="flex-1 bg-amber-50 rounded h-4 mx-2">
+                  <div className="bg-amber-500 h-4 rounded" style={{ width: `${(value / chartMax) * 100}%` }} />
+                </div>
+                <span className="w-20 text-right font-mono">{chartMetric === 'activationBytes' ? formatBytes(value) : formatCount(value)}</span>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CostSummary;
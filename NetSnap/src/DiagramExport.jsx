@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { Download } from 'lucide-react';
+import { DIAGRAM_LAYOUTS, DIAGRAM_THEMES, DEFAULT_DIAGRAM_OPTIONS, renderDiagramSVG } from './diagram.js';
+import { downloadBlob } from './download.js';
+
+const PNG_SCALES = [1, 2, 3];
+
+// Draw the SVG onto a canvas scaled up for a sharper raster
+const rasterize = (svg, scale) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.ceil(image.width * scale);
+    canvas.height = Math.ceil(image.height * scale);
+    const context = canvas.getContext('2d');
+    context.scale(scale, scale);
+    context.drawImage(image, 0, 0);
+    URL.revokeObjectURL(url);
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('the browser could not encode a PNG'))), 'image/png');
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('the browser could not draw the SVG'));
+  };
+  image.src = url;
+});
+
+// Export the architecture as a figure, independent of the editor styling
+const DiagramExport = ({ model }) => {
+  const [options, setOptions] = useState(DEFAULT_DIAGRAM_OPTIONS);
+  const [scale, setScale] = useState(2);
+  const set = (key) => (value) => setOptions({ ...options, [key]: value });
+  const svg = renderDiagramSVG(model, options);
+
+  const downloadPng = async () => {
+    try {
+      downloadBlob('neural_network_diagram.png', await rasterize(svg, scale));
+    } catch (err) {
+      alert(`Could not export the PNG: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mb-8">
+      <h2 className="text-xl font-bold text-amber-900 mb-4">Diagram</h2>
+      <div className="grid grid-cols-4 gap-3 mb-3 text-sm">
+        <label className="text-amber-800">
+          Layout
+          <select value={options.layout} onChange={(e) => set('layout')(e.target.value)} className="w-full p-1 border border-amber-300 rounded">
+            {DIAGRAM_LAYOUTS.map(layout => <option key={layout.id} value={layout.id}>{layout.label}</option>)}
+          </select>
+        </label>
+        <label className="text-amber-800">
+          Theme
+          <select value={options.theme} onChange={(e) => set('theme')(e.target.value)} className="w-full p-1 border border-amber-300 rounded">
+            {DIAGRAM_THEMES.map(theme => <option key={theme.id} value={theme.id}>{theme.label}</option>)}
+          </select>
+        </label>
+        <label className="text-amber-800 flex items-center mt-4">
+          <input type="checkbox" checked={options.showSettings} onChange={(e) => set('showSettings')(e.target.checked)} className="mr-2" />
+          Hyperparameters
+        </label>
+        <label className="text-amber-800 flex items-center mt-4">
+          <input type="checkbox" checked={options.showShapes} onChange={(e) => set('showShapes')(e.target.checked)} className="mr-2" />
+          Tensor shapes
+        </label>
+      </div>
+      <div className="border border-amber-200 rounded-lg overflow-auto max-h-96 bg-white">
+        <img src={`data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`} alt="Model diagram" className="max-w-none" />
+      </div>
+      <div className="flex space-x-2 mt-4">
+        <button
+          onClick={() => downloadBlob('neural_network_diagram.svg', new Blob([svg], { type: 'image/svg+xml' }))}
+          className="bg-gray-800 hover:bg-gray-900 text-white font-medium py-2 px-4 rounded flex items-center"
+        >
+          <Download className="w-4 h-4 mr-2" />
+          Download SVG
+        </button>
+        <div className="flex">
+          <select
+            value={scale}
+            onChange={(e) => setScale(Number(e.target.value))}
+            aria-label="PNG scale"
+            title="PNG resolution relative to the SVG"
+            className="border border-amber-700 rounded-l px-2 text-amber-900 bg-white"
+          >
+            {PNG_SCALES.map(value => <option key={value} value={value}>{value}x</option>)}
+          </select>
+          <button
+            onClick={downloadPng}
+            className="bg-amber-700 hover:bg-amber-800 text-white font-medium py-2 px-4 rounded-r flex items-center"
+          >
+            <Download className="w-4 h-4 mr-2" />
+            Download PNG
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DiagramExport;
@@ -1,291 +1,980 @@
-import React, { useState, useRef } from 'react';
-import { ArrowRight, Plus, Trash2, Save, Download, Play } from 'lucide-react';
+import React, { useState, useRef, useEffect } from 'react';
+import {
+  ArrowRight, Plus, Trash2, Save, Download, Upload, Play, AlertCircle, AlertTriangle, X, Pencil, Copy, Undo2, Redo2,
+  Group, Ungroup, ChevronDown, ChevronRight, LayoutTemplate, ClipboardPaste, Link2, Eye, History, Dices, Snowflake
+} from 'lucide-react';
+import { inferShapes, parseShape, formatShape, isAutoSetting } from './shapeInference.js';
+import { validateModel, hasErrors } from './validation.js';
+import {
+  INPUT_NODE_ID, isMergeLayer, topologicalSort, getOutputLayers, getConsumers, getDescendants,
+  connectLayers, disconnectLayers, removeLayer,
+  insertBetween, moveBetween, duplicateLayers
+} from './graph.js';
+import {
+  layerTypes, getLayerType, LAYER_CATEGORIES, SETTING_CHOICES, WEIGHT_INITS, INITIALIZABLE_TYPES, FREEZABLE_TYPES
+} from './layerTypes.js';
+import { parseModel, parseModelText, serializeModel } from './modelFormat.js';
+import {
+  newProjectId, listProjects, loadProjectModel, saveProject, renameProject,
+  duplicateProject, deleteProject, getLastProjectId, setLastProjectId,
+  listSnapshots, saveSnapshot, deleteSnapshot
+} from './projectStorage.js';
+import { createHistory, recordChange, undo, redo, canUndo, canRedo } from './history.js';
+import { codeGenerators, getCodeGenerator } from './codegen/index.js';
+import { exportOnnxModel } from './onnx/exportOnnx.js';
+import Playground from './Playground.jsx';
+import CostSummary from './CostSummary.jsx';
+import { estimateCosts, formatCount, formatBytes } from './modelStats.js';
+import {
+  BLOCK_ICON, BLOCK_COLOR, expandBlocks, propagateBlockShapes, collapseShapes, collapseCosts, collapseIssues,
+  blockFromSelection, collapseToBlock, ungroupBlock
+} from './blocks.js';
+import { loadBlockLibrary, saveBlock, deleteBlock } from './blockLibrary.js';
+import SaveBlockDialog from './SaveBlockDialog.jsx';
+import TemplateGallery from './TemplateGallery.jsx';
+import PasteCodeDialog from './PasteCodeDialog.jsx';
+import TrainingSetup from './TrainingSetup.jsx';
+import DiagramExport from './DiagramExport.jsx';
+import ShareDialog from './ShareDialog.jsx';
+import CommandPalette from './CommandPalette.jsx';
+import SnapshotsDialog from './SnapshotsDialog.jsx';
+import SweepExport from './SweepExport.jsx';
+import { parseSweepSpec, formatSweepSpec, SWEEP_SPEC_HELP } from './sweep.js';
+import { decodeShareHash, isReadOnlyHash } from './shareLink.js';
+import { DEFAULT_TRAINING_SETUP } from './codegen/training.js';
+import { downloadBlob } from './download.js';
+
+// Canvas geometry: cards have a fixed width and their ports sit level with the header
+const NODE_WIDTH = 288;
+const PORT_OFFSET_Y = 28;
+
+// How close (in px) a drop has to land to a connection to be inserted into it
+const EDGE_HIT_DISTANCE = 16;
+
+// Layers inserted from the command palette go one layout column to the right
+const COLUMN_STEP = 360;
+
+// Shift+arrow keys move the selected cards by this many px
+const NUDGE_STEP = 20;
+
+const ARROW_DIRECTIONS = {
+  ArrowLeft: { x: -1, y: 0 },
+  ArrowRight: { x: 1, y: 0 },
+  ArrowUp: { x: 0, y: -1 },
+  ArrowDown: { x: 0, y: 1 }
+};
+
+// Layer ids are timestamps, bumped so ids created in the same millisecond stay unique
+let lastLayerId = 0;
+const newLayerId = () => {
+  lastLayerId = Math.max(lastLayerId + 1, Date.now());
+  return lastLayerId;
+};
+
+// A fresh, unsaved project
+const emptyProject = (name) => ({
+  id: newProjectId(),
+  name,
+  inputDimension: [784], // Default for MNIST
+  batchFirst: true,
+  layers: [],
+  blocks: {}
+});
+
+// Open the project that was open last time, falling back to the most recent
+// one. A project that fails to load is left as it is and its errors are
+// shown over a new, empty project.
+const restoreLastProject = () => {
+  const projects = listProjects();
+  const project = projects.find(p => p.id === getLastProjectId()) ?? projects[0];
+  if (project) {
+    const { inputDimension, batchFirst, layers, blocks, errors } = parseModel(loadProjectModel(project.id));
+    if (errors.length === 0) {
+      return { id: project.id, name: project.name, inputDimension, batchFirst, layers, blocks, errors };
+    }
+    return { ...emptyProject('Untitled project'), errors: errors.map(error => `Could not open ${project.name}: ${error}`) };
+  }
+  return { ...emptyProject('Untitled project'), errors: [] };
+};
 
 // Main App Component
 export default function NeuralNetworkBuilder() {
-  const [layers, setLayers] = useState([]);
-  const [inputDimension, setInputDimension] = useState(784); // Default for MNIST
-  const [selectedLayer, setSelectedLayer] = useState(null);
+  const [initialProject] = useState(restoreLastProject);
+  const [projectId, setProjectId] = useState(initialProject.id);
+  const [projectName, setProjectName] = useState(initialProject.name);
+  const [projects, setProjects] = useState(listProjects);
+  const [history, setHistory] = useState(() => createHistory({
+    layers: initialProject.layers,
+    inputDimension: initialProject.inputDimension,
+    batchFirst: initialProject.batchFirst,
+    blocks: initialProject.blocks
+  }));
+  const [inputDimensionDraft, setInputDimensionDraft] = useState(null);
+  const [selectedLayers, setSelectedLayers] = useState([]);
   const [draggedLayer, setDraggedLayer] = useState(null);
   const [showModelPage, setShowModelPage] = useState(false);
+  const [generateBlocked, setGenerateBlocked] = useState(false);
+  const [inputPosition, setInputPosition] = useState({ x: 40, y: 40 });
+  const [movingNode, setMovingNode] = useState(null);
+  const [pendingConnection, setPendingConnection] = useState(null);
+  const [importErrors, setImportErrors] = useState(initialProject.errors);
+  const [dropPoint, setDropPoint] = useState(null);
+  const [codeTarget, setCodeTarget] = useState('pytorch');
+  const [onnxWeights, setOnnxWeights] = useState('random');
+  const [costBatchSize, setCostBatchSize] = useState(1);
+  const [blockLibrary, setBlockLibrary] = useState(loadBlockLibrary);
+  const [savingBlock, setSavingBlock] = useState(false);
+  const [expandedBlocks, setExpandedBlocks] = useState([]);
+  const [showTemplates, setShowTemplates] = useState(false);
+  const [pastingCode, setPastingCode] = useState(false);
+  const [trainingSetup, setTrainingSetup] = useState(DEFAULT_TRAINING_SETUP);
+  // Read-only links show a shared design that cannot be changed or saved
+  const [readOnly, setReadOnly] = useState(() => isReadOnlyHash(globalThis.location?.hash ?? ''));
+  const [sharing, setSharing] = useState(false);
+  const [paletteOpen, setPaletteOpen] = useState(false);
+  const [snapshots, setSnapshots] = useState(null);
+  const [sweepDrafts, setSweepDrafts] = useState({});
+  const [settingDrafts, setSettingDrafts] = useState({});
   const workspaceRef = useRef(null);
+  const fileInputRef = useRef(null);
+  // Set by keyboard actions so the focus follows the selection after the next render
+  const focusSelectionRef = useRef(false);
   
-  // Available layer types with their default settings
-  const layerTypes = [
-    {
-      type: 'Linear',
-      icon: '⚡',
-      color: 'bg-amber-100',
-      defaultSettings: {
-        in_features: null, // Will be auto-adjusted
-        out_features: 128,
-        bias: true,
-        activation: 'ReLU'
-      }
-    },
-    {
-      type: 'Conv2d',
-      icon: '🔳',
-      color: 'bg-amber-200',
-      defaultSettings: {
-        in_channels: null, // Will be auto-adjusted
-        out_channels: 32,
-        kernel_size: 3,
-        stride: 1,
-        padding: 1,
-        bias: true,
-        activation: 'ReLU'
-      }
-    },
-    {
-      type: 'BatchNorm2d',
-      icon: '📊',
-      color: 'bg-amber-100',
-      defaultSettings: {
-        num_features: null, // Will be auto-adjusted
-        eps: 1e-5,
-        momentum: 0.1,
-        affine: true,
-        track_running_stats: true
-      }
-    },
-    {
-      type: 'Dropout',
-      icon: '💧',
-      color: 'bg-amber-200',
-      defaultSettings: {
-        p: 0.5,
-        inplace: false
-      }
-    },
-    {
-      type: 'MultiheadAttention',
-      icon: '👁️',
-      color: 'bg-amber-100',
-      defaultSettings: {
-        embed_dim: null, // Will be auto-adjusted
-        num_heads: 8,
-        dropout: 0.1,
-        bias: true,
-        add_bias_kv: false,
-        add_zero_attn: false,
-        kdim: null,
-        vdim: null
+  // The design being edited is the present snapshot of the undo history
+  const { layers, inputDimension, batchFirst, blocks } = history.present;
+  const inputDimensionText = inputDimensionDraft ?? inputDimension.join(', ');
+  
+  // The most recently clicked layer is the primary selection; Shift+click adds more
+  const selectedLayer = selectedLayers.length > 0 ? selectedLayers[selectedLayers.length - 1] : null;
+  const setSelectedLayer = (id) => setSelectedLayers(id === null ? [] : [id]);
+  
+  // Record a design change in the undo history. Changes sharing a coalesce
+  // key within a short window become a single undo step.
+  const updateDesign = (changes, coalesceKey = null) => {
+    if (readOnly) return;
+    setHistory(current => recordChange(current, { ...current.present, ...changes }, coalesceKey));
+  };
+  
+  const updateLayers = (newLayers, coalesceKey = null) => {
+    updateDesign({ layers: newLayers }, coalesceKey);
+  };
+  
+  // Fill in auto-adjusted settings from the inferred shapes, looking inside blocks
+  const propagate = (newLayers, shape = inputDimension, newBlocks = blocks) =>
+    propagateBlockShapes(shape, newLayers, newBlocks);
+  
+  // Move through the history, dropping selected layers the restored design lacks
+  const stepHistory = (step) => {
+    const next = step(history);
+    setHistory(next);
+    setSelectedLayers(selectedLayers.filter(id => next.present.layers.some(layer => layer.id === id)));
+    setInputDimensionDraft(null);
+    setSettingDrafts({});
+  };
+  
+  const handleUndo = () => stepHistory(undo);
+  
+  const handleRedo = () => stepHistory(redo);
+  
+  // Ctrl+Z undoes, Ctrl+Shift+Z or Ctrl+Y redoes, Ctrl+D duplicates the selection,
+  // Ctrl+K opens the command palette, Ctrl+Enter generates the model and
+  // Ctrl+S downloads the JSON; dialogs and text fields keep their own keys.
+  // Other keys act on the canvas selection, see handleCanvasKey. Re-subscribed every render so the handler sees the
+  // current design.
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      // Dialogs and form controls keep their own keys
+      const inControl = Boolean(e.target.closest?.('[role="dialog"], input, select, textarea, button, a'));
+      if (!(e.ctrlKey || e.metaKey)) {
+        if (!inControl && !showModelPage && !e.altKey) handleCanvasKey(e);
+        return;
       }
-    },
-    {
-      type: 'MaxPool2d',
-      icon: '⬇️',
-      color: 'bg-amber-200',
-      defaultSettings: {
-        kernel_size: 2,
-        stride: 2,
-        padding: 0,
-        dilation: 1,
-        return_indices: false,
-        ceil_mode: false
+      const key = e.key.toLowerCase();
+      // Dialogs handle their own keys and text fields keep their own undo;
+      // only Ctrl+S works in the fields on the page
+      if (e.target.closest?.('[role="dialog"]')) return;
+      const inTextField = Boolean(e.target.closest?.('input, select, textarea, [contenteditable="true"]'));
+      if (inTextField && key !== 's') return;
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        handleUndo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        handleRedo();
+      } else if (key === 'd' && selectedLayers.length > 0) {
+        e.preventDefault();
+        duplicateSelection();
+      } else if (key === 'k' && !showModelPage) {
+        e.preventDefault();
+        setPaletteOpen(true);
+      } else if (key === 'enter' && !showModelPage) {
+        e.preventDefault();
+        handleGenerateModel();
+      } else if (key === 's') {
+        e.preventDefault();
+        downloadModel();
       }
-    },
-    {
-      type: 'Flatten',
-      icon: '📄',
-      color: 'bg-amber-100',
-      defaultSettings: {
-        start_dim: 1,
-        end_dim: -1
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+  
+  // Keyboard actions move the focus along with the selection
+  useEffect(() => {
+    if (!focusSelectionRef.current) return;
+    focusSelectionRef.current = false;
+    workspaceRef.current?.querySelector(`[data-layer-id="${selectedLayer}"]`)?.focus();
+  });
+  
+  const selectWithFocus = (id) => {
+    setSelectedLayer(id);
+    focusSelectionRef.current = true;
+  };
+  
+  // Arrow keys move the selection to the nearest card in that direction and
+  // Shift+arrows move the selected cards. Delete removes the selection,
+  // Enter focuses the first setting of the selected card and Escape clears
+  // the selection.
+  const handleCanvasKey = (e) => {
+    const direction = ARROW_DIRECTIONS[e.key];
+    if (direction && e.shiftKey) {
+      if (readOnly || selectedLayers.length === 0) return;
+      e.preventDefault();
+      updateLayers(layers.map(layer => (selectedLayers.includes(layer.id)
+        ? {
+          ...layer,
+          position: {
+            x: Math.max(0, layer.position.x + direction.x * NUDGE_STEP),
+            y: Math.max(0, layer.position.y + direction.y * NUDGE_STEP)
+          }
+        }
+        : layer)), 'nudge');
+    } else if (direction) {
+      const next = selectedLayer === null ? topologicalSort(layers)[0]?.id : nearestLayerInDirection(selectedLayer, direction);
+      e.preventDefault();
+      if (next !== undefined && next !== null) selectWithFocus(next);
+    } else if ((e.key === 'Delete' || e.key === 'Backspace') && !readOnly && selectedLayers.length > 0) {
+      e.preventDefault();
+      // Keep going from the layer before the deleted one
+      const previous = layers.find(layer => layer.id === selectedLayer)?.inputs
+        .find(id => id !== INPUT_NODE_ID && !selectedLayers.includes(id));
+      deleteLayers(selectedLayers);
+      if (previous !== undefined) selectWithFocus(previous);
+    } else if (e.key === 'Enter' && selectedLayer !== null) {
+      const card = `[data-layer-id="${selectedLayer}"] fieldset`;
+      const field = workspaceRef.current?.querySelector(`${card} input:not(:disabled), ${card} select:not(:disabled)`);
+      if (field) {
+        e.preventDefault();
+        field.focus();
       }
+    } else if (e.key === 'Escape' && selectedLayers.length > 0) {
+      setSelectedLayer(null);
     }
-  ];
+  };
+  
+  // The card closest to a layer's card in an arrow key's direction, favoring
+  // cards in line with it over ones further off to the side
+  const nearestLayerInDirection = (id, direction) => {
+    const from = nodePosition(id);
+    if (!from) return null;
+    let best = null;
+    layers.forEach(layer => {
+      const dx = layer.position.x - from.x;
+      const dy = layer.position.y - from.y;
+      const along = dx * direction.x + dy * direction.y;
+      const across = Math.abs(direction.x !== 0 ? dy : dx);
+      if (layer.id === id || along <= 0) return;
+      const score = along + 2 * across;
+      if (!best || score < best.score) best = { id: layer.id, score };
+    });
+    return best?.id ?? null;
+  };
+  
+  // A new layer of the given type or block, and the model's blocks with the
+  // block's definition added. Blocks from the library start with their
+  // parameter defaults, and the model keeps its own copy of the definition.
+  const createLayer = (type, position) => {
+    const blockDefinition = blockLibrary[type] ?? blocks[type];
+    return {
+      layer: {
+        id: newLayerId(),
+        type,
+        inputs: [],
+        position,
+        settings: { ...(blockDefinition ? blockDefinition.params : getLayerType(type).defaultSettings) }
+      },
+      blocks: blockDefinition ? { ...blocks, [type]: blockDefinition } : blocks
+    };
+  };
   
   // Handle drag start from sidebar
   const handleDragStart = (e, layerType) => {
     setDraggedLayer(layerType);
   };
   
+  // Clear the drag state when a palette drag ends outside the canvas
+  const handleDragEnd = () => {
+    setDraggedLayer(null);
+    setDropPoint(null);
+  };
+  
   // Handle drop on workspace
   const handleDrop = (e) => {
     e.preventDefault();
     
-    if (!draggedLayer) return;
-    
-    // Get workspace position for placement
-    const rect = workspaceRef.current.getBoundingClientRect();
-    const x = e.clientX - rect.left;
-    const y = e.clientY - rect.top;
+    // A .json file dropped from the desktop is imported as a model
+    if (!draggedLayer && e.dataTransfer.files.length > 0) {
+      importModelFile(e.dataTransfer.files[0]);
+      return;
+    }
     
-    // Create a new layer with auto-adjusted input dimension
-    const prevLayerOutDim = layers.length > 0 ? getOutputDimension(layers[layers.length - 1]) : inputDimension;
+    if (!draggedLayer) return;
     
-    const newLayerType = layerTypes.find(lt => lt.type === draggedLayer);
-    const newSettings = { ...newLayerType.defaultSettings };
+    // Get canvas position for placement
+    const point = canvasPoint(e);
+    const { layer: newLayer, blocks: newBlocks } = createLayer(
+      draggedLayer,
+      { x: Math.max(0, point.x - NODE_WIDTH / 2), y: Math.max(0, point.y - PORT_OFFSET_Y) }
+    );
     
-    // Auto-adjust input dimensions based on previous layer's output
-    if (newLayerType.type === 'Linear') {
-      newSettings.in_features = prevLayerOutDim;
-    } else if (newLayerType.type === 'Conv2d') {
-      newSettings.in_channels = typeof prevLayerOutDim === 'number' ? prevLayerOutDim : prevLayerOutDim.channels;
-    } else if (newLayerType.type === 'BatchNorm2d') {
-      newSettings.num_features = typeof prevLayerOutDim === 'number' ? prevLayerOutDim : prevLayerOutDim.channels;
-    } else if (newLayerType.type === 'MultiheadAttention') {
-      newSettings.embed_dim = prevLayerOutDim;
+    // Dropped onto a connection: splice the layer into it. Otherwise connect
+    // it after the selected layer, or after the current output.
+    const edge = findEdgeNear(point);
+    let newLayers;
+    if (edge) {
+      newLayers = insertBetween(layers, newLayer, edge.from, edge.to);
+    } else {
+      const outputLayers = getOutputLayers(layers);
+      const selected = layers.find(layer => layer.id === selectedLayer);
+      const previousId = selected ? selected.id : (outputLayers.length > 0 ? outputLayers[outputLayers.length - 1].id : INPUT_NODE_ID);
+      newLayers = [...layers, { ...newLayer, inputs: [previousId] }];
     }
     
-    const newLayer = {
-      id: Date.now(),
-      type: draggedLayer,
-      position: { x, y },
-      settings: newSettings
-    };
-    
-    setLayers([...layers, newLayer]);
+    // Auto-adjusted input dimensions are filled in from the inferred shapes
+    updateDesign({ layers: propagate(newLayers, inputDimension, newBlocks), blocks: newBlocks });
     setSelectedLayer(newLayer.id);
     setDraggedLayer(null);
+    setDropPoint(null);
   };
   
-  // Calculate output dimension of a layer
-  const getOutputDimension = (layer) => {
-    if (layer.type === 'Linear') {
-      return layer.settings.out_features;
-    } else if (layer.type === 'Conv2d') {
-      // For simplicity, we're just returning the out_channels
-      // In a real app, we'd calculate spatial dimensions too
-      return {
-        channels: layer.settings.out_channels,
-        type: '2d'
-      };
-    } else if (layer.type === 'BatchNorm2d' || layer.type === 'Dropout') {
-      // These layers don't change dimensions
-      return layer.settings.num_features || inputDimension;
-    } else if (layer.type === 'MultiheadAttention') {
-      return layer.settings.embed_dim;
-    } else if (layer.type === 'MaxPool2d') {
-      // For simplicity, we maintain the same number of channels
-      // In a real app, we'd calculate the reduced spatial dimensions
-      return inputDimension;
-    } else if (layer.type === 'Flatten') {
-      // Flattening typically results in a 1D tensor
-      // This is a simplification
-      return 1000; // Placeholder
+  // Insert a layer from the command palette after the selected layer, or
+  // after the current output. If that layer feeds exactly one other, the new
+  // one is spliced in between and everything downstream moves over a column.
+  const insertLayerAfter = (type) => {
+    const outputLayers = getOutputLayers(layers);
+    const previous = layers.find(layer => layer.id === selectedLayer) ?? outputLayers[outputLayers.length - 1];
+    const previousId = previous ? previous.id : INPUT_NODE_ID;
+    const anchor = nodePosition(previousId);
+    const { layer: newLayer, blocks: newBlocks } = createLayer(type, { x: anchor.x + COLUMN_STEP, y: anchor.y });
+    const consumers = getConsumers(layers, previousId);
+    let newLayers;
+    if (consumers.length === 1) {
+      const downstream = getDescendants(layers, previousId);
+      newLayers = insertBetween(
+        layers.map(layer => (downstream.has(layer.id)
+          ? { ...layer, position: { ...layer.position, x: layer.position.x + COLUMN_STEP } }
+          : layer)),
+        newLayer, previousId, consumers[0].id
+      );
+    } else {
+      newLayers = [...layers, { ...newLayer, inputs: [previousId] }];
     }
-    return inputDimension;
+    updateDesign({ layers: propagate(newLayers, inputDimension, newBlocks), blocks: newBlocks });
+    selectWithFocus(newLayer.id);
   };
   
+  // Shapes, costs and validation run on the model with every block expanded
+  // into its layers, then are folded back onto the block cards
+  const expansion = expandBlocks(layers, blocks);
+  const flatShapes = inferShapes(inputDimension, expansion.layers);
+  
+  // Inferred input/output shape of every layer
+  const layerShapes = collapseShapes(layers, expansion, flatShapes);
+  
+  // Parameter, MAC and memory estimates for the chosen batch size
+  const flatCosts = estimateCosts(inputDimension, expansion.layers, costBatchSize);
+  const costs = { ...flatCosts, layers: collapseCosts(layers, expansion, flatCosts.layers) };
+  
+  // Validation issues for the whole model and per layer
+  const issues = collapseIssues(layers, expansion, validateModel(inputDimension, expansion.layers));
+  const issuesForLayer = (index) => issues.filter(issue => issue.layerIndex === index);
+  const errorCount = issues.filter(issue => issue.severity === 'error').length;
+  const warningCount = issues.length - errorCount;
+  
   // Update layer settings
-  const updateLayerSettings = (id, newSettings) => {
-    setLayers(layers.map(layer => 
+  const updateLayerSettings = (id, newSettings, coalesceKey = null) => {
+    updateLayers(propagate(layers.map(layer => 
       layer.id === id ? { ...layer, settings: { ...layer.settings, ...newSettings } } : layer
-    ));
+    )), coalesceKey);
   };
   
-  // Delete a layer
-  const deleteLayer = (id) => {
-    setLayers(layers.filter(layer => layer.id !== id));
-    if (selectedLayer === id) setSelectedLayer(null);
+  // Number inputs on a card, the settings that can be swept
+  const isNumberSetting = (layer, key) =>
+    !isAutoSetting(layer.type, key) && !(SETTING_CHOICES[key] && !blocks[layer.type]) &&
+    typeof defaultSettingsFor(layer.type)[key] !== 'boolean';
+  
+  // Mark a setting as a sweep variable with the given spec, or unmark it with null
+  const updateLayerSweep = (id, key, spec, coalesceKey = null) => {
+    updateLayers(layers.map(layer => {
+      if (layer.id !== id) return layer;
+      const sweep = Object.fromEntries(Object.entries(layer.sweep ?? {}).filter(([setting]) => setting !== key));
+      if (spec) sweep[key] = spec;
+      const { sweep: _previous, ...rest } = layer;
+      return Object.keys(sweep).length > 0 ? { ...rest, sweep } : rest;
+    }), coalesceKey);
   };
   
-  // Generate the JSON model representation
-  const generateModel = () => {
-    const modelJSON = {
-      input_dim: inputDimension,
-      layers: layers.map(layer => ({
-        type: layer.type,
-        settings: { ...layer.settings }
-      }))
+  // Text of a number setting field: what is being typed, else the stored value
+  const settingText = (layer, key) => settingDrafts[`${layer.id}:${key}`] ?? layer.settings[key] ?? '';
+  
+  // Only numbers reach the design; a required setting keeps its last value
+  // while its field is cleared or half typed
+  const handleSettingTextChange = (layer, key, text) => {
+    setSettingDrafts({ ...settingDrafts, [`${layer.id}:${key}`]: text });
+    // Optional settings (default None) go back to null when cleared
+    const optional = defaultSettingsFor(layer.type)[key] === null;
+    const newValue = text === '' && optional ? null : parseFloat(text);
+    if (newValue === null || Number.isFinite(newValue)) {
+      updateLayerSettings(layer.id, { [key]: newValue }, `${layer.id}-${key}`);
+    }
+  };
+  
+  const clearSettingDraft = (layer, key) =>
+    setSettingDrafts(drafts => Object.fromEntries(Object.entries(drafts).filter(([draftKey]) => draftKey !== `${layer.id}:${key}`)));
+  
+  const clearSweepDraft = (layer, key) =>
+    setSweepDrafts(drafts => Object.fromEntries(Object.entries(drafts).filter(([draftKey]) => draftKey !== `${layer.id}:${key}`)));
+  
+  // The sweep starts out as just the current value, ready to be extended
+  const toggleSweep = (layer, key) => {
+    clearSweepDraft(layer, key);
+    updateLayerSweep(layer.id, key, layer.sweep?.[key] ? null : { values: [layer.settings[key] ?? 0] });
+  };
+  
+  // Text of a sweep field: what is being typed, else the stored spec
+  const sweepText = (layer, key) => sweepDrafts[`${layer.id}:${key}`] ?? formatSweepSpec(layer.sweep[key]);
+  
+  const handleSweepTextChange = (layer, key, text) => {
+    setSweepDrafts({ ...sweepDrafts, [`${layer.id}:${key}`]: text });
+    const { spec } = parseSweepSpec(text);
+    if (spec) updateLayerSweep(layer.id, key, spec, `sweep-${layer.id}-${key}`);
+  };
+  
+  // Change a layer's weight init; undefined or 'default' fields go back to PyTorch's defaults
+  const updateLayerInit = (id, changes, coalesceKey = null) => {
+    updateLayers(layers.map(layer => {
+      if (layer.id !== id) return layer;
+      const init = Object.fromEntries(Object.entries({ ...layer.init, ...changes })
+        .filter(([key, value]) => value !== undefined && !(key === 'weight' && value === 'default')));
+      const { init: _previous, ...rest } = layer;
+      return Object.keys(init).length > 0 ? { ...rest, init } : rest;
+    }), coalesceKey);
+  };
+  
+  const canFreeze = (layer) => FREEZABLE_TYPES.includes(layer.type) || Boolean(blocks[layer.type]);
+  
+  // Freeze the given layers, or unfreeze them if they all are frozen already
+  const toggleFrozen = (ids) => {
+    const targets = layers.filter(layer => ids.includes(layer.id) && canFreeze(layer));
+    const freeze = !targets.every(layer => layer.frozen);
+    updateLayers(layers.map(layer => {
+      if (!targets.includes(layer)) return layer;
+      const { frozen: _previous, ...rest } = layer;
+      return freeze ? { ...rest, frozen: true } : rest;
+    }));
+  };
+  
+  // Delete layers, rewiring around each one
+  const deleteLayers = (ids) => {
+    updateLayers(propagate(ids.reduce(removeLayer, layers)));
+    setSelectedLayers(selectedLayers.filter(selectedId => !ids.includes(selectedId)));
+  };
+  
+  // Duplicate layers (the selection by default), splicing the copy in after a selected chain
+  const duplicateSelection = (ids = selectedLayers) => {
+    const { layers: newLayers, copyIds } = duplicateLayers(layers, ids, newLayerId);
+    if (copyIds.length === 0) return;
+    updateLayers(propagate(newLayers));
+    setSelectedLayers(copyIds);
+  };
+  
+  // Click selects a layer; Shift+click toggles it in a multi-selection
+  const handleLayerClick = (e, id) => {
+    if (e.shiftKey) {
+      setSelectedLayers(selectedLayers.includes(id)
+        ? selectedLayers.filter(selectedId => selectedId !== id)
+        : [...selectedLayers, id]);
+    } else {
+      setSelectedLayer(id);
+    }
+  };
+  
+  // Remove a connection between two nodes
+  const deleteConnection = (from, to) => {
+    updateLayers(propagate(disconnectLayers(layers, from, to)));
+  };
+  
+  // Open the Save as Block dialog if the selection can become a block
+  const handleSaveBlockClick = () => {
+    const { error } = blockFromSelection(layers, selectedLayers, blocks);
+    if (error) {
+      alert(`Cannot save as a block: ${error}`);
+      return;
+    }
+    setSavingBlock(true);
+  };
+  
+  // Save the selection to the library and replace it with an instance of the new block
+  const handleSaveBlock = ({ name, params, bindings }) => {
+    const { definition, source, exitId } = blockFromSelection(layers, selectedLayers, blocks, bindings, params);
+    if (!saveBlock(name, definition)) {
+      alert('Could not save the block: browser storage is unavailable or full');
+      return;
+    }
+    setBlockLibrary(loadBlockLibrary());
+    const selected = layers.filter(layer => selectedLayers.includes(layer.id));
+    const instance = {
+      id: newLayerId(),
+      type: name,
+      inputs: [source],
+      position: {
+        x: Math.min(...selected.map(layer => layer.position.x)),
+        y: Math.min(...selected.map(layer => layer.position.y))
+      },
+      settings: { ...params }
     };
-    
-    return modelJSON;
+    const newBlocks = { ...blocks, [name]: definition };
+    updateDesign({ layers: propagate(collapseToBlock(layers, selectedLayers, instance, exitId), inputDimension, newBlocks), blocks: newBlocks });
+    setSelectedLayer(instance.id);
+    setSavingBlock(false);
+  };
+  
+  // Replace a block card by its layers so they can be edited one by one
+  const handleUngroup = (id) => {
+    const instance = layers.find(layer => layer.id === id);
+    const { layers: newLayers, ids } = ungroupBlock(layers, id, blocks[instance.type], newLayerId);
+    updateLayers(propagate(newLayers));
+    setSelectedLayers(ids);
+  };
+  
+  const toggleBlockExpanded = (id) => {
+    setExpandedBlocks(expandedBlocks.includes(id) ? expandedBlocks.filter(expandedId => expandedId !== id) : [...expandedBlocks, id]);
+  };
+  
+  // Models that use a deleted block keep their own copy of it
+  const handleDeleteLibraryBlock = (name) => {
+    if (!confirm(`Delete block "${name}" from your library? Models that use it keep their copy.`)) return;
+    deleteBlock(name);
+    setBlockLibrary(loadBlockLibrary());
+  };
+  
+  // Palette entry or card style of a layer type or block
+  const layerStyle = (type) => getLayerType(type) ?? { icon: BLOCK_ICON, color: BLOCK_COLOR };
+  
+  // Defaults of a layer type's settings, or of a block's parameters
+  const defaultSettingsFor = (type) => getLayerType(type)?.defaultSettings ?? blocks[type]?.params ?? {};
+  
+  // Display name for a node, numbered by creation order
+  const nodeLabel = (id) => {
+    if (id === INPUT_NODE_ID) return 'Input';
+    const index = layers.findIndex(layer => layer.id === id);
+    return index === -1 ? '?' : `${layers[index].type} #${index + 1}`;
+  };
+  
+  // Mouse position relative to the canvas
+  const canvasPoint = (e) => {
+    const rect = workspaceRef.current.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  };
+  
+  const nodePosition = (id) =>
+    id === INPUT_NODE_ID ? inputPosition : layers.find(layer => layer.id === id)?.position;
+  
+  // Start moving a card by its header
+  const handleNodeMouseDown = (e, id) => {
+    const point = canvasPoint(e);
+    const position = nodePosition(id);
+    setMovingNode({ id, dx: point.x - position.x, dy: point.y - position.y, point });
+  };
+  
+  // Start drawing a connection from an output port
+  const handleOutputPortMouseDown = (e, id) => {
+    e.stopPropagation();
+    setPendingConnection({ from: id, ...canvasPoint(e) });
   };
   
+  // Finish a connection on an input port
+  const handleInputPortMouseUp = (id) => {
+    if (!pendingConnection) return;
+    updateLayers(propagate(connectLayers(layers, pendingConnection.from, id)));
+    setSelectedLayer(id);
+  };
+  
+  const handleCanvasMouseMove = (e) => {
+    if (movingNode) {
+      const point = canvasPoint(e);
+      const position = { x: Math.max(0, point.x - movingNode.dx), y: Math.max(0, point.y - movingNode.dy) };
+      setMovingNode({ ...movingNode, point, moved: true });
+      if (movingNode.id === INPUT_NODE_ID) {
+        setInputPosition(position);
+      } else {
+        updateLayers(layers.map(layer => (layer.id === movingNode.id ? { ...layer, position } : layer)), `move-${movingNode.id}`);
+      }
+    } else if (pendingConnection) {
+      setPendingConnection({ ...pendingConnection, ...canvasPoint(e) });
+    }
+  };
+  
+  const handleCanvasMouseUp = () => {
+    // Releasing a card over a connection moves the layer into that position
+    if (movingNode && movingNode.moved && movingNode.id !== INPUT_NODE_ID) {
+      const edge = findEdgeNear(movingNode.point, movingNode.id);
+      if (edge) {
+        updateLayers(propagate(moveBetween(layers, movingNode.id, edge.from, edge.to)));
+      }
+    }
+    setMovingNode(null);
+    setPendingConnection(null);
+  };
+  
+  // Curved edge between an output port and an input port
+  const edgePath = (from, to) => {
+    const bend = Math.max(40, Math.abs(to.x - from.x) / 2);
+    return `M ${from.x} ${from.y} C ${from.x + bend} ${from.y}, ${to.x - bend} ${to.y}, ${to.x} ${to.y}`;
+  };
+  
+  const outputPortPoint = (id) => {
+    const position = nodePosition(id);
+    return { x: position.x + NODE_WIDTH, y: position.y + PORT_OFFSET_Y };
+  };
+  
+  const inputPortPoint = (id) => {
+    const position = nodePosition(id);
+    return { x: position.x, y: position.y + PORT_OFFSET_Y };
+  };
+  
+  // Closest connection within EDGE_HIT_DISTANCE of a point, ignoring edges
+  // touching `excludeId`. Samples the same curve that edgePath draws.
+  const findEdgeNear = (point, excludeId = null) => {
+    if (!point) return null;
+    let best = null;
+    layers.forEach(layer => {
+      layer.inputs.forEach(from => {
+        if (layer.id === excludeId || from === excludeId || !nodePosition(from)) return;
+        const start = outputPortPoint(from);
+        const end = inputPortPoint(layer.id);
+        const bend = Math.max(40, Math.abs(end.x - start.x) / 2);
+        for (let i = 0; i <= 24; i++) {
+          const t = i / 24;
+          const u = 1 - t;
+          const x = u * u * u * start.x + 3 * u * u * t * (start.x + bend) + 3 * u * t * t * (end.x - bend) + t * t * t * end.x;
+          const y = u * u * u * start.y + 3 * u * u * t * start.y + 3 * u * t * t * end.y + t * t * t * end.y;
+          const distance = Math.hypot(x - point.x, y - point.y);
+          if (distance < EDGE_HIT_DISTANCE && (!best || distance < best.distance)) {
+            best = { from, to: layer.id, distance };
+          }
+        }
+      });
+    });
+    return best;
+  };
+  
+  // Connection that a drop or card move would currently land on
+  const targetEdge = draggedLayer
+    ? findEdgeNear(dropPoint)
+    : movingNode && movingNode.moved && movingNode.id !== INPUT_NODE_ID ? findEdgeNear(movingNode.point, movingNode.id) : null;
+  
+  // Canvas grows with the furthest card so it can always be scrolled to
+  const canvasWidth = Math.max(1200, ...layers.map(layer => layer.position.x + NODE_WIDTH + 200));
+  const canvasHeight = Math.max(800, ...layers.map(layer => layer.position.y + 600));
+  
+  // Update the input shape from the sidebar text field, e.g. "1, 28, 28"
+  const updateInputDimension = (text) => {
+    setInputDimensionDraft(text);
+    const shape = parseShape(text);
+    if (!shape) return;
+    updateDesign({ inputDimension: shape, layers: propagate(layers, shape) }, 'input-dimension');
+  };
+  
+  // The JSON model of the current design (see serializeModel)
+  const generateModel = () => serializeModel({ inputDimension, batchFirst, layers, blocks });
+  
   // Handle Generate Model button click
   const handleGenerateModel = () => {
+    // Errors would produce code that crashes in PyTorch, so block until they are fixed
+    if (hasErrors(issues)) {
+      setGenerateBlocked(true);
+      return;
+    }
+    setGenerateBlocked(false);
     setShowModelPage(true);
   };
   
   // Handle drag over
   const handleDragOver = (e) => {
     e.preventDefault();
+    if (draggedLayer) {
+      setDropPoint(canvasPoint(e));
+    }
   };
   
   // Download model as JSON
   const downloadModel = () => {
     const modelJSON = generateModel();
-    const dataStr = "data:text/json;charset=utf-8," + encodeURIComponent(JSON.stringify(modelJSON, null, 2));
-    const downloadAnchorNode = document.createElement('a');
-    downloadAnchorNode.setAttribute("href", dataStr);
-    downloadAnchorNode.setAttribute("download", "neural_network_model.json");
-    document.body.appendChild(downloadAnchorNode);
-    downloadAnchorNode.click();
-    downloadAnchorNode.remove();
+    downloadBlob('neural_network_model.json', new Blob([JSON.stringify(modelJSON, null, 2)], { type: 'application/json' }));
   };
 
-  // Generate the PyTorch code
-  const generatePyTorchCode = () => {
-    const modelJSON = generateModel();
-    
-    let imports = `import torch\nimport torch.nn as nn\n`;
-    
-    let classDefinition = `\nclass NeuralNetwork(nn.Module):\n    def __init__(self):\n        super(NeuralNetwork, self).__init__()\n`;
-    let forwardMethod = `\n    def forward(self, x):\n`;
-    
-    // Add layers to the class definition
-    modelJSON.layers.forEach((layer, index) => {
-      if (layer.type === 'Linear') {
-        classDefinition += `        self.fc${index} = nn.Linear(${layer.settings.in_features}, ${layer.settings.out_features}, bias=${layer.settings.bias})\n`;
-        if (layer.settings.activation !== 'None') {
-          classDefinition += `        self.act${index} = nn.${layer.settings.activation}()\n`;
-        }
-        
-        forwardMethod += `        x = self.fc${index}(x)\n`;
-        if (layer.settings.activation !== 'None') {
-          forwardMethod += `        x = self.act${index}(x)\n`;
-        }
-      } else if (layer.type === 'Conv2d') {
-        classDefinition += `        self.conv${index} = nn.Conv2d(${layer.settings.in_channels}, ${layer.settings.out_channels}, kernel_size=${layer.settings.kernel_size}, stride=${layer.settings.stride}, padding=${layer.settings.padding}, bias=${layer.settings.bias})\n`;
-        if (layer.settings.activation !== 'None') {
-          classDefinition += `        self.act${index} = nn.${layer.settings.activation}()\n`;
-        }
-        
-        forwardMethod += `        x = self.conv${index}(x)\n`;
-        if (layer.settings.activation !== 'None') {
-          forwardMethod += `        x = self.act${index}(x)\n`;
-        }
-      } else if (layer.type === 'BatchNorm2d') {
-        classDefinition += `        self.bn${index} = nn.BatchNorm2d(${layer.settings.num_features}, eps=${layer.settings.eps}, momentum=${layer.settings.momentum}, affine=${layer.settings.affine}, track_running_stats=${layer.settings.track_running_stats})\n`;
-        forwardMethod += `        x = self.bn${index}(x)\n`;
-      } else if (layer.type === 'Dropout') {
-        classDefinition += `        self.dropout${index} = nn.Dropout(p=${layer.settings.p}, inplace=${layer.settings.inplace})\n`;
-        forwardMethod += `        x = self.dropout${index}(x)\n`;
-      } else if (layer.type === 'MaxPool2d') {
-        classDefinition += `        self.maxpool${index} = nn.MaxPool2d(kernel_size=${layer.settings.kernel_size}, stride=${layer.settings.stride}, padding=${layer.settings.padding})\n`;
-        forwardMethod += `        x = self.maxpool${index}(x)\n`;
-      } else if (layer.type === 'Flatten') {
-        classDefinition += `        self.flatten${index} = nn.Flatten(start_dim=${layer.settings.start_dim}, end_dim=${layer.settings.end_dim})\n`;
-        forwardMethod += `        x = self.flatten${index}(x)\n`;
-      } else if (layer.type === 'MultiheadAttention') {
-        classDefinition += `        self.mha${index} = nn.MultiheadAttention(embed_dim=${layer.settings.embed_dim}, num_heads=${layer.settings.num_heads}, dropout=${layer.settings.dropout})\n`;
-        forwardMethod += `        # Note: For MultiheadAttention, implementation depends on your data structure\n`;
-        forwardMethod += `        # This is a placeholder. Adjust accordingly.\n`;
-        forwardMethod += `        # x, _ = self.mha${index}(x, x, x)\n`;
+  // Download the model as an ONNX graph built in the browser
+  const downloadOnnx = () => {
+    let bytes;
+    try {
+      bytes = exportOnnxModel(generateModel(), { weights: onnxWeights });
+    } catch (err) {
+      alert(`Could not export to ONNX: ${err.message}`);
+      return;
+    }
+    downloadBlob('neural_network_model.onnx', new Blob([bytes], { type: 'application/octet-stream' }));
+  };
+
+  // Replace the current design with a model read from a .json file
+  const importModelFile = async (file) => {
+    if (!file.name.toLowerCase().endsWith('.json')) {
+      setImportErrors([`${file.name} is not a .json file`]);
+      return;
+    }
+    const { errors, ...design } = parseModelText(await file.text());
+    if (errors.length > 0) {
+      setImportErrors(errors);
+      return;
+    }
+    setImportErrors([]);
+    loadDesign(design);
+  };
+  
+  // Replace the editor contents with the given design ({ inputDimension,
+  // batchFirst, layers, blocks }). Opening another project starts a fresh
+  // undo history; importing into this one is undoable.
+  const loadDesign = ({ inputDimension: newInputDimension, batchFirst: newBatchFirst = true, layers: newLayers, blocks: newBlocks }, { resetHistory = false } = {}) => {
+    const design = {
+      inputDimension: newInputDimension,
+      batchFirst: newBatchFirst,
+      layers: propagate(newLayers, newInputDimension, newBlocks),
+      blocks: newBlocks
+    };
+    if (resetHistory) {
+      setHistory(createHistory(design));
+    } else {
+      updateDesign(design);
+    }
+    setInputDimensionDraft(null);
+    setSettingDrafts({});
+    setSelectedLayer(null);
+    setGenerateBlocked(false);
+  };
+  
+  // Replace the design with a built-in template; undoable like an import
+  const handleUseTemplate = (design, template) => {
+    if (layers.length > 0 && !confirm(`Replace the current design with ${template.name}? You can undo this.`)) return;
+    setShowTemplates(false);
+    setImportErrors([]);
+    loadDesign(design);
+  };
+  
+  // Replace the design with layers parsed from pasted PyTorch code; undoable
+  // like an import. Blocks are kept since the pasted layers do not use them.
+  const handlePastedCode = (pastedDimension, pastedLayers, pastedBatchFirst) => {
+    if (layers.length > 0 && !confirm('Replace the current design with the pasted model? You can undo this.')) return;
+    setPastingCode(false);
+    setImportErrors([]);
+    loadDesign({ inputDimension: pastedDimension, batchFirst: pastedBatchFirst, layers: pastedLayers, blocks });
+  };
+  
+  // Switch to another saved project
+  const openProject = (id) => {
+    const project = projects.find(p => p.id === id);
+    const { errors, ...design } = parseModel(loadProjectModel(id));
+    if (errors.length > 0) {
+      setImportErrors(errors.map(error => `${project.name}: ${error}`));
+      return;
+    }
+    setImportErrors([]);
+    setProjectId(id);
+    setProjectName(project.name);
+    loadDesign(design, { resetHistory: true });
+  };
+  
+  const handleNewProject = () => {
+    const name = prompt('Name of the new project:', 'Untitled project');
+    if (!name) return;
+    const project = emptyProject(name);
+    setProjectId(project.id);
+    setProjectName(project.name);
+    loadDesign(project, { resetHistory: true });
+  };
+  
+  const handleRenameProject = () => {
+    const name = prompt('Rename project:', projectName);
+    if (!name) return;
+    renameProject(projectId, name);
+    setProjectName(name);
+  };
+  
+  const handleDuplicateProject = () => {
+    const name = `${projectName} (copy)`;
+    setProjectId(duplicateProject(projectId, name));
+    setProjectName(name);
+  };
+  
+  const handleDeleteProject = () => {
+    if (!confirm(`Delete project "${projectName}"? This cannot be undone.`)) return;
+    deleteProject(projectId);
+    const remaining = listProjects();
+    if (remaining.length > 0) {
+      openProject(remaining[0].id);
+    } else {
+      const project = emptyProject('Untitled project');
+      setProjectId(project.id);
+      setProjectName(project.name);
+      loadDesign(project, { resetHistory: true });
+    }
+    setProjects(remaining);
+  };
+  
+  // Handle the hidden file input behind the Import JSON button
+  const handleImportChange = (e) => {
+    if (e.target.files.length > 0) {
+      importModelFile(e.target.files[0]);
+    }
+    // Allow picking the same file again after fixing it
+    e.target.value = '';
+  };
+
+  // Generate the code for a target framework from the current model
+  const generateCode = (target) => getCodeGenerator(target).generate(generateModel());
+
+  // Autosave the current project whenever the design changes. A read-only
+  // view is not one of the user's projects, so it is never saved.
+  const serializedModel = JSON.stringify(generateModel());
+  useEffect(() => {
+    if (readOnly) return;
+    saveProject(projectId, projectName, serializedModel);
+    setLastProjectId(projectId);
+    setProjects(listProjects());
+  }, [projectId, projectName, serializedModel, readOnly]);
+  
+  // Open a design shared as a link, on load and whenever the hash changes.
+  // An editable link becomes a new project; a read-only one is only shown.
+  useEffect(() => {
+    let active = true;
+    const openSharedLink = async () => {
+      let shared;
+      try {
+        shared = await decodeShareHash(window.location.hash);
+      } catch (err) {
+        if (!active) return;
+        setImportErrors([`Could not open the shared link: ${err.message}`]);
+        setReadOnly(false);
+        return;
       }
-    });
-    
-    forwardMethod += `        return x\n`;
-    
-    // Create the model instantiation code
-    const modelCreation = `\n# Create the model\nmodel = NeuralNetwork()\n`;
-    
-    // Combine everything
-    return imports + classDefinition + forwardMethod + modelCreation;
+      if (!active || !shared) return;
+      if (!shared.readOnly) {
+        const project = emptyProject('Shared design');
+        setProjectId(project.id);
+        setProjectName(project.name);
+        // The design now lives in its own project, so reloading should not import it again
+        window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+      }
+      setReadOnly(shared.readOnly);
+      setHistory(createHistory({
+        inputDimension: shared.inputDimension,
+        batchFirst: shared.batchFirst,
+        layers: propagateBlockShapes(shared.inputDimension, shared.layers, shared.blocks),
+        blocks: shared.blocks
+      }));
+      setImportErrors([]);
+      setInputDimensionDraft(null);
+      setSettingDrafts({});
+      setSelectedLayers([]);
+      setGenerateBlocked(false);
+    };
+    openSharedLink();
+    window.addEventListener('hashchange', openSharedLink);
+    return () => {
+      active = false;
+      window.removeEventListener('hashchange', openSharedLink);
+    };
+  }, []);
+  
+  // Snapshots are read when the dialog opens; null while it is closed
+  const openSnapshots = () => setSnapshots(listSnapshots(projectId));
+  
+  const handleSaveSnapshot = (name) => {
+    if (!saveSnapshot(projectId, name, serializedModel)) {
+      alert('Could not save the snapshot: browser storage is unavailable or full');
+      return;
+    }
+    setSnapshots(listSnapshots(projectId));
+  };
+  
+  const handleDeleteSnapshot = (snapshot) => {
+    if (!confirm(`Delete snapshot "${snapshot.name}"?`)) return;
+    deleteSnapshot(projectId, snapshot.id);
+    setSnapshots(listSnapshots(projectId));
+  };
+  
+  // Go back to a snapshot; undoable like an import
+  const handleRestoreSnapshot = (snapshot) => {
+    if (!confirm(`Replace the current design with snapshot "${snapshot.name}"? You can undo this.`)) return;
+    const { errors, ...design } = parseModel(snapshot.model);
+    if (errors.length > 0) {
+      setImportErrors(errors.map(error => `${snapshot.name}: ${error}`));
+    } else {
+      setImportErrors([]);
+      loadDesign(design);
+    }
+    setSnapshots(null);
+  };
+  
+  // Turn a read-only view into a project of one's own
+  const handleEditSharedCopy = () => {
+    const project = emptyProject('Shared design');
+    setProjectId(project.id);
+    setProjectName(project.name);
+    setReadOnly(false);
+    window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+  };
+  
+  // Leave a read-only view for the project that was open before, or a new
+  // one if the link was the first thing opened in this browser
+  const handleCloseSharedView = () => {
+    setReadOnly(false);
+    window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+    if (projects.some(project => project.id === projectId)) {
+      openProject(projectId);
+      return;
+    }
+    const project = emptyProject('Untitled project');
+    setProjectId(project.id);
+    setProjectName(project.name);
+    loadDesign(project, { resetHistory: true });
   };
 
   // If showing the model page
   if (showModelPage) {
+    // A generator throws for a model its framework cannot express
+    let code = null;
+    let codeError = null;
+    try {
+      code = generateCode(codeTarget);
+    } catch (err) {
+      codeError = err.message;
+    }
     return (
       <div className="min-h-screen bg-amber-50 p-8">
         <div className="max-w-4xl mx-auto">
           <div className="flex justify-between items-center mb-6">
             <h1 className="text-3xl font-bold text-amber-900">Neural Network Model</h1>
-            <div className="space-x-4">
+            <div className="flex items-center space-x-4">
               <button 
                 onClick={() => setShowModelPage(false)}
                 className="bg-amber-600 hover:bg-amber-700 text-white font-medium py-2 px-4 rounded"
@@ -299,23 +988,61 @@ export default function NeuralNetworkBuilder() {
                 <Download className="w-4 h-4 mr-2" />
                 Download JSON
               </button>
+              <div className="flex">
+                <select
+                  value={onnxWeights}
+                  onChange={(e) => setOnnxWeights(e.target.value)}
+                  aria-label="ONNX weights"
+                  title="Initial weights stored in the ONNX file"
+                  className="border border-amber-800 rounded-l px-2 text-amber-900 bg-white"
+                >
+                  <option value="random">Random weights</option>
+                  <option value="zeros">Zero weights</option>
+                </select>
+                <button 
+                  onClick={downloadOnnx}
+                  className="bg-amber-800 hover:bg-amber-900 text-white font-medium py-2 px-4 rounded-r flex items-center"
+                >
+                  <Download className="w-4 h-4 mr-2" />
+                  Download ONNX
+                </button>
+              </div>
             </div>
           </div>
           
+          {/* Validation warnings */}
+          {issues.length > 0 && (
+            <div className="bg-yellow-50 border border-yellow-300 rounded-lg p-4 mb-8">
+              <h2 className="font-bold text-yellow-800 mb-2 flex items-center">
+                <AlertTriangle className="w-5 h-5 mr-2" />
+                {warningCount} warning{warningCount === 1 ? '' : 's'}
+              </h2>
+              <ul className="text-sm text-yellow-800 list-disc ml-6">
+                {issues.map((issue, i) => (
+                  <li key={i}>
+                    {issue.layerIndex !== null && `Layer ${issue.layerIndex + 1} (${layers[issue.layerIndex].type}): `}
+                    {issue.message}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          
           {/* Model Visualization */}
           <div className="bg-white rounded-lg shadow-lg p-6 mb-8">
             <h2 className="text-xl font-bold text-amber-900 mb-4">Model Architecture</h2>
             <div className="space-y-4">
               <div className="bg-amber-50 p-4 rounded-lg border border-amber-200">
-                <div className="font-medium text-amber-800">Input Dimension: {inputDimension}</div>
+                <div className="font-medium text-amber-800">Input Shape: {formatShape(inputDimension)}</div>
               </div>
               
-              {layers.map((layer, index) => {
-                const layerType = layerTypes.find(lt => lt.type === layer.type);
+              {topologicalSort(layers).map((layer, order) => {
+                const layerType = layerStyle(layer.type);
+                const index = layers.indexOf(layer);
                 return (
                   <div key={layer.id} className="relative">
                     {/* Arrow connecting layers */}
-                    {index > 0 && (
+                    {order > 0 && (
                       <div className="absolute -top-4 left-1/2 transform -translate-x-1/2">
                         <ArrowRight className="w-5 h-5 text-amber-500 transform rotate-90" />
                       </div>
@@ -324,11 +1051,24 @@ export default function NeuralNetworkBuilder() {
                     <div className={`${layerType?.color || 'bg-amber-100'} p-4 rounded-lg border border-amber-300`}>
                       <div className="flex items-center mb-2">
                         <span className="text-xl mr-2">{layerType?.icon}</span>
-                        <span className="font-bold text-amber-900">{layer.type}</span>
+                        <span className="font-bold text-amber-900">{nodeLabel(layer.id)}</span>
+                        <span className="ml-auto text-sm font-mono text-amber-800">
+                          {formatShape(layerShapes[index].inputShape)} → {formatShape(layerShapes[index].outputShape)}
+                        </span>
                       </div>
+                      <div className="text-sm text-amber-800 mb-2">
+                        From: {layer.inputs.map(nodeLabel).join(', ') || 'nothing'}
+                      </div>
+                      {costs.layers[index] && (
+                        <div className="text-sm text-amber-800 mb-2">
+                          Params: {costs.layers[index].trainable.toLocaleString()} trainable, {costs.layers[index].nonTrainable.toLocaleString()} non-trainable
+                          {' · '}MACs: {formatCount(costs.layers[index].macs)}
+                          {' · '}Activations: {formatBytes(costs.layers[index].activationBytes)}
+                        </div>
+                      )}
                       
                       <div className="grid grid-cols-2 gap-2 text-sm">
-                        {Object.entries(layer.settings).filter(([key, value]) => value !== null).map(([key, value]) => (
+                        {Object.entries(layer.settings).filter(([, value]) => value !== null).map(([key, value]) => (
                           <div key={key} className="flex justify-between">
                             <span className="font-medium text-amber-800">{key}:</span>
                             <span>{typeof value === 'boolean' ? (value ? 'Yes' : 'No') : value}</span>
@@ -342,28 +1082,65 @@ export default function NeuralNetworkBuilder() {
             </div>
           </div>
           
-          {/* PyTorch Code */}
+          <DiagramExport model={generateModel()} />
+          
+          <SweepExport model={generateModel()} trainingSetup={trainingSetup} />
+          
+          <CostSummary
+            layers={layers}
+            layerShapes={layerShapes}
+            costs={costs}
+            batchSize={costBatchSize}
+            onBatchSizeChange={setCostBatchSize}
+            nodeLabel={nodeLabel}
+          />
+          
+          <Playground key={serializedModel} serializedModel={serializedModel} />
+          
+          {/* Generated Code */}
           <div className="bg-white rounded-lg shadow-lg p-6 mb-8">
-            <h2 className="text-xl font-bold text-amber-900 mb-4">PyTorch Code</h2>
-            <pre className="bg-gray-900 text-gray-100 p-4 rounded-lg overflow-auto max-h-96">
-              {generatePyTorchCode()}
-            </pre>
+            <div className="flex justify-between items-center mb-4">
+              <h2 className="text-xl font-bold text-amber-900">{getCodeGenerator(codeTarget).label} Code</h2>
+              <div className="flex space-x-1" role="tablist">
+                {codeGenerators.map(generator => (
+                  <button 
+                    key={generator.id}
+                    role="tab"
+                    aria-selected={codeTarget === generator.id}
+                    onClick={() => setCodeTarget(generator.id)}
+                    className={`py-1 px-3 rounded font-medium ${codeTarget === generator.id ? 'bg-amber-600 text-white' : 'bg-amber-100 text-amber-900 hover:bg-amber-200'}`}
+                  >
+                    {generator.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+            {codeError ? (
+              <p className="text-red-700">Could not generate {getCodeGenerator(codeTarget).label} code: {codeError}</p>
+            ) : (
+              <pre className="bg-gray-900 text-gray-100 p-4 rounded-lg overflow-auto max-h-96">
+                {code}
+              </pre>
+            )}
             <button 
+              disabled={Boolean(codeError)}
               onClick={() => {
                 const el = document.createElement('textarea');
-                el.value = generatePyTorchCode();
+                el.value = code;
                 document.body.appendChild(el);
                 el.select();
                 document.execCommand('copy');
                 document.body.removeChild(el);
-                alert('PyTorch code copied to clipboard!');
+                alert(`${getCodeGenerator(codeTarget).label} code copied to clipboard!`);
               }}
-              className="mt-4 bg-gray-800 hover:bg-gray-900 text-white font-medium py-2 px-4 rounded"
+              className="mt-4 bg-gray-800 hover:bg-gray-900 text-white font-medium py-2 px-4 rounded disabled:opacity-40"
             >
               Copy Code
             </button>
           </div>
           
+          <TrainingSetup model={generateModel()} setup={trainingSetup} onChange={setTrainingSetup} />
+          
           {/* JSON Output */}
           <div className="bg-white rounded-lg shadow-lg p-6">
             <h2 className="text-xl font-bold text-amber-900 mb-4">JSON Model</h2>
@@ -376,43 +1153,159 @@ export default function NeuralNetworkBuilder() {
     );
   }
 
+  // Everything the command palette offers: inserting any layer type or
+  // block, then the editor actions that apply right now
+  const paletteCommands = [
+    ...(readOnly ? [] : [
+      ...layerTypes.map(layerType => ({
+        id: `insert-${layerType.type}`,
+        label: layerType.type,
+        group: layerType.category,
+        icon: layerType.icon,
+        run: () => insertLayerAfter(layerType.type)
+      })),
+      ...[...new Set([...Object.keys(blockLibrary), ...Object.keys(blocks)])].map(name => ({
+        id: `insert-block-${name}`,
+        label: name,
+        group: 'Block',
+        icon: BLOCK_ICON,
+        run: () => insertLayerAfter(name)
+      }))
+    ]),
+    { id: 'generate', label: 'Generate Model', group: 'Action', icon: <Play className="w-4 h-4" />, shortcut: 'Ctrl+Enter', run: handleGenerateModel },
+    { id: 'download', label: 'Download JSON', group: 'Action', icon: <Download className="w-4 h-4" />, shortcut: 'Ctrl+S', run: downloadModel },
+    { id: 'share', label: 'Share Link', group: 'Action', icon: <Link2 className="w-4 h-4" />, run: () => setSharing(true) },
+    { id: 'snapshots', label: 'Snapshots & Compare', group: 'Action', icon: <History className="w-4 h-4" />, run: openSnapshots },
+    ...(readOnly ? [] : [
+      ...(selectedLayers.length > 0 ? [
+        { id: 'duplicate', label: 'Duplicate selection', group: 'Action', icon: <Copy className="w-4 h-4" />, shortcut: 'Ctrl+D', run: () => duplicateSelection() },
+        { id: 'delete', label: 'Delete selection', group: 'Action', icon: <Trash2 className="w-4 h-4" />, shortcut: 'Delete', run: () => deleteLayers(selectedLayers) },
+        ...(layers.some(layer => selectedLayers.includes(layer.id) && canFreeze(layer)) ? [
+          { id: 'freeze', label: 'Freeze / unfreeze selection', group: 'Action', icon: <Snowflake className="w-4 h-4" />, run: () => toggleFrozen(selectedLayers) }
+        ] : [])
+      ] : []),
+      ...(canUndo(history) ? [{ id: 'undo', label: 'Undo', group: 'Action', icon: <Undo2 className="w-4 h-4" />, shortcut: 'Ctrl+Z', run: handleUndo }] : []),
+      ...(canRedo(history) ? [{ id: 'redo', label: 'Redo', group: 'Action', icon: <Redo2 className="w-4 h-4" />, shortcut: 'Ctrl+Shift+Z', run: handleRedo }] : []),
+      { id: 'templates', label: 'Templates', group: 'Action', icon: <LayoutTemplate className="w-4 h-4" />, run: () => setShowTemplates(true) },
+      { id: 'paste', label: 'Paste PyTorch Code', group: 'Action', icon: <ClipboardPaste className="w-4 h-4" />, run: () => setPastingCode(true) }
+    ])
+  ];
+  
+  const handlePaletteSelect = (command) => {
+    setPaletteOpen(false);
+    command.run();
+  };
+  
   // Main editor view
   return (
     <div className="flex h-screen bg-amber-50">
       {/* Sidebar */}
-      <div className="w-64 bg-amber-100 p-4 shadow-lg">
-        <h1 className="text-2xl font-bold mb-4 text-amber-900">Layers</h1>
-        
-        {/* Input dimension setting */}
-        <div className="mb-4">
-          <label className="block text-amber-800 font-medium mb-1">Input Dimension</label>
-          <input 
-            type="number" 
-            value={inputDimension} 
-            onChange={(e) => setInputDimension(parseInt(e.target.value))}
-            className="w-full p-2 border border-amber-300 rounded focus:outline-none focus:ring-2 focus:ring-amber-500"
-          />
-        </div>
-        
-        {/* Available layers */}
-        <div className="space-y-2">
-          {layerTypes.map((layerType) => (
-            <div
-              key={layerType.type}
-              draggable
-              onDragStart={(e) => handleDragStart(e, layerType.type)}
-              className={`${layerType.color} p-3 rounded-lg shadow cursor-move flex items-center hover:shadow-md transition-shadow`}
-            >
-              <span className="text-xl mr-2">{layerType.icon}</span>
-              <span className="font-medium text-amber-900">{layerType.type}</span>
+      <div className="w-64 bg-amber-100 p-4 shadow-lg overflow-auto">
+        {!readOnly && (
+          <>
+            {/* Projects */}
+            <div className="mb-4">
+              <label className="block text-amber-800 font-medium mb-1">Project</label>
+              <select 
+                value={projectId}
+                onChange={(e) => openProject(e.target.value)}
+                className="w-full p-2 border border-amber-300 rounded focus:outline-none focus:ring-2 focus:ring-amber-500"
+              >
+                {projects.map(project => (
+                  <option key={project.id} value={project.id}>{project.name}</option>
+                ))}
+              </select>
+              <div className="flex justify-between mt-2">
+                <button onClick={handleNewProject} title="New project" className="text-amber-700 hover:text-amber-900">
+                  <Plus className="w-5 h-5" />
+                </button>
+                <button onClick={handleRenameProject} title="Rename project" className="text-amber-700 hover:text-amber-900">
+                  <Pencil className="w-5 h-5" />
+                </button>
+                <button onClick={handleDuplicateProject} title="Duplicate project" className="text-amber-700 hover:text-amber-900">
+                  <Copy className="w-5 h-5" />
+                </button>
+                <button onClick={openSnapshots} title="Snapshots and compare" className="text-amber-700 hover:text-amber-900">
+                  <History className="w-5 h-5" />
+                </button>
+                <button onClick={handleDeleteProject} title="Delete project" className="text-amber-700 hover:text-amber-900">
+                  <Trash2 className="w-5 h-5" />
+                </button>
+              </div>
+              <p className="text-xs text-amber-700 mt-1 flex items-center">
+                <Save className="w-3 h-3 mr-1" />
+                Changes are saved automatically
+              </p>
             </div>
-          ))}
-        </div>
+          
+            <h1 className="text-2xl font-bold mb-4 text-amber-900">Layers</h1>
+          
+            {/* Input dimension setting */}
+            <div className="mb-4">
+              <label className="block text-amber-800 font-medium mb-1">Input Shape</label>
+              <input 
+                type="text" 
+                value={inputDimensionText} 
+                onChange={(e) => updateInputDimension(e.target.value)}
+                onBlur={() => setInputDimensionDraft(null)}
+                placeholder="e.g. 784 or 1, 28, 28"
+                className={`w-full p-2 border rounded focus:outline-none focus:ring-2 focus:ring-amber-500 ${parseShape(inputDimensionText) ? 'border-amber-300' : 'border-red-500'}`}
+              />
+              <p className="text-xs text-amber-700 mt-1">Without batch dimension: [features], [C, H, W] or [seq, embed]</p>
+            </div>
+          
+            {/* Available layers, by category */}
+            {LAYER_CATEGORIES.map(category => (
+              <div key={category}>
+                <h2 className="text-lg font-bold mt-4 mb-2 text-amber-900">{category}</h2>
+                <div className="space-y-2">
+                  {layerTypes.filter(layerType => layerType.category === category).map((layerType) => (
+                    <div
+                      key={layerType.type}
+                      draggable
+                      onDragStart={(e) => handleDragStart(e, layerType.type)}
+                      onDragEnd={handleDragEnd}
+                      className={`${layerType.color} p-3 rounded-lg shadow cursor-move flex items-center hover:shadow-md transition-shadow`}
+                    >
+                      <span className="text-xl mr-2">{layerType.icon}</span>
+                      <span className="font-medium text-amber-900">{layerType.type}</span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ))}
+          
+            {/* Saved composite blocks */}
+            <h2 className="text-lg font-bold mt-4 mb-2 text-amber-900">My Blocks</h2>
+            <div className="space-y-2">
+              {Object.keys(blockLibrary).length === 0 && (
+                <p className="text-xs text-amber-700">Select layers on the canvas and use Save as block to reuse them here.</p>
+              )}
+              {Object.keys(blockLibrary).map(name => (
+                <div
+                  key={name}
+                  draggable
+                  onDragStart={(e) => handleDragStart(e, name)}
+                  onDragEnd={handleDragEnd}
+                  className={`${BLOCK_COLOR} p-3 rounded-lg shadow cursor-move flex items-center hover:shadow-md transition-shadow`}
+                >
+                  <span className="text-xl mr-2">{BLOCK_ICON}</span>
+                  <span className="font-medium text-amber-900">{name}</span>
+                  <button onClick={() => handleDeleteLibraryBlock(name)} title="Delete from library" className="ml-auto text-amber-700 hover:text-amber-900">
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
         
         {/* Actions */}
         <div className="mt-6 space-y-2">
           <button 
             onClick={handleGenerateModel}
+            title="Generate Model (Ctrl+Enter)"
+            aria-keyshortcuts="Control+Enter"
             className="w-full bg-amber-500 hover:bg-amber-600 text-white font-medium py-2 px-4 rounded flex items-center justify-center"
           >
             <Play className="w-4 h-4 mr-2" />
@@ -421,110 +1314,575 @@ export default function NeuralNetworkBuilder() {
           
           <button 
             onClick={downloadModel}
+            title="Download JSON (Ctrl+S)"
+            aria-keyshortcuts="Control+S"
             className="w-full bg-amber-700 hover:bg-amber-800 text-white font-medium py-2 px-4 rounded flex items-center justify-center"
           >
             <Download className="w-4 h-4 mr-2" />
             Download JSON
           </button>
+          
+          <button 
+            onClick={() => setSharing(true)}
+            className="w-full bg-amber-700 hover:bg-amber-800 text-white font-medium py-2 px-4 rounded flex items-center justify-center"
+          >
+            <Link2 className="w-4 h-4 mr-2" />
+            Share Link
+          </button>
+          
+          {!readOnly && (
+            <>
+              <button 
+                onClick={() => fileInputRef.current.click()}
+                className="w-full bg-amber-600 hover:bg-amber-700 text-white font-medium py-2 px-4 rounded flex items-center justify-center"
+              >
+                <Upload className="w-4 h-4 mr-2" />
+                Import JSON
+              </button>
+              
+              <button 
+                onClick={() => setShowTemplates(true)}
+                className="w-full bg-amber-200 hover:bg-amber-300 text-amber-900 font-medium py-2 px-4 rounded flex items-center justify-center"
+              >
+                <LayoutTemplate className="w-4 h-4 mr-2" />
+                Templates
+              </button>
+              
+              <button 
+                onClick={() => setPastingCode(true)}
+                className="w-full bg-amber-200 hover:bg-amber-300 text-amber-900 font-medium py-2 px-4 rounded flex items-center justify-center"
+              >
+                <ClipboardPaste className="w-4 h-4 mr-2" />
+                Paste PyTorch Code
+              </button>
+            </>
+          )}
+          <input 
+            ref={fileInputRef}
+            type="file"
+            accept=".json,application/json"
+            onChange={handleImportChange}
+            className="hidden"
+          />
         </div>
+        
+        {/* Import errors */}
+        {importErrors.length > 0 && (
+          <div className="mt-6 p-3 rounded-lg border text-sm bg-red-50 border-red-300">
+            <div className="flex justify-between items-center font-bold text-red-800 mb-1">
+              Import failed
+              <button onClick={() => setImportErrors([])} className="text-red-700 hover:text-red-900">
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+            <ul className="list-disc ml-4 text-red-700">
+              {importErrors.map((error, i) => (
+                <li key={i}>{error}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+        
+        {/* Validation summary */}
+        {issues.length > 0 && (
+          <div className={`mt-6 p-3 rounded-lg border text-sm ${errorCount > 0 ? 'bg-red-50 border-red-300' : 'bg-yellow-50 border-yellow-300'}`}>
+            <div className="font-bold text-amber-900 mb-1">
+              {errorCount} error{errorCount === 1 ? '' : 's'}, {warningCount} warning{warningCount === 1 ? '' : 's'}
+            </div>
+            {generateBlocked && errorCount > 0 && (
+              <div className="text-red-700 mb-1">Fix the errors below before generating the model.</div>
+            )}
+            <ul className="space-y-1">
+              {issues.map((issue, i) => (
+                <li key={i} className={`flex items-start ${issue.severity === 'error' ? 'text-red-700' : 'text-yellow-800'}`}>
+                  {issue.severity === 'error'
+                    ? <AlertCircle className="w-4 h-4 mr-1 mt-0.5 flex-shrink-0" />
+                    : <AlertTriangle className="w-4 h-4 mr-1 mt-0.5 flex-shrink-0" />}
+                  <span>
+                    {issue.layerIndex !== null && `#${issue.layerIndex + 1} ${layers[issue.layerIndex].type}: `}
+                    {issue.message}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
       </div>
       
       {/* Workspace */}
-      <div 
-        ref={workspaceRef}
-        className="flex-1 p-6 relative overflow-auto"
-        onDrop={handleDrop}
-        onDragOver={handleDragOver}
-      >
-        <h1 className="text-2xl font-bold mb-6 text-amber-900">Neural Network Designer</h1>
+      <div className="flex-1 p-6 overflow-auto">
+        <div className="flex justify-between items-center mb-2">
+          <h1 className="text-2xl font-bold text-amber-900">Neural Network Designer</h1>
+          {!readOnly && (
+            <div className="flex space-x-2">
+              <button 
+                onClick={handleSaveBlockClick}
+                disabled={selectedLayers.length === 0}
+                title="Save selected layers as a block"
+                className="bg-amber-200 hover:bg-amber-300 disabled:opacity-40 text-amber-900 p-2 rounded"
+              >
+                <Group className="w-4 h-4" />
+              </button>
+              <button 
+                onClick={() => duplicateSelection()}
+                disabled={selectedLayers.length === 0}
+                title="Duplicate selected layers (Ctrl+D)"
+                className="bg-amber-200 hover:bg-amber-300 disabled:opacity-40 text-amber-900 p-2 rounded"
+              >
+                <Copy className="w-4 h-4" />
+              </button>
+              <button 
+                onClick={handleUndo}
+                disabled={!canUndo(history)}
+                title="Undo (Ctrl+Z)"
+                className="bg-amber-200 hover:bg-amber-300 disabled:opacity-40 text-amber-900 p-2 rounded"
+              >
+                <Undo2 className="w-4 h-4" />
+              </button>
+              <button 
+                onClick={handleRedo}
+                disabled={!canRedo(history)}
+                title="Redo (Ctrl+Shift+Z)"
+                className="bg-amber-200 hover:bg-amber-300 disabled:opacity-40 text-amber-900 p-2 rounded"
+              >
+                <Redo2 className="w-4 h-4" />
+              </button>
+            </div>
+          )}
+        </div>
+        {readOnly ? (
+          <div className="mb-4 p-3 rounded-lg border text-sm bg-white border-amber-300 flex items-center">
+            <Eye className="w-5 h-5 mr-2 text-amber-700 flex-shrink-0" />
+            <span className="text-amber-900 flex-1">
+              Read-only view of a shared design. Nothing here is saved; open the model page for its code and diagram.
+            </span>
+            <button onClick={openSnapshots} className="ml-2 bg-amber-100 hover:bg-amber-200 text-amber-900 font-medium py-1 px-3 rounded">
+              Compare
+            </button>
+            <button onClick={handleEditSharedCopy} className="ml-2 bg-amber-600 hover:bg-amber-700 text-white font-medium py-1 px-3 rounded">
+              Edit a copy
+            </button>
+            <button onClick={handleCloseSharedView} className="ml-2 bg-amber-100 hover:bg-amber-200 text-amber-900 font-medium py-1 px-3 rounded">
+              Back to my projects
+            </button>
+          </div>
+        ) : (
+          <p className="text-sm text-amber-700 mb-4">
+            Drag cards by their header; release a card or a new layer on a connection to insert it there. Shift+click selects several layers; save a selection as a reusable block with the group button.
+            Drop a saved .json model here to open it. Drag from an output port (right) to an input port (left) to connect layers; click a connection to remove it.
+            Press Ctrl+K to insert a layer after the selected one. The arrow keys move the selection, Shift+arrows move the cards, Delete removes them and Enter edits their settings.
+          </p>
+        )}
         
-        {/* Network visualization */}
-        <div className="relative min-h-full border-2 border-dashed border-amber-300 rounded-lg p-4">
-          {layers.length === 0 && (
-            <div className="absolute inset-0 flex items-center justify-center text-amber-400 text-lg">
+        {/* Network canvas */}
+        <div 
+          ref={workspaceRef}
+          role="region"
+          aria-label="Network canvas"
+          className="relative border-2 border-dashed border-amber-300 rounded-lg select-none"
+          style={{ width: canvasWidth, height: canvasHeight }}
+          onDrop={handleDrop}
+          onDragOver={handleDragOver}
+          onMouseMove={handleCanvasMouseMove}
+          onMouseUp={handleCanvasMouseUp}
+          onMouseLeave={handleCanvasMouseUp}
+        >
+          {layers.length === 0 && !readOnly && (
+            <div className="absolute inset-0 flex flex-col items-center justify-center text-amber-400 text-lg pointer-events-none">
               Drag and drop layers from the sidebar to build your neural network
+              <button 
+                onClick={() => setShowTemplates(true)}
+                className="mt-3 pointer-events-auto bg-amber-200 hover:bg-amber-300 text-amber-900 text-base font-medium py-2 px-4 rounded flex items-center"
+              >
+                <LayoutTemplate className="w-4 h-4 mr-2" />
+                or start from a template
+              </button>
             </div>
           )}
           
+          {/* Connections */}
+          <svg className="absolute inset-0 pointer-events-none" width={canvasWidth} height={canvasHeight}>
+            {layers.flatMap(layer => layer.inputs.filter(nodePosition).map(from => (
+              <g key={`${from}-${layer.id}`} onClick={() => deleteConnection(from, layer.id)} className="cursor-pointer">
+                <title>{`${nodeLabel(from)} → ${nodeLabel(layer.id)} (click to remove)`}</title>
+                <path d={edgePath(outputPortPoint(from), inputPortPoint(layer.id))} stroke="transparent" strokeWidth="12" fill="none" style={{ pointerEvents: 'stroke' }} />
+                <path 
+                  d={edgePath(outputPortPoint(from), inputPortPoint(layer.id))}
+                  stroke={targetEdge && targetEdge.from === from && targetEdge.to === layer.id ? '#b45309' : '#f59e0b'}
+                  strokeWidth={targetEdge && targetEdge.from === from && targetEdge.to === layer.id ? 4 : 2}
+                  fill="none"
+                />
+              </g>
+            )))}
+            {pendingConnection && (
+              <path d={edgePath(outputPortPoint(pendingConnection.from), pendingConnection)} stroke="#b45309" strokeWidth="2" strokeDasharray="6 4" fill="none" />
+            )}
+          </svg>
+          
+          {/* Input node */}
+          <div 
+            className="absolute bg-amber-300 p-4 rounded-lg shadow-md"
+            style={{ left: inputPosition.x, top: inputPosition.y, width: NODE_WIDTH }}
+          >
+            <div 
+              className="flex justify-between items-center cursor-move"
+              onMouseDown={(e) => handleNodeMouseDown(e, INPUT_NODE_ID)}
+            >
+              <span className="font-bold text-amber-900">Input</span>
+              <span className="text-xs font-mono text-amber-800">→ {formatShape(inputDimension)}</span>
+            </div>
+            {inputDimension.length === 2 && (
+              <div className="text-xs text-amber-800 mt-1">
+                Sequence of {inputDimension[0]} steps × {inputDimension[1]} features
+                {/* The layout of the exported model's input and sequence outputs */}
+                <label className="flex items-center mt-1" title="Unchecked: the exported model takes and returns (seq, batch, features)">
+                  <input 
+                    type="checkbox"
+                    checked={batchFirst}
+                    disabled={readOnly}
+                    onChange={(e) => updateDesign({ batchFirst: e.target.checked })}
+                    className="mr-1"
+                  />
+                  batch_first
+                </label>
+              </div>
+            )}
+            {!readOnly && (
+              <div
+                className="absolute w-4 h-4 rounded-full bg-amber-600 border-2 border-white cursor-crosshair"
+                style={{ right: -8, top: PORT_OFFSET_Y - 8 }}
+                onMouseDown={(e) => handleOutputPortMouseDown(e, INPUT_NODE_ID)}
+                title="Drag to connect"
+              />
+            )}
+          </div>
+          
           {/* Render layers */}
           {layers.map((layer, index) => {
-            const layerType = layerTypes.find(lt => lt.type === layer.type);
+            const layerType = layerStyle(layer.type);
+            const isBlock = Boolean(blocks[layer.type]);
+            const expanded = isBlock && expandedBlocks.includes(layer.id);
+            const layerIssues = issuesForLayer(index);
+            const layerErrors = layerIssues.filter(issue => issue.severity === 'error').length;
+            const layerWarnings = layerIssues.length - layerErrors;
             return (
               <div 
                 key={layer.id}
-                style={{ 
-                  position: index === 0 ? 'relative' : 'relative',
-                  marginTop: index === 0 ? '0' : '16px'
+                data-layer-id={layer.id}
+                role="group"
+                aria-label={`${nodeLabel(layer.id)}${layer.frozen ? ', frozen' : ''}${selectedLayers.includes(layer.id) ? ', selected' : ''}`}
+                tabIndex={0}
+                style={{ left: layer.position.x, top: layer.position.y, width: NODE_WIDTH }}
+                className={`${layerType?.color || 'bg-amber-100'} absolute p-4 rounded-lg shadow-md focus:outline-none focus-visible:ring-4 focus-visible:ring-amber-400 ${layer.frozen ? 'border-2 border-dashed border-sky-500' : ''} ${layerErrors > 0 ? 'ring-2 ring-red-500' : selectedLayers.includes(layer.id) ? 'ring-2 ring-amber-600' : ''}`}
+                onClick={(e) => handleLayerClick(e, layer.id)}
+                onFocus={(e) => {
+                  // Tabbing onto a card selects it; a click selects through onClick
+                  if (e.target === e.currentTarget && e.currentTarget.matches(':focus-visible') && !selectedLayers.includes(layer.id)) {
+                    setSelectedLayer(layer.id);
+                  }
+                }}
+                onKeyDown={(e) => {
+                  // Escape from a setting goes back to the card
+                  if (e.key === 'Escape' && e.target !== e.currentTarget) {
+                    e.currentTarget.focus();
+                  }
                 }}
-                className={`${layerType?.color || 'bg-amber-100'} p-4 rounded-lg shadow-md max-w-md mx-auto`}
-                onClick={() => setSelectedLayer(layer.id)}
               >
-                <div className="flex justify-between items-center mb-2">
+                {/* Ports */}
+                <div 
+                  className="absolute w-4 h-4 rounded-full bg-amber-600 border-2 border-white"
+                  style={{ left: -8, top: PORT_OFFSET_Y - 8 }}
+                  onMouseUp={() => handleInputPortMouseUp(layer.id)}
+                  title={isMergeLayer(layer) ? 'Inputs (accepts several)' : 'Input'}
+                />
+                {!readOnly && (
+                  <div 
+                    className="absolute w-4 h-4 rounded-full bg-amber-600 border-2 border-white cursor-crosshair"
+                    style={{ right: -8, top: PORT_OFFSET_Y - 8 }}
+                    onMouseDown={(e) => handleOutputPortMouseDown(e, layer.id)}
+                    title="Drag to connect"
+                  />
+                )}
+                
+                <div 
+                  className="flex justify-between items-center mb-2 cursor-move"
+                  onMouseDown={(e) => handleNodeMouseDown(e, layer.id)}
+                >
                   <div className="flex items-center">
+                    {isBlock && (
+                      <button 
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          toggleBlockExpanded(layer.id);
+                        }}
+                        onMouseDown={(e) => e.stopPropagation()}
+                        title={expanded ? 'Collapse block' : 'Expand block'}
+                        aria-expanded={expanded}
+                        className="text-amber-700 hover:text-amber-900 mr-1"
+                      >
+                        {expanded ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+                      </button>
+                    )}
                     <span className="text-xl mr-2">{layerType?.icon}</span>
                     <span className="font-bold text-amber-900">{layer.type}</span>
+                    {layer.frozen && (
+                      <span className="ml-2 text-sky-600" title="Frozen: not trained">
+                        <Snowflake className="w-4 h-4" />
+                      </span>
+                    )}
+                    {layerErrors > 0 && (
+                      <span className="ml-2 flex items-center text-xs font-bold text-white bg-red-600 rounded-full px-2 py-0.5">
+                        <AlertCircle className="w-3 h-3 mr-1" />
+                        {layerErrors}
+                      </span>
+                    )}
+                    {layerWarnings > 0 && (
+                      <span className="ml-2 flex items-center text-xs font-bold text-yellow-900 bg-yellow-300 rounded-full px-2 py-0.5">
+                        <AlertTriangle className="w-3 h-3 mr-1" />
+                        {layerWarnings}
+                      </span>
+                    )}
                   </div>
-                  <button 
-                    onClick={() => deleteLayer(layer.id)}
-                    className="text-amber-700 hover:text-amber-900"
-                  >
-                    <Trash2 className="w-5 h-5" />
-                  </button>
+                  <span className="text-xs font-mono text-amber-800">
+                    → {formatShape(layerShapes[index].outputShape)}
+                  </span>
+                  {!readOnly && (
+                    <div className="flex items-center space-x-1">
+                      {isBlock && (
+                        <button 
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            handleUngroup(layer.id);
+                          }}
+                          title="Ungroup into separate layers"
+                          className="text-amber-700 hover:text-amber-900"
+                        >
+                          <Ungroup className="w-5 h-5" />
+                        </button>
+                      )}
+                      {canFreeze(layer) && (
+                        <button 
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            toggleFrozen([layer.id]);
+                          }}
+                          title={layer.frozen ? 'Unfreeze layer' : 'Freeze layer (not trained)'}
+                          aria-pressed={Boolean(layer.frozen)}
+                          className={layer.frozen ? 'text-sky-600 hover:text-sky-800' : 'text-amber-700 hover:text-amber-900'}
+                        >
+                          <Snowflake className="w-5 h-5" />
+                        </button>
+                      )}
+                      <button 
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          duplicateSelection([layer.id]);
+                        }}
+                        title="Duplicate layer"
+                        className="text-amber-700 hover:text-amber-900"
+                      >
+                        <Copy className="w-5 h-5" />
+                      </button>
+                      <button 
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          deleteLayers([layer.id]);
+                        }}
+                        title="Delete layer"
+                        className="text-amber-700 hover:text-amber-900"
+                      >
+                        <Trash2 className="w-5 h-5" />
+                      </button>
+                    </div>
+                  )}
                 </div>
                 
-                {/* Connection arrow */}
-                {index > 0 && (
-                  <div className="absolute -top-8 left-1/2 transform -translate-x-1/2">
-                    <ArrowRight className="w-6 h-6 text-amber-500 transform rotate-90" />
+                {/* Merge inputs, in the order they are combined */}
+                {isMergeLayer(layer) && (
+                  <div className="text-xs text-amber-800">
+                    Inputs: {layer.inputs.map(nodeLabel).join(', ') || 'none'}
                   </div>
                 )}
                 
-                {/* Layer settings */}
-                <div className="space-y-2 mt-2">
+                {/* Layers inside an expanded block */}
+                {expanded && (
+                  <ol className="text-xs text-amber-800 bg-white bg-opacity-60 rounded p-2 mb-2 space-y-1">
+                    {expansion.layers.map((flatLayer, flatIndex) => (expansion.owners[flatIndex] === index && (
+                      <li key={flatLayer.id} className="flex justify-between">
+                        <span>{getLayerType(flatLayer.type)?.icon} {flatLayer.type}</span>
+                        <span className="font-mono">→ {formatShape(flatShapes[flatIndex].outputShape)}</span>
+                      </li>
+                    )))}
+                  </ol>
+                )}
+                
+                {/* Cost estimate */}
+                {costs.layers[index] && (
+                  <div className="text-xs text-amber-700" title={`Batch size ${costBatchSize}`}>
+                    {formatCount(costs.layers[index].params)} params{layer.frozen ? ' (frozen)' : ''} · {formatCount(costs.layers[index].macs)} MACs · {formatBytes(costs.layers[index].activationBytes)}
+                  </div>
+                )}
+                
+                {/* Validation issues */}
+                {layerIssues.map((issue, i) => (
+                  <div key={i} className={`text-xs mt-1 ${issue.severity === 'error' ? 'text-red-700' : 'text-yellow-800'}`}>
+                    {issue.message}
+                  </div>
+                ))}
+                
+                {/* Layer settings, disabled in a read-only view */}
+                <fieldset disabled={readOnly} className="space-y-2 mt-2">
                   {Object.entries(layer.settings).map(([key, value]) => (
-                    <div key={key} className="flex items-center">
-                      <span className="text-sm font-medium text-amber-800 w-1/3">{key}:</span>
-                      {key === 'activation' ? (
+                    <React.Fragment key={key}>
+                      <div className="flex items-center">
+                        <span className="text-sm font-medium text-amber-800 w-1/3">{key}:</span>
+                        {isAutoSetting(layer.type, key) ? (
+                          <span className="ml-2 p-1 text-sm text-amber-700 flex-1" title="Auto-adjusted from the previous layer's output shape">
+                            {value ?? 'Auto'} (auto)
+                          </span>
+                        ) : SETTING_CHOICES[key] && !isBlock ? (
+                          <select 
+                            value={value}
+                            onChange={(e) => updateLayerSettings(layer.id, { [key]: e.target.value })}
+                            className="ml-2 p-1 text-sm border border-amber-300 rounded flex-1"
+                          >
+                            {SETTING_CHOICES[key].map(choice => (
+                              <option key={choice} value={choice}>{choice}</option>
+                            ))}
+                          </select>
+                        ) : typeof defaultSettingsFor(layer.type)[key] === 'boolean' ? (
+                          <input 
+                            type="checkbox"
+                            checked={value}
+                            onChange={(e) => updateLayerSettings(layer.id, { [key]: e.target.checked })}
+                            className="ml-2"
+                          />
+                        ) : (
+                          <input 
+                            type="number"
+                            value={settingText(layer, key)}
+                            onChange={(e) => handleSettingTextChange(layer, key, e.target.value)}
+                            onBlur={() => clearSettingDraft(layer, key)}
+                            className="ml-2 p-1 text-sm border border-amber-300 rounded flex-1"
+                            placeholder={value === null ? 'None' : ''}
+                          />
+                        )}
+                        {isNumberSetting(layer, key) && (
+                          <button 
+                            onClick={() => toggleSweep(layer, key)}
+                            title={layer.sweep?.[key] ? 'Stop sweeping this setting' : 'Sweep this setting over several values (exported from the model page)'}
+                            aria-pressed={Boolean(layer.sweep?.[key])}
+                            className={`ml-1 ${layer.sweep?.[key] ? 'text-amber-900' : 'text-amber-400 hover:text-amber-700'}`}
+                          >
+                            <Dices className="w-4 h-4" />
+                          </button>
+                        )}
+                      </div>
+                      {layer.sweep?.[key] && (
+                        <div className="flex items-center">
+                          <span className="text-xs text-amber-700 w-1/3 text-right">sweep:</span>
+                          <input 
+                            type="text"
+                            value={sweepText(layer, key)}
+                            onChange={(e) => handleSweepTextChange(layer, key, e.target.value)}
+                            onBlur={() => clearSweepDraft(layer, key)}
+                            title={SWEEP_SPEC_HELP}
+                            aria-label={`Sweep values for ${key}`}
+                            className={`ml-2 p-1 text-xs font-mono border rounded flex-1 bg-amber-50 ${parseSweepSpec(sweepText(layer, key)).spec ? 'border-amber-400' : 'border-red-500'}`}
+                          />
+                        </div>
+                      )}
+                    </React.Fragment>
+                  ))}
+                  
+                  {/* Weight initialization, written out as _init_weights in the PyTorch code */}
+                  {INITIALIZABLE_TYPES.includes(layer.type) && (
+                    <>
+                      <div className="flex items-center">
+                        <span className="text-sm font-medium text-amber-800 w-1/3">weight init:</span>
                         <select 
-                          value={value}
-                          onChange={(e) => updateLayerSettings(layer.id, { [key]: e.target.value })}
+                          value={layer.init?.weight ?? 'default'}
+                          onChange={(e) => updateLayerInit(layer.id, { weight: e.target.value })}
+                          aria-label="Weight initialization"
                           className="ml-2 p-1 text-sm border border-amber-300 rounded flex-1"
                         >
-                          <option value="ReLU">ReLU</option>
-                          <option value="Sigmoid">Sigmoid</option>
-                          <option value="Tanh">Tanh</option>
-                          <option value="LeakyReLU">LeakyReLU</option>
-                          <option value="ELU">ELU</option>
-                          <option value="None">None</option>
+                          {WEIGHT_INITS.map(scheme => (
+                            <option key={scheme} value={scheme}>{scheme}</option>
+                          ))}
                         </select>
-                      ) : key === 'bias' || key === 'affine' || key === 'track_running_stats' || 
-                         key === 'inplace' || key === 'add_bias_kv' || key === 'add_zero_attn' ||
-                         key === 'return_indices' || key === 'ceil_mode' ? (
-                        <input 
-                          type="checkbox"
-                          checked={value}
-                          onChange={(e) => updateLayerSettings(layer.id, { [key]: e.target.checked })}
-                          className="ml-2"
-                        />
-                      ) : (
-                        <input 
-                          type="number"
-                          value={value}
-                          onChange={(e) => updateLayerSettings(layer.id, { [key]: parseFloat(e.target.value) })}
-                          disabled={key.includes('in_') && value === null} // Disable auto-adjusted inputs
-                          className="ml-2 p-1 text-sm border border-amber-300 rounded flex-1"
-                          placeholder={key.includes('in_') && value === null ? "Auto" : ""}
-                        />
+                      </div>
+                      {layer.type !== 'Embedding' && (
+                        <div className="flex items-center">
+                          <span className="text-sm font-medium text-amber-800 w-1/3">bias init:</span>
+                          <input 
+                            type="number"
+                            value={layer.init?.bias ?? ''}
+                            onChange={(e) => {
+                              const bias = parseFloat(e.target.value);
+                              updateLayerInit(layer.id, { bias: Number.isFinite(bias) ? bias : undefined }, `${layer.id}-init-bias`);
+                            }}
+                            disabled={layer.settings.bias === false}
+                            title="Constant for every bias; leave empty for the default"
+                            aria-label="Bias initialization constant"
+                            className="ml-2 p-1 text-sm border border-amber-300 rounded flex-1"
+                            placeholder="default"
+                          />
+                        </div>
                       )}
-                    </div>
-                  ))}
-                </div>
+                    </>
+                  )}
+                </fieldset>
               </div>
             );
           })}
         </div>
       </div>
       
+      {savingBlock && (
+        <SaveBlockDialog
+          layers={topologicalSort(layers.filter(layer => selectedLayers.includes(layer.id)))}
+          nodeLabel={nodeLabel}
+          libraryNames={Object.keys(blockLibrary)}
+          onSave={handleSaveBlock}
+          onCancel={() => setSavingBlock(false)}
+        />
+      )}
+      
+      {showTemplates && (
+        <TemplateGallery onSelect={handleUseTemplate} onCancel={() => setShowTemplates(false)} />
+      )}
+      
+      {pastingCode && (
+        <PasteCodeDialog
+          currentInputDimension={inputDimension}
+          onImport={handlePastedCode}
+          onCancel={() => setPastingCode(false)}
+        />
+      )}
+      
+      {sharing && (
+        <ShareDialog serializedModel={serializedModel} onClose={() => setSharing(false)} />
+      )}
+      
+      {snapshots && (
+        <SnapshotsDialog
+          projectId={projectId}
+          projectName={projectName}
+          projects={projects}
+          snapshots={snapshots}
+          currentDesign={history.present}
+          readOnly={readOnly}
+          onSaveSnapshot={handleSaveSnapshot}
+          onDeleteSnapshot={handleDeleteSnapshot}
+          onRestoreSnapshot={handleRestoreSnapshot}
+          onClose={() => setSnapshots(null)}
+        />
+      )}
+      
+      {paletteOpen && (
+        <CommandPalette commands={paletteCommands} onSelect={handlePaletteSelect} onCancel={() => setPaletteOpen(false)} />
+      )}
+      
       {/* JSON Preview Panel */}
       <div className="w-64 bg-amber-100 p-4 shadow-lg overflow-auto">
         <h2 className="text-lg font-bold mb-2 text-amber-900">JSON Preview</h2>
@@ -0,0 +1,206 @@
+// @vitest-environment jsdom
+import { describe, it, expect, afterEach, beforeEach, vi } from 'vitest';
+import { render, screen, fireEvent, createEvent, within, cleanup } from '@testing-library/react';
+import NeuralNetworkBuilder from './NeuralNetworkBuilder.jsx';
+import { saveProject, setLastProjectId } from './projectStorage.js';
+
+// The model as shown in the JSON preview panel
+const previewModel = () => JSON.parse(screen.getByText('JSON Preview').nextElementSibling.textContent);
+
+// jsdom has no DragEvent, so drag events lose their mouse position
+const fireDragEvent = (name, element, init) => {
+  const event = createEvent[name](element, { dataTransfer: { files: [] } });
+  Object.entries(init).forEach(([key, value]) => Object.defineProperty(event, key, { value }));
+  fireEvent(element, event);
+};
+
+// Drag a layer type from the sidebar onto the canvas, right of the cards
+// already there so it is not dropped onto a connection
+const dropLayer = (type) => {
+  const canvas = screen.getByRole('region', { name: 'Network canvas' });
+  const paletteItem = screen.getAllByText(type).map(element => element.closest('[draggable="true"]')).find(Boolean);
+  const point = { clientX: 300 + 300 * screen.queryAllByRole('group').length, clientY: 200 };
+  fireEvent.dragStart(paletteItem);
+  fireDragEvent('dragOver', canvas, point);
+  fireDragEvent('drop', canvas, point);
+};
+
+const card = (label) => screen.getByRole('group', { name: new RegExp(`^${label}\\b`) });
+
+// The control for one setting on a layer card
+const settingInput = (label, key) =>
+  within(card(label)).getByText(`${key}:`).parentElement.querySelector('input, select');
+
+beforeEach(() => {
+  localStorage.clear();
+  window.location.hash = '';
+  vi.spyOn(window, 'confirm').mockReturnValue(true);
+  vi.spyOn(window, 'alert').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  cleanup();
+  vi.restoreAllMocks();
+});
+
+describe('NeuralNetworkBuilder', () => {
+  it('adds a layer dropped from the palette, connected to the input', () => {
+    render(<NeuralNetworkBuilder />);
+    dropLayer('Linear');
+
+    expect(card('Linear #1')).toBeTruthy();
+    expect(previewModel().layers).toMatchObject([
+      { type: 'Linear', inputs: ['input'], settings: { in_features: 784, out_features: 128 } }
+    ]);
+  });
+
+  it('connects each dropped layer after the current output', () => {
+    render(<NeuralNetworkBuilder />);
+    dropLayer('Linear');
+    dropLayer('Dropout');
+    dropLayer('Linear');
+
+    const [first, dropout, second] = previewModel().layers;
+    expect(dropout.inputs).toEqual([first.id]);
+    expect(second.inputs).toEqual([dropout.id]);
+    expect(second.settings.in_features).toBe(128);
+  });
+
+  it('applies settings edits and updates the following auto settings', () => {
+    render(<NeuralNetworkBuilder />);
+    dropLayer('Linear');
+    dropLayer('Linear');
+
+    fireEvent.change(settingInput('Linear #1', 'out_features'), { target: { value: '64' } });
+    expect(within(card('Linear #2')).getByText('64 (auto)')).toBeTruthy();
+
+    fireEvent.change(settingInput('Linear #2', 'activation'), { target: { value: 'Tanh' } });
+    fireEvent.click(settingInput('Linear #2', 'bias'));
+    expect(previewModel().layers.map(layer => layer.settings)).toMatchObject([
+      { in_features: 784, out_features: 64, activation: 'ReLU', bias: true },
+      { in_features: 64, out_features: 128, activation: 'Tanh', bias: false }
+    ]);
+  });
+
+  it('keeps the last value of a required setting while its field is cleared', () => {
+    render(<NeuralNetworkBuilder />);
+    dropLayer('Linear');
+
+    fireEvent.change(settingInput('Linear #1', 'out_features'), { target: { value: '' } });
+    expect(settingInput('Linear #1', 'out_features').value).toBe('');
+    expect(previewModel().layers[0].settings.out_features).toBe(128);
+
+    fireEvent.blur(settingInput('Linear #1', 'out_features'));
+    expect(settingInput('Linear #1', 'out_features').value).toBe('128');
+  });
+
+  it('shows why the last project could not be opened', () => {
+    saveProject('project-1', 'MNIST', {
+      version: 2,
+      input_dim: [784],
+      blocks: {},
+      layers: [{ id: 1, type: 'Linear', inputs: ['input'], settings: { in_features: 784, out_features: null } }]
+    });
+    setLastProjectId('project-1');
+    render(<NeuralNetworkBuilder />);
+
+    expect(screen.getByText(/^Could not open MNIST: /)).toBeTruthy();
+  });
+
+  it('marks invalid settings on the card', () => {
+    render(<NeuralNetworkBuilder />);
+    dropLayer('Dropout');
+
+    fireEvent.change(settingInput('Dropout #1', 'p'), { target: { value: '1.5' } });
+    expect(card('Dropout #1').className).toContain('ring-red-500');
+  });
+
+  it('deletes a layer from its card and reconnects around it', () => {
+    render(<NeuralNetworkBuilder />);
+    dropLayer('Linear');
+    dropLayer('Dropout');
+    dropLayer('Linear');
+
+    fireEvent.click(within(card('Dropout #2')).getByTitle('Delete layer'));
+
+    expect(screen.queryByRole('group', { name: /^Dropout/ })).toBeNull();
+    const [first, second] = previewModel().layers;
+    expect(previewModel().layers).toHaveLength(2);
+    expect(second.inputs).toEqual([first.id]);
+  });
+
+  it('deletes the selected layer with the Delete key', () => {
+    render(<NeuralNetworkBuilder />);
+    dropLayer('Linear');
+    dropLayer('ReLU');
+
+    fireEvent.click(card('ReLU #2'));
+    expect(card('ReLU #2').getAttribute('aria-label')).toBe('ReLU #2, selected');
+    fireEvent.keyDown(card('ReLU #2'), { key: 'Delete' });
+
+    expect(previewModel().layers.map(layer => layer.type)).toEqual(['Linear']);
+  });
+
+  it('brings a deleted layer back with undo', () => {
+    render(<NeuralNetworkBuilder />);
+    dropLayer('Linear');
+    fireEvent.click(within(card('Linear #1')).getByTitle('Delete layer'));
+    expect(previewModel().layers).toEqual([]);
+
+    fireEvent.keyDown(window, { key: 'z', ctrlKey: true });
+    expect(previewModel().layers.map(layer => layer.type)).toEqual(['Linear']);
+  });
+
+  it('sets the input layout of sequence models', () => {
+    render(<NeuralNetworkBuilder />);
+    fireEvent.change(screen.getByPlaceholderText('e.g. 784 or 1, 28, 28'), { target: { value: '20, 32' } });
+    dropLayer('LSTM');
+    expect(previewModel()).not.toHaveProperty('batch_first');
+
+    fireEvent.click(screen.getByLabelText('batch_first'));
+    expect(previewModel().batch_first).toBe(false);
+  });
+
+  it('leaves Ctrl+Z in a settings field to the field', () => {
+    render(<NeuralNetworkBuilder />);
+    dropLayer('Linear');
+    fireEvent.change(settingInput('Linear #1', 'out_features'), { target: { value: '64' } });
+
+    fireEvent.keyDown(settingInput('Linear #1', 'out_features'), { key: 'z', ctrlKey: true });
+    expect(previewModel().layers.map(layer => layer.settings.out_features)).toEqual([64]);
+  });
+
+  it('leaves Ctrl shortcuts in the command palette to the palette', () => {
+    render(<NeuralNetworkBuilder />);
+    dropLayer('Linear');
+    fireEvent.click(card('Linear #1'));
+    fireEvent.keyDown(window, { key: 'k', ctrlKey: true });
+
+    const palette = screen.getByRole('dialog');
+    [within(palette).getByRole('combobox'), within(palette).getByRole('listbox')].forEach(target => {
+      fireEvent.keyDown(target, { key: 'z', ctrlKey: true });
+      fireEvent.keyDown(target, { key: 'd', ctrlKey: true });
+    });
+    expect(previewModel().layers.map(layer => layer.type)).toEqual(['Linear']);
+  });
+
+  it('drops undone layers from the selection', () => {
+    render(<NeuralNetworkBuilder />);
+    dropLayer('Linear');
+    dropLayer('ReLU');
+    fireEvent.click(card('ReLU #2'));
+
+    fireEvent.keyDown(window, { key: 'z', ctrlKey: true });
+    expect(screen.queryByRole('group', { name: /^ReLU/ })).toBeNull();
+    fireEvent.keyDown(document.body, { key: 'Delete' });
+    expect(previewModel().layers.map(layer => layer.type)).toEqual(['Linear']);
+
+    // With nothing selected, an arrow key starts from the first layer
+    fireEvent.keyDown(document.body, { key: 'ArrowRight' });
+    expect(card('Linear #1').getAttribute('aria-label')).toBe('Linear #1, selected');
+    fireEvent.keyDown(window, { key: 'z', ctrlKey: true });
+    fireEvent.keyDown(document.body, { key: 'ArrowRight' });
+    fireEvent.keyDown(document.body, { key: 'Delete' });
+    expect(previewModel().layers).toEqual([]);
+  });
+});
@@ -0,0 +1,126 @@
+import React, { useMemo, useState } from 'react';
+import { X, AlertTriangle } from 'lucide-react';
+import { parsePyTorchCode, inputShapeMismatches } from './pytorchImport.js';
+import { parseShape } from './shapeInference.js';
+
+const PLACEHOLDER = `model = nn.Sequential(
+    nn.Linear(784, 256),
+    nn.ReLU(),
+    nn.Linear(256, 10),
+)
+
+# or a class with __init__ and forward`;
+
+// Turn pasted PyTorch code into layers. Everything the parser could not
+// represent is listed with its line number before anything is imported.
+// Calls onImport(inputDimension, layers, batchFirst).
+const PasteCodeDialog = ({ currentInputDimension, onImport, onCancel }) => {
+  const [code, setCode] = useState('');
+  const [shapeDraft, setShapeDraft] = useState(null);
+  const result = useMemo(() => (code.trim() === '' ? null : parsePyTorchCode(code)), [code]);
+
+  const guessedShape = result?.inputDimension ?? currentInputDimension;
+  const shapeText = shapeDraft ?? guessedShape.join(', ');
+  const inputShape = parseShape(shapeText);
+  const usable = result && result.errors.length === 0;
+  const mismatches = usable && inputShape ? inputShapeMismatches(inputShape, result.layers) : [];
+
+  const handleCodeChange = (e) => {
+    setCode(e.target.value);
+    // A new paste brings its own input shape guess
+    setShapeDraft(null);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-lg p-6 w-[48rem] max-h-[85vh] overflow-auto" role="dialog" aria-label="Paste PyTorch code">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-bold text-amber-900">Paste PyTorch Code</h2>
+          <button onClick={onCancel} title="Close" className="text-amber-700 hover:text-amber-900">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+        <p className="text-sm text-amber-800 mb-2">
+          An nn.Sequential(...) or an nn.Module class whose __init__ assigns layers to self and whose forward applies them.
+          Loops, conditionals and computed sizes are not imported.
+        </p>
+        <textarea
+          value={code}
+          onChange={handleCodeChange}
+          placeholder={PLACEHOLDER}
+          rows={14}
+          spellCheck={false}
+          className="w-full p-2 border border-amber-300 rounded font-mono text-xs focus:outline-none focus:ring-2 focus:ring-amber-500"
+        />
+
+        {result && result.errors.length > 0 && (
+          <ul className="text-sm text-red-700 mt-3 list-disc ml-4">
+            {result.errors.map(error => <li key={error}>{error}</li>)}
+          </ul>
+        )}
+
+        {usable && (
+          <div className="mt-3 text-sm">
+            <div className="text-amber-900 font-medium mb-2">
+              {result.layers.length} layer{result.layers.length === 1 ? '' : 's'}: {result.layers.map(layer => layer.type).join(' → ')}
+            </div>
+            <label className="text-amber-800 block mb-2">
+              Input shape (without the batch dimension)
+              <input
+                type="text"
+                value={shapeText}
+                onChange={(e) => setShapeDraft(e.target.value)}
+                className={`w-full p-1 border rounded font-mono ${inputShape ? 'border-amber-300' : 'border-red-500'}`}
+              />
+              {!result.inputDimensionCertain && (
+                <span className="text-xs text-amber-700">
+                  The code does not state the input size{result.inputDimension ? ', so this is a guess' : ''}. Check it before importing.
+                </span>
+              )}
+            </label>
+            {mismatches.length > 0 && (
+              <ul className="text-yellow-800 space-y-1 mb-2">
+                {mismatches.map(({ layer, message }) => (
+                  <li key={`${layer.id}-${message}`} className="flex items-start">
+                    <AlertTriangle className="w-4 h-4 mr-1 mt-0.5 flex-shrink-0" />
+                    {layer.type} {result.layers.indexOf(layer) + 1}: {message}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
+        {result && result.issues.length > 0 && (
+          <div className="mt-2 p-3 rounded-lg border text-sm bg-yellow-50 border-yellow-300">
+            <div className="font-bold text-amber-900 mb-1">
+              Not imported as written ({result.issues.length})
+            </div>
+            <ul className="space-y-1 text-yellow-800">
+              {result.issues.map((issue, i) => (
+                <li key={i}>
+                  <span className="font-mono">Line {issue.line}:</span> {issue.message}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <div className="flex justify-end space-x-2 mt-4">
+          <button onClick={onCancel} className="bg-amber-100 hover:bg-amber-200 text-amber-900 font-medium py-2 px-4 rounded">
+            Cancel
+          </button>
+          <button
+            onClick={() => onImport(inputShape, result.layers, result.batchFirst || inputShape.length !== 2)}
+            disabled={!usable || !inputShape}
+            className="bg-amber-600 hover:bg-amber-700 disabled:opacity-40 text-white font-medium py-2 px-4 rounded"
+          >
+            Import Layers
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PasteCodeDialog;
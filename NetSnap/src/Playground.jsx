@@ -0,0 +1,325 @@
+import React, { useState, useRef, useMemo, useEffect } from 'react';
+import { Play, Square, RotateCcw, Upload, Shuffle } from 'lucide-react';
+import { formatShape } from './shapeInference.js';
+import { createNetwork } from './runtime/network.js';
+import { createTensor, randomNormal, shapeSize } from './runtime/tensor.js';
+import { createOptimizer, OPTIMIZERS } from './runtime/optimizers.js';
+import { DATASETS, getDataset, loadDataset } from './runtime/datasets.js';
+import { LOSSES, makeBatches, trainBatch, trainingProblem } from './runtime/training.js';
+
+// Yield to the browser this often while training so the page stays responsive
+const FRAME_MS = 50;
+
+const nextFrame = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// Grayscale or RGB pixels of an image resized to the model's input:
+// [C, H, W] with 1 or 3 channels, [H, W], or a square [H * W] vector
+const imageToInput = async (file, inputShape) => {
+  let channels = 1;
+  let height;
+  let width;
+  if (inputShape.length === 3 && (inputShape[0] === 1 || inputShape[0] === 3)) {
+    [channels, height, width] = inputShape;
+  } else if (inputShape.length === 2) {
+    [height, width] = inputShape;
+  } else if (inputShape.length === 1 && Number.isInteger(Math.sqrt(inputShape[0]))) {
+    height = width = Math.sqrt(inputShape[0]);
+  } else {
+    throw new Error(`Images can only be used for image-shaped inputs, not ${formatShape(inputShape)}`);
+  }
+  const bitmap = await createImageBitmap(file);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  context.drawImage(bitmap, 0, 0, width, height);
+  const pixels = context.getImageData(0, 0, width, height).data;
+  const data = new Float32Array(channels * height * width);
+  for (let p = 0; p < height * width; p++) {
+    if (channels === 3) {
+      for (let c = 0; c < 3; c++) data[c * height * width + p] = pixels[p * 4 + c] / 255;
+    } else {
+      data[p] = (pixels[p * 4] + pixels[p * 4 + 1] + pixels[p * 4 + 2]) / (3 * 255);
+    }
+  }
+  return data;
+};
+
+// Nested or flat JSON number arrays; one example or a batch of them
+const jsonToInput = (text, inputShape) => {
+  const values = JSON.parse(text);
+  const flat = Array.isArray(values) ? values.flat(Infinity) : [];
+  const exampleSize = shapeSize(inputShape);
+  if (flat.length === 0 || flat.length % exampleSize !== 0 || !flat.every(value => typeof value === 'number')) {
+    throw new Error(`Expected an array of numbers with a multiple of ${exampleSize} values for input ${formatShape(inputShape)}`);
+  }
+  return Float32Array.from(flat);
+};
+
+// Line chart of one value per epoch
+const LineChart = ({ title, values, maxValue, color }) => {
+  const width = 300;
+  const height = 100;
+  const top = Math.max(maxValue ?? Math.max(...values, 0), 1e-6);
+  const points = values.map((value, i) => {
+    const x = values.length === 1 ? 0 : (i / (values.length - 1)) * width;
+    return `${x.toFixed(1)},${(height - (value / top) * height).toFixed(1)}`;
+  }).join(' ');
+  return (
+    <div className="flex-1">
+      <div className="flex justify-between text-sm text-amber-800 mb-1">
+        <span className="font-medium">{title}</span>
+        <span className="font-mono">{values.length > 0 ? values[values.length - 1].toFixed(4) : '–'}</span>
+      </div>
+      <svg viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none" className="w-full h-28 bg-amber-50 border border-amber-200 rounded">
+        {values.length > 0 && <polyline points={points} fill="none" stroke={color} strokeWidth="2" vectorEffect="non-scaling-stroke" />}
+      </svg>
+    </div>
+  );
+};
+
+// Network with fresh random weights, or the reason the model cannot run
+const buildNetwork = (model) => {
+  try {
+    return { network: createNetwork(model), buildError: null };
+  } catch (err) {
+    return { network: null, buildError: err.message };
+  }
+};
+
+// Mounted with the serialized model as its key, so editing the model starts over
+const Playground = ({ serializedModel }) => {
+  const model = useMemo(() => JSON.parse(serializedModel), [serializedModel]);
+  const [{ network, buildError }, setBuilt] = useState(() => buildNetwork(model));
+  const [forwardResult, setForwardResult] = useState(null);
+  const [datasetId, setDatasetId] = useState('xor');
+  const [lossId, setLossId] = useState('cross_entropy');
+  const [optimizerId, setOptimizerId] = useState('adam');
+  const [learningRate, setLearningRate] = useState(0.01);
+  const [epochs, setEpochs] = useState(50);
+  const [batchSize, setBatchSize] = useState(32);
+  const [curves, setCurves] = useState([]);
+  const [status, setStatus] = useState('');
+  const [training, setTraining] = useState(false);
+  const stopRef = useRef(false);
+  const fileInputRef = useRef(null);
+
+  // Stop training when leaving the model page
+  useEffect(() => () => {
+    stopRef.current = true;
+  }, []);
+
+  const problem = network ? trainingProblem(model.input_dim, network.outputShape, getDataset(datasetId), lossId) : buildError;
+
+  const runForward = (data, source) => {
+    const count = data.length / shapeSize(model.input_dim);
+    const output = network.forward(createTensor(data, [count, ...model.input_dim]));
+    const exampleSize = output.data.length / count;
+    const values = Array.from(output.data.subarray(0, exampleSize));
+    const argmax = network.outputShape.length === 1 && values.length > 1
+      ? values.indexOf(Math.max(...values))
+      : null;
+    setForwardResult({ source, count, shape: output.shape.slice(1), values, argmax });
+  };
+
+  const handleRandomInput = () => {
+    runForward(randomNormal([1, ...model.input_dim]).data, 'Random normal input');
+  };
+
+  const handleInputFile = async (file) => {
+    try {
+      const data = file.type.startsWith('image/')
+        ? await imageToInput(file, model.input_dim)
+        : jsonToInput(await file.text(), model.input_dim);
+      runForward(data, file.name);
+    } catch (err) {
+      alert(`Could not use ${file.name} as input: ${err.message}`);
+    }
+  };
+
+  const handleTrain = async () => {
+    stopRef.current = false;
+    setTraining(true);
+    setStatus('Loading dataset…');
+    try {
+      const dataset = await loadDataset(datasetId);
+      const optimizer = createOptimizer(optimizerId, network.params, learningRate);
+      let lastYield = Date.now();
+      for (let epoch = 0; epoch < epochs && !stopRef.current; epoch++) {
+        let totalLoss = 0;
+        let correct = 0;
+        let seen = 0;
+        for (const indices of makeBatches(dataset.count, batchSize)) {
+          const result = trainBatch(network, optimizer, dataset, indices, model.input_dim, lossId);
+          totalLoss += result.loss * indices.length;
+          correct += result.correct;
+          seen += indices.length;
+          if (Date.now() - lastYield > FRAME_MS) {
+            setStatus(`Epoch ${epoch + 1}/${epochs}: ${seen}/${dataset.count} examples`);
+            await nextFrame();
+            lastYield = Date.now();
+            if (stopRef.current) break;
+          }
+        }
+        if (!Number.isFinite(totalLoss)) {
+          setStatus(`Training diverged in epoch ${epoch + 1}; try a lower learning rate and reset the weights`);
+          return;
+        }
+        if (seen === dataset.count) {
+          setCurves(previous => [...previous, { loss: totalLoss / seen, accuracy: correct / seen }]);
+        }
+      }
+      setStatus(stopRef.current ? 'Training stopped' : 'Training finished');
+    } catch (err) {
+      setStatus(`Training failed: ${err.message}`);
+    } finally {
+      setTraining(false);
+    }
+  };
+
+  const handleReset = () => {
+    setBuilt(buildNetwork(model));
+    setCurves([]);
+    setForwardResult(null);
+    setStatus('Weights reset');
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mb-8">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold text-amber-900">Playground</h2>
+        <button
+          onClick={handleReset}
+          disabled={training || !network}
+          className="bg-amber-100 hover:bg-amber-200 text-amber-900 font-medium py-1 px-3 rounded flex items-center disabled:opacity-50"
+        >
+          <RotateCcw className="w-4 h-4 mr-2" />
+          Reset Weights
+        </button>
+      </div>
+      {buildError && (
+        <div className="text-sm text-red-700 mb-4">This model cannot run in the browser: {buildError}</div>
+      )}
+
+      {/* Forward pass */}
+      <h3 className="font-bold text-amber-900 mb-2">Forward pass</h3>
+      <div className="flex space-x-2 mb-3">
+        <button
+          onClick={handleRandomInput}
+          disabled={!network || training}
+          className="bg-amber-500 hover:bg-amber-600 text-white font-medium py-1 px-3 rounded flex items-center disabled:opacity-50"
+        >
+          <Shuffle className="w-4 h-4 mr-2" />
+          Random Input
+        </button>
+        <button
+          onClick={() => fileInputRef.current.click()}
+          disabled={!network || training}
+          title="A JSON array of numbers, or an image for image-shaped inputs"
+          className="bg-amber-600 hover:bg-amber-700 text-white font-medium py-1 px-3 rounded flex items-center disabled:opacity-50"
+        >
+          <Upload className="w-4 h-4 mr-2" />
+          Upload Input
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json,image/*"
+          className="hidden"
+          onChange={(e) => {
+            if (e.target.files[0]) handleInputFile(e.target.files[0]);
+            e.target.value = '';
+          }}
+        />
+      </div>
+      {forwardResult && (
+        <div className="bg-amber-50 border border-amber-200 rounded p-3 mb-6 text-sm text-amber-900">
+          <div className="mb-1">
+            {forwardResult.source}{forwardResult.count > 1 && ` (${forwardResult.count} examples, showing the first)`}
+            {' → output '}<span className="font-mono">{formatShape(forwardResult.shape)}</span>
+            {forwardResult.argmax !== null && <span className="ml-2 font-medium">argmax: {forwardResult.argmax}</span>}
+          </div>
+          <div className="font-mono break-all">
+            [{forwardResult.values.slice(0, 20).map(value => value.toFixed(4)).join(', ')}{forwardResult.values.length > 20 && ', …'}]
+          </div>
+        </div>
+      )}
+
+      {/* Training */}
+      <h3 className="font-bold text-amber-900 mb-2">Training</h3>
+      <div className="grid grid-cols-3 gap-3 mb-3 text-sm">
+        <label className="text-amber-800">
+          Dataset
+          <select value={datasetId} onChange={(e) => {
+            setDatasetId(e.target.value);
+            setCurves([]);
+          }} disabled={training} className="w-full p-1 border border-amber-300 rounded">
+            {DATASETS.map(dataset => (
+              <option key={dataset.id} value={dataset.id}>{dataset.label} ({dataset.description})</option>
+            ))}
+          </select>
+        </label>
+        <label className="text-amber-800">
+          Loss
+          <select value={lossId} onChange={(e) => setLossId(e.target.value)} disabled={training} className="w-full p-1 border border-amber-300 rounded">
+            {LOSSES.map(loss => (
+              <option key={loss.id} value={loss.id}>{loss.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="text-amber-800">
+          Optimizer
+          <select value={optimizerId} onChange={(e) => setOptimizerId(e.target.value)} disabled={training} className="w-full p-1 border border-amber-300 rounded">
+            {OPTIMIZERS.map(optimizer => (
+              <option key={optimizer.id} value={optimizer.id}>{optimizer.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="text-amber-800">
+          Learning rate
+          <input type="number" step="any" min="0" value={learningRate} onChange={(e) => setLearningRate(Number(e.target.value))} disabled={training} className="w-full p-1 border border-amber-300 rounded" />
+        </label>
+        <label className="text-amber-800">
+          Epochs
+          <input type="number" min="1" value={epochs} onChange={(e) => setEpochs(Math.max(1, parseInt(e.target.value) || 1))} disabled={training} className="w-full p-1 border border-amber-300 rounded" />
+        </label>
+        <label className="text-amber-800">
+          Batch size
+          <input type="number" min="1" value={batchSize} onChange={(e) => setBatchSize(Math.max(1, parseInt(e.target.value) || 1))} disabled={training} className="w-full p-1 border border-amber-300 rounded" />
+        </label>
+      </div>
+      {problem && !buildError && <div className="text-sm text-red-700 mb-3">{problem}</div>}
+      <div className="flex items-center space-x-2 mb-4">
+        {training ? (
+          <button
+            onClick={() => {
+              stopRef.current = true;
+            }}
+            className="bg-gray-800 hover:bg-gray-900 text-white font-medium py-1 px-3 rounded flex items-center"
+          >
+            <Square className="w-4 h-4 mr-2" />
+            Stop
+          </button>
+        ) : (
+          <button
+            onClick={handleTrain}
+            disabled={Boolean(problem) || !(learningRate > 0)}
+            className="bg-amber-800 hover:bg-amber-900 text-white font-medium py-1 px-3 rounded flex items-center disabled:opacity-50"
+          >
+            <Play className="w-4 h-4 mr-2" />
+            Train
+          </button>
+        )}
+        <span className="text-sm text-amber-800">{status}</span>
+      </div>
+      {curves.length > 0 && (
+        <div className="flex space-x-4">
+          <LineChart title="Loss" values={curves.map(point => point.loss)} color="#b45309" />
+          <LineChart title="Accuracy" values={curves.map(point => point.accuracy)} maxValue={1} color="#15803d" />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Playground;
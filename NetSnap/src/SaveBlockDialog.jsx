@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+import { getLayerType } from './layerTypes.js';
+import { BLOCK_NAME_PATTERN, PARAM_NAME_PATTERN, RESERVED_PARAM_NAMES, isBindableSetting } from './blocks.js';
+
+// Problems that keep the block from being saved
+const dialogErrors = (name, bindings, layers) => {
+  const errors = [];
+  if (!BLOCK_NAME_PATTERN.test(name) || getLayerType(name) || name === 'NeuralNetwork') {
+    errors.push('The name must start with a capital letter, use only letters, digits and _, and differ from the built-in layer types');
+  }
+  const types = {};
+  bindings.forEach(({ layer, setting, param }) => {
+    if (!PARAM_NAME_PATTERN.test(param) || RESERVED_PARAM_NAMES.includes(param)) {
+      errors.push(`"${param}" is not a valid parameter name (lowercase letters, digits and _; not ${RESERVED_PARAM_NAMES.join(', ')})`);
+      return;
+    }
+    const value = layers.find(candidate => candidate.id === layer).settings[setting];
+    const type = typeof value === 'boolean' ? 'on/off' : 'numeric';
+    if (types[param] && types[param] !== type) {
+      errors.push(`Parameter ${param} drives both numeric and on/off settings`);
+    }
+    types[param] = type;
+  });
+  return [...new Set(errors)];
+};
+
+// Name a selection of layers and pick which of their settings become block
+// parameters. Several settings can share a parameter, e.g. the channel count
+// of two convolutions. Calls onSave({ name, params, bindings }).
+const SaveBlockDialog = ({ layers, nodeLabel, libraryNames, onSave, onCancel }) => {
+  const [name, setName] = useState('');
+  const [paramNames, setParamNames] = useState({});
+
+  const bindings = Object.entries(paramNames)
+    .filter(([, param]) => param.trim() !== '')
+    .map(([target, param]) => {
+      const [layerIndex, setting] = target.split(':');
+      return { layer: layers[Number(layerIndex)].id, setting, param: param.trim() };
+    });
+  const errors = dialogErrors(name, bindings, layers);
+
+  // Each parameter defaults to the value of the first setting it drives
+  const handleSave = () => {
+    const params = {};
+    bindings.forEach(({ layer, setting, param }) => {
+      if (!(param in params)) params[param] = layers.find(candidate => candidate.id === layer).settings[setting];
+    });
+    onSave({ name, params, bindings });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-lg p-6 w-[32rem] max-h-[80vh] overflow-auto" role="dialog" aria-label="Save as block">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-bold text-amber-900">Save as Block</h2>
+          <button onClick={onCancel} title="Cancel" className="text-amber-700 hover:text-amber-900">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <label className="block text-amber-800 font-medium mb-1">Name</label>
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="e.g. ConvBlock"
+          className="w-full p-2 border border-amber-300 rounded focus:outline-none focus:ring-2 focus:ring-amber-500"
+        />
+        <p className="text-xs text-amber-700 mt-1">
+          Used as the Python class name.
+          {libraryNames.includes(name) && ' Replaces the block of the same name in your library.'}
+        </p>
+
+        <h3 className="font-bold text-amber-900 mt-4 mb-1">Parameters</h3>
+        <p className="text-xs text-amber-700 mb-2">
+          Give a setting a parameter name to make it adjustable on every copy of the block. Leave it empty to keep the value fixed.
+        </p>
+        <div className="space-y-3">
+          {layers.map((layer, layerIndex) => (
+            <div key={layer.id}>
+              <div className="text-sm font-medium text-amber-900">{nodeLabel(layer.id)}</div>
+              {Object.entries(layer.settings).filter(([key]) => isBindableSetting(layer.type, key)).map(([key, value]) => (
+                <div key={key} className="flex items-center text-sm mt-1">
+                  <span className="w-1/2 text-amber-800">{key} = {value === null ? 'None' : String(value)}</span>
+                  <input
+                    type="text"
+                    value={paramNames[`${layerIndex}:${key}`] ?? ''}
+                    onChange={(e) => setParamNames({ ...paramNames, [`${layerIndex}:${key}`]: e.target.value })}
+                    placeholder="fixed"
+                    aria-label={`Parameter for ${key} of ${nodeLabel(layer.id)}`}
+                    className="flex-1 p-1 border border-amber-300 rounded"
+                  />
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+
+        {(name !== '' || bindings.length > 0) && errors.length > 0 && (
+          <ul className="mt-4 text-sm text-red-700 list-disc ml-4">
+            {errors.map(error => <li key={error}>{error}</li>)}
+          </ul>
+        )}
+        <div className="flex justify-end space-x-2 mt-4">
+          <button onClick={onCancel} className="bg-amber-100 hover:bg-amber-200 text-amber-900 font-medium py-2 px-4 rounded">
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={errors.length > 0}
+            className="bg-amber-600 hover:bg-amber-700 disabled:opacity-40 text-white font-medium py-2 px-4 rounded"
+          >
+            Save Block
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SaveBlockDialog;
@@ -0,0 +1,96 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { X, Copy, AlertTriangle } from 'lucide-react';
+import { encodeShareHash } from './shareLink.js';
+
+// Links longer than this get cut off by some mail and chat apps
+const LONG_LINK = 2000;
+
+const LinkField = ({ label, description, link }) => {
+  const inputRef = useRef(null);
+  const copy = () => {
+    inputRef.current.select();
+    document.execCommand('copy');
+  };
+  return (
+    <div className="mb-4">
+      <div className="font-medium text-amber-900">{label}</div>
+      <p className="text-xs text-amber-700 mb-1">{description}</p>
+      <div className="flex">
+        <input
+          ref={inputRef}
+          type="text"
+          readOnly
+          value={link}
+          onFocus={(e) => e.target.select()}
+          className="flex-1 p-1 border border-amber-300 rounded-l font-mono text-xs"
+        />
+        <button onClick={copy} title="Copy link" className="bg-amber-600 hover:bg-amber-700 text-white px-3 rounded-r flex items-center">
+          <Copy className="w-4 h-4" />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Links to the current design, encoded entirely in the URL hash
+const ShareDialog = ({ serializedModel, onClose }) => {
+  const [links, setLinks] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let active = true;
+    const model = JSON.parse(serializedModel);
+    const base = `${window.location.origin}${window.location.pathname}${window.location.search}`;
+    Promise.all([encodeShareHash(model), encodeShareHash(model, { readOnly: true })])
+      .then(([edit, view]) => {
+        if (active) setLinks({ edit: base + edit, view: base + view });
+      })
+      .catch(err => {
+        if (active) setError(err.message);
+      });
+    return () => {
+      active = false;
+    };
+  }, [serializedModel]);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-lg p-6 w-[36rem]" role="dialog" aria-label="Share design">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-bold text-amber-900">Share Design</h2>
+          <button onClick={onClose} title="Close" className="text-amber-700 hover:text-amber-900">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+        <p className="text-sm text-amber-800 mb-4">
+          The whole design is stored in the link itself, so nothing is uploaded and the links keep working offline.
+          Later changes are not reflected; share a new link after editing.
+        </p>
+        {error && <p className="text-sm text-red-700">Could not create the links: {error}</p>}
+        {!links && !error && <p className="text-sm text-amber-700">Creating links…</p>}
+        {links && (
+          <>
+            <LinkField
+              label="Editable link"
+              description="Opens the design as a new project in the recipient's editor."
+              link={links.edit}
+            />
+            <LinkField
+              label="Read-only link"
+              description="For reviewers: shows the design and its generated code without letting it be changed."
+              link={links.view}
+            />
+            {links.edit.length > LONG_LINK && (
+              <p className="text-xs text-yellow-800 flex items-start">
+                <AlertTriangle className="w-4 h-4 mr-1 flex-shrink-0" />
+                These links are {links.edit.length.toLocaleString()} characters long. Some mail and chat apps cut long links off; send the downloaded JSON file instead if the link does not open.
+              </p>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ShareDialog;
@@ -0,0 +1,271 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { X, Camera, GitCompare, RotateCcw, Trash2, FileUp } from 'lucide-react';
+import { parseModel, parseModelText } from './modelFormat.js';
+import { loadProjectModel } from './projectStorage.js';
+import { diffModels } from './modelDiff.js';
+import { formatShape } from './shapeInference.js';
+
+const STATUS_STYLES = {
+  added: { cell: 'bg-green-50 border-green-400', badge: 'bg-green-600 text-white', text: 'added' },
+  removed: { cell: 'bg-red-50 border-red-400', badge: 'bg-red-600 text-white', text: 'removed' },
+  changed: { cell: 'bg-amber-50 border-amber-500', badge: 'bg-amber-500 text-white', text: 'changed' },
+  unchanged: { cell: 'bg-white border-amber-100', badge: null, text: null }
+};
+
+const formatValue = (value) => (value === null || value === undefined ? 'None' : typeof value === 'boolean' ? (value ? 'yes' : 'no') : String(value));
+
+const formatDelta = (delta) => `${delta > 0 ? '+' : delta < 0 ? '−' : '±'}${Math.abs(delta).toLocaleString()}`;
+
+// One side of a row: the layer with its settings, changed ones highlighted
+const LayerCell = ({ entry, row, side }) => {
+  const style = STATUS_STYLES[row.status];
+  if (!entry) return <div className="border-2 border-dashed border-amber-200 rounded" />;
+  const changed = new Map(row.settings.map(change => [change.key, change]));
+  const other = side === 'after' ? row.before : row.after;
+  return (
+    <div className={`border rounded p-2 text-xs ${style.cell}`}>
+      <div className="flex items-center mb-1">
+        <span className="font-bold text-amber-900 text-sm">{entry.label}</span>
+        {style.badge && <span className={`ml-2 rounded-full px-2 ${style.badge}`}>{style.text}</span>}
+        <span className="ml-auto text-amber-800">
+          {entry.params === null ? '?' : entry.params.toLocaleString()} params
+          {side === 'after' && other && entry.params !== null && other.params !== null && entry.params !== other.params && (
+            <span className="font-bold"> ({formatDelta(entry.params - other.params)})</span>
+          )}
+        </span>
+      </div>
+      <div className="flex flex-wrap gap-x-3 text-amber-800">
+        {Object.entries(entry.layer.settings).map(([key, value]) => {
+          const change = changed.get(key);
+          const className = !change ? '' : side === 'before' ? 'text-red-700 line-through' : 'text-green-800 font-bold';
+          return (
+            <span key={key} className={className} title={change?.auto ? 'Auto-adjusted from the previous layer' : undefined}>
+              {key}={formatValue(value)}
+            </span>
+          );
+        })}
+      </div>
+      {row.inputsChanged && side === 'after' && <div className="mt-1 text-amber-900 font-medium">Connected differently</div>}
+    </div>
+  );
+};
+
+// Side-by-side comparison of two versions
+const DiffView = ({ diff }) => {
+  const [onlyChanges, setOnlyChanges] = useState(false);
+  const paramDelta = diff.params.after - diff.params.before;
+  const trainableDelta = diff.trainable.after - diff.trainable.before;
+  const rows = onlyChanges ? diff.rows.filter(row => row.status !== 'unchanged') : diff.rows;
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-x-4 text-sm text-amber-900 mb-2">
+        <span className="text-green-800 font-medium">{diff.counts.added} added</span>
+        <span className="text-red-700 font-medium">{diff.counts.removed} removed</span>
+        <span className="text-amber-700 font-medium">{diff.counts.changed} changed</span>
+        <span>
+          Parameters: {diff.params.before.toLocaleString()} → {diff.params.after.toLocaleString()}{' '}
+          <span className="font-bold">({formatDelta(paramDelta)})</span>
+        </span>
+        {trainableDelta !== paramDelta && (
+          <span>Trainable: {formatDelta(trainableDelta)}</span>
+        )}
+        <label className="ml-auto flex items-center text-amber-800">
+          <input type="checkbox" checked={onlyChanges} onChange={(e) => setOnlyChanges(e.target.checked)} className="mr-1" />
+          Only changes
+        </label>
+      </div>
+      {diff.inputDimension.changed && (
+        <p className="text-sm text-amber-900 mb-2">
+          Input shape: {formatShape(diff.inputDimension.before)} → <span className="font-bold">{formatShape(diff.inputDimension.after)}</span>
+        </p>
+      )}
+      {diff.blocks.length > 0 && (
+        <p className="text-sm text-amber-900 mb-2">
+          Blocks: {diff.blocks.map(block => `${block.name} ${block.status}`).join(', ')}
+        </p>
+      )}
+      {rows.length === 0 && <p className="text-sm text-amber-700">The two versions have the same layers.</p>}
+      <div className="grid grid-cols-2 gap-2">
+        {rows.map(row => (
+          <React.Fragment key={`${row.before?.layer.id ?? '-'}:${row.after?.layer.id ?? '-'}`}>
+            <LayerCell entry={row.before} row={row} side="before" />
+            <LayerCell entry={row.after} row={row} side="after" />
+          </React.Fragment>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// The design a source select points at: 'current', 'snapshot:<id>',
+// 'project:<id>' or 'file'. Returns { design } or { error }.
+const resolveSource = (value, { currentDesign, snapshots, file }) => {
+  const [kind, id] = value.split(/:(.*)/);
+  if (kind === 'current') return { design: currentDesign };
+  if (kind === 'file') return file;
+  const snapshot = kind === 'snapshot' ? snapshots.find(candidate => candidate.id === id) : null;
+  if (kind === 'snapshot' && !snapshot) return { error: 'The snapshot was deleted' };
+  const { inputDimension, layers, blocks, errors } = parseModel(snapshot ? snapshot.model : loadProjectModel(id));
+  return errors.length > 0 ? { error: errors.join('; ') } : { design: { inputDimension, layers, blocks } };
+};
+
+// Named snapshots of the project, and a comparison of any two versions:
+// the current design, a snapshot, another project or a .json file.
+// The design is { inputDimension, layers, blocks } like parseModel returns.
+const SnapshotsDialog = ({
+  projectId, projectName, projects, snapshots, currentDesign, readOnly,
+  onSaveSnapshot, onDeleteSnapshot, onRestoreSnapshot, onClose
+}) => {
+  const [name, setName] = useState('');
+  const [sides, setSides] = useState(() => ({
+    before: snapshots.length > 0 ? `snapshot:${snapshots[snapshots.length - 1].id}` : 'current',
+    after: 'current'
+  }));
+  const [files, setFiles] = useState({});
+  const [fileSide, setFileSide] = useState(null);
+  const fileInputRef = useRef(null);
+
+  // A read-only view is compared against the user's own projects, all of them
+  const otherProjects = projects.filter(project => readOnly || project.id !== projectId);
+
+  const before = useMemo(
+    () => resolveSource(sides.before, { currentDesign, snapshots, file: files.before }),
+    [sides.before, currentDesign, snapshots, files.before]
+  );
+  const after = useMemo(
+    () => resolveSource(sides.after, { currentDesign, snapshots, file: files.after }),
+    [sides.after, currentDesign, snapshots, files.after]
+  );
+  const diff = useMemo(
+    () => (before.design && after.design ? diffModels(before.design, after.design) : null),
+    [before, after]
+  );
+
+  const openFile = (side) => {
+    setFileSide(side);
+    fileInputRef.current.click();
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const { inputDimension, layers, blocks, errors } = parseModelText(await file.text());
+    setFiles({
+      ...files,
+      [fileSide]: errors.length > 0
+        ? { name: file.name, error: errors.join('; ') }
+        : { name: file.name, design: { inputDimension, layers, blocks } }
+    });
+    setSides({ ...sides, [fileSide]: 'file' });
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    onSaveSnapshot(name.trim() || `Snapshot ${snapshots.length + 1}`);
+    setName('');
+  };
+
+  const sourceSelect = (side) => (
+    <div>
+      <div className="flex">
+        <select
+          value={sides[side]}
+          onChange={(e) => setSides({ ...sides, [side]: e.target.value })}
+          aria-label={side === 'before' ? 'Compare from' : 'Compare to'}
+          className="flex-1 p-1 border border-amber-300 rounded-l text-sm"
+        >
+          <option value="current">{readOnly ? 'Shared design (shown now)' : 'Current design'}</option>
+          {snapshots.length > 0 && (
+            <optgroup label={`Snapshots of ${projectName}`}>
+              {snapshots.map(snapshot => <option key={snapshot.id} value={`snapshot:${snapshot.id}`}>{snapshot.name}</option>)}
+            </optgroup>
+          )}
+          {otherProjects.length > 0 && (
+            <optgroup label="Projects">
+              {otherProjects.map(project => <option key={project.id} value={`project:${project.id}`}>{project.name}</option>)}
+            </optgroup>
+          )}
+          {files[side] && <option value="file">File: {files[side].name}</option>}
+        </select>
+        <button onClick={() => openFile(side)} title="Compare a .json file" className="bg-amber-200 hover:bg-amber-300 text-amber-900 px-2 rounded-r">
+          <FileUp className="w-4 h-4" />
+        </button>
+      </div>
+      {(side === 'before' ? before : after).error && (
+        <p className="text-xs text-red-700 mt-1">{(side === 'before' ? before : after).error}</p>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-lg p-6 w-[64rem] max-h-[90vh] overflow-auto" role="dialog" aria-label="Snapshots and comparison">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-bold text-amber-900">Snapshots &amp; Compare</h2>
+          <button onClick={onClose} title="Close" className="text-amber-700 hover:text-amber-900">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {!readOnly && (
+          <div className="mb-6">
+            <h3 className="font-bold text-amber-900 mb-2">Snapshots of {projectName}</h3>
+            <form onSubmit={handleSave} className="flex mb-2">
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder={`Snapshot ${snapshots.length + 1}`}
+                aria-label="Snapshot name"
+                className="flex-1 p-1 border border-amber-300 rounded-l text-sm"
+              />
+              <button type="submit" className="bg-amber-600 hover:bg-amber-700 text-white font-medium py-1 px-3 rounded-r flex items-center text-sm">
+                <Camera className="w-4 h-4 mr-1" />
+                Save Snapshot
+              </button>
+            </form>
+            {snapshots.length === 0 && (
+              <p className="text-xs text-amber-700">Save a snapshot before a big change to compare against it or go back to it later.</p>
+            )}
+            <ul className="divide-y divide-amber-100 text-sm">
+              {[...snapshots].reverse().map(snapshot => (
+                <li key={snapshot.id} className="flex items-center py-1">
+                  <span className="font-medium text-amber-900">{snapshot.name}</span>
+                  <span className="ml-2 text-xs text-amber-700">
+                    {new Date(snapshot.createdAt).toLocaleString()} · {snapshot.model.layers?.length ?? 0} layers
+                  </span>
+                  <span className="ml-auto flex space-x-2">
+                    <button
+                      onClick={() => setSides({ before: `snapshot:${snapshot.id}`, after: 'current' })}
+                      title="Compare with the current design"
+                      className="text-amber-700 hover:text-amber-900"
+                    >
+                      <GitCompare className="w-4 h-4" />
+                    </button>
+                    <button onClick={() => onRestoreSnapshot(snapshot)} title="Restore this snapshot" className="text-amber-700 hover:text-amber-900">
+                      <RotateCcw className="w-4 h-4" />
+                    </button>
+                    <button onClick={() => onDeleteSnapshot(snapshot)} title="Delete snapshot" className="text-amber-700 hover:text-amber-900">
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <h3 className="font-bold text-amber-900 mb-2">Compare</h3>
+        <div className="grid grid-cols-2 gap-2 mb-3">
+          {sourceSelect('before')}
+          {sourceSelect('after')}
+        </div>
+        <input ref={fileInputRef} type="file" accept=".json,application/json" onChange={handleFileChange} className="hidden" />
+        {diff && <DiffView diff={diff} />}
+      </div>
+    </div>
+  );
+};
+
+export default SnapshotsDialog;
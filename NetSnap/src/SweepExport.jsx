@@ -0,0 +1,136 @@
+import React, { useMemo, useState } from 'react';
+import { Download, AlertCircle, AlertTriangle, Check } from 'lucide-react';
+import { SWEEP_METHODS, DEFAULT_SWEEP_OPTIONS, sweepVariables, expandSweep, sweepArchive, formatSweepSpec } from './sweep.js';
+import { downloadBlob } from './download.js';
+
+// Rows shown in the variant table; the export always has all of them
+const SHOWN_VARIANTS = 200;
+
+// Expand the sweep variables marked on the cards into concrete models,
+// checking and sizing every variant before export. The archive's train.py
+// follows the training setup.
+const SweepExport = ({ model, trainingSetup }) => {
+  const [options, setOptions] = useState(DEFAULT_SWEEP_OPTIONS);
+  const [skipInvalid, setSkipInvalid] = useState(true);
+  const serializedModel = JSON.stringify(model);
+  const variables = useMemo(() => sweepVariables(JSON.parse(serializedModel)), [serializedModel]);
+  const { variants, error } = useMemo(() => {
+    try {
+      return { variants: expandSweep(JSON.parse(serializedModel), options), error: null };
+    } catch (err) {
+      return { variants: [], error: err.message };
+    }
+  }, [serializedModel, options]);
+  const set = (key) => (value) => setOptions({ ...options, [key]: value });
+
+  const invalid = variants.filter(variant => variant.check.errors > 0).length;
+  const exported = skipInvalid ? variants.filter(variant => variant.check.errors === 0) : variants;
+  const sizes = variants.map(variant => variant.check.params).filter(params => params !== null);
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mb-8">
+      <h2 className="text-xl font-bold text-amber-900 mb-4">Hyperparameter Sweep</h2>
+      {variables.length === 0 ? (
+        <p className="text-sm text-amber-800">
+          Mark number settings on the layer cards as sweep variables with the dice button, then export every variant of the design here.
+        </p>
+      ) : (
+        <>
+          <ul className="text-sm text-amber-900 mb-3">
+            {variables.map(variable => (
+              <li key={`${variable.layerId}-${variable.setting}`}>
+                {variable.label} <span className="font-medium">{variable.setting}</span>: <span className="font-mono">{formatSweepSpec(variable.spec)}</span>
+              </li>
+            ))}
+          </ul>
+          <div className="grid grid-cols-4 gap-3 mb-3 text-sm">
+            <label className="text-amber-800">
+              Method
+              <select value={options.method} onChange={(e) => set('method')(e.target.value)} className="w-full p-1 border border-amber-300 rounded">
+                {SWEEP_METHODS.map(method => <option key={method.id} value={method.id}>{method.label}</option>)}
+              </select>
+            </label>
+            {options.method === 'random' && (
+              <>
+                <label className="text-amber-800">
+                  Samples
+                  <input type="number" min="1" value={options.samples} onChange={(e) => set('samples')(Number(e.target.value))} className="w-full p-1 border border-amber-300 rounded" />
+                </label>
+                <label className="text-amber-800">
+                  Seed
+                  <input type="number" value={options.seed} onChange={(e) => set('seed')(Number(e.target.value))} className="w-full p-1 border border-amber-300 rounded" />
+                </label>
+              </>
+            )}
+          </div>
+          {error && <p className="text-sm text-red-700 mb-3">{error}</p>}
+          {variants.length > 0 && (
+            <>
+              <p className="text-sm text-amber-800 mb-2">
+                {variants.length} variant{variants.length === 1 ? '' : 's'}
+                {invalid > 0 && <span className="text-red-700">, {invalid} with errors</span>}
+                {sizes.length > 0 && <> · {Math.min(...sizes).toLocaleString()} to {Math.max(...sizes).toLocaleString()} parameters</>}
+              </p>
+              <div className="border border-amber-200 rounded-lg overflow-auto max-h-72 mb-3">
+                <table className="w-full text-sm">
+                  <thead className="bg-amber-50 text-amber-900 sticky top-0">
+                    <tr>
+                      <th className="text-left p-2">Variant</th>
+                      {variables.map(variable => (
+                        <th key={`${variable.layerId}-${variable.setting}`} className="text-right p-2">{variable.label} {variable.setting}</th>
+                      ))}
+                      <th className="text-right p-2">Params</th>
+                      <th className="text-left p-2">Check</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {variants.slice(0, SHOWN_VARIANTS).map(variant => (
+                      <tr key={variant.name} className="border-t border-amber-100">
+                        <td className="p-2 font-mono">{variant.name}</td>
+                        {variant.values.map((value, i) => <td key={i} className="p-2 text-right font-mono">{value}</td>)}
+                        <td className="p-2 text-right">{variant.check.params === null ? '?' : variant.check.params.toLocaleString()}</td>
+                        <td className="p-2">
+                          {variant.check.errors > 0 ? (
+                            <span className="text-red-700 flex items-center"><AlertCircle className="w-4 h-4 mr-1" />{variant.check.errors} error{variant.check.errors === 1 ? '' : 's'}{variant.check.outputChanged && ', output size differs from train.py'}</span>
+                          ) : variant.check.warnings > 0 ? (
+                            <span className="text-yellow-800 flex items-center"><AlertTriangle className="w-4 h-4 mr-1" />{variant.check.warnings} warning{variant.check.warnings === 1 ? '' : 's'}</span>
+                          ) : (
+                            <span className="text-green-700 flex items-center"><Check className="w-4 h-4 mr-1" />OK</span>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {variants.length > SHOWN_VARIANTS && (
+                  <p className="text-xs text-amber-700 p-2">…and {variants.length - SHOWN_VARIANTS} more</p>
+                )}
+              </div>
+              <div className="flex items-center space-x-4">
+                <button
+                  onClick={() => downloadBlob('neural_network_sweep.zip', new Blob([sweepArchive(JSON.parse(serializedModel), exported, options, trainingSetup)], { type: 'application/zip' }))}
+                  disabled={exported.length === 0}
+                  className="bg-amber-700 hover:bg-amber-800 disabled:opacity-40 text-white font-medium py-2 px-4 rounded flex items-center"
+                >
+                  <Download className="w-4 h-4 mr-2" />
+                  Download Sweep (.zip)
+                </button>
+                {invalid > 0 && (
+                  <label className="text-sm text-amber-800 flex items-center">
+                    <input type="checkbox" checked={skipInvalid} onChange={(e) => setSkipInvalid(e.target.checked)} className="mr-2" />
+                    Leave out the {invalid} variant{invalid === 1 ? '' : 's'} with errors
+                  </label>
+                )}
+              </div>
+              <p className="text-xs text-amber-700 mt-2">
+                The archive holds configs/&lt;variant&gt;.json and models/&lt;variant&gt;.py for every variant, a train.py for the training setup below and a sweep.yaml in the Weights &amp; Biases format that runs train.py once per variant, passing its model file as --model_config. train.py is written for the design's output size, so variants that change it count as errors.
+              </p>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SweepExport;
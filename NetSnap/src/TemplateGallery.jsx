@@ -0,0 +1,116 @@
+import React from 'react';
+import { X } from 'lucide-react';
+import { modelTemplates } from './templates.js';
+import { parseModel } from './modelFormat.js';
+import { flattenModel } from './blocks.js';
+import { INPUT_NODE_ID, isMergeLayer } from './graph.js';
+import { inferShapes, formatShape } from './shapeInference.js';
+import { estimateCosts, formatCount } from './modelStats.js';
+
+// Card size on the canvas, which the preview scales down
+const NODE_SIZE = { width: 288, height: 160 };
+
+// Where the canvas puts the input node, left of the first layout column
+const INPUT_POSITION = { x: 40, y: 40 };
+
+// Fill colors matching the canvas cards: layers, merges and block instances
+const PREVIEW_COLORS = { layer: '#fde68a', merge: '#fed7aa', block: '#d9f99d', input: '#fcd34d' };
+
+// Templates parsed like an imported file, with their size and output shape
+const galleryEntries = modelTemplates.map(template => {
+  const { inputDimension, batchFirst, layers, blocks, errors } = parseModel(template.model);
+  if (errors.length > 0) return { template, design: null, errors };
+  const flat = flattenModel({ input_dim: inputDimension, blocks, layers });
+  const shapes = inferShapes(inputDimension, flat.layers);
+  return {
+    template,
+    design: { inputDimension, batchFirst, layers, blocks },
+    params: estimateCosts(inputDimension, flat.layers).totals.trainable,
+    outputShape: shapes.length > 0 ? shapes[shapes.length - 1].outputShape : inputDimension,
+    errors
+  };
+});
+
+// Miniature of the laid-out graph; hover a box for its layer type
+const TemplatePreview = ({ design }) => {
+  const nodes = [
+    { id: INPUT_NODE_ID, type: 'Input', position: INPUT_POSITION, fill: PREVIEW_COLORS.input },
+    ...design.layers.map(layer => ({
+      ...layer,
+      fill: design.blocks[layer.type] ? PREVIEW_COLORS.block : isMergeLayer(layer) ? PREVIEW_COLORS.merge : PREVIEW_COLORS.layer
+    }))
+  ];
+  const positions = Object.fromEntries(nodes.map(node => [node.id, node.position]));
+  const left = Math.min(...nodes.map(node => node.position.x));
+  const top = Math.min(...nodes.map(node => node.position.y));
+  const right = Math.max(...nodes.map(node => node.position.x)) + NODE_SIZE.width;
+  const bottom = Math.max(...nodes.map(node => node.position.y)) + NODE_SIZE.height;
+  return (
+    <svg
+      viewBox={`${left - 20} ${top - 20} ${right - left + 40} ${bottom - top + 40}`}
+      className="w-full h-24 bg-amber-50 rounded border border-amber-200"
+      preserveAspectRatio="xMidYMid meet"
+      aria-hidden="true"
+    >
+      {design.layers.flatMap(layer => layer.inputs.map(from => (
+        <line
+          key={`${from}-${layer.id}`}
+          x1={positions[from].x + NODE_SIZE.width}
+          y1={positions[from].y + NODE_SIZE.height / 2}
+          x2={layer.position.x}
+          y2={layer.position.y + NODE_SIZE.height / 2}
+          stroke="#f59e0b"
+          strokeWidth="16"
+        />
+      )))}
+      {nodes.map(node => (
+        <rect key={node.id} x={node.position.x} y={node.position.y} width={NODE_SIZE.width} height={NODE_SIZE.height} rx="24" fill={node.fill} stroke="#d97706" strokeWidth="8">
+          <title>{node.type}</title>
+        </rect>
+      ))}
+    </svg>
+  );
+};
+
+// Pick a built-in architecture to replace the current design with.
+// Calls onSelect({ inputDimension, batchFirst, layers, blocks }, template).
+const TemplateGallery = ({ onSelect, onCancel }) => (
+  <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-50">
+    <div className="bg-white rounded-lg shadow-lg p-6 w-[48rem] max-h-[85vh] overflow-auto" role="dialog" aria-label="Templates">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold text-amber-900">Start from a Template</h2>
+        <button onClick={onCancel} title="Close" className="text-amber-700 hover:text-amber-900">
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+      <div className="grid grid-cols-2 gap-4">
+        {galleryEntries.map(({ template, design, params, outputShape, errors }) => (
+          <div key={template.id} className="border border-amber-300 rounded-lg p-4 flex flex-col">
+            <h3 className="font-bold text-amber-900 mb-2">{template.name}</h3>
+            {design && (
+              <>
+                <TemplatePreview design={design} />
+                <div className="text-xs font-mono text-amber-800 mt-2">
+                  {formatShape(design.inputDimension)} → {formatShape(outputShape)} · {formatCount(params)} params
+                </div>
+              </>
+            )}
+            <p className="text-sm text-amber-800 mt-2 flex-1">{template.description}</p>
+            {errors.length > 0 && (
+              <p className="text-sm text-red-700 mt-2">This template failed to load: {errors[0]}</p>
+            )}
+            <button
+              onClick={() => onSelect(design, template)}
+              disabled={errors.length > 0}
+              className="mt-3 bg-amber-600 hover:bg-amber-700 disabled:opacity-40 text-white font-medium py-2 px-4 rounded"
+            >
+              Use Template
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  </div>
+);
+
+export default TemplateGallery;
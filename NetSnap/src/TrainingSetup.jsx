@@ -0,0 +1,118 @@
+import React from 'react';
+import { Download, AlertTriangle } from 'lucide-react';
+import {
+  TRAINING_DATASETS, TRAINING_LOSSES, TRAINING_OPTIMIZERS, TRAINING_SCHEDULERS, TRAINING_DEVICES, TRAINING_LOGGERS,
+  generateTrainingScript, trainingSetupProblems
+} from './codegen/training.js';
+import { getCodeGenerator } from './codegen/index.js';
+import { downloadBlob } from './download.js';
+
+const downloadText = (fileName, text) => downloadBlob(fileName, new Blob([text], { type: 'text/x-python' }));
+
+const Select = ({ label, value, options, onChange }) => (
+  <label className="text-amber-800">
+    {label}
+    <select value={value} onChange={(e) => onChange(e.target.value)} className="w-full p-1 border border-amber-300 rounded">
+      {options.map(option => (
+        <option key={option.id} value={option.id}>{option.label}</option>
+      ))}
+    </select>
+  </label>
+);
+
+const NumberInput = ({ label, value, onChange, integer = false, min = 0 }) => (
+  <label className="text-amber-800">
+    {label}
+    <input
+      type="number"
+      step={integer ? 1 : 'any'}
+      min={min}
+      value={value}
+      onChange={(e) => onChange(integer ? Math.max(min, parseInt(e.target.value) || min) : Number(e.target.value))}
+      className="w-full p-1 border border-amber-300 rounded"
+    />
+  </label>
+);
+
+// Pick how the model is trained and get a train.py that runs next to the
+// generated model.py. The setup lives in the parent so it survives page switches.
+const TrainingSetup = ({ model, setup, onChange }) => {
+  const set = (key) => (value) => onChange({ ...setup, [key]: value });
+  const optimizer = TRAINING_OPTIMIZERS.find(option => option.id === setup.optimizer);
+  const problems = trainingSetupProblems(model, setup);
+  const script = generateTrainingScript(model, setup);
+  const pytorch = getCodeGenerator('pytorch');
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mb-8">
+      <h2 className="text-xl font-bold text-amber-900 mb-4">Training Setup</h2>
+      <div className="grid grid-cols-4 gap-3 mb-3 text-sm">
+        <Select label="Dataset" value={setup.dataset} options={TRAINING_DATASETS} onChange={set('dataset')} />
+        <Select label="Loss" value={setup.loss} options={TRAINING_LOSSES} onChange={set('loss')} />
+        <Select label="Optimizer" value={setup.optimizer} options={TRAINING_OPTIMIZERS} onChange={set('optimizer')} />
+        <NumberInput label="Learning rate" value={setup.learningRate} onChange={set('learningRate')} />
+        <NumberInput label="Weight decay" value={setup.weightDecay} onChange={set('weightDecay')} />
+        {optimizer.momentum && (
+          <NumberInput label="Momentum" value={setup.momentum} onChange={set('momentum')} />
+        )}
+        <Select label="LR scheduler" value={setup.scheduler} options={TRAINING_SCHEDULERS} onChange={set('scheduler')} />
+        {(setup.scheduler === 'step' || setup.scheduler === 'plateau') && (
+          <>
+            <NumberInput
+              label={setup.scheduler === 'step' ? 'Step size (epochs)' : 'Patience (epochs)'}
+              value={setup.stepSize}
+              onChange={set('stepSize')}
+              integer
+              min={setup.scheduler === 'step' ? 1 : 0}
+            />
+            <NumberInput label={setup.scheduler === 'step' ? 'Decay factor' : 'Reduce factor'} value={setup.gamma} onChange={set('gamma')} />
+          </>
+        )}
+        <NumberInput label="Batch size" value={setup.batchSize} onChange={set('batchSize')} integer min={1} />
+        <NumberInput label="Epochs" value={setup.epochs} onChange={set('epochs')} integer min={1} />
+        <Select
+          label="Device"
+          value={setup.device}
+          options={TRAINING_DEVICES.map(device => ({ id: device, label: device === 'auto' ? 'auto (CUDA, MPS, CPU)' : device }))}
+          onChange={set('device')}
+        />
+        <Select label="Metrics log" value={setup.logging} options={TRAINING_LOGGERS} onChange={set('logging')} />
+        <label className="text-amber-800 flex items-center mt-4">
+          <input type="checkbox" checked={setup.checkpoint} onChange={(e) => set('checkpoint')(e.target.checked)} className="mr-2" />
+          Save checkpoints
+        </label>
+      </div>
+      {problems.length > 0 && (
+        <ul className="text-sm text-yellow-800 mb-3 space-y-1">
+          {problems.map(problem => (
+            <li key={problem} className="flex items-start">
+              <AlertTriangle className="w-4 h-4 mr-1 mt-0.5 flex-shrink-0" />
+              {problem}
+            </li>
+          ))}
+        </ul>
+      )}
+      <pre className="bg-gray-900 text-gray-100 p-4 rounded-lg overflow-auto max-h-96">
+        {script}
+      </pre>
+      <div className="flex space-x-2 mt-4">
+        <button
+          onClick={() => downloadText('train.py', script)}
+          className="bg-gray-800 hover:bg-gray-900 text-white font-medium py-2 px-4 rounded flex items-center"
+        >
+          <Download className="w-4 h-4 mr-2" />
+          Download train.py
+        </button>
+        <button
+          onClick={() => downloadText(pytorch.fileName, pytorch.generate(model))}
+          className="bg-amber-700 hover:bg-amber-800 text-white font-medium py-2 px-4 rounded flex items-center"
+        >
+          <Download className="w-4 h-4 mr-2" />
+          Download {pytorch.fileName}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default TrainingSetup;
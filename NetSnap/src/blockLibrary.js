@@ -0,0 +1,34 @@
+// The user's block library, persisted in localStorage next to the projects.
+// Blocks are stored by name as { [name]: definition } (see blocks.js); a
+// model keeps its own copy of the definitions it uses, so editing the
+// library never changes a saved model.
+
+const LIBRARY_KEY = 'netsnap:blocks';
+
+const storage = () => globalThis.localStorage;
+
+export const loadBlockLibrary = () => {
+  try {
+    const text = storage()?.getItem(LIBRARY_KEY);
+    return text ? JSON.parse(text) : {};
+  } catch {
+    return {};
+  }
+};
+
+const writeLibrary = (library) => {
+  try {
+    storage().setItem(LIBRARY_KEY, JSON.stringify(library));
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Add or replace a block. Returns false if storage is unavailable or full.
+export const saveBlock = (name, definition) => writeLibrary({ ...loadBlockLibrary(), [name]: definition });
+
+export const deleteBlock = (name) => {
+  const { [name]: removed, ...rest } = loadBlockLibrary();
+  return removed ? writeLibrary(rest) : true;
+};
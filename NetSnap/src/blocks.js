@@ -0,0 +1,232 @@
+// Composite blocks: a named sub-graph saved from a selection and reused like
+// a layer type. A definition is
+//   { params: { name: default }, bindings: [{ layer, setting, param }], layers }
+// where `layers` use the generateModel layer format with the block input as
+// INPUT_NODE_ID, and each binding lets a parameter drive one inner setting.
+// An instance is a layer whose type is the block name and whose settings are
+// the parameter values. Everything except the PyTorch generator works on the
+// expanded model, where each instance is replaced by its inner layers.
+
+import { INPUT_NODE_ID, getConsumers, getOutputLayers, topologicalSort } from './graph.js';
+import { isAutoSetting, propagateShapes } from './shapeInference.js';
+import { getLayerType, FREEZABLE_TYPES } from './layerTypes.js';
+
+export const BLOCK_ICON = '🧩';
+export const BLOCK_COLOR = 'bg-lime-100';
+
+// Block names become Python class names; parameters become argument names
+export const BLOCK_NAME_PATTERN = /^[A-Z][A-Za-z0-9_]*$/;
+export const PARAM_NAME_PATTERN = /^[a-z_][a-z0-9_]*$/;
+
+// Names the PyTorch generator uses for the block's own arguments
+export const RESERVED_PARAM_NAMES = ['self', 'x', 'in_features', 'in_channels'];
+
+// Settings that change the forward() code (an extra argument, a tuple
+// result) stay fixed inside a block
+const SIGNATURE_SETTINGS = ['key_padding_mask', 'return_indices'];
+
+// Only numeric and on/off settings can become parameters; the rest shape the code itself
+export const isBindableSetting = (layerType, key) => {
+  const defaultValue = getLayerType(layerType)?.defaultSettings[key];
+  return !isAutoSetting(layerType, key) && !SIGNATURE_SETTINGS.includes(key) &&
+    (defaultValue === null || typeof defaultValue === 'number' || typeof defaultValue === 'boolean');
+};
+
+// The inner layer whose output leaves the block
+export const blockOutputLayer = (definition) => getOutputLayers(definition.layers)[0];
+
+// Inner layers with the given parameter values applied
+export const applyBlockParams = (definition, values) =>
+  definition.layers.map(layer => {
+    const bound = definition.bindings.filter(binding => binding.layer === layer.id);
+    if (bound.length === 0) return layer;
+    const settings = { ...layer.settings };
+    bound.forEach(binding => {
+      settings[binding.setting] = values[binding.param] ?? definition.params[binding.param];
+    });
+    return { ...layer, settings };
+  });
+
+// Inner layers for a parameter set and input shape, with auto settings filled in
+export const resolveBlockLayers = (definition, values, inputShape) =>
+  propagateShapes(inputShape, applyBlockParams(definition, values));
+
+// Freezing an instance freezes every inner layer that has parameters
+const frozenWith = (instance, layer) =>
+  (instance.frozen && FREEZABLE_TYPES.includes(layer.type) ? { frozen: true } : {});
+
+// Replace one instance by its inner layers. The exit layer takes over the
+// instance id so consumers outside the block stay connected; the other
+// inner ids are prefixed with the instance id to keep them unique.
+const instantiateBlock = (instance, definition) => {
+  const exitId = blockOutputLayer(definition).id;
+  const idFor = (id) => (id === exitId ? instance.id : `${instance.id}/${id}`);
+  return applyBlockParams(definition, instance.settings).map(layer => ({
+    ...layer,
+    id: idFor(layer.id),
+    inputs: layer.inputs.flatMap(id => (id === INPUT_NODE_ID ? instance.inputs.slice(0, 1) : [idFor(id)])),
+    position: instance.position,
+    ...frozenWith(instance, layer)
+  }));
+};
+
+// Expand every block instance. Returns the flat layers and, for each of
+// them, the index of the layer in `layers` it came from.
+export const expandBlocks = (layers, blocks) => {
+  const flat = [];
+  const owners = [];
+  layers.forEach((layer, index) => {
+    const expanded = blocks[layer.type] ? instantiateBlock(layer, blocks[layer.type]) : [layer];
+    expanded.forEach(flatLayer => {
+      flat.push(flatLayer);
+      owners.push(index);
+    });
+  });
+  return { layers: flat, owners };
+};
+
+// propagateShapes for layers that may contain block instances. Instances
+// keep their parameters; the inner auto settings are filled on expansion.
+export const propagateBlockShapes = (inputShape, layers, blocks) => {
+  const propagated = new Map(propagateShapes(inputShape, expandBlocks(layers, blocks).layers).map(layer => [layer.id, layer]));
+  return layers.map(layer => (blocks[layer.type] ? layer : propagated.get(layer.id)));
+};
+
+// The generateModel JSON with every instance expanded and auto settings
+// filled in, for the backends that only know the built-in layer types
+export const flattenModel = (modelJSON) => {
+  if (!modelJSON.blocks || Object.keys(modelJSON.blocks).length === 0) return modelJSON;
+  const { blocks, ...rest } = modelJSON;
+  const { layers } = expandBlocks(modelJSON.layers, blocks);
+  return { ...rest, layers: propagateShapes(modelJSON.input_dim, topologicalSort(layers)) };
+};
+
+// Fold per-layer shape results of the expanded model back onto `layers`.
+// An instance reads its input shape from its first inner layer and reports
+// the first error raised inside it.
+export const collapseShapes = (layers, expansion, flatShapes) =>
+  layers.map((layer, index) => {
+    const inner = expansion.owners.flatMap((owner, flatIndex) => (owner === index ? [flatIndex] : []));
+    if (inner.length === 1 && expansion.layers[inner[0]].id === layer.id) return flatShapes[inner[0]];
+    const ordered = topologicalSort(inner.map(flatIndex => expansion.layers[flatIndex]))
+      .map(flatLayer => expansion.layers.indexOf(flatLayer));
+    const exit = flatShapes[expansion.layers.findIndex(flatLayer => flatLayer.id === layer.id)];
+    const failed = ordered.find(flatIndex => flatShapes[flatIndex].error);
+    return {
+      inputShape: flatShapes[ordered[0]].inputShape,
+      inputShapes: flatShapes[ordered[0]].inputShapes,
+      outputShape: exit.outputShape,
+      error: failed === undefined ? null : `${expansion.layers[failed].type}: ${flatShapes[failed].error}`
+    };
+  });
+
+// Sum the per-layer costs of the expanded model onto `layers`; an instance
+// is unknown (null) if any of its inner layers is
+export const collapseCosts = (layers, expansion, flatCosts) =>
+  layers.map((layer, index) => {
+    const inner = flatCosts.filter((costs, flatIndex) => expansion.owners[flatIndex] === index);
+    if (inner.some(costs => costs === null)) return null;
+    if (inner.length === 1) return inner[0];
+    return Object.fromEntries(Object.keys(inner[0]).map(key => [key, inner.reduce((total, costs) => total + costs[key], 0)]));
+  });
+
+// Point validation issues of the expanded model at the layers of `layers`,
+// naming the inner layer for issues raised inside an instance
+export const collapseIssues = (layers, expansion, flatIssues) =>
+  flatIssues.map(issue => {
+    if (issue.layerIndex === null) return issue;
+    const owner = expansion.owners[issue.layerIndex];
+    const flatLayer = expansion.layers[issue.layerIndex];
+    return {
+      ...issue,
+      layerIndex: owner,
+      message: flatLayer.id === layers[owner].id && flatLayer.type === layers[owner].type
+        ? issue.message
+        : `${flatLayer.type}: ${issue.message}`
+    };
+  });
+
+// Build a block definition from selected layers. The selection must read
+// from a single outside node and have a single exit, so the block has one
+// input and one output. Returns { definition, source, exitId } or { error }.
+export const blockFromSelection = (layers, ids, blocks, bindings = [], params = {}) => {
+  const selected = topologicalSort(layers.filter(layer => ids.includes(layer.id)));
+  if (selected.length === 0) {
+    return { error: 'Select the layers to save as a block' };
+  }
+  if (selected.some(layer => blocks[layer.type])) {
+    return { error: 'Blocks cannot contain other blocks' };
+  }
+  const inside = new Set(selected.map(layer => layer.id));
+  const sources = [...new Set(selected.flatMap(layer => layer.inputs.filter(id => !inside.has(id))))];
+  if (sources.length !== 1) {
+    return {
+      error: sources.length === 0
+        ? 'The selected layers are not connected to anything'
+        : `A block has one input, but the selection reads from ${sources.length} layers`
+    };
+  }
+  const exits = selected.filter(layer => {
+    const consumers = getConsumers(layers, layer.id);
+    return consumers.length === 0 || consumers.some(consumer => !inside.has(consumer.id));
+  });
+  if (exits.length !== 1) {
+    return { error: `A block has one output, but ${exits.length} of the selected layers are used outside it` };
+  }
+
+  // Inner ids are renumbered from 1 and positions kept relative to the selection
+  const innerId = new Map(selected.map((layer, index) => [layer.id, index + 1]));
+  const left = Math.min(...selected.map(layer => layer.position.x));
+  const top = Math.min(...selected.map(layer => layer.position.y));
+  const definition = {
+    params,
+    bindings: bindings.map(binding => ({ ...binding, layer: innerId.get(binding.layer) })),
+    layers: selected.map(layer => ({
+      id: innerId.get(layer.id),
+      type: layer.type,
+      inputs: layer.inputs.map(id => (inside.has(id) ? innerId.get(id) : INPUT_NODE_ID)),
+      position: { x: layer.position.x - left, y: layer.position.y - top },
+      // Auto settings depend on where the block is used, so they are not stored
+      settings: Object.fromEntries(Object.entries(layer.settings).map(([key, value]) =>
+        [key, isAutoSetting(layer.type, key) ? null : value]))
+    }))
+  };
+  return { definition, source: sources[0], exitId: exits[0].id };
+};
+
+// Replace the selected layers by an instance, rewiring the consumers of
+// their exit layer to it
+export const collapseToBlock = (layers, ids, instance, exitId) => [
+  ...layers
+    .filter(layer => !ids.includes(layer.id))
+    .map(layer => (layer.inputs.includes(exitId)
+      ? { ...layer, inputs: layer.inputs.map(id => (id === exitId ? instance.id : id)) }
+      : layer)),
+  instance
+];
+
+// Replace an instance by editable copies of its inner layers, placed around
+// the instance's position. Returns { layers, ids } with the new layer ids.
+export const ungroupBlock = (layers, instanceId, definition, makeId) => {
+  const instance = layers.find(layer => layer.id === instanceId);
+  const exitId = blockOutputLayer(definition).id;
+  const idMap = new Map(definition.layers.map(layer => [layer.id, makeId()]));
+  const copies = applyBlockParams(definition, instance.settings).map(layer => ({
+    ...layer,
+    id: idMap.get(layer.id),
+    inputs: layer.inputs.flatMap(id => (id === INPUT_NODE_ID ? instance.inputs.slice(0, 1) : [idMap.get(id)])),
+    position: { x: instance.position.x + layer.position.x, y: instance.position.y + layer.position.y },
+    settings: { ...layer.settings },
+    ...frozenWith(instance, layer)
+  }));
+  const rewired = layers
+    .filter(layer => layer.id !== instanceId)
+    .map(layer => (layer.inputs.includes(instanceId)
+      ? { ...layer, inputs: layer.inputs.map(id => (id === instanceId ? idMap.get(exitId) : id)) }
+      : layer));
+  return { layers: [...rewired, ...copies], ids: copies.map(copy => copy.id) };
+};
+
+// Definitions of the blocks that `layers` actually use
+export const usedBlocks = (layers, blocks) =>
+  Object.fromEntries(Object.entries(blocks).filter(([name]) => layers.some(layer => layer.type === name)));
@@ -0,0 +1,39 @@
+import torch
+import torch.nn as nn
+
+class NeuralNetwork(nn.Module):
+    def __init__(self):
+        super(NeuralNetwork, self).__init__()
+        self.conv0 = nn.Conv2d(3, 32, kernel_size=3, stride=1, padding=1, bias=True)
+        self.act0 = nn.ReLU()
+        self.bn1 = nn.BatchNorm2d(32, eps=0.00001, momentum=0.1, affine=True, track_running_stats=True)
+        self.maxpool2 = nn.MaxPool2d(kernel_size=2, stride=2, padding=0, dilation=1, return_indices=False, ceil_mode=False)
+        self.flatten3 = nn.Flatten(start_dim=1, end_dim=-1)
+        self.fc4 = nn.Linear(32768, 128, bias=True)
+        self.act4 = nn.ReLU()
+        self.dropout5 = nn.Dropout(p=0.5, inplace=False)
+        self.fc6 = nn.Linear(128, 5, bias=True)
+        self._init_weights()
+        self.conv0.requires_grad_(False)
+        # Frozen, but the running statistics still update in train mode
+        self.bn1.requires_grad_(False)
+
+    def _init_weights(self):
+        nn.init.kaiming_uniform_(self.fc4.weight, nonlinearity='relu')
+        nn.init.constant_(self.fc4.bias, 0)
+        nn.init.xavier_normal_(self.fc6.weight)
+
+    def forward(self, x):
+        x = self.conv0(x)
+        x = self.act0(x)
+        x = self.bn1(x)
+        x = self.maxpool2(x)
+        x = self.flatten3(x)
+        x = self.fc4(x)
+        x = self.act4(x)
+        x = self.dropout5(x)
+        x = self.fc6(x)
+        return x
+
+# Create the model
+model = NeuralNetwork()
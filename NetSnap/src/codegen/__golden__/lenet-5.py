@@ -0,0 +1,36 @@
+import torch
+import torch.nn as nn
+
+class NeuralNetwork(nn.Module):
+    def __init__(self):
+        super(NeuralNetwork, self).__init__()
+        self.conv0 = nn.Conv2d(1, 6, kernel_size=5, stride=1, padding=2, bias=True)
+        self.act0 = nn.Tanh()
+        self.avgpool1 = nn.AvgPool2d(kernel_size=2, stride=2, padding=0, ceil_mode=False, count_include_pad=True)
+        self.conv2 = nn.Conv2d(6, 16, kernel_size=5, stride=1, padding=0, bias=True)
+        self.act2 = nn.Tanh()
+        self.avgpool3 = nn.AvgPool2d(kernel_size=2, stride=2, padding=0, ceil_mode=False, count_include_pad=True)
+        self.flatten4 = nn.Flatten(start_dim=1, end_dim=-1)
+        self.fc5 = nn.Linear(400, 120, bias=True)
+        self.act5 = nn.Tanh()
+        self.fc6 = nn.Linear(120, 84, bias=True)
+        self.act6 = nn.Tanh()
+        self.fc7 = nn.Linear(84, 10, bias=True)
+
+    def forward(self, x):
+        x = self.conv0(x)
+        x = self.act0(x)
+        x = self.avgpool1(x)
+        x = self.conv2(x)
+        x = self.act2(x)
+        x = self.avgpool3(x)
+        x = self.flatten4(x)
+        x = self.fc5(x)
+        x = self.act5(x)
+        x = self.fc6(x)
+        x = self.act6(x)
+        x = self.fc7(x)
+        return x
+
+# Create the model
+model = NeuralNetwork()
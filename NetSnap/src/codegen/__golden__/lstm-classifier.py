@@ -0,0 +1,30 @@
+import torch
+import torch.nn as nn
+
+class NeuralNetwork(nn.Module):
+    def __init__(self):
+        super(NeuralNetwork, self).__init__()
+        self.embedding0 = nn.Embedding(20000, 100, padding_idx=0)
+        self.lstm1 = nn.LSTM(100, 128, num_layers=2, bias=True, batch_first=True, dropout=0.2, bidirectional=False)
+        self.ln2 = nn.LayerNorm(128, eps=0.00001, elementwise_affine=True, bias=True)
+        self.flatten3 = nn.Flatten(start_dim=1, end_dim=-1)
+        self.fc4 = nn.Linear(6400, 2, bias=True)
+        self.softmax5 = nn.Softmax(dim=-1)
+        self._init_weights()
+
+    def _init_weights(self):
+        for name, param in self.lstm1.named_parameters():
+            if 'weight' in name:
+                nn.init.orthogonal_(param)
+
+    def forward(self, x):
+        x = self.embedding0(x.long())
+        x, _ = self.lstm1(x)
+        x = self.ln2(x)
+        x = self.flatten3(x)
+        x = self.fc4(x)
+        x = self.softmax5(x)
+        return x
+
+# Create the model
+model = NeuralNetwork()
@@ -0,0 +1,26 @@
+import torch
+import torch.nn as nn
+
+class NeuralNetwork(nn.Module):
+    def __init__(self):
+        super(NeuralNetwork, self).__init__()
+        self.fc0 = nn.Linear(784, 256, bias=True)
+        self.act0 = nn.ReLU()
+        self.dropout1 = nn.Dropout(p=0.2, inplace=False)
+        self.fc2 = nn.Linear(256, 128, bias=True)
+        self.act2 = nn.ReLU()
+        self.dropout3 = nn.Dropout(p=0.2, inplace=False)
+        self.fc4 = nn.Linear(128, 10, bias=True)
+
+    def forward(self, x):
+        x = self.fc0(x)
+        x = self.act0(x)
+        x = self.dropout1(x)
+        x = self.fc2(x)
+        x = self.act2(x)
+        x = self.dropout3(x)
+        x = self.fc4(x)
+        return x
+
+# Create the model
+model = NeuralNetwork()
@@ -0,0 +1,88 @@
+import torch
+import torch.nn as nn
+
+class BasicBlock(nn.Module):
+    def __init__(self, in_channels, channels=64):
+        super(BasicBlock, self).__init__()
+        self.conv0 = nn.Conv2d(in_channels, channels, kernel_size=3, stride=1, padding=1, bias=False)
+        self.bn1 = nn.BatchNorm2d(channels, eps=0.00001, momentum=0.1, affine=True, track_running_stats=True)
+        self.relu2 = nn.ReLU(inplace=False)
+        self.conv3 = nn.Conv2d(channels, channels, kernel_size=3, stride=1, padding=1, bias=False)
+        self.bn4 = nn.BatchNorm2d(channels, eps=0.00001, momentum=0.1, affine=True, track_running_stats=True)
+        self.relu6 = nn.ReLU(inplace=False)
+
+    def forward(self, x):
+        x_in = x
+        x = self.conv0(x_in)
+        x = self.bn1(x)
+        x = self.relu2(x)
+        x = self.conv3(x)
+        x = self.bn4(x)
+        x = x + x_in
+        x = self.relu6(x)
+        return x
+
+class DownsampleBlock(nn.Module):
+    def __init__(self, in_channels, channels=128):
+        super(DownsampleBlock, self).__init__()
+        self.conv0 = nn.Conv2d(in_channels, channels, kernel_size=3, stride=2, padding=1, bias=False)
+        self.bn1 = nn.BatchNorm2d(channels, eps=0.00001, momentum=0.1, affine=True, track_running_stats=True)
+        self.relu2 = nn.ReLU(inplace=False)
+        self.conv3 = nn.Conv2d(channels, channels, kernel_size=3, stride=1, padding=1, bias=False)
+        self.bn4 = nn.BatchNorm2d(channels, eps=0.00001, momentum=0.1, affine=True, track_running_stats=True)
+        self.conv5 = nn.Conv2d(in_channels, channels, kernel_size=1, stride=2, padding=0, bias=False)
+        self.bn6 = nn.BatchNorm2d(channels, eps=0.00001, momentum=0.1, affine=True, track_running_stats=True)
+        self.relu8 = nn.ReLU(inplace=False)
+
+    def forward(self, x):
+        x_in = x
+        x = self.conv0(x_in)
+        x = self.bn1(x)
+        x = self.relu2(x)
+        x = self.conv3(x)
+        x4 = self.bn4(x)
+        x = self.conv5(x_in)
+        x = self.bn6(x)
+        x = x4 + x
+        x = self.relu8(x)
+        return x
+
+class NeuralNetwork(nn.Module):
+    def __init__(self):
+        super(NeuralNetwork, self).__init__()
+        self.conv0 = nn.Conv2d(3, 64, kernel_size=7, stride=2, padding=3, bias=False)
+        self.bn1 = nn.BatchNorm2d(64, eps=0.00001, momentum=0.1, affine=True, track_running_stats=True)
+        self.relu2 = nn.ReLU(inplace=False)
+        self.maxpool3 = nn.MaxPool2d(kernel_size=3, stride=2, padding=1, dilation=1, return_indices=False, ceil_mode=False)
+        self.block4 = BasicBlock(in_channels=64, channels=64)
+        self.block5 = BasicBlock(in_channels=64, channels=64)
+        self.block6 = DownsampleBlock(in_channels=64, channels=128)
+        self.block7 = BasicBlock(in_channels=128, channels=128)
+        self.block8 = DownsampleBlock(in_channels=128, channels=256)
+        self.block9 = BasicBlock(in_channels=256, channels=256)
+        self.block10 = DownsampleBlock(in_channels=256, channels=512)
+        self.block11 = BasicBlock(in_channels=512, channels=512)
+        self.avgpool12 = nn.AdaptiveAvgPool2d(1)
+        self.flatten13 = nn.Flatten(start_dim=1, end_dim=-1)
+        self.fc14 = nn.Linear(512, 1000, bias=True)
+
+    def forward(self, x):
+        x = self.conv0(x)
+        x = self.bn1(x)
+        x = self.relu2(x)
+        x = self.maxpool3(x)
+        x = self.block4(x)
+        x = self.block5(x)
+        x = self.block6(x)
+        x = self.block7(x)
+        x = self.block8(x)
+        x = self.block9(x)
+        x = self.block10(x)
+        x = self.block11(x)
+        x = self.avgpool12(x)
+        x = self.flatten13(x)
+        x = self.fc14(x)
+        return x
+
+# Create the model
+model = NeuralNetwork()
@@ -0,0 +1,52 @@
+import torch
+import torch.nn as nn
+
+class NeuralNetwork(nn.Module):
+    def __init__(self):
+        super(NeuralNetwork, self).__init__()
+        self.conv0 = nn.Conv2d(3, 64, kernel_size=3, stride=1, padding=1, bias=True)
+        self.act0 = nn.ReLU()
+        self.conv1 = nn.Conv2d(64, 64, kernel_size=3, stride=1, padding=1, bias=True)
+        self.act1 = nn.ReLU()
+        self.maxpool2 = nn.MaxPool2d(kernel_size=2, stride=2, padding=0, dilation=1, return_indices=False, ceil_mode=False)
+        self.conv3 = nn.Conv2d(64, 128, kernel_size=3, stride=1, padding=1, bias=True)
+        self.act3 = nn.ReLU()
+        self.conv4 = nn.Conv2d(128, 128, kernel_size=3, stride=1, padding=1, bias=True)
+        self.act4 = nn.ReLU()
+        self.maxpool5 = nn.MaxPool2d(kernel_size=2, stride=2, padding=0, dilation=1, return_indices=False, ceil_mode=False)
+        self.conv6 = nn.Conv2d(128, 256, kernel_size=3, stride=1, padding=1, bias=True)
+        self.act6 = nn.ReLU()
+        self.conv7 = nn.Conv2d(256, 256, kernel_size=3, stride=1, padding=1, bias=True)
+        self.act7 = nn.ReLU()
+        self.maxpool8 = nn.MaxPool2d(kernel_size=2, stride=2, padding=0, dilation=1, return_indices=False, ceil_mode=False)
+        self.flatten9 = nn.Flatten(start_dim=1, end_dim=-1)
+        self.fc10 = nn.Linear(4096, 512, bias=True)
+        self.act10 = nn.ReLU()
+        self.dropout11 = nn.Dropout(p=0.5, inplace=False)
+        self.fc12 = nn.Linear(512, 10, bias=True)
+
+    def forward(self, x):
+        x = self.conv0(x)
+        x = self.act0(x)
+        x = self.conv1(x)
+        x = self.act1(x)
+        x = self.maxpool2(x)
+        x = self.conv3(x)
+        x = self.act3(x)
+        x = self.conv4(x)
+        x = self.act4(x)
+        x = self.maxpool5(x)
+        x = self.conv6(x)
+        x = self.act6(x)
+        x = self.conv7(x)
+        x = self.act7(x)
+        x = self.maxpool8(x)
+        x = self.flatten9(x)
+        x = self.fc10(x)
+        x = self.act10(x)
+        x = self.dropout11(x)
+        x = self.fc12(x)
+        return x
+
+# Create the model
+model = NeuralNetwork()
@@ -0,0 +1,46 @@
+import torch
+import torch.nn as nn
+
+class EncoderLayer(nn.Module):
+    def __init__(self, in_features, d_model=64, num_heads=4, dim_feedforward=256, dropout=0.1):
+        super(EncoderLayer, self).__init__()
+        self.mha0 = nn.MultiheadAttention(embed_dim=in_features, num_heads=num_heads, dropout=dropout, bias=True, add_bias_kv=False, add_zero_attn=False, kdim=None, vdim=None, batch_first=True)
+        self.dropout1 = nn.Dropout(p=dropout, inplace=False)
+        self.ln3 = nn.LayerNorm(in_features, eps=0.00001, elementwise_affine=True, bias=True)
+        self.fc4 = nn.Linear(in_features, dim_feedforward, bias=True)
+        self.act4 = nn.ReLU()
+        self.dropout5 = nn.Dropout(p=dropout, inplace=False)
+        self.fc6 = nn.Linear(dim_feedforward, d_model, bias=True)
+        self.dropout7 = nn.Dropout(p=dropout, inplace=False)
+        self.ln9 = nn.LayerNorm(64, eps=0.00001, elementwise_affine=True, bias=True)
+
+    def forward(self, x):
+        x_in = x
+        x, _ = self.mha0(x_in, x_in, x_in)
+        x = self.dropout1(x)
+        x = x + x_in
+        x3 = self.ln3(x)
+        x = self.fc4(x3)
+        x = self.act4(x)
+        x = self.dropout5(x)
+        x = self.fc6(x)
+        x = self.dropout7(x)
+        x = x + x3
+        x = self.ln9(x)
+        return x
+
+class NeuralNetwork(nn.Module):
+    def __init__(self):
+        super(NeuralNetwork, self).__init__()
+        self.embedding0 = nn.Embedding(1000, 64)
+        self.block1 = EncoderLayer(in_features=64, d_model=64, num_heads=4, dim_feedforward=256, dropout=0.1)
+        self.block2 = EncoderLayer(in_features=64, d_model=64, num_heads=4, dim_feedforward=256, dropout=0.1)
+
+    def forward(self, x):
+        x = self.embedding0(x.long())
+        x = self.block1(x)
+        x = self.block2(x)
+        return x
+
+# Create the model
+model = NeuralNetwork()
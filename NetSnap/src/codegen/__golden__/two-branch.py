@@ -0,0 +1,32 @@
+import torch
+import torch.nn as nn
+
+class NeuralNetwork(nn.Module):
+    def __init__(self):
+        super(NeuralNetwork, self).__init__()
+        self.conv0 = nn.Conv2d(3, 16, kernel_size=3, stride=1, padding=1, bias=True)
+        self.act0 = nn.ReLU()
+        self.conv1 = nn.Conv2d(16, 16, kernel_size=1, stride=1, padding=0, bias=True)
+        self.act1 = nn.ReLU()
+        self.conv2 = nn.Conv2d(16, 16, kernel_size=5, stride=1, padding=2, bias=True)
+        self.act2 = nn.ReLU()
+        self.avgpool5 = nn.AdaptiveAvgPool2d(1)
+        self.flatten6 = nn.Flatten(start_dim=1, end_dim=-1)
+        self.fc7 = nn.Linear(32, 10, bias=True)
+
+    def forward(self, x):
+        x0 = self.conv0(x)
+        x0 = self.act0(x0)
+        x1 = self.conv1(x0)
+        x1 = self.act1(x1)
+        x = self.conv2(x0)
+        x = self.act2(x)
+        x = torch.cat([x1, x], dim=1)
+        x = x + x
+        x = self.avgpool5(x)
+        x = self.flatten6(x)
+        x = self.fc7(x)
+        return x
+
+# Create the model
+model = NeuralNetwork()
@@ -0,0 +1,14 @@
+// Code generator registry.
+// A generator turns the generateModel JSON into source code for one
+// framework: { id, label, fileName, generate(modelJSON) => string }.
+// Add new targets here and they show up as tabs on the model page.
+
+import { generatePyTorchCode } from './pytorch.js';
+import { generateKerasCode } from './keras.js';
+
+export const codeGenerators = [
+  { id: 'pytorch', label: 'PyTorch', fileName: 'model.py', generate: generatePyTorchCode },
+  { id: 'keras', label: 'Keras', fileName: 'model_keras.py', generate: generateKerasCode }
+];
+
+export const getCodeGenerator = (id) => codeGenerators.find(generator => generator.id === id);
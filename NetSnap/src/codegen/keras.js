@@ -0,0 +1,347 @@
+// Keras (TensorFlow) code generator.
+// The model is designed channels-first like PyTorch, but Keras convolutions run
+// channels-last, so image tensors ([C, H, W] in the model) become (H, W, C),
+// and likewise [C, L] and [C, D, H, W] for 1D and 3D convolutions. Every
+// tensor is tracked as either 'image' (channels-last) or 'plain' (same
+// dimension order as PyTorch), with Permute layers inserted where they meet.
+// Layers Keras cannot express make the exporter throw rather than write a
+// model with a different structure.
+
+import { INPUT_NODE_ID, getOutputLayers, getConsumers, assignForwardVariables, isMergeLayer } from '../graph.js';
+import { inferShapes } from '../shapeInference.js';
+import { flattenModel } from '../blocks.js';
+import { pyValue } from './python.js';
+
+const KERAS_ACTIVATIONS = { ReLU: 'relu', Sigmoid: 'sigmoid', Tanh: 'tanh', ELU: 'elu' };
+
+// Permute between layouts for a tensor of the given rank (without the batch
+// dimension), e.g. (2, 3, 1) and (3, 1, 2) for images
+const convertLayout = (from, to, rank) => {
+  if (from === to) return [];
+  const dims = Array.from({ length: rank }, (_, i) => i + 1);
+  const permutation = to === 'image' ? [...dims.slice(1), 1] : [rank, ...dims.slice(0, -1)];
+  return [`layers.Permute(${pyValue(permutation)})`];
+};
+
+// Convolution types and their number of spatial dimensions
+const CONV_DIMS = { Conv1d: 1, Conv2d: 2, Conv3d: 3 };
+
+// Activation as a constructor argument, or as a separate layer for LeakyReLU
+// (PyTorch's default negative slope is 0.01, Keras' is 0.3)
+const activation = (name) => {
+  if (name === 'LeakyReLU') return { argument: '', ops: ['layers.LeakyReLU(0.01)'] };
+  if (KERAS_ACTIVATIONS[name]) return { argument: `, activation='${KERAS_ACTIVATIONS[name]}'`, ops: [] };
+  return { argument: '', ops: [] };
+};
+
+// Keras only knows 'valid' and 'same', so other PyTorch paddings become ZeroPadding1D/2D/3D
+const convPadding = (settings, dims = 2) => {
+  const dilation = settings.dilation ?? 1;
+  if (settings.padding === 0) return { padding: 'valid', ops: [] };
+  if (settings.stride === 1 && 2 * settings.padding === dilation * (settings.kernel_size - 1)) {
+    return { padding: 'same', ops: [] };
+  }
+  return { padding: 'valid', ops: [`layers.ZeroPadding${dims}D(padding=${settings.padding})`] };
+};
+
+// Batched channels-first dim of a tensor of the given rank (without the
+// batch dimension) -> channels-last axis
+const imageAxis = (dim, rank) => {
+  const batched = dim < 0 ? rank + 1 + dim : dim;
+  if (batched === 0) return 0;
+  return batched === 1 ? rank : batched - 1;
+};
+
+// Keras momentum weighs the running average, PyTorch momentum weighs the new batch
+const batchNormalization = (settings, axis) =>
+  `layers.BatchNormalization(axis=${axis}, momentum=${Number((1 - settings.momentum).toFixed(10))}, epsilon=${settings.eps}, center=${pyValue(settings.affine)}, scale=${pyValue(settings.affine)})`;
+
+const runningStatsComments = (settings) => (settings.track_running_stats
+  ? []
+  : ['track_running_stats=False has no Keras equivalent; running statistics are always tracked']);
+
+// Keras layers for one model layer: { ops, layout, comments }. Each op is a
+// layer constructor expression applied to the previous op's output. Throws
+// for layers the Keras exporter cannot express.
+const layerOps = (layer, inputLayouts, inputShape, outputShape) => {
+  const { settings } = layer;
+  const inputLayout = inputLayouts[0];
+  const rank = inputShape?.length ?? 3;
+  const toImage = convertLayout(inputLayout, 'image', rank);
+  const toPlain = convertLayout(inputLayout, 'plain', rank);
+  switch (layer.type) {
+    case 'Linear': {
+      // Dense acts on the last axis, which is W (not C) for a PyTorch image tensor
+      const act = activation(settings.activation);
+      return {
+        ops: [...toPlain, `layers.Dense(${settings.out_features}, use_bias=${pyValue(settings.bias)}${act.argument})`, ...act.ops],
+        layout: 'plain',
+        comments: []
+      };
+    }
+    case 'Conv1d':
+    case 'Conv2d':
+    case 'Conv3d': {
+      const dims = CONV_DIMS[layer.type];
+      const act = activation(settings.activation);
+      const { padding, ops } = convPadding(settings, dims);
+      const dilation = settings.dilation ?? 1;
+      return {
+        ops: [
+          ...toImage,
+          ...ops,
+          `layers.Conv${dims}D(${settings.out_channels}, ${settings.kernel_size}, strides=${settings.stride}, padding='${padding}'${dilation !== 1 ? `, dilation_rate=${dilation}` : ''}, use_bias=${pyValue(settings.bias)}${act.argument})`,
+          ...act.ops
+        ],
+        layout: 'image',
+        comments: []
+      };
+    }
+    case 'ConvTranspose2d': {
+      // With 'valid' padding Keras matches PyTorch's output size for padding=0;
+      // PyTorch's padding then crops that many rows/columns from each side
+      const act = activation(settings.activation);
+      return {
+        ops: [
+          ...toImage,
+          `layers.Conv2DTranspose(${settings.out_channels}, ${settings.kernel_size}, strides=${settings.stride}, padding='valid', output_padding=${settings.output_padding}, use_bias=${pyValue(settings.bias)}${act.argument})`,
+          ...(settings.padding > 0 ? [`layers.Cropping2D(cropping=${settings.padding})`] : []),
+          ...act.ops
+        ],
+        layout: 'image',
+        comments: []
+      };
+    }
+    case 'BatchNorm1d':
+      // Channels are dim 1 of a plain [C] or [C, L] tensor, or last after a Conv1D
+      return {
+        ops: [batchNormalization(settings, inputLayout === 'image' ? -1 : 1)],
+        layout: inputLayout,
+        comments: runningStatsComments(settings)
+      };
+    case 'BatchNorm2d':
+      return {
+        ops: [...toImage, batchNormalization(settings, -1)],
+        layout: 'image',
+        comments: runningStatsComments(settings)
+      };
+    case 'GroupNorm':
+      return {
+        ops: [`layers.GroupNormalization(groups=${settings.num_groups}, axis=${inputLayout === 'image' ? -1 : 1}, epsilon=${settings.eps}, center=${pyValue(settings.affine)}, scale=${pyValue(settings.affine)})`],
+        layout: inputLayout,
+        comments: []
+      };
+    case 'Dropout':
+      return { ops: [`layers.Dropout(${settings.p})`], layout: inputLayout, comments: [] };
+    case 'MaxPool2d': {
+      const comments = [];
+      if (settings.padding > 0) {
+        comments.push('PyTorch pads max pooling with -inf; ZeroPadding2D pads with zeros');
+      }
+      if (settings.dilation !== 1) {
+        comments.push(`dilation=${settings.dilation} is not supported by MaxPooling2D and was dropped`);
+      }
+      if (settings.ceil_mode) {
+        comments.push('ceil_mode=True is not supported by MaxPooling2D; the output may be one row/column smaller');
+      }
+      return {
+        ops: [
+          ...toImage,
+          ...(settings.padding > 0 ? [`layers.ZeroPadding2D(padding=${settings.padding})`] : []),
+          `layers.MaxPooling2D(pool_size=${settings.kernel_size}, strides=${settings.stride})`
+        ],
+        layout: 'image',
+        comments
+      };
+    }
+    case 'AvgPool2d': {
+      const comments = [];
+      if (settings.padding > 0 && !settings.count_include_pad) {
+        comments.push('count_include_pad=False has no Keras equivalent; padded zeros are averaged in');
+      }
+      if (settings.ceil_mode) {
+        comments.push('ceil_mode=True is not supported by AveragePooling2D; the output may be one row/column smaller');
+      }
+      return {
+        ops: [
+          ...toImage,
+          ...(settings.padding > 0 ? [`layers.ZeroPadding2D(padding=${settings.padding})`] : []),
+          `layers.AveragePooling2D(pool_size=${settings.kernel_size}, strides=${settings.stride})`
+        ],
+        layout: 'image',
+        comments
+      };
+    }
+    case 'AdaptiveAvgPool2d': {
+      if (settings.output_size === 1) {
+        return { ops: [...toImage, 'layers.GlobalAveragePooling2D(keepdims=True)'], layout: 'image', comments: [] };
+      }
+      // Other sizes are a plain average pool when they divide the input evenly
+      const [, height, width] = inputShape ?? [];
+      if (!(height % settings.output_size === 0 && width % settings.output_size === 0)) {
+        throw new Error(`AdaptiveAvgPool2d to ${settings.output_size}x${settings.output_size} from ${height}x${width} is not supported by the Keras exporter (the input size must be a multiple of output_size)`);
+      }
+      const pool = pyValue([height / settings.output_size, width / settings.output_size]);
+      return { ops: [...toImage, `layers.AveragePooling2D(pool_size=${pool}, strides=${pool})`], layout: 'image', comments: [] };
+    }
+    case 'LayerNorm':
+      // Normalizes over the last axis, so image tensors are brought back to PyTorch order
+      return {
+        ops: [...toPlain, `layers.LayerNormalization(axis=-1, epsilon=${settings.eps}, center=${pyValue(settings.elementwise_affine && settings.bias)}, scale=${pyValue(settings.elementwise_affine)})`],
+        layout: 'plain',
+        comments: []
+      };
+    case 'Embedding':
+      return {
+        ops: [`layers.Embedding(${settings.num_embeddings}, ${settings.embedding_dim})`],
+        layout: 'plain',
+        comments: settings.padding_idx === null ? [] : ['padding_idx has no Keras equivalent; that row is trained like the others']
+      };
+    case 'LSTM':
+    case 'GRU': {
+      // PyTorch returns every time step, so each stacked layer returns sequences
+      const recurrent = (dropout) => `layers.${layer.type}(${settings.hidden_size}, return_sequences=True, use_bias=${pyValue(settings.bias)}${dropout ? `, dropout=${settings.dropout}` : ''})`;
+      const ops = Array.from({ length: settings.num_layers }, (_, i) => {
+        const op = recurrent(i > 0 && settings.dropout > 0);
+        return settings.bidirectional ? `layers.Bidirectional(${op})` : op;
+      });
+      return { ops: [...toPlain, ...ops], layout: 'plain', comments: [] };
+    }
+    case 'Identity':
+      return { ops: [], layout: inputLayout, comments: [] };
+    case 'GELU':
+      return {
+        ops: [settings.approximate === 'tanh' ? "layers.Activation(lambda x: tf.nn.gelu(x, approximate=True))" : "layers.Activation('gelu')"],
+        layout: inputLayout,
+        comments: []
+      };
+    case 'SiLU':
+      return { ops: ["layers.Activation('swish')"], layout: inputLayout, comments: [] };
+    case 'ReLU':
+      return { ops: ["layers.Activation('relu')"], layout: inputLayout, comments: [] };
+    case 'Softmax':
+      return {
+        ops: [`layers.Softmax(axis=${inputLayout === 'image' ? imageAxis(settings.dim, rank) : settings.dim})`],
+        layout: inputLayout,
+        comments: []
+      };
+    case 'Flatten': {
+      // Flatten in PyTorch order so Dense weights line up with the PyTorch model
+      const fullFlatten = settings.start_dim === 1 && (settings.end_dim === -1 || outputShape?.length === 1);
+      return {
+        ops: [...toPlain, fullFlatten ? 'layers.Flatten()' : `layers.Reshape(${pyValue(outputShape ?? [])})`],
+        layout: 'plain',
+        comments: []
+      };
+    }
+    case 'MultiheadAttention': {
+      const comments = [
+        ...(settings.add_bias_kv || settings.add_zero_attn ? ['add_bias_kv and add_zero_attn have no Keras equivalent'] : []),
+        ...(settings.key_padding_mask ? ['pass attention_mask to the layer call to mask padded keys'] : [])
+      ];
+      return {
+        ops: [`layers.MultiHeadAttention(num_heads=${settings.num_heads}, key_dim=${Math.floor(settings.embed_dim / settings.num_heads)}, dropout=${settings.dropout}, use_bias=${pyValue(settings.bias)})`],
+        layout: 'plain',
+        comments,
+        // Extra arguments of the (query, value) call
+        attention: settings.attn_mask === 'causal' ? ', use_causal_mask=True' : ''
+      };
+    }
+    case 'Add':
+      return { ops: ['layers.Add()'], layout: inputLayout, comments: [] };
+    case 'Multiply':
+      return { ops: ['layers.Multiply()'], layout: inputLayout, comments: [] };
+    case 'Concat':
+      return {
+        ops: [`layers.Concatenate(axis=${inputLayout === 'image' ? imageAxis(settings.dim, rank) : settings.dim})`],
+        layout: inputLayout,
+        comments: []
+      };
+    default:
+      throw new Error(`${layer.type} is not supported by the Keras exporter`);
+  }
+};
+
+// A plain chain (no branches, merges or attention) can be a Sequential model
+const isSequential = (layers) =>
+  [INPUT_NODE_ID, ...layers.map(layer => layer.id)].every(id => getConsumers(layers, id).length <= 1) &&
+  layers.every(layer => layer.inputs.length === 1 && !isMergeLayer(layer) && layer.type !== 'MultiheadAttention');
+
+// Generate a tf.keras model from the generateModel JSON. Throws for layers
+// Keras cannot express.
+export const generateKerasCode = (model) => {
+  // Keras gets the inner layers of blocks inline
+  const modelJSON = flattenModel(model);
+  const inputShape = modelJSON.input_dim;
+  const inputLayout = inputShape.length === 3 ? 'image' : 'plain';
+  const kerasInputShape = inputLayout === 'image'
+    ? [inputShape[1], inputShape[2], inputShape[0]]
+    : inputShape;
+  const shapes = inferShapes(inputShape, modelJSON.layers);
+
+  // Convert every layer, tracking the layout of each tensor
+  const layouts = { [INPUT_NODE_ID]: inputLayout };
+  const converted = modelJSON.layers.map((layer, index) => {
+    const inputLayouts = layer.inputs.map(id => layouts[id] ?? 'plain');
+    const result = layerOps(layer, inputLayouts, shapes[index].inputShape, shapes[index].outputShape);
+    layouts[layer.id] = result.layout;
+    return { layer, inputLayouts, rank: shapes[index].outputShape?.length ?? 3, ...result };
+  });
+
+  let code = `import tensorflow as tf\nfrom tensorflow.keras import layers\n`;
+  if (inputLayout === 'image') {
+    code += `\n# Keras is channels-last: the [C, H, W] input becomes (H, W, C)\n`;
+  }
+  if (modelJSON.batch_first === false) {
+    code += `\n# Keras is batch first: pass (batch, seq, features) where the PyTorch model takes (seq, batch, features)\n`;
+  }
+
+  if (isSequential(modelJSON.layers)) {
+    code += `\nmodel = tf.keras.Sequential([\n    tf.keras.Input(shape=${pyValue(kerasInputShape)}),\n`;
+    converted.forEach(({ layer, ops, comments }) => {
+      code += `    # ${layer.type}\n`;
+      comments.forEach(comment => {
+        code += `    # NOTE: ${comment}\n`;
+      });
+      ops.forEach(op => {
+        code += `    ${op},\n`;
+      });
+    });
+    code += `], name='neural_network')\n`;
+  } else {
+    // Functional API; the input tensor is kept in `inputs` so it is never overwritten
+    const { names } = assignForwardVariables(modelJSON.layers);
+    const variableFor = (id) => (id === INPUT_NODE_ID ? 'inputs' : names[id]);
+    code += `\ninputs = tf.keras.Input(shape=${pyValue(kerasInputShape)})\n`;
+    converted.forEach(({ layer, inputLayouts, rank, layout, ops, comments, attention }) => {
+      const out = variableFor(layer.id);
+      code += `# ${layer.type}\n`;
+      comments.forEach(comment => {
+        code += `# NOTE: ${comment}\n`;
+      });
+      if (isMergeLayer(layer)) {
+        // Bring every input into the merge's layout first
+        const inputs = layer.inputs.map((id, i) => {
+          const conversion = convertLayout(inputLayouts[i], layout, rank);
+          return conversion.length > 0 ? `${conversion[0]}(${variableFor(id)})` : variableFor(id);
+        });
+        code += `${out} = ${ops[0]}([${inputs.join(', ')}])\n`;
+        return;
+      }
+      let current = variableFor(layer.inputs[0]);
+      ops.forEach(op => {
+        code += attention !== undefined ? `${out} = ${op}(${current}, ${current}${attention})\n` : `${out} = ${op}(${current})\n`;
+        current = out;
+      });
+      if (ops.length === 0 && out !== current) {
+        code += `${out} = ${current}\n`;
+      }
+    });
+    const outputs = getOutputLayers(modelJSON.layers).map(layer => variableFor(layer.id));
+    const outputList = outputs.length === 0 ? 'inputs' : outputs.length === 1 ? outputs[0] : `[${outputs.join(', ')}]`;
+    code += `\nmodel = tf.keras.Model(inputs=inputs, outputs=${outputList}, name='neural_network')\n`;
+  }
+
+  code += `model.summary()\n`;
+  return code;
+};
@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import { layerTypes } from '../layerTypes.js';
+import { MERGE_TYPES } from '../graph.js';
+import { modelTemplates } from '../templates.js';
+import { exporterFor } from '../exportTestUtils.js';
+import { generateKerasCode } from './keras.js';
+
+const { generate, singleLayer } = exporterFor('keras');
+
+// The Sequential entries for one layer, including layout changes
+const layerLines = (code, type) => {
+  const lines = code.split('\n').map(line => line.trim());
+  const start = lines.indexOf(`# ${type}`);
+  const end = lines.findIndex((line, i) => i > start && (line.startsWith('# ') || line.startsWith(']')));
+  return lines.slice(start + 1, end);
+};
+
+// Keras layers for one layer with non-default settings
+const LAYER_CASES = {
+  Linear: { input: [20], settings: { out_features: 10, activation: 'Tanh' }, lines: ["layers.Dense(10, use_bias=True, activation='tanh'),"] },
+  Conv1d: {
+    input: [4, 100],
+    settings: { out_channels: 8, kernel_size: 5, stride: 2, padding: 1 },
+    lines: ['layers.Permute((2, 1)),', 'layers.ZeroPadding1D(padding=1),', "layers.Conv1D(8, 5, strides=2, padding='valid', use_bias=True, activation='relu'),"]
+  },
+  Conv2d: {
+    input: [3, 32, 32],
+    settings: { out_channels: 16, activation: 'LeakyReLU' },
+    lines: ["layers.Conv2D(16, 3, strides=1, padding='same', use_bias=True),", 'layers.LeakyReLU(0.01),']
+  },
+  Conv3d: {
+    input: [2, 8, 8, 8],
+    settings: { out_channels: 4, activation: 'None' },
+    lines: ['layers.Permute((2, 3, 4, 1)),', "layers.Conv3D(4, 3, strides=1, padding='same', use_bias=True),"]
+  },
+  ConvTranspose2d: {
+    input: [8, 16, 16],
+    settings: { out_channels: 4, kernel_size: 3, stride: 2, padding: 1, output_padding: 1, activation: 'None' },
+    lines: ["layers.Conv2DTranspose(4, 3, strides=2, padding='valid', output_padding=1, use_bias=True),", 'layers.Cropping2D(cropping=1),']
+  },
+  BatchNorm1d: { input: [32], settings: { momentum: 0.2 }, lines: ['layers.BatchNormalization(axis=1, momentum=0.8, epsilon=0.00001, center=True, scale=True),'] },
+  BatchNorm2d: { input: [16, 8, 8], settings: {}, lines: ['layers.BatchNormalization(axis=-1, momentum=0.9, epsilon=0.00001, center=True, scale=True),'] },
+  LayerNorm: { input: [10, 64], settings: {}, lines: ['layers.LayerNormalization(axis=-1, epsilon=0.00001, center=True, scale=True),'] },
+  GroupNorm: { input: [16, 8, 8], settings: { num_groups: 4 }, lines: ['layers.GroupNormalization(groups=4, axis=-1, epsilon=0.00001, center=True, scale=True),'] },
+  Dropout: { input: [20], settings: { p: 0.3 }, lines: ['layers.Dropout(0.3),'] },
+  MaxPool2d: { input: [3, 32, 32], settings: {}, lines: ['layers.MaxPooling2D(pool_size=2, strides=2),'] },
+  AvgPool2d: { input: [3, 32, 32], settings: {}, lines: ['layers.AveragePooling2D(pool_size=2, strides=2),'] },
+  AdaptiveAvgPool2d: { input: [64, 7, 7], settings: {}, lines: ['layers.GlobalAveragePooling2D(keepdims=True),'] },
+  Flatten: { input: [16, 4, 4], settings: {}, lines: ['layers.Permute((3, 1, 2)),', 'layers.Flatten(),'] },
+  Identity: { input: [20], settings: {}, lines: [] },
+  Embedding: { input: [12], settings: { num_embeddings: 1000, embedding_dim: 64 }, lines: ['layers.Embedding(1000, 64),'] },
+  LSTM: { input: [20, 32], settings: { hidden_size: 64, bidirectional: true }, lines: ['layers.Bidirectional(layers.LSTM(64, return_sequences=True, use_bias=True)),'] },
+  GRU: { input: [20, 32], settings: { hidden_size: 16 }, lines: ['layers.GRU(16, return_sequences=True, use_bias=True),'] },
+  GELU: { input: [20], settings: {}, lines: ["layers.Activation('gelu'),"] },
+  SiLU: { input: [20], settings: {}, lines: ["layers.Activation('swish'),"] },
+  ReLU: { input: [20], settings: {}, lines: ["layers.Activation('relu'),"] },
+  Softmax: { input: [2, 8, 8, 8], settings: { dim: 1 }, lines: ['layers.Softmax(axis=1),'] }
+};
+
+describe('Keras code for each layer type', () => {
+  // MultiheadAttention needs the functional API, which the merge tests cover
+  const types = layerTypes.map(layerType => layerType.type)
+    .filter(type => !MERGE_TYPES.includes(type) && type !== 'MultiheadAttention');
+
+  it.each(types)('%s', (type) => {
+    const testCase = LAYER_CASES[type];
+    expect(testCase, `no Keras test case for ${type}`).toBeDefined();
+    expect(layerLines(singleLayer(type, testCase.input, testCase.settings), type)).toEqual(testCase.lines);
+  });
+
+  it('maps channel dims of image tensors to the last axis', () => {
+    const code = generate({
+      input_dim: [2, 8, 8, 8],
+      layers: [
+        { id: 1, type: 'Conv3d', inputs: ['input'], settings: { out_channels: 4 } },
+        { id: 2, type: 'Softmax', inputs: [1], settings: { dim: 1 } }
+      ]
+    });
+    expect(layerLines(code, 'Softmax')).toEqual(['layers.Softmax(axis=4),']);
+  });
+
+  it('pools to other sizes that divide the input evenly', () => {
+    expect(layerLines(singleLayer('AdaptiveAvgPool2d', [8, 16, 16], { output_size: 4 }), 'AdaptiveAvgPool2d'))
+      .toEqual(['layers.AveragePooling2D(pool_size=(4, 4), strides=(4, 4)),']);
+    expect(() => singleLayer('AdaptiveAvgPool2d', [8, 7, 7], { output_size: 3 })).toThrow('not supported by the Keras exporter');
+  });
+
+  it('builds seq-first sequence layers like batch-first ones', () => {
+    expect(layerLines(singleLayer('GRU', [20, 32], { hidden_size: 16, batch_first: false }), 'GRU'))
+      .toEqual(LAYER_CASES.GRU.lines);
+  });
+
+  it('notes that Keras takes the input of a batch_first: false model batch first', () => {
+    const code = generate({ input_dim: [20, 32], batch_first: false, layers: [{ id: 1, type: 'LSTM', inputs: ['input'], settings: {} }] });
+    expect(code).toContain('# Keras is batch first: pass (batch, seq, features)');
+  });
+
+  it('throws for layers it cannot express', () => {
+    const model = { version: 2, input_dim: [20], blocks: {}, layers: [{ id: 1, type: 'Mystery', inputs: ['input'], settings: {} }] };
+    expect(() => generateKerasCode(model)).toThrow('Mystery is not supported by the Keras exporter');
+  });
+});
+
+describe('Keras code for templates', () => {
+  it.each(modelTemplates.map(template => [template.name, template]))('%s', (name, template) => {
+    expect(() => generate(template.model)).not.toThrow();
+  });
+
+  it('keeps the global pool of ResNet-18 before its classifier', () => {
+    const code = generate(modelTemplates.find(template => template.name === 'ResNet-18').model);
+    const lines = code.split('\n');
+    const pool = lines.findIndex(line => line.includes('GlobalAveragePooling2D(keepdims=True)'));
+    expect(pool).toBeGreaterThan(-1);
+    expect(lines.findIndex(line => line.includes('layers.Dense(1000'))).toBeGreaterThan(pool);
+  });
+});
@@ -0,0 +1,15 @@
+// Helpers shared by the Python code generators
+
+// Python source to emit as-is in place of a setting value, e.g. an argument name
+export const pyCode = (code) => ({ pyCode: code });
+
+// Format a JS setting value as a Python literal
+export const pyValue = (value) => {
+  if (value?.pyCode) return value.pyCode;
+  if (value === true) return 'True';
+  if (value === false) return 'False';
+  if (value === null || value === undefined) return 'None';
+  if (typeof value === 'string') return `'${value}'`;
+  if (Array.isArray(value)) return `(${value.map(pyValue).join(', ')}${value.length === 1 ? ',' : ''})`;
+  return String(value);
+};
@@ -0,0 +1,354 @@
+// PyTorch code generator.
+// Composite blocks become nn.Module subclasses of their own, emitted before
+// the model and instantiated like any other layer.
+
+import { INPUT_NODE_ID, getOutputLayers, assignForwardVariables, topologicalSort } from '../graph.js';
+import { inferShapes, isAutoSetting } from '../shapeInference.js';
+import { expandBlocks, resolveBlockLayers } from '../blocks.js';
+import { pyValue, pyCode } from './python.js';
+
+const CONV_TYPES = ['Conv1d', 'Conv2d', 'Conv3d', 'ConvTranspose2d'];
+
+// Attention layers with a key padding mask take it as an extra forward() argument
+const usesPaddingMask = (layer) => layer.type === 'MultiheadAttention' && layer.settings.key_padding_mask === true;
+
+// Attribute prefix of the module holding each type's parameters, as named below
+const PARAMETER_MODULES = {
+  Linear: 'fc', Conv1d: 'conv', Conv2d: 'conv', Conv3d: 'conv', ConvTranspose2d: 'conv',
+  BatchNorm1d: 'bn', BatchNorm2d: 'bn', LayerNorm: 'ln', GroupNorm: 'gn',
+  Embedding: 'embedding', LSTM: 'lstm', GRU: 'gru', MultiheadAttention: 'mha'
+};
+
+// Kaiming gain for the activation of a Linear or convolution layer; ReLU otherwise
+const KAIMING_NONLINEARITIES = {
+  LeakyReLU: "a=0.01, nonlinearity='leaky_relu'",
+  Tanh: "nonlinearity='tanh'",
+  Sigmoid: "nonlinearity='sigmoid'"
+};
+
+const weightInitCall = (scheme, tensor, activation) => (scheme.startsWith('kaiming')
+  ? `nn.init.${scheme}_(${tensor}, ${KAIMING_NONLINEARITIES[activation] ?? "nonlinearity='relu'"})`
+  : `nn.init.${scheme}_(${tensor})`);
+
+// _init_weights lines for a layer's init scheme, the layer living in self.<name>
+const initLines = (layer, name) => {
+  const { weight, bias } = layer.init;
+  const module = `self.${name}`;
+  // Recurrent and attention layers hold several weight and bias tensors
+  if (['LSTM', 'GRU', 'MultiheadAttention'].includes(layer.type)) {
+    const branches = [
+      ...(weight ? [["'weight' in name", weightInitCall(weight, 'param')]] : []),
+      ...(bias !== undefined ? [["'bias' in name", `nn.init.constant_(param, ${pyValue(bias)})`]] : [])
+    ];
+    return [
+      `for name, param in ${module}.named_parameters():`,
+      ...branches.flatMap(([condition, call], i) => [`    ${i === 0 ? 'if' : 'elif'} ${condition}:`, `        ${call}`])
+    ];
+  }
+  const lines = weight ? [weightInitCall(weight, `${module}.weight`, layer.settings.activation)] : [];
+  if (weight && layer.type === 'Embedding' && layer.settings.padding_idx !== null) {
+    // Keep the padding row at zero, as nn.Embedding creates it
+    lines.push('with torch.no_grad():', `    ${module}.weight[${pyValue(layer.settings.padding_idx)}].zero_()`);
+  }
+  if (bias !== undefined && layer.settings.bias !== false) {
+    const call = `nn.init.constant_(${module}.bias, ${pyValue(bias)})`;
+    // A bias bound to a block parameter may be turned off
+    lines.push(...(layer.settings.bias === true ? [call] : [`if ${module}.bias is not None:`, `    ${call}`]));
+  }
+  return lines;
+};
+
+// Sequences in the design are batch first. A sequence layer built with
+// batch_first=False is fed and read transposed; a batch_first bound to a
+// block parameter is checked on the module at run time.
+const sequenceLayout = (module, x, out, batchFirst) => {
+  if (batchFirst === true) return { input: x, before: [], after: [] };
+  if (batchFirst === false) {
+    return {
+      input: out,
+      before: [`# ${module.slice('self.'.length)} takes (seq, batch, features)`, `${out} = ${x}.transpose(0, 1)`],
+      after: [`${out} = ${out}.transpose(0, 1)`]
+    };
+  }
+  return {
+    input: out,
+    before: [`${out} = ${x} if ${module}.batch_first else ${x}.transpose(0, 1)`],
+    after: [`if not ${module}.batch_first:`, `    ${out} = ${out}.transpose(0, 1)`]
+  };
+};
+
+// Class and forward code for a graph of topologically sorted layers.
+// `blockArguments` maps a block instance id to its constructor arguments;
+// instances of `maskedBlocks` get the key padding mask passed on. Without
+// `batchFirst` the module takes and returns sequences as (seq, batch,
+// features); `sequenceOutputs` are the ids of the outputs to transpose back.
+const generateModule = (className, parameters, layers, blockArguments, maskedBlocks = [], batchFirst = true, sequenceOutputs = []) => {
+  let classDefinition = `\nclass ${className}(nn.Module):\n    def __init__(self${parameters.map(parameter => `, ${parameter}`).join('')}):\n        super(${className}, self).__init__()\n`;
+  const paddingMask = layers.some(layer => usesPaddingMask(layer) || maskedBlocks.includes(layer.type));
+  let forwardMethod = `\n    def forward(self, x${paddingMask ? ', key_padding_mask=None' : ''}):\n`;
+  
+  // Values that feed more than the next layer are kept in their own variables
+  const { inputVariable, names } = assignForwardVariables(layers);
+  const variableFor = (id) => (id === INPUT_NODE_ID ? inputVariable : names[id]);
+  const forwardLines = (lines) => lines.map(line => `        ${line}\n`).join('');
+  if (!batchFirst) {
+    forwardMethod += `        # The layers work batch first\n        x = x.transpose(0, 1)\n`;
+  }
+  if (inputVariable !== 'x') {
+    forwardMethod += `        ${inputVariable} = x\n`;
+  }
+  
+  // Add layers to the class definition
+  layers.forEach((layer, index) => {
+    const x = variableFor(layer.inputs[0]);
+    const out = names[layer.id];
+    const py = (key) => pyValue(layer.settings[key]);
+    if (layer.type === 'Linear') {
+      classDefinition += `        self.fc${index} = nn.Linear(${py('in_features')}, ${py('out_features')}, bias=${py('bias')})\n`;
+      if (layer.settings.activation !== 'None') {
+        classDefinition += `        self.act${index} = nn.${layer.settings.activation}()\n`;
+      }
+      
+      forwardMethod += `        ${out} = self.fc${index}(${x})\n`;
+      if (layer.settings.activation !== 'None') {
+        forwardMethod += `        ${out} = self.act${index}(${out})\n`;
+      }
+    } else if (CONV_TYPES.includes(layer.type)) {
+      const outputPadding = layer.type === 'ConvTranspose2d' ? `, output_padding=${py('output_padding')}` : '';
+      classDefinition += `        self.conv${index} = nn.${layer.type}(${py('in_channels')}, ${py('out_channels')}, kernel_size=${py('kernel_size')}, stride=${py('stride')}, padding=${py('padding')}${outputPadding}, bias=${py('bias')})\n`;
+      if (layer.settings.activation !== 'None') {
+        classDefinition += `        self.act${index} = nn.${layer.settings.activation}()\n`;
+      }
+      
+      forwardMethod += `        ${out} = self.conv${index}(${x})\n`;
+      if (layer.settings.activation !== 'None') {
+        forwardMethod += `        ${out} = self.act${index}(${out})\n`;
+      }
+    } else if (layer.type === 'BatchNorm1d' || layer.type === 'BatchNorm2d') {
+      classDefinition += `        self.bn${index} = nn.${layer.type}(${py('num_features')}, eps=${py('eps')}, momentum=${py('momentum')}, affine=${py('affine')}, track_running_stats=${py('track_running_stats')})\n`;
+      forwardMethod += `        ${out} = self.bn${index}(${x})\n`;
+    } else if (layer.type === 'Dropout') {
+      classDefinition += `        self.dropout${index} = nn.Dropout(p=${py('p')}, inplace=${py('inplace')})\n`;
+      forwardMethod += `        ${out} = self.dropout${index}(${x})\n`;
+    } else if (layer.type === 'MaxPool2d') {
+      classDefinition += `        self.maxpool${index} = nn.MaxPool2d(kernel_size=${py('kernel_size')}, stride=${py('stride')}, padding=${py('padding')}, dilation=${py('dilation')}, return_indices=${py('return_indices')}, ceil_mode=${py('ceil_mode')})\n`;
+      // With return_indices the layer returns (output, indices); pass the output on
+      forwardMethod += `        ${out}${layer.settings.return_indices === true ? ', _' : ''} = self.maxpool${index}(${x})\n`;
+    } else if (layer.type === 'AvgPool2d') {
+      classDefinition += `        self.avgpool${index} = nn.AvgPool2d(kernel_size=${py('kernel_size')}, stride=${py('stride')}, padding=${py('padding')}, ceil_mode=${py('ceil_mode')}, count_include_pad=${py('count_include_pad')})\n`;
+      forwardMethod += `        ${out} = self.avgpool${index}(${x})\n`;
+    } else if (layer.type === 'AdaptiveAvgPool2d') {
+      classDefinition += `        self.avgpool${index} = nn.AdaptiveAvgPool2d(${py('output_size')})\n`;
+      forwardMethod += `        ${out} = self.avgpool${index}(${x})\n`;
+    } else if (layer.type === 'LayerNorm') {
+      classDefinition += `        self.ln${index} = nn.LayerNorm(${py('normalized_shape')}, eps=${py('eps')}, elementwise_affine=${py('elementwise_affine')}, bias=${py('bias')})\n`;
+      forwardMethod += `        ${out} = self.ln${index}(${x})\n`;
+    } else if (layer.type === 'GroupNorm') {
+      classDefinition += `        self.gn${index} = nn.GroupNorm(${py('num_groups')}, ${py('num_channels')}, eps=${py('eps')}, affine=${py('affine')})\n`;
+      forwardMethod += `        ${out} = self.gn${index}(${x})\n`;
+    } else if (layer.type === 'Embedding') {
+      const paddingIdx = layer.settings.padding_idx !== null ? `, padding_idx=${py('padding_idx')}` : '';
+      classDefinition += `        self.embedding${index} = nn.Embedding(${py('num_embeddings')}, ${py('embedding_dim')}${paddingIdx})\n`;
+      // Embeddings look up integer token ids
+      forwardMethod += `        ${out} = self.embedding${index}(${x}.long())\n`;
+    } else if (layer.type === 'LSTM' || layer.type === 'GRU') {
+      const name = `${layer.type.toLowerCase()}${index}`;
+      classDefinition += `        self.${name} = nn.${layer.type}(${py('input_size')}, ${py('hidden_size')}, num_layers=${py('num_layers')}, bias=${py('bias')}, batch_first=${py('batch_first')}, dropout=${py('dropout')}, bidirectional=${py('bidirectional')})\n`;
+      // Keep the output sequence and drop the final hidden state
+      const layout = sequenceLayout(`self.${name}`, x, out, layer.settings.batch_first);
+      forwardMethod += forwardLines([...layout.before, `${out}, _ = self.${name}(${layout.input})`, ...layout.after]);
+    } else if (layer.type === 'Identity') {
+      classDefinition += `        self.identity${index} = nn.Identity()\n`;
+      forwardMethod += `        ${out} = self.identity${index}(${x})\n`;
+    } else if (layer.type === 'GELU') {
+      classDefinition += `        self.gelu${index} = nn.GELU(approximate=${py('approximate')})\n`;
+      forwardMethod += `        ${out} = self.gelu${index}(${x})\n`;
+    } else if (layer.type === 'SiLU') {
+      classDefinition += `        self.silu${index} = nn.SiLU(inplace=${py('inplace')})\n`;
+      forwardMethod += `        ${out} = self.silu${index}(${x})\n`;
+    } else if (layer.type === 'ReLU') {
+      classDefinition += `        self.relu${index} = nn.ReLU(inplace=${py('inplace')})\n`;
+      forwardMethod += `        ${out} = self.relu${index}(${x})\n`;
+    } else if (layer.type === 'Softmax') {
+      classDefinition += `        self.softmax${index} = nn.Softmax(dim=${py('dim')})\n`;
+      forwardMethod += `        ${out} = self.softmax${index}(${x})\n`;
+    } else if (layer.type === 'Flatten') {
+      classDefinition += `        self.flatten${index} = nn.Flatten(start_dim=${py('start_dim')}, end_dim=${py('end_dim')})\n`;
+      forwardMethod += `        ${out} = self.flatten${index}(${x})\n`;
+    } else if (layer.type === 'MultiheadAttention') {
+      classDefinition += `        self.mha${index} = nn.MultiheadAttention(embed_dim=${py('embed_dim')}, num_heads=${py('num_heads')}, dropout=${py('dropout')}, bias=${py('bias')}, add_bias_kv=${py('add_bias_kv')}, add_zero_attn=${py('add_zero_attn')}, kdim=${py('kdim')}, vdim=${py('vdim')}, batch_first=${py('batch_first')})\n`;
+      // Self-attention: the input is query, key and value
+      const maskArguments = [];
+      if (layer.settings.attn_mask === 'causal') {
+        forwardMethod += `        mask${index} = nn.Transformer.generate_square_subsequent_mask(${x}.size(1), device=${x}.device)\n`;
+        maskArguments.push(`attn_mask=mask${index}`);
+      }
+      if (usesPaddingMask(layer)) {
+        maskArguments.push('key_padding_mask=key_padding_mask');
+      }
+      const layout = sequenceLayout(`self.mha${index}`, x, out, layer.settings.batch_first);
+      const { input } = layout;
+      forwardMethod += forwardLines([...layout.before, `${out}, _ = self.mha${index}(${[input, input, input, ...maskArguments].join(', ')})`, ...layout.after]);
+    } else if (layer.type === 'Add') {
+      forwardMethod += `        ${out} = ${layer.inputs.map(variableFor).join(' + ')}\n`;
+    } else if (layer.type === 'Multiply') {
+      forwardMethod += `        ${out} = ${layer.inputs.map(variableFor).join(' * ')}\n`;
+    } else if (layer.type === 'Concat') {
+      forwardMethod += `        ${out} = torch.cat([${layer.inputs.map(variableFor).join(', ')}], dim=${py('dim')})\n`;
+    } else if (blockArguments[layer.id]) {
+      classDefinition += `        self.block${index} = ${layer.type}(${blockArguments[layer.id]})\n`;
+      const maskArgument = maskedBlocks.includes(layer.type) ? ', key_padding_mask=key_padding_mask' : '';
+      forwardMethod += `        ${out} = self.block${index}(${x}${maskArgument})\n`;
+    }
+  });
+  
+  // Weight initialization schemes and frozen layers
+  const moduleName = (layer, index) => {
+    if (blockArguments[layer.id]) return `block${index}`;
+    return PARAMETER_MODULES[layer.type] ? `${PARAMETER_MODULES[layer.type]}${index}` : null;
+  };
+  const initialized = layers.flatMap((layer, index) =>
+    (layer.init && PARAMETER_MODULES[layer.type] ? initLines(layer, moduleName(layer, index)) : []));
+  let initMethod = '';
+  if (initialized.length > 0) {
+    classDefinition += `        self._init_weights()\n`;
+    initMethod = `\n    def _init_weights(self):\n${initialized.map(line => `        ${line}\n`).join('')}`;
+  }
+  layers.forEach((layer, index) => {
+    const name = moduleName(layer, index);
+    if (!layer.frozen || !name) return;
+    if (layer.type.startsWith('BatchNorm') && layer.settings.track_running_stats !== false) {
+      classDefinition += `        # Frozen, but the running statistics still update in train mode\n`;
+    }
+    classDefinition += `        self.${name}.requires_grad_(False)\n`;
+  });
+  
+  // Return every output; validation only allows one, but keep the code faithful
+  const outputs = getOutputLayers(layers)
+    .map(layer => (sequenceOutputs.includes(layer.id) ? `${names[layer.id]}.transpose(0, 1)` : names[layer.id]));
+  forwardMethod += `        return ${outputs.length > 0 ? outputs.join(', ') : inputVariable}\n`;
+  
+  return classDefinition + initMethod + forwardMethod;
+};
+
+// Arguments that stand in for the block input's size: channels first for
+// [C, ...] inputs, features last
+const inputArguments = (shape) => [
+  ...(shape.length > 1 ? [{ name: 'in_channels', dim: 0 }] : []),
+  { name: 'in_features', dim: shape.length - 1 }
+];
+
+// One class serves every instance of a block, so each auto setting of an
+// inner layer (in_channels, num_features, ...) is written in terms of the
+// class arguments: an input size or a numeric parameter it equals, and still
+// equals when that argument is doubled. Otherwise it is a literal if every
+// instance agrees, or an extra argument. Returns the class parameters and
+// each instance's constructor arguments.
+const generateBlock = (name, definition, instances) => {
+  const numericParams = Object.keys(definition.params)
+    .filter(param => instances.every(({ values }) => typeof values[param] === 'number'));
+  const candidates = [
+    ...inputArguments(instances[0].inputShape).map(({ name: argument, dim }) => ({
+      name: argument,
+      kind: 'input',
+      valueFor: ({ inputShape }) => inputShape[dim],
+      doubled: ({ values, inputShape }) => ({ values, inputShape: inputShape.map((size, i) => (i === dim ? 2 * size : size)) })
+    })),
+    ...numericParams.map(param => ({
+      name: param,
+      kind: 'param',
+      valueFor: ({ values }) => values[param],
+      doubled: ({ values, inputShape }) => ({ values: { ...values, [param]: 2 * values[param] }, inputShape })
+    }))
+  ];
+  const resolve = ({ values, inputShape }) => resolveBlockLayers(definition, values, inputShape);
+  const resolved = instances.map(resolve);
+  const variants = candidates.map(candidate => instances.map(instance => resolve(candidate.doubled(instance))));
+
+  const usedInputs = new Set();
+  const extraArguments = [];
+  const layers = definition.layers.map((layer, i) => {
+    const settings = { ...layer.settings };
+    definition.bindings
+      .filter(binding => binding.layer === layer.id)
+      .forEach(binding => {
+        settings[binding.setting] = pyCode(binding.param);
+      });
+    Object.keys(settings).filter(key => isAutoSetting(layer.type, key)).forEach(key => {
+      const valuesFor = (layerSets) => layerSets.map(innerLayers => innerLayers[i].settings[key]);
+      const actual = valuesFor(resolved);
+      const match = candidates.findIndex((candidate, c) => {
+        const doubled = valuesFor(variants[c]);
+        return instances.every((instance, k) =>
+          actual[k] === candidate.valueFor(instance) && doubled[k] === 2 * candidate.valueFor(instance));
+      });
+      if (match !== -1) {
+        settings[key] = pyCode(candidates[match].name);
+        if (candidates[match].kind === 'input') usedInputs.add(candidates[match].name);
+      } else if (actual.every(value => value === actual[0])) {
+        settings[key] = actual[0];
+      } else {
+        const argument = `${key}${i}`;
+        extraArguments.push({ name: argument, values: actual });
+        settings[key] = pyCode(argument);
+      }
+    });
+    return { ...layer, settings };
+  });
+
+  const inputs = candidates.filter(candidate => usedInputs.has(candidate.name));
+  const parameters = [
+    ...inputs.map(candidate => candidate.name),
+    ...extraArguments.map(argument => argument.name),
+    ...Object.entries(definition.params).map(([param, value]) => `${param}=${pyValue(value)}`)
+  ];
+  const callArguments = instances.map((instance, k) => [
+    ...inputs.map(candidate => `${candidate.name}=${candidate.valueFor(instance)}`),
+    ...extraArguments.map(argument => `${argument.name}=${argument.values[k]}`),
+    ...Object.keys(definition.params).map(param => `${param}=${pyValue(instance.values[param])}`)
+  ].join(', '));
+  return { code: generateModule(name, parameters, topologicalSort(layers), {}), callArguments };
+};
+
+// Generate a PyTorch nn.Module from the generateModel JSON
+export const generatePyTorchCode = (modelJSON) => {
+  let imports = `import torch\nimport torch.nn as nn\n`;
+  const blocks = modelJSON.blocks ?? {};
+  
+  // Input shape of every block instance, from the expanded model
+  const expansion = expandBlocks(modelJSON.layers, blocks);
+  const flatShapes = inferShapes(modelJSON.input_dim, expansion.layers);
+  const outputShapes = { [INPUT_NODE_ID]: modelJSON.input_dim };
+  expansion.layers.forEach((layer, index) => {
+    outputShapes[layer.id] = flatShapes[index].outputShape;
+  });
+  
+  let blockClasses = '';
+  const blockArguments = {};
+  Object.entries(blocks).forEach(([name, definition]) => {
+    const instances = modelJSON.layers
+      .filter(layer => layer.type === name)
+      .map(layer => ({ layer, values: { ...definition.params, ...layer.settings }, inputShape: outputShapes[layer.inputs[0]] }));
+    // Sizes are unknown until every instance is connected and valid
+    if (instances.length === 0 || instances.some(instance => !instance.inputShape)) return;
+    const { code, callArguments } = generateBlock(name, definition, instances);
+    blockClasses += code;
+    instances.forEach(({ layer }, k) => {
+      blockArguments[layer.id] = callArguments[k];
+    });
+  });
+  
+  const maskedBlocks = Object.keys(blocks).filter(name => blocks[name].layers.some(usesPaddingMask));
+  // A model with batch_first: false hands its sequence outputs back seq first
+  const batchFirst = modelJSON.batch_first ?? true;
+  const sequenceOutputs = batchFirst ? [] : getOutputLayers(modelJSON.layers)
+    .filter(layer => outputShapes[layer.id]?.length === 2)
+    .map(layer => layer.id);
+  const classDefinition = generateModule('NeuralNetwork', [], modelJSON.layers, blockArguments, maskedBlocks, batchFirst, sequenceOutputs);
+  
+  // Create the model instantiation code
+  const modelCreation = `\n# Create the model\nmodel = NeuralNetwork()\n`;
+  
+  // Combine everything
+  return imports + blockClasses + classDefinition + modelCreation;
+};
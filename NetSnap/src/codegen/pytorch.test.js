@@ -0,0 +1,397 @@
+import { describe, it, expect } from 'vitest';
+import { layerTypes } from '../layerTypes.js';
+import { MERGE_TYPES } from '../graph.js';
+import { modelTemplates } from '../templates.js';
+import { exporterFor } from '../exportTestUtils.js';
+
+const { generate, singleLayer } = exporterFor('pytorch');
+
+// Lines of __init__ (module) and forward() (forward) for one layer with
+// non-default settings, so a dropped or misspelled argument shows up
+const LAYER_CASES = {
+  Linear: {
+    input: [20],
+    settings: { out_features: 10, bias: false, activation: 'Tanh' },
+    module: ['self.fc0 = nn.Linear(20, 10, bias=False)', 'self.act0 = nn.Tanh()'],
+    forward: ['x = self.fc0(x)', 'x = self.act0(x)']
+  },
+  Conv1d: {
+    input: [4, 100],
+    settings: { out_channels: 8, kernel_size: 5, stride: 2, padding: 0, activation: 'None' },
+    module: ['self.conv0 = nn.Conv1d(4, 8, kernel_size=5, stride=2, padding=0, bias=True)'],
+    forward: ['x = self.conv0(x)']
+  },
+  Conv2d: {
+    input: [3, 32, 32],
+    settings: { out_channels: 16, kernel_size: 5, stride: 2, padding: 2, activation: 'LeakyReLU' },
+    module: ['self.conv0 = nn.Conv2d(3, 16, kernel_size=5, stride=2, padding=2, bias=True)', 'self.act0 = nn.LeakyReLU()'],
+    forward: ['x = self.conv0(x)', 'x = self.act0(x)']
+  },
+  Conv3d: {
+    input: [2, 8, 8, 8],
+    settings: { out_channels: 4, bias: false, activation: 'ELU' },
+    module: ['self.conv0 = nn.Conv3d(2, 4, kernel_size=3, stride=1, padding=1, bias=False)', 'self.act0 = nn.ELU()'],
+    forward: ['x = self.conv0(x)', 'x = self.act0(x)']
+  },
+  ConvTranspose2d: {
+    input: [8, 16, 16],
+    settings: { out_channels: 4, kernel_size: 3, stride: 2, padding: 1, output_padding: 1, activation: 'Sigmoid' },
+    module: [
+      'self.conv0 = nn.ConvTranspose2d(8, 4, kernel_size=3, stride=2, padding=1, output_padding=1, bias=True)',
+      'self.act0 = nn.Sigmoid()'
+    ],
+    forward: ['x = self.conv0(x)', 'x = self.act0(x)']
+  },
+  BatchNorm1d: {
+    input: [32],
+    settings: {},
+    module: ['self.bn0 = nn.BatchNorm1d(32, eps=0.00001, momentum=0.1, affine=True, track_running_stats=True)'],
+    forward: ['x = self.bn0(x)']
+  },
+  BatchNorm2d: {
+    input: [16, 8, 8],
+    settings: { eps: 0.001, momentum: 0.01, affine: false, track_running_stats: false },
+    module: ['self.bn0 = nn.BatchNorm2d(16, eps=0.001, momentum=0.01, affine=False, track_running_stats=False)'],
+    forward: ['x = self.bn0(x)']
+  },
+  LayerNorm: {
+    input: [10, 64],
+    settings: { eps: 0.000001, bias: false },
+    module: ['self.ln0 = nn.LayerNorm(64, eps=0.000001, elementwise_affine=True, bias=False)'],
+    forward: ['x = self.ln0(x)']
+  },
+  GroupNorm: {
+    input: [16, 8, 8],
+    settings: { num_groups: 4, affine: false },
+    module: ['self.gn0 = nn.GroupNorm(4, 16, eps=0.00001, affine=False)'],
+    forward: ['x = self.gn0(x)']
+  },
+  Dropout: {
+    input: [10],
+    settings: { p: 0.25, inplace: true },
+    module: ['self.dropout0 = nn.Dropout(p=0.25, inplace=True)'],
+    forward: ['x = self.dropout0(x)']
+  },
+  MaxPool2d: {
+    input: [3, 32, 32],
+    settings: { kernel_size: 3, stride: 2, padding: 1, dilation: 2, return_indices: true, ceil_mode: true },
+    module: ['self.maxpool0 = nn.MaxPool2d(kernel_size=3, stride=2, padding=1, dilation=2, return_indices=True, ceil_mode=True)'],
+    forward: ['x, _ = self.maxpool0(x)']
+  },
+  AvgPool2d: {
+    input: [3, 32, 32],
+    settings: { kernel_size: 4, stride: 4, ceil_mode: true, count_include_pad: false },
+    module: ['self.avgpool0 = nn.AvgPool2d(kernel_size=4, stride=4, padding=0, ceil_mode=True, count_include_pad=False)'],
+    forward: ['x = self.avgpool0(x)']
+  },
+  AdaptiveAvgPool2d: {
+    input: [3, 32, 32],
+    settings: { output_size: 7 },
+    module: ['self.avgpool0 = nn.AdaptiveAvgPool2d(7)'],
+    forward: ['x = self.avgpool0(x)']
+  },
+  Flatten: {
+    input: [4, 5, 6],
+    settings: { start_dim: 2 },
+    module: ['self.flatten0 = nn.Flatten(start_dim=2, end_dim=-1)'],
+    forward: ['x = self.flatten0(x)']
+  },
+  Identity: {
+    input: [10],
+    settings: {},
+    module: ['self.identity0 = nn.Identity()'],
+    forward: ['x = self.identity0(x)']
+  },
+  Embedding: {
+    input: [12],
+    settings: { num_embeddings: 5000, embedding_dim: 64, padding_idx: 0 },
+    module: ['self.embedding0 = nn.Embedding(5000, 64, padding_idx=0)'],
+    forward: ['x = self.embedding0(x.long())']
+  },
+  LSTM: {
+    input: [20, 32],
+    settings: { hidden_size: 64, num_layers: 2, dropout: 0.1, bidirectional: true },
+    module: ['self.lstm0 = nn.LSTM(32, 64, num_layers=2, bias=True, batch_first=True, dropout=0.1, bidirectional=True)'],
+    forward: ['x, _ = self.lstm0(x)']
+  },
+  GRU: {
+    input: [20, 32],
+    settings: { hidden_size: 16, bias: false, batch_first: false },
+    module: ['self.gru0 = nn.GRU(32, 16, num_layers=1, bias=False, batch_first=False, dropout=0, bidirectional=False)'],
+    forward: ['# gru0 takes (seq, batch, features)', 'x = x.transpose(0, 1)', 'x, _ = self.gru0(x)', 'x = x.transpose(0, 1)']
+  },
+  MultiheadAttention: {
+    input: [10, 64],
+    settings: { num_heads: 4, dropout: 0, attn_mask: 'causal' },
+    module: [
+      'self.mha0 = nn.MultiheadAttention(embed_dim=64, num_heads=4, dropout=0, bias=True, add_bias_kv=False, add_zero_attn=False, kdim=None, vdim=None, batch_first=True)'
+    ],
+    forward: [
+      'mask0 = nn.Transformer.generate_square_subsequent_mask(x.size(1), device=x.device)',
+      'x, _ = self.mha0(x, x, x, attn_mask=mask0)'
+    ]
+  },
+  GELU: {
+    input: [10],
+    settings: { approximate: 'tanh' },
+    module: ["self.gelu0 = nn.GELU(approximate='tanh')"],
+    forward: ['x = self.gelu0(x)']
+  },
+  SiLU: {
+    input: [10],
+    settings: { inplace: true },
+    module: ['self.silu0 = nn.SiLU(inplace=True)'],
+    forward: ['x = self.silu0(x)']
+  },
+  ReLU: {
+    input: [10],
+    settings: {},
+    module: ['self.relu0 = nn.ReLU(inplace=False)'],
+    forward: ['x = self.relu0(x)']
+  },
+  Softmax: {
+    input: [10, 5],
+    settings: { dim: 1 },
+    module: ['self.softmax0 = nn.Softmax(dim=1)'],
+    forward: ['x = self.softmax0(x)']
+  }
+};
+
+// The lines of one method, without indentation
+const methodLines = (code, header) => {
+  const body = code.split(header)[1].split('\n').slice(1);
+  const end = body.findIndex(line => !line.startsWith('        '));
+  return body.slice(0, end).map(line => line.trim());
+};
+
+describe('PyTorch code for each layer type', () => {
+  const singleInputTypes = layerTypes.map(layerType => layerType.type).filter(type => !MERGE_TYPES.includes(type));
+
+  it.each(singleInputTypes)('%s', (type) => {
+    const testCase = LAYER_CASES[type];
+    expect(testCase, `no test case for ${type}`).toBeDefined();
+    const code = singleLayer(type, testCase.input, testCase.settings);
+    const init = methodLines(code, 'def __init__(self):');
+    expect(init.slice(1)).toEqual(testCase.module);
+    expect(methodLines(code, 'def forward(self, x):')).toEqual([...testCase.forward, 'return x']);
+  });
+
+  it('leaves out the activation module for activation None', () => {
+    const code = singleLayer('Linear', [20], { out_features: 5, activation: 'None' });
+    expect(code).not.toContain('self.act0');
+  });
+
+  it('leaves out padding_idx when it is not set', () => {
+    expect(singleLayer('Embedding', [12])).toContain('self.embedding0 = nn.Embedding(10000, 128)\n');
+  });
+
+  it('passes a key padding mask through forward()', () => {
+    const code = singleLayer('MultiheadAttention', [10, 64], { key_padding_mask: true });
+    expect(code).toContain('def forward(self, x, key_padding_mask=None):');
+    expect(code).toContain('x, _ = self.mha0(x, x, x, key_padding_mask=key_padding_mask)');
+  });
+
+  it('unpacks MaxPool2d only when it returns indices', () => {
+    expect(singleLayer('MaxPool2d', [3, 32, 32])).toContain('        x = self.maxpool0(x)\n');
+  });
+});
+
+describe('PyTorch code for sequence layouts', () => {
+  it('transposes around a seq-first attention layer after taking its causal mask', () => {
+    const code = singleLayer('MultiheadAttention', [10, 64], { num_heads: 4, attn_mask: 'causal', batch_first: false });
+    expect(methodLines(code, 'def forward(self, x):')).toEqual([
+      'mask0 = nn.Transformer.generate_square_subsequent_mask(x.size(1), device=x.device)',
+      '# mha0 takes (seq, batch, features)',
+      'x = x.transpose(0, 1)',
+      'x, _ = self.mha0(x, x, x, attn_mask=mask0)',
+      'x = x.transpose(0, 1)',
+      'return x'
+    ]);
+  });
+
+  it('takes and returns sequences seq first for batch_first: false models', () => {
+    const code = generate({
+      input_dim: [20, 32],
+      batch_first: false,
+      layers: [
+        { id: 1, type: 'LSTM', inputs: ['input'], settings: { hidden_size: 64 } },
+        { id: 2, type: 'Linear', inputs: [1], settings: { out_features: 8, activation: 'None' } }
+      ]
+    });
+    expect(methodLines(code, 'def forward(self, x):')).toEqual([
+      '# The layers work batch first',
+      'x = x.transpose(0, 1)',
+      'x, _ = self.lstm0(x)',
+      'x = self.fc1(x)',
+      'return x.transpose(0, 1)'
+    ]);
+  });
+
+  it('returns outputs without a sequence axis as they are', () => {
+    const code = generate({
+      input_dim: [20, 32],
+      batch_first: false,
+      layers: [
+        { id: 1, type: 'GRU', inputs: ['input'], settings: { hidden_size: 16 } },
+        { id: 2, type: 'Flatten', inputs: [1] }
+      ]
+    });
+    expect(methodLines(code, 'def forward(self, x):').at(-1)).toBe('return x');
+  });
+});
+
+describe('PyTorch code for merge layers', () => {
+  // Two Linear branches from the input, merged by `type`
+  const branches = (type, settings = {}) => generate({
+    input_dim: [16],
+    layers: [
+      { id: 1, type: 'Linear', inputs: ['input'], settings: { out_features: 8 } },
+      { id: 2, type: 'Linear', inputs: ['input'], settings: { out_features: 8 } },
+      { id: 3, type, inputs: [1, 2], settings }
+    ]
+  });
+
+  it.each([
+    ['Add', {}, 'x = x0 + x'],
+    ['Multiply', {}, 'x = x0 * x'],
+    ['Concat', { dim: 1 }, 'x = torch.cat([x0, x], dim=1)']
+  ])('%s', (type, settings, line) => {
+    // The input and the first branch are kept in variables until the merge
+    expect(methodLines(branches(type, settings), 'def forward(self, x):')).toEqual([
+      'x_in = x',
+      'x0 = self.fc0(x_in)',
+      'x0 = self.act0(x0)',
+      'x = self.fc1(x_in)',
+      'x = self.act1(x)',
+      line,
+      'return x'
+    ]);
+  });
+});
+
+describe('PyTorch weight initialization and freezing', () => {
+  it('writes an _init_weights method for init schemes', () => {
+    const code = generate({
+      input_dim: [3, 32, 32],
+      layers: [
+        { id: 1, type: 'Conv2d', inputs: ['input'], settings: { activation: 'LeakyReLU' }, init: { weight: 'kaiming_normal', bias: 0 } },
+        { id: 2, type: 'Flatten', inputs: [1] },
+        { id: 3, type: 'Linear', inputs: [2], settings: { out_features: 10, activation: 'None' }, init: { weight: 'xavier_uniform' } }
+      ]
+    });
+    expect(methodLines(code, 'def __init__(self):')).toContain('self._init_weights()');
+    expect(methodLines(code, 'def _init_weights(self):')).toEqual([
+      "nn.init.kaiming_normal_(self.conv0.weight, a=0.01, nonlinearity='leaky_relu')",
+      'nn.init.constant_(self.conv0.bias, 0)',
+      'nn.init.xavier_uniform_(self.fc2.weight)'
+    ]);
+  });
+
+  it('initializes every weight and bias of recurrent layers', () => {
+    const code = singleLayer('LSTM', [20, 32], {}, { init: { weight: 'orthogonal', bias: 1 } });
+    expect(methodLines(code, 'def _init_weights(self):')).toEqual([
+      'for name, param in self.lstm0.named_parameters():',
+      "if 'weight' in name:",
+      'nn.init.orthogonal_(param)',
+      "elif 'bias' in name:",
+      'nn.init.constant_(param, 1)'
+    ]);
+  });
+
+  it('keeps the embedding padding row at zero', () => {
+    const code = singleLayer('Embedding', [12], { padding_idx: 0 }, { init: { weight: 'xavier_normal' } });
+    expect(methodLines(code, 'def _init_weights(self):')).toEqual([
+      'nn.init.xavier_normal_(self.embedding0.weight)',
+      'with torch.no_grad():',
+      'self.embedding0.weight[0].zero_()'
+    ]);
+  });
+
+  it('skips the bias init of a layer without bias', () => {
+    const code = singleLayer('Linear', [20], { bias: false }, { init: { bias: 0.1 } });
+    expect(code).not.toContain('_init_weights');
+  });
+
+  it('freezes layers with requires_grad_(False)', () => {
+    const code = singleLayer('BatchNorm1d', [32], {}, { frozen: true });
+    expect(methodLines(code, 'def __init__(self):').slice(-2)).toEqual([
+      '# Frozen, but the running statistics still update in train mode',
+      'self.bn0.requires_grad_(False)'
+    ]);
+  });
+
+  it('freezes block instances as a whole', () => {
+    const resnet = modelTemplates.find(template => template.id === 'resnet-18').model;
+    const firstBlock = resnet.layers.find(layer => layer.type === 'BasicBlock');
+    const code = generate({
+      ...resnet,
+      layers: resnet.layers.map(layer => (layer === firstBlock ? { ...layer, frozen: true } : layer))
+    });
+    expect(methodLines(code, 'def __init__(self):').at(-1)).toBe('self.block4.requires_grad_(False)');
+  });
+});
+
+describe('PyTorch code for blocks', () => {
+  it('builds encoder layers of any width', () => {
+    const transformer = modelTemplates.find(template => template.id === 'tiny-transformer').model;
+    const code = generate({
+      ...transformer,
+      layers: transformer.layers.map(layer => (layer.type === 'Embedding'
+        ? { ...layer, settings: { ...layer.settings, embedding_dim: 32 } }
+        : { ...layer, settings: { d_model: 32 } }))
+    });
+    expect(code).toContain('self.fc6 = nn.Linear(dim_feedforward, d_model, bias=True)');
+    expect(code).toContain('self.ln9 = nn.LayerNorm(32, ');
+    expect(code).toContain('self.block1 = EncoderLayer(in_features=32, d_model=32, ');
+  });
+});
+
+describe('Generated PyTorch modules', () => {
+  // Architectures beyond the templates: branches, init and freezing, sequences
+  const designs = {
+    'two-branch': {
+      input_dim: [3, 32, 32],
+      layers: [
+        { id: 1, type: 'Conv2d', inputs: ['input'], settings: { out_channels: 16 } },
+        { id: 2, type: 'Conv2d', inputs: [1], settings: { out_channels: 16, kernel_size: 1, padding: 0 } },
+        { id: 3, type: 'Conv2d', inputs: [1], settings: { out_channels: 16, kernel_size: 5, padding: 2 } },
+        { id: 4, type: 'Concat', inputs: [2, 3], settings: { dim: 1 } },
+        { id: 5, type: 'Add', inputs: [4, 4] },
+        { id: 6, type: 'AdaptiveAvgPool2d', inputs: [5] },
+        { id: 7, type: 'Flatten', inputs: [6] },
+        { id: 8, type: 'Linear', inputs: [7], settings: { out_features: 10, activation: 'None' } }
+      ]
+    },
+    'fine-tuning': {
+      input_dim: [3, 64, 64],
+      layers: [
+        { id: 1, type: 'Conv2d', inputs: ['input'], settings: { out_channels: 32 }, frozen: true },
+        { id: 2, type: 'BatchNorm2d', inputs: [1], frozen: true },
+        { id: 3, type: 'MaxPool2d', inputs: [2] },
+        { id: 4, type: 'Flatten', inputs: [3] },
+        { id: 5, type: 'Linear', inputs: [4], settings: { out_features: 128 }, init: { weight: 'kaiming_uniform', bias: 0 } },
+        { id: 6, type: 'Dropout', inputs: [5] },
+        { id: 7, type: 'Linear', inputs: [6], settings: { out_features: 5, activation: 'None' }, init: { weight: 'xavier_normal' } }
+      ]
+    },
+    'lstm-classifier': {
+      input_dim: [50],
+      layers: [
+        { id: 1, type: 'Embedding', inputs: ['input'], settings: { num_embeddings: 20000, embedding_dim: 100, padding_idx: 0 } },
+        { id: 2, type: 'LSTM', inputs: [1], settings: { hidden_size: 128, num_layers: 2, dropout: 0.2 }, init: { weight: 'orthogonal' } },
+        { id: 3, type: 'LayerNorm', inputs: [2] },
+        { id: 4, type: 'Flatten', inputs: [3] },
+        { id: 5, type: 'Linear', inputs: [4], settings: { out_features: 2, activation: 'None' } },
+        { id: 6, type: 'Softmax', inputs: [5] }
+      ]
+    }
+  };
+  const cases = [
+    ...modelTemplates.map(template => [template.id, template.model]),
+    ...Object.entries(designs)
+  ];
+
+  it.each(cases)('%s matches its golden file', async (name, model) => {
+    await expect(generate(model)).toMatchFileSnapshot(`./__golden__/${name}.py`);
+  });
+});
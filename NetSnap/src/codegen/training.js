@@ -0,0 +1,394 @@
+// train.py generator. The script loads NeuralNetwork from the PyTorch
+// generator's model.py (or the file given with --model_config, such as a
+// sweep variant) and adds data loading, the training and evaluation loops,
+// checkpointing and metrics logging for a training setup:
+//   { dataset, loss, optimizer, learningRate, weightDecay, momentum,
+//     scheduler, stepSize, gamma, batchSize, epochs, device, checkpoint, logging }
+
+import { getOutputLayers } from '../graph.js';
+import { inferShapes } from '../shapeInference.js';
+import { flattenModel } from '../blocks.js';
+import { pyValue } from './python.js';
+
+// torchvision datasets with their example shape and per-channel statistics
+export const TRAINING_DATASETS = [
+  { id: 'mnist', label: 'MNIST', torchvision: 'MNIST', shape: [1, 28, 28], classes: 10, mean: [0.1307], std: [0.3081] },
+  { id: 'fashion_mnist', label: 'Fashion-MNIST', torchvision: 'FashionMNIST', shape: [1, 28, 28], classes: 10, mean: [0.2860], std: [0.3530] },
+  { id: 'cifar10', label: 'CIFAR-10', torchvision: 'CIFAR10', shape: [3, 32, 32], classes: 10, mean: [0.4914, 0.4822, 0.4465], std: [0.2470, 0.2435, 0.2616] },
+  { id: 'cifar100', label: 'CIFAR-100', torchvision: 'CIFAR100', shape: [3, 32, 32], classes: 100, mean: [0.5071, 0.4865, 0.4409], std: [0.2673, 0.2564, 0.2762] },
+  { id: 'custom', label: 'Custom Dataset (stub)' }
+];
+
+// `targets` is what the loss compares against: class indices or float tensors
+export const TRAINING_LOSSES = [
+  { id: 'cross_entropy', label: 'Cross-entropy', code: 'nn.CrossEntropyLoss()', targets: 'class' },
+  { id: 'mse', label: 'Mean squared error', code: 'nn.MSELoss()', targets: 'float' },
+  { id: 'l1', label: 'Mean absolute error', code: 'nn.L1Loss()', targets: 'float' },
+  { id: 'bce', label: 'Binary cross-entropy (logits)', code: 'nn.BCEWithLogitsLoss()', targets: 'float' }
+];
+
+export const TRAINING_OPTIMIZERS = [
+  { id: 'sgd', label: 'SGD', name: 'SGD', momentum: true },
+  { id: 'adam', label: 'Adam', name: 'Adam', momentum: false },
+  { id: 'adamw', label: 'AdamW', name: 'AdamW', momentum: false },
+  { id: 'rmsprop', label: 'RMSprop', name: 'RMSprop', momentum: true }
+];
+
+export const TRAINING_SCHEDULERS = [
+  { id: 'none', label: 'None' },
+  { id: 'step', label: 'Step decay' },
+  { id: 'cosine', label: 'Cosine annealing' },
+  { id: 'plateau', label: 'Reduce on plateau' }
+];
+
+export const TRAINING_DEVICES = ['auto', 'cuda', 'mps', 'cpu'];
+
+export const TRAINING_LOGGERS = [
+  { id: 'csv', label: 'CSV file' },
+  { id: 'tensorboard', label: 'TensorBoard' },
+  { id: 'none', label: 'Console only' }
+];
+
+export const DEFAULT_TRAINING_SETUP = {
+  dataset: 'mnist',
+  loss: 'cross_entropy',
+  optimizer: 'adam',
+  learningRate: 0.001,
+  weightDecay: 0,
+  momentum: 0.9,
+  scheduler: 'none',
+  stepSize: 10,
+  gamma: 0.1,
+  batchSize: 64,
+  epochs: 10,
+  device: 'auto',
+  checkpoint: true,
+  logging: 'csv'
+};
+
+const find = (options, id) => options.find(option => option.id === id);
+
+const size = (shape) => shape.reduce((total, dim) => total * dim, 1);
+
+// Output shape of the model's single output layer
+export const modelOutputShape = (modelJSON) => {
+  const flat = flattenModel(modelJSON);
+  const outputs = getOutputLayers(flat.layers);
+  if (outputs.length !== 1) return outputs.length === 0 ? flat.input_dim : null;
+  return inferShapes(flat.input_dim, flat.layers)[flat.layers.indexOf(outputs[0])].outputShape;
+};
+
+// torchvision transforms from the dataset's [C, H, W] images to the model
+// input, or { problem } if there is no sensible conversion
+const inputTransforms = (dataset, inputShape) => {
+  const [channels, height, width] = dataset.shape;
+  const normalize = (count) => {
+    // A grayscale copy of an RGB image gets the average statistics
+    const average = (values) => Number((values.reduce((total, value) => total + value, 0) / values.length).toFixed(4));
+    const stats = (values) => (values.length === count ? values : new Array(count).fill(values.length === 1 ? values[0] : average(values)));
+    return `transforms.Normalize(${pyValue(stats(dataset.mean))}, ${pyValue(stats(dataset.std))})`;
+  };
+  if (inputShape.length === 3 && [1, 3].includes(inputShape[0])) {
+    const [modelChannels, modelHeight, modelWidth] = inputShape;
+    return {
+      transforms: [
+        ...(modelChannels !== channels ? [`transforms.Grayscale(num_output_channels=${modelChannels})`] : []),
+        ...(modelHeight !== height || modelWidth !== width ? [`transforms.Resize((${modelHeight}, ${modelWidth}))`] : []),
+        'transforms.ToTensor()',
+        normalize(modelChannels)
+      ]
+    };
+  }
+  if (inputShape.length === 2 && channels === 1 && inputShape[0] === height && inputShape[1] === width) {
+    return { transforms: ['transforms.ToTensor()', normalize(1), 'transforms.Lambda(torch.squeeze)'] };
+  }
+  if (inputShape.length === 1 && inputShape[0] === size(dataset.shape)) {
+    return { transforms: ['transforms.ToTensor()', normalize(channels), 'transforms.Lambda(torch.flatten)'] };
+  }
+  return {
+    transforms: ['transforms.ToTensor()', normalize(channels)],
+    problem: `${dataset.label} images are [${dataset.shape.join(', ')}], which cannot be converted to the model input [${inputShape.join(', ')}]`
+  };
+};
+
+// Reasons the generated script will not train as is
+export const trainingSetupProblems = (modelJSON, setup) => {
+  const problems = [];
+  const dataset = find(TRAINING_DATASETS, setup.dataset);
+  const loss = find(TRAINING_LOSSES, setup.loss);
+  const outputShape = modelOutputShape(modelJSON);
+  if (dataset.torchvision) {
+    const { problem } = inputTransforms(dataset, modelJSON.input_dim);
+    if (problem) problems.push(problem);
+  }
+  if (!outputShape) {
+    problems.push('The model needs a single output layer');
+  } else if (dataset.torchvision && !(outputShape.length === 1 && outputShape[0] === dataset.classes)) {
+    problems.push(`${dataset.label} has ${dataset.classes} classes, so the model must output [${dataset.classes}] (got [${outputShape.join(', ')}])`);
+  } else if (loss.targets === 'class' && outputShape.length !== 1) {
+    problems.push(`${loss.label} expects one score per class, [classes], but the model outputs [${outputShape.join(', ')}]`);
+  }
+  if (!(setup.learningRate > 0)) problems.push('The learning rate must be positive');
+  return problems;
+};
+
+const indent = (lines, depth) => lines.map(line => (line === '' ? '' : `${'    '.repeat(depth)}${line}`)).join('\n');
+
+const datasetCode = (dataset, inputShape, classLabels) => {
+  if (dataset.torchvision) {
+    const { transforms } = inputTransforms(dataset, inputShape);
+    return `def get_datasets():
+    transform = transforms.Compose([
+${indent(transforms.map(transform => `${transform},`), 2)}
+    ])
+    train_set = datasets.${dataset.torchvision}(DATA_DIR, train=True, download=True, transform=transform)
+    val_set = datasets.${dataset.torchvision}(DATA_DIR, train=False, download=True, transform=transform)
+    return train_set, val_set
+`;
+  }
+  return `class CustomDataset(Dataset):
+    """Placeholder data: replace the TODOs so that every item is an
+    (input, target) pair with input of shape INPUT_SHAPE${classLabels ? ' and target a class index' : ' and target of shape OUTPUT_SHAPE'}."""
+
+    def __init__(self, train=True):
+        self.train = train
+        # TODO: load or index your data (e.g. from DATA_DIR)
+        self.size = 1000 if train else 200
+
+    def __len__(self):
+        return self.size
+
+    def __getitem__(self, index):
+        # TODO: return the real example and its target
+        inputs = torch.zeros(INPUT_SHAPE)
+        target = ${classLabels ? '0' : 'torch.zeros(OUTPUT_SHAPE)'}
+        return inputs, target
+
+
+def get_datasets():
+    return CustomDataset(train=True), CustomDataset(train=False)
+`;
+};
+
+const optimizerCode = (setup) => {
+  const optimizer = find(TRAINING_OPTIMIZERS, setup.optimizer);
+  const momentum = optimizer.momentum ? `, momentum=${setup.momentum}` : '';
+  return `torch.optim.${optimizer.name}(model.parameters(), lr=args.lr${momentum}, weight_decay=${setup.weightDecay})`;
+};
+
+const schedulerCode = (setup) => {
+  switch (setup.scheduler) {
+    case 'step':
+      return `torch.optim.lr_scheduler.StepLR(optimizer, step_size=${setup.stepSize}, gamma=${setup.gamma})`;
+    case 'cosine':
+      return 'torch.optim.lr_scheduler.CosineAnnealingLR(optimizer, T_max=args.epochs)';
+    case 'plateau':
+      return `torch.optim.lr_scheduler.ReduceLROnPlateau(optimizer, mode='min', factor=${setup.gamma}, patience=${setup.stepSize})`;
+    default:
+      return null;
+  }
+};
+
+// The complete train.py for the generateModel JSON and a training setup
+export const generateTrainingScript = (modelJSON, setup) => {
+  const dataset = find(TRAINING_DATASETS, setup.dataset);
+  const loss = find(TRAINING_LOSSES, setup.loss);
+  const outputShape = modelOutputShape(modelJSON) ?? [];
+  // Accuracy is reported whenever the targets are class indices
+  const classLabels = Boolean(dataset.torchvision) || loss.targets === 'class';
+  // Float losses on class labels compare against one-hot vectors
+  const oneHot = classLabels && loss.targets === 'float';
+  const scheduler = schedulerCode(setup);
+  const numClasses = dataset.torchvision ? dataset.classes : outputShape[outputShape.length - 1] ?? 1;
+  const hasMask = modelJSON.layers.some(layer => layer.settings.key_padding_mask === true) ||
+    Object.values(modelJSON.blocks ?? {}).some(block => block.layers.some(layer => layer.settings.key_padding_mask === true));
+
+  const imports = [
+    'import argparse',
+    ...(setup.logging === 'csv' ? ['import csv'] : []),
+    'import importlib.util',
+    'import os',
+    '',
+    'import torch',
+    'import torch.nn as nn',
+    ...(oneHot ? ['import torch.nn.functional as F'] : []),
+    `from torch.utils.data import DataLoader${dataset.torchvision ? '' : ', Dataset'}`,
+    ...(dataset.torchvision ? ['from torchvision import datasets, transforms'] : []),
+    ...(setup.logging === 'tensorboard' ? ['from torch.utils.tensorboard import SummaryWriter'] : [])
+  ];
+
+  const constants = [
+    `INPUT_SHAPE = ${pyValue(modelJSON.input_dim)}`,
+    ...(classLabels ? [`NUM_CLASSES = ${numClasses}`] : [`OUTPUT_SHAPE = ${pyValue(outputShape)}`]),
+    "MODEL_FILE = os.path.join(os.path.dirname(os.path.abspath(__file__)), 'model.py')",
+    "DATA_DIR = 'data'",
+    ...(setup.checkpoint ? ["CHECKPOINT_DIR = 'checkpoints'"] : []),
+    ...(setup.logging === 'csv' ? ["LOG_FILE = 'metrics.csv'"] : []),
+    ...(setup.logging === 'tensorboard' ? ["LOG_DIR = 'runs'"] : [])
+  ];
+
+  const targetsFor = oneHot ? 'F.one_hot(targets, NUM_CLASSES).float()' : 'targets';
+  const accuracyLines = classLabels ? ['correct += (outputs.argmax(dim=1) == targets).sum().item()'] : [];
+  const returnValue = classLabels ? 'total_loss / seen, correct / seen' : 'total_loss / seen';
+  const counters = classLabels ? 'total_loss, correct, seen = 0.0, 0, 0' : 'total_loss, seen = 0.0, 0';
+  // The loaders batch first; a batch_first: false model takes and returns
+  // sequences seq first
+  const seqFirst = modelJSON.batch_first === false;
+  const modelCall = seqFirst
+    ? ['outputs = model(inputs.transpose(0, 1))', ...(outputShape.length === 2 ? ['outputs = outputs.transpose(0, 1)'] : [])]
+    : ['outputs = model(inputs)'];
+  const batchLines = (training) => [
+    'inputs, targets = inputs.to(device), targets.to(device)',
+    ...(training ? ['optimizer.zero_grad()'] : []),
+    ...(hasMask ? ['# Pass key_padding_mask=... as well if your sequences are padded'] : []),
+    ...modelCall,
+    `loss = criterion(outputs, ${targetsFor})`,
+    ...(training ? ['loss.backward()', 'optimizer.step()'] : []),
+    'total_loss += loss.item() * inputs.size(0)',
+    ...accuracyLines,
+    'seen += inputs.size(0)'
+  ];
+
+  const metricNames = classLabels
+    ? ['epoch', 'train_loss', 'train_accuracy', 'val_loss', 'val_accuracy', 'lr']
+    : ['epoch', 'train_loss', 'val_loss', 'lr'];
+  const epochResults = classLabels
+    ? ['train_loss, train_accuracy = train_one_epoch(model, train_loader, criterion, optimizer, device)',
+      'val_loss, val_accuracy = evaluate(model, val_loader, criterion, device)']
+    : ['train_loss = train_one_epoch(model, train_loader, criterion, optimizer, device)',
+      'val_loss = evaluate(model, val_loader, criterion, device)'];
+  const printLine = classLabels
+    ? "print(f'Epoch {epoch + 1}/{args.epochs}  train_loss={train_loss:.4f}  train_acc={train_accuracy:.4f}  val_loss={val_loss:.4f}  val_acc={val_accuracy:.4f}  lr={lr:.2e}')"
+    : "print(f'Epoch {epoch + 1}/{args.epochs}  train_loss={train_loss:.4f}  val_loss={val_loss:.4f}  lr={lr:.2e}')";
+
+  // One row per epoch, with the header written into a new file first
+  const logLines = {
+    csv: [
+      "with open(LOG_FILE, 'a', newline='') as log:",
+      '    writer = csv.writer(log)',
+      '    if log.tell() == 0:',
+      `        writer.writerow([${metricNames.map(name => `'${name}'`).join(', ')}])`,
+      `    writer.writerow([${metricNames.map(name => (name === 'epoch' ? 'epoch + 1' : name)).join(', ')}])`
+    ],
+    tensorboard: metricNames.filter(name => name !== 'epoch').map(name => `writer.add_scalar('${name}', ${name}, epoch + 1)`),
+    none: []
+  }[setup.logging];
+
+  const checkpointSave = setup.checkpoint ? [
+    'is_best = val_loss < best_val_loss',
+    'best_val_loss = min(val_loss, best_val_loss)',
+    'checkpoint = {',
+    "    'epoch': epoch,",
+    "    'model': model.state_dict(),",
+    "    'optimizer': optimizer.state_dict(),",
+    ...(scheduler ? ["    'scheduler': scheduler.state_dict(),"] : []),
+    "    'best_val_loss': best_val_loss,",
+    '}',
+    "torch.save(checkpoint, os.path.join(CHECKPOINT_DIR, 'last.pt'))",
+    'if is_best:',
+    "    torch.save(checkpoint, os.path.join(CHECKPOINT_DIR, 'best.pt'))"
+  ] : [];
+
+  const resume = setup.checkpoint ? [
+    '',
+    'start_epoch = 0',
+    "best_val_loss = float('inf')",
+    "last_checkpoint = os.path.join(CHECKPOINT_DIR, 'last.pt')",
+    'if args.resume and os.path.exists(last_checkpoint):',
+    '    checkpoint = torch.load(last_checkpoint, map_location=device)',
+    "    model.load_state_dict(checkpoint['model'])",
+    "    optimizer.load_state_dict(checkpoint['optimizer'])",
+    ...(scheduler ? ["    scheduler.load_state_dict(checkpoint['scheduler'])"] : []),
+    "    start_epoch = checkpoint['epoch'] + 1",
+    "    best_val_loss = checkpoint['best_val_loss']",
+    "    print(f'Resumed from {last_checkpoint} at epoch {start_epoch + 1}')",
+    'os.makedirs(CHECKPOINT_DIR, exist_ok=True)'
+  ] : ['', 'start_epoch = 0'];
+
+  const main = [
+    "parser = argparse.ArgumentParser(description='Train NeuralNetwork from model.py')",
+    `parser.add_argument('--epochs', type=int, default=${setup.epochs})`,
+    `parser.add_argument('--batch-size', type=int, default=${setup.batchSize})`,
+    `parser.add_argument('--lr', type=float, default=${setup.learningRate})`,
+    `parser.add_argument('--device', default='${setup.device}', help='auto, cuda, mps or cpu')`,
+    "parser.add_argument('--model_config', default=MODEL_FILE, help='model.py file defining NeuralNetwork, such as a sweep variant')",
+    ...(setup.checkpoint ? ["parser.add_argument('--resume', action='store_true', help='continue from the last checkpoint')"] : []),
+    'args = parser.parse_args()',
+    '',
+    'device = get_device(args.device)',
+    "print(f'Training on {device}')",
+    'train_set, val_set = get_datasets()',
+    "pin_memory = device.type == 'cuda'",
+    'train_loader = DataLoader(train_set, batch_size=args.batch_size, shuffle=True, num_workers=2, pin_memory=pin_memory)',
+    'val_loader = DataLoader(val_set, batch_size=args.batch_size, shuffle=False, num_workers=2, pin_memory=pin_memory)',
+    '',
+    'model = load_model_class(args.model_config)().to(device)',
+    `criterion = ${loss.code}`,
+    `optimizer = ${optimizerCode(setup)}`,
+    ...(scheduler ? [`scheduler = ${scheduler}`] : []),
+    ...(setup.logging === 'tensorboard' ? ['writer = SummaryWriter(LOG_DIR)'] : []),
+    ...resume,
+    '',
+    'for epoch in range(start_epoch, args.epochs):',
+    ...indent(epochResults, 1).split('\n'),
+    "    lr = optimizer.param_groups[0]['lr']",
+    ...(scheduler ? [setup.scheduler === 'plateau' ? '    scheduler.step(val_loss)' : '    scheduler.step()'] : []),
+    `    ${printLine}`,
+    ...indent([...logLines, ...checkpointSave], 1).split('\n').filter(line => line !== ''),
+    ...(setup.logging === 'tensorboard' ? ['', 'writer.close()'] : [])
+  ];
+
+  return `"""Train NeuralNetwork (model.py) on ${dataset.torchvision ? dataset.label : 'a custom dataset'}.
+
+Generated by NetSnap. Put model.py next to this file and run
+    python train.py [--epochs N] [--batch-size N] [--lr LR] [--device DEVICE] [--model_config FILE]${setup.checkpoint ? ' [--resume]' : ''}
+"""
+${imports.join('\n')}
+
+${constants.join('\n')}
+
+
+def load_model_class(path):
+    spec = importlib.util.spec_from_file_location('model', path)
+    module = importlib.util.module_from_spec(spec)
+    spec.loader.exec_module(module)
+    return module.NeuralNetwork
+
+
+def get_device(name):
+    if name == 'auto':
+        if torch.cuda.is_available():
+            return torch.device('cuda')
+        if torch.backends.mps.is_available():
+            return torch.device('mps')
+        return torch.device('cpu')
+    return torch.device(name)
+
+
+${datasetCode(dataset, modelJSON.input_dim, classLabels)}
+
+def train_one_epoch(model, loader, criterion, optimizer, device):
+    model.train()
+    ${counters}
+    for inputs, targets in loader:
+${indent(batchLines(true), 2)}
+    return ${returnValue}
+
+
+@torch.no_grad()
+def evaluate(model, loader, criterion, device):
+    model.eval()
+    ${counters}
+    for inputs, targets in loader:
+${indent(batchLines(false), 2)}
+    return ${returnValue}
+
+
+def main():
+${indent(main, 1)}
+
+
+if __name__ == '__main__':
+    main()
+`;
+};
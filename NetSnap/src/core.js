@@ -0,0 +1,53 @@
+// Framework-independent core: the model format, shape inference, validation
+// and exporters behind one entry point. Nothing here depends on React or the
+// DOM, so the command-line exporter (bin/netsnap.js) runs the same code as
+// the editor.
+
+import { parseModelText, serializeModel } from './modelFormat.js';
+import { validateModel } from './validation.js';
+import { expandBlocks, propagateBlockShapes, collapseIssues } from './blocks.js';
+import { codeGenerators } from './codegen/index.js';
+import { exportOnnxModel } from './onnx/exportOnnx.js';
+
+export { MODEL_FORMAT_VERSION, parseModel, parseModelText, serializeModel } from './modelFormat.js';
+export { inferShapes, propagateShapes, formatShape } from './shapeInference.js';
+export { validateModel, hasErrors } from './validation.js';
+export { estimateCosts } from './modelStats.js';
+export { codeGenerators, getCodeGenerator } from './codegen/index.js';
+export { exportOnnxModel } from './onnx/exportOnnx.js';
+
+// Read the text of a model file into a design with its auto settings filled
+// in, as the editor loads it. Returns { design, errors }; design is null
+// when the file cannot be used.
+export const loadDesignText = (text) => {
+  const { inputDimension, batchFirst, layers, blocks, errors } = parseModelText(text);
+  if (errors.length > 0) return { design: null, errors };
+  return { design: { inputDimension, batchFirst, layers: propagateBlockShapes(inputDimension, layers, blocks), blocks }, errors };
+};
+
+// Validation issues of a design, pointing at its own layers (an issue inside
+// a block instance points at the instance): [{ layerIndex, severity, message }]
+export const checkDesign = ({ inputDimension, layers, blocks }) => {
+  const expansion = expandBlocks(layers, blocks);
+  return collapseIssues(layers, expansion, validateModel(inputDimension, expansion.layers));
+};
+
+// Export targets: { id, label, fileName, generate(modelJSON, options) },
+// generate returning a string or, for ONNX, bytes
+export const exportTargets = [
+  ...codeGenerators,
+  { id: 'onnx', label: 'ONNX', fileName: 'model.onnx', generate: (modelJSON, options) => exportOnnxModel(modelJSON, options) }
+];
+
+export const getExportTarget = (id) => exportTargets.find(target => target.id === id);
+
+// Generate one target's file for a design: { fileName, data }. Options are
+// passed on to the target (ONNX takes weights: 'random' | 'zeros'). Throws
+// for an unknown target or a model the target cannot express.
+export const exportDesign = (design, targetId, options = {}) => {
+  const target = getExportTarget(targetId);
+  if (!target) {
+    throw new Error(`Unknown target "${targetId}" (expected one of ${exportTargets.map(t => t.id).join(', ')})`);
+  }
+  return { fileName: target.fileName, data: target.generate(serializeModel(design), options) };
+};
@@ -0,0 +1,211 @@
+// Standalone SVG diagrams of a model for papers and design docs: one box per
+// layer (or block instance) with its type, key hyperparameters and inferred
+// shapes, and arrows along the connections. The output only depends on the
+// generateModel JSON and the chosen theme, not on the editor's styling.
+
+import { INPUT_NODE_ID, MERGE_TYPES, topologicalSort } from './graph.js';
+import { expandBlocks, collapseShapes } from './blocks.js';
+import { inferShapes, formatShape } from './shapeInference.js';
+
+export const DIAGRAM_LAYOUTS = [
+  { id: 'horizontal', label: 'Horizontal (left to right)' },
+  { id: 'vertical', label: 'Vertical (top to bottom)' }
+];
+
+export const DIAGRAM_THEMES = [
+  {
+    id: 'print',
+    label: 'Print (black and white)',
+    background: '#ffffff',
+    text: '#000000',
+    muted: '#4b5563',
+    edge: '#000000',
+    stroke: '#000000',
+    fills: { input: '#ffffff', layer: '#ffffff', merge: '#e5e7eb', block: '#f3f4f6' }
+  },
+  {
+    id: 'color',
+    label: 'Color',
+    background: '#ffffff',
+    text: '#78350f',
+    muted: '#92400e',
+    edge: '#d97706',
+    stroke: '#d97706',
+    fills: { input: '#fcd34d', layer: '#fef3c7', merge: '#fed7aa', block: '#ecfccb' }
+  }
+];
+
+export const DEFAULT_DIAGRAM_OPTIONS = { layout: 'horizontal', theme: 'print', showSettings: true, showShapes: true };
+
+// The settings worth printing for each layer type; the rest are either
+// auto-filled from the shapes or rarely changed
+const KEY_SETTINGS = {
+  Linear: ['out_features', 'activation'],
+  Conv1d: ['out_channels', 'kernel_size', 'stride', 'padding', 'activation'],
+  Conv2d: ['out_channels', 'kernel_size', 'stride', 'padding', 'activation'],
+  Conv3d: ['out_channels', 'kernel_size', 'stride', 'padding', 'activation'],
+  ConvTranspose2d: ['out_channels', 'kernel_size', 'stride', 'activation'],
+  MaxPool2d: ['kernel_size', 'stride', 'padding'],
+  AvgPool2d: ['kernel_size', 'stride', 'padding'],
+  AdaptiveAvgPool2d: ['output_size'],
+  Dropout: ['p'],
+  GroupNorm: ['num_groups'],
+  Embedding: ['num_embeddings', 'embedding_dim'],
+  LSTM: ['hidden_size', 'num_layers', 'bidirectional'],
+  GRU: ['hidden_size', 'num_layers', 'bidirectional'],
+  MultiheadAttention: ['num_heads', 'attn_mask'],
+  Softmax: ['dim'],
+  Concat: ['dim']
+};
+
+// Values that go without saying and are left off the box
+const OBVIOUS_VALUES = { activation: 'None', padding: 0, bidirectional: false, attn_mask: 'none' };
+
+const FONT_SIZE = 12;
+const CHAR_WIDTH = 7.2;
+const LINE_HEIGHT = 16;
+const PADDING = 10;
+const MIN_BOX_WIDTH = 140;
+const GAP = { along: 56, across: 24 };
+const MARGIN = 20;
+// How far connections that skip over ranks arc out of the row of boxes
+const SKIP_LIFT = 48;
+
+const escapeXML = (text) =>
+  String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const formatValue = (value) => (typeof value === 'boolean' ? (value ? 'yes' : 'no') : value);
+
+const settingLines = (layer, blocks) => {
+  if (blocks[layer.type]) {
+    return Object.entries(layer.settings).map(([key, value]) => `${key}=${formatValue(value)}`);
+  }
+  return (KEY_SETTINGS[layer.type] ?? [])
+    .filter(key => layer.settings[key] !== undefined && layer.settings[key] !== null && layer.settings[key] !== OBVIOUS_VALUES[key])
+    .map(key => `${key}=${formatValue(layer.settings[key])}`);
+};
+
+// Rank every node by its longest distance from the input, like layoutLayers
+const rankNodes = (sortedLayers) => {
+  const rank = { [INPUT_NODE_ID]: 0 };
+  sortedLayers.forEach(layer => {
+    rank[layer.id] = 1 + Math.max(0, ...layer.inputs.map(id => rank[id] ?? 0));
+  });
+  return rank;
+};
+
+// Render the generateModel JSON as an SVG document string.
+// Options: layout ('horizontal' | 'vertical'), theme (a DIAGRAM_THEMES id),
+// showSettings and showShapes.
+export const renderDiagramSVG = (modelJSON, options = {}) => {
+  const { layout, theme: themeId, showSettings, showShapes } = { ...DEFAULT_DIAGRAM_OPTIONS, ...options };
+  const theme = DIAGRAM_THEMES.find(candidate => candidate.id === themeId) ?? DIAGRAM_THEMES[0];
+  const blocks = modelJSON.blocks ?? {};
+  const layers = topologicalSort(modelJSON.layers);
+  const expansion = expandBlocks(layers, blocks);
+  const shapes = collapseShapes(layers, expansion, inferShapes(modelJSON.input_dim, expansion.layers));
+
+  const nodes = [
+    {
+      id: INPUT_NODE_ID,
+      title: 'Input',
+      lines: [],
+      shape: showShapes ? formatShape(modelJSON.input_dim) : null,
+      fill: theme.fills.input
+    },
+    ...layers.map((layer, index) => ({
+      id: layer.id,
+      title: blocks[layer.type] ? `${layer.type} (block)` : layer.type,
+      lines: showSettings ? settingLines(layer, blocks) : [],
+      shape: showShapes ? `→ ${formatShape(shapes[index].outputShape)}` : null,
+      fill: blocks[layer.type] ? theme.fills.block : MERGE_TYPES.includes(layer.type) ? theme.fills.merge : theme.fills.layer
+    }))
+  ];
+
+  // Every box gets the same size so the ranks line up
+  const longest = Math.max(...nodes.flatMap(node => [node.title, ...node.lines, node.shape ?? ''].map(text => text.length)));
+  const width = Math.max(MIN_BOX_WIDTH, Math.ceil(longest * CHAR_WIDTH) + 2 * PADDING);
+  const lineCount = Math.max(...nodes.map(node => 1 + node.lines.length + (node.shape ? 1 : 0)));
+  const height = lineCount * LINE_HEIGHT + 2 * PADDING;
+
+  const rank = rankNodes(layers);
+  const ranks = [];
+  nodes.forEach(node => {
+    (ranks[rank[node.id]] ??= []).push(node);
+  });
+  const horizontal = layout !== 'vertical';
+  const skips = layers.some(layer => layer.inputs.some(from => rank[layer.id] - rank[from] > 1));
+  const lift = skips ? SKIP_LIFT : 0;
+  const alongSize = horizontal ? width : height;
+  const acrossSize = horizontal ? height : width;
+  const widest = Math.max(...ranks.map(group => group.length));
+  const span = widest * acrossSize + (widest - 1) * GAP.across;
+  ranks.forEach((group, r) => {
+    const offset = (span - (group.length * acrossSize + (group.length - 1) * GAP.across)) / 2;
+    group.forEach((node, i) => {
+      const along = MARGIN + r * (alongSize + GAP.along);
+      const across = MARGIN + offset + i * (acrossSize + GAP.across);
+      node.x = horizontal ? along : across;
+      node.y = horizontal ? across + lift : along;
+    });
+  });
+  const totalWidth = 2 * MARGIN + (horizontal ? ranks.length * (width + GAP.along) - GAP.along : span + lift);
+  const totalHeight = 2 * MARGIN + (horizontal ? span + lift : ranks.length * (height + GAP.along) - GAP.along);
+
+  const byId = Object.fromEntries(nodes.map(node => [node.id, node]));
+  const edges = layers.flatMap(layer => layer.inputs.map(from => {
+    const source = byId[from];
+    const target = byId[layer.id];
+    if (!source) return '';
+    // Shortcuts around the boxes in between leave from the side and arc
+    // through the band kept free above (horizontal) or right of (vertical)
+    // the boxes
+    if (rank[layer.id] - rank[from] > 1) {
+      const band = horizontal ? MARGIN : totalWidth - MARGIN;
+      const path = horizontal
+        ? `M ${source.x + width / 2} ${source.y} C ${source.x + width / 2} ${band}, ${target.x + width / 2} ${band}, ${target.x + width / 2} ${target.y}`
+        : `M ${source.x + width} ${source.y + height / 2} C ${band} ${source.y + height / 2}, ${band} ${target.y + height / 2}, ${target.x + width} ${target.y + height / 2}`;
+      return `  <path d="${path}" fill="none" stroke="${theme.edge}" stroke-width="1.5" marker-end="url(#arrow)"/>`;
+    }
+    const [x1, y1, x2, y2] = horizontal
+      ? [source.x + width, source.y + height / 2, target.x, target.y + height / 2]
+      : [source.x + width / 2, source.y + height, target.x + width / 2, target.y];
+    const bend = (horizontal ? x2 - x1 : y2 - y1) / 2;
+    const path = horizontal
+      ? `M ${x1} ${y1} C ${x1 + bend} ${y1}, ${x2 - bend} ${y2}, ${x2} ${y2}`
+      : `M ${x1} ${y1} C ${x1} ${y1 + bend}, ${x2} ${y2 - bend}, ${x2} ${y2}`;
+    return `  <path d="${path}" fill="none" stroke="${theme.edge}" stroke-width="1.5" marker-end="url(#arrow)"/>`;
+  }));
+
+  const boxes = nodes.map(node => {
+    const text = [
+      `    <text x="${node.x + PADDING}" y="${node.y + PADDING + FONT_SIZE}" font-weight="bold" fill="${theme.text}">${escapeXML(node.title)}</text>`,
+      ...node.lines.map((line, i) =>
+        `    <text x="${node.x + PADDING}" y="${node.y + PADDING + FONT_SIZE + (i + 1) * LINE_HEIGHT}" fill="${theme.text}">${escapeXML(line)}</text>`
+      ),
+      ...(node.shape
+        ? [`    <text x="${node.x + PADDING}" y="${node.y + height - PADDING - 3}" fill="${theme.muted}" font-family="ui-monospace, Menlo, Consolas, monospace">${escapeXML(node.shape)}</text>`]
+        : [])
+    ];
+    return [
+      '  <g>',
+      `    <rect x="${node.x}" y="${node.y}" width="${width}" height="${height}" rx="6" fill="${node.fill}" stroke="${theme.stroke}" stroke-width="1.5"/>`,
+      ...text,
+      '  </g>'
+    ].join('\n');
+  });
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${totalWidth}" height="${totalHeight}" viewBox="0 0 ${totalWidth} ${totalHeight}" font-family="Helvetica, Arial, sans-serif" font-size="${FONT_SIZE}">`,
+    '  <defs>',
+    `    <marker id="arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">`,
+    `      <path d="M 0 0 L 10 5 L 0 10 z" fill="${theme.edge}"/>`,
+    '    </marker>',
+    '  </defs>',
+    `  <rect width="100%" height="100%" fill="${theme.background}"/>`,
+    ...edges.filter(Boolean),
+    ...boxes,
+    '</svg>',
+    ''
+  ].join('\n');
+};
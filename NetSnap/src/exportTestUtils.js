@@ -0,0 +1,18 @@
+import { expect } from 'vitest';
+import { loadDesignText, exportDesign } from './core.js';
+
+// Exporters for tests: `generate` exports a model JSON to `target` ('pytorch',
+// 'keras', 'onnx', ...) after loading it the way the editor and the CLI load
+// it, and `singleLayer` exports a model of one layer on the input
+export const exporterFor = (target, options = {}) => {
+  const generate = (model) => {
+    const { design, errors } = loadDesignText(JSON.stringify({ version: 2, blocks: {}, ...model }));
+    expect(errors).toEqual([]);
+    return exportDesign(design, target, options).data;
+  };
+  const singleLayer = (type, inputDim, settings = {}, extra = {}) => generate({
+    input_dim: inputDim,
+    layers: [{ id: 1, type, inputs: ['input'], settings, ...extra }]
+  });
+  return { generate, singleLayer };
+};
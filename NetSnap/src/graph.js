@@ -0,0 +1,212 @@
+// Graph helpers for the layer DAG.
+// Every layer lists the ids of the nodes feeding it in `inputs`; the model
+// input is the pseudo-node INPUT_NODE_ID. Merge layers take several inputs,
+// every other layer takes exactly one.
+
+export const INPUT_NODE_ID = 'input';
+
+export const MERGE_TYPES = ['Add', 'Concat', 'Multiply'];
+
+export const isMergeLayer = (layer) => MERGE_TYPES.includes(layer.type);
+
+// Layers that consume the output of the given node
+export const getConsumers = (layers, id) => layers.filter(layer => layer.inputs.includes(id));
+
+// Layers whose output feeds nothing, i.e. the model outputs
+export const getOutputLayers = (layers) =>
+  layers.filter(layer => getConsumers(layers, layer.id).length === 0);
+
+// Ids of every layer fed directly or indirectly by the given node
+export const getDescendants = (layers, id) => {
+  const descendants = new Set();
+  const stack = [id];
+  while (stack.length > 0) {
+    getConsumers(layers, stack.pop()).forEach(layer => {
+      if (descendants.has(layer.id)) return;
+      descendants.add(layer.id);
+      stack.push(layer.id);
+    });
+  }
+  return descendants;
+};
+
+// Kahn's algorithm; ties keep the order of the layers array so linear
+// stacks come out unchanged. Layers on a cycle or fed by unknown ids are
+// appended at the end so callers still see every layer.
+export const topologicalSort = (layers) => {
+  const known = new Set([INPUT_NODE_ID, ...layers.map(layer => layer.id)]);
+  const placed = new Set([INPUT_NODE_ID]);
+  const sorted = [];
+  let remaining = layers;
+  let progress = true;
+  while (remaining.length > 0 && progress) {
+    progress = false;
+    const next = [];
+    for (const layer of remaining) {
+      if (layer.inputs.every(id => placed.has(id) || !known.has(id))) {
+        sorted.push(layer);
+        placed.add(layer.id);
+        progress = true;
+      } else {
+        next.push(layer);
+      }
+    }
+    remaining = next;
+  }
+  return [...sorted, ...remaining];
+};
+
+// True if `from` is reachable from `to`, so adding from -> to would close a loop
+export const wouldCreateCycle = (layers, from, to) => {
+  if (from === to) return true;
+  const stack = [to];
+  const seen = new Set();
+  while (stack.length > 0) {
+    const id = stack.pop();
+    if (id === from) return true;
+    if (seen.has(id)) continue;
+    seen.add(id);
+    getConsumers(layers, id).forEach(layer => stack.push(layer.id));
+  }
+  return false;
+};
+
+// Add an edge from -> to. Single-input layers have their input replaced,
+// merge layers collect another input. Returns the layers unchanged if the
+// edge is invalid.
+export const connectLayers = (layers, from, to) => {
+  if (wouldCreateCycle(layers, from, to)) return layers;
+  return layers.map(layer => {
+    if (layer.id !== to) return layer;
+    if (!isMergeLayer(layer)) return { ...layer, inputs: [from] };
+    if (layer.inputs.includes(from)) return layer;
+    return { ...layer, inputs: [...layer.inputs, from] };
+  });
+};
+
+export const disconnectLayers = (layers, from, to) =>
+  layers.map(layer =>
+    layer.id === to ? { ...layer, inputs: layer.inputs.filter(id => id !== from) } : layer
+  );
+
+// Remove a layer. Consumers of a single-input layer are rewired to its input
+// so deleting from the middle of a chain keeps the chain connected.
+export const removeLayer = (layers, id) => {
+  const removed = layers.find(layer => layer.id === id);
+  const bypass = removed && !isMergeLayer(removed) ? removed.inputs : [];
+  return layers
+    .filter(layer => layer.id !== id)
+    .map(layer => {
+      if (!layer.inputs.includes(id)) return layer;
+      const inputs = layer.inputs.flatMap(input => (input === id ? bypass : [input]));
+      return { ...layer, inputs: [...new Set(inputs)] };
+    });
+};
+
+// Splice a new layer into the edge from -> to. The new layer takes `from`
+// as its input and replaces `from` in the inputs of `to`, keeping its
+// position so Concat order is preserved.
+export const insertBetween = (layers, newLayer, from, to) => [
+  ...layers.map(layer =>
+    layer.id === to ? { ...layer, inputs: layer.inputs.map(id => (id === from ? newLayer.id : id)) } : layer
+  ),
+  { ...newLayer, inputs: [from] }
+];
+
+// Move an existing single-input layer onto the edge from -> to, closing the
+// gap it leaves behind. Returns the layers unchanged if the move is invalid.
+export const moveBetween = (layers, id, from, to) => {
+  const moving = layers.find(layer => layer.id === id);
+  if (!moving || isMergeLayer(moving) || from === id || to === id) return layers;
+  const remaining = removeLayer(layers, id);
+  // The edge may have been rewired by the removal, e.g. when `to` consumed `id`
+  const target = remaining.find(layer => layer.id === to);
+  if (!target || !target.inputs.includes(from)) return layers;
+  const index = layers.findIndex(layer => layer.id === id);
+  const inserted = insertBetween(remaining, moving, from, to);
+  // Keep the moved layer at its original index so array order stays stable
+  const movedLayer = inserted[inserted.length - 1];
+  const rest = inserted.slice(0, -1);
+  return [...rest.slice(0, index), movedLayer, ...rest.slice(index)];
+};
+
+// Copy the given layers. Connections inside the selection are preserved.
+// When the selection is a segment with one exit and a single outside source,
+// the copy is spliced in right after it (A -> B becomes A -> B -> A' -> B');
+// otherwise the copy runs alongside the original from the same sources.
+// Returns { layers, copyIds }.
+export const duplicateLayers = (layers, ids, makeId, offset = { x: 40, y: 40 }) => {
+  const selected = topologicalSort(layers.filter(layer => ids.includes(layer.id)));
+  if (selected.length === 0) return { layers, copyIds: [] };
+  const idMap = new Map(selected.map(layer => [layer.id, makeId()]));
+  const externalSources = new Set(
+    selected.flatMap(layer => layer.inputs.filter(input => !idMap.has(input)))
+  );
+  const exits = selected.filter(layer =>
+    getConsumers(layers, layer.id).length === 0 ||
+    getConsumers(layers, layer.id).some(consumer => !idMap.has(consumer.id))
+  );
+  const spliceAfter = exits.length === 1 && externalSources.size === 1 ? exits[0].id : null;
+
+  const copies = selected.map(layer => ({
+    ...layer,
+    id: idMap.get(layer.id),
+    inputs: layer.inputs.map(input => idMap.get(input) ?? (spliceAfter ?? input)),
+    position: { x: layer.position.x + offset.x, y: layer.position.y + offset.y },
+    settings: { ...layer.settings }
+  }));
+  if (spliceAfter === null) {
+    return { layers: [...layers, ...copies], copyIds: copies.map(copy => copy.id) };
+  }
+  // Outside consumers of the original exit now read from the copied exit
+  const copiedExit = idMap.get(spliceAfter);
+  const rewired = layers.map(layer =>
+    idMap.has(layer.id) || !layer.inputs.includes(spliceAfter)
+      ? layer
+      : { ...layer, inputs: layer.inputs.map(input => (input === spliceAfter ? copiedExit : input)) }
+  );
+  return { layers: [...rewired, ...copies], copyIds: copies.map(copy => copy.id) };
+};
+
+// Connect layers one after another, starting from the model input
+export const linkSequential = (layers) =>
+  layers.map((layer, index) => ({
+    ...layer,
+    inputs: [index === 0 ? INPUT_NODE_ID : layers[index - 1].id]
+  }));
+
+// Choose variable names for a generated forward pass over topologically
+// sorted layers. A value consumed only by the very next layer keeps flowing
+// through `x`; anything that is reused later gets its own name so it is not
+// overwritten. Returns the names for the model input and for every layer id.
+export const assignForwardVariables = (sortedLayers) => {
+  const flowsInline = (id, position) => {
+    const consumers = getConsumers(sortedLayers, id);
+    if (consumers.length === 0) return position === sortedLayers.length - 1;
+    return consumers.length === 1 && sortedLayers[position + 1]?.id === consumers[0].id;
+  };
+  const names = {};
+  sortedLayers.forEach((layer, position) => {
+    names[layer.id] = flowsInline(layer.id, position) ? 'x' : `x${position}`;
+  });
+  return {
+    inputVariable: flowsInline(INPUT_NODE_ID, -1) ? 'x' : 'x_in',
+    names
+  };
+};
+
+// Place layers in columns by their distance from the input. Used for models
+// that come without canvas positions, e.g. imported files.
+export const layoutLayers = (layers, { originX = 40, originY = 40, columnWidth = 360, rowHeight = 280 } = {}) => {
+  const depth = { [INPUT_NODE_ID]: 0 };
+  topologicalSort(layers).forEach(layer => {
+    depth[layer.id] = 1 + Math.max(0, ...layer.inputs.map(id => depth[id] ?? 0));
+  });
+  const rowsUsed = {};
+  return layers.map(layer => {
+    const column = depth[layer.id];
+    const row = rowsUsed[column] ?? 0;
+    rowsUsed[column] = row + 1;
+    return { ...layer, position: { x: originX + column * columnWidth, y: originY + row * rowHeight } };
+  });
+};
@@ -0,0 +1,55 @@
+// Undo/redo history of editor snapshots.
+// The present snapshot is { layers, inputDimension, blocks }; past and future hold
+// earlier and undone snapshots. Changes recorded with the same coalesce key
+// in quick succession (typing into a number field, dragging a card) collapse
+// into a single undo step.
+
+const HISTORY_LIMIT = 100;
+const COALESCE_MS = 1000;
+
+export const createHistory = (present) => ({
+  past: [],
+  present,
+  future: [],
+  lastKey: null,
+  lastTime: 0
+});
+
+export const recordChange = (history, present, coalesceKey = null, now = Date.now()) => {
+  if (coalesceKey !== null && coalesceKey === history.lastKey && now - history.lastTime < COALESCE_MS) {
+    return { ...history, present, future: [], lastTime: now };
+  }
+  return {
+    past: [...history.past, history.present].slice(-HISTORY_LIMIT),
+    present,
+    future: [],
+    lastKey: coalesceKey,
+    lastTime: now
+  };
+};
+
+export const canUndo = (history) => history.past.length > 0;
+
+export const canRedo = (history) => history.future.length > 0;
+
+export const undo = (history) => {
+  if (!canUndo(history)) return history;
+  return {
+    past: history.past.slice(0, -1),
+    present: history.past[history.past.length - 1],
+    future: [history.present, ...history.future],
+    lastKey: null,
+    lastTime: 0
+  };
+};
+
+export const redo = (history) => {
+  if (!canRedo(history)) return history;
+  return {
+    past: [...history.past, history.present],
+    present: history.future[0],
+    future: history.future.slice(1),
+    lastKey: null,
+    lastTime: 0
+  };
+};
@@ -0,0 +1,336 @@
+// Available layer types with their default settings, grouped into palette
+// categories. Auto settings (in_features, in_channels, ...) default to null
+// and are filled in from the inferred input shape (see shapeInference.js).
+export const layerTypes = [
+  {
+    type: 'Linear',
+    category: 'Core',
+    icon: '⚡',
+    color: 'bg-amber-100',
+    defaultSettings: {
+      in_features: null, // Will be auto-adjusted
+      out_features: 128,
+      bias: true,
+      activation: 'ReLU'
+    }
+  },
+  {
+    type: 'Conv2d',
+    category: 'Convolution',
+    icon: '🔳',
+    color: 'bg-amber-200',
+    defaultSettings: {
+      in_channels: null, // Will be auto-adjusted
+      out_channels: 32,
+      kernel_size: 3,
+      stride: 1,
+      padding: 1,
+      bias: true,
+      activation: 'ReLU'
+    }
+  },
+  {
+    type: 'BatchNorm2d',
+    category: 'Normalization',
+    icon: '📊',
+    color: 'bg-amber-100',
+    defaultSettings: {
+      num_features: null, // Will be auto-adjusted
+      eps: 1e-5,
+      momentum: 0.1,
+      affine: true,
+      track_running_stats: true
+    }
+  },
+  {
+    type: 'Dropout',
+    category: 'Core',
+    icon: '💧',
+    color: 'bg-amber-200',
+    defaultSettings: {
+      p: 0.5,
+      inplace: false
+    }
+  },
+  {
+    type: 'MultiheadAttention',
+    category: 'Sequence',
+    icon: '👁️',
+    color: 'bg-amber-100',
+    defaultSettings: {
+      embed_dim: null, // Will be auto-adjusted
+      num_heads: 8,
+      dropout: 0.1,
+      bias: true,
+      add_bias_kv: false,
+      add_zero_attn: false,
+      kdim: null,
+      vdim: null,
+      batch_first: true,
+      attn_mask: 'none',
+      key_padding_mask: false
+    }
+  },
+  {
+    type: 'MaxPool2d',
+    category: 'Pooling',
+    icon: '⬇️',
+    color: 'bg-amber-200',
+    defaultSettings: {
+      kernel_size: 2,
+      stride: 2,
+      padding: 0,
+      dilation: 1,
+      return_indices: false,
+      ceil_mode: false
+    }
+  },
+  {
+    type: 'Flatten',
+    category: 'Core',
+    icon: '📄',
+    color: 'bg-amber-100',
+    defaultSettings: {
+      start_dim: 1,
+      end_dim: -1
+    }
+  },
+  {
+    type: 'Identity',
+    category: 'Core',
+    icon: '🪞',
+    color: 'bg-amber-200',
+    defaultSettings: {}
+  },
+  {
+    type: 'Embedding',
+    category: 'Core',
+    icon: '🔤',
+    color: 'bg-amber-100',
+    defaultSettings: {
+      num_embeddings: 10000,
+      embedding_dim: 128,
+      padding_idx: null
+    }
+  },
+  {
+    type: 'Conv1d',
+    category: 'Convolution',
+    icon: '〰️',
+    color: 'bg-amber-100',
+    defaultSettings: {
+      in_channels: null, // Will be auto-adjusted
+      out_channels: 32,
+      kernel_size: 3,
+      stride: 1,
+      padding: 1,
+      bias: true,
+      activation: 'ReLU'
+    }
+  },
+  {
+    type: 'Conv3d',
+    category: 'Convolution',
+    icon: '🧊',
+    color: 'bg-amber-200',
+    defaultSettings: {
+      in_channels: null, // Will be auto-adjusted
+      out_channels: 16,
+      kernel_size: 3,
+      stride: 1,
+      padding: 1,
+      bias: true,
+      activation: 'ReLU'
+    }
+  },
+  {
+    type: 'ConvTranspose2d',
+    category: 'Convolution',
+    icon: '🔼',
+    color: 'bg-amber-100',
+    defaultSettings: {
+      in_channels: null, // Will be auto-adjusted
+      out_channels: 32,
+      kernel_size: 2,
+      stride: 2,
+      padding: 0,
+      output_padding: 0,
+      bias: true,
+      activation: 'ReLU'
+    }
+  },
+  {
+    type: 'AvgPool2d',
+    category: 'Pooling',
+    icon: '🔽',
+    color: 'bg-amber-100',
+    defaultSettings: {
+      kernel_size: 2,
+      stride: 2,
+      padding: 0,
+      ceil_mode: false,
+      count_include_pad: true
+    }
+  },
+  {
+    type: 'AdaptiveAvgPool2d',
+    category: 'Pooling',
+    icon: '🎯',
+    color: 'bg-amber-200',
+    defaultSettings: {
+      output_size: 1
+    }
+  },
+  {
+    type: 'BatchNorm1d',
+    category: 'Normalization',
+    icon: '📈',
+    color: 'bg-amber-200',
+    defaultSettings: {
+      num_features: null, // Will be auto-adjusted
+      eps: 1e-5,
+      momentum: 0.1,
+      affine: true,
+      track_running_stats: true
+    }
+  },
+  {
+    type: 'LayerNorm',
+    category: 'Normalization',
+    icon: '📏',
+    color: 'bg-amber-100',
+    defaultSettings: {
+      normalized_shape: null, // Will be auto-adjusted
+      eps: 1e-5,
+      elementwise_affine: true,
+      bias: true
+    }
+  },
+  {
+    type: 'GroupNorm',
+    category: 'Normalization',
+    icon: '🧮',
+    color: 'bg-amber-200',
+    defaultSettings: {
+      num_groups: 8,
+      num_channels: null, // Will be auto-adjusted
+      eps: 1e-5,
+      affine: true
+    }
+  },
+  {
+    type: 'LSTM',
+    category: 'Sequence',
+    icon: '🔁',
+    color: 'bg-amber-200',
+    defaultSettings: {
+      input_size: null, // Will be auto-adjusted
+      hidden_size: 128,
+      num_layers: 1,
+      bias: true,
+      batch_first: true,
+      dropout: 0,
+      bidirectional: false
+    }
+  },
+  {
+    type: 'GRU',
+    category: 'Sequence',
+    icon: '🔂',
+    color: 'bg-amber-100',
+    defaultSettings: {
+      input_size: null, // Will be auto-adjusted
+      hidden_size: 128,
+      num_layers: 1,
+      bias: true,
+      batch_first: true,
+      dropout: 0,
+      bidirectional: false
+    }
+  },
+  {
+    type: 'GELU',
+    category: 'Activation',
+    icon: '〽️',
+    color: 'bg-amber-100',
+    defaultSettings: {
+      approximate: 'none'
+    }
+  },
+  {
+    type: 'SiLU',
+    category: 'Activation',
+    icon: '🌊',
+    color: 'bg-amber-200',
+    defaultSettings: {
+      inplace: false
+    }
+  },
+  {
+    type: 'Softmax',
+    category: 'Activation',
+    icon: '🎲',
+    color: 'bg-amber-100',
+    defaultSettings: {
+      dim: -1
+    }
+  },
+  {
+    type: 'ReLU',
+    category: 'Activation',
+    icon: '📐',
+    color: 'bg-amber-200',
+    defaultSettings: {
+      inplace: false
+    }
+  },
+  {
+    type: 'Add',
+    category: 'Merge',
+    icon: '➕',
+    color: 'bg-orange-100',
+    defaultSettings: {}
+  },
+  {
+    type: 'Concat',
+    category: 'Merge',
+    icon: '🔗',
+    color: 'bg-orange-100',
+    defaultSettings: {
+      dim: 1
+    }
+  },
+  {
+    type: 'Multiply',
+    category: 'Merge',
+    icon: '✖️',
+    color: 'bg-orange-100',
+    defaultSettings: {}
+  }
+];
+
+// Palette sections, in display order
+export const LAYER_CATEGORIES = ['Core', 'Convolution', 'Pooling', 'Normalization', 'Sequence', 'Activation', 'Merge'];
+
+// Activations selectable on Linear and convolution layers
+export const ACTIVATIONS = ['ReLU', 'Sigmoid', 'Tanh', 'LeakyReLU', 'ELU', 'None'];
+
+// String settings and their allowed values
+export const SETTING_CHOICES = {
+  activation: ACTIVATIONS,
+  approximate: ['none', 'tanh'],
+  // 'causal' keeps each position from attending to later ones
+  attn_mask: ['none', 'causal']
+};
+
+// Weight initialization schemes (torch.nn.init); 'default' keeps PyTorch's own
+export const WEIGHT_INITS = ['default', 'kaiming_normal', 'kaiming_uniform', 'xavier_normal', 'xavier_uniform', 'orthogonal'];
+
+// Layer types with weight matrices, which an init scheme applies to. All of
+// them but Embedding have a bias setting.
+export const INITIALIZABLE_TYPES = ['Linear', 'Conv1d', 'Conv2d', 'Conv3d', 'ConvTranspose2d', 'Embedding', 'LSTM', 'GRU', 'MultiheadAttention'];
+
+// Layer types with parameters, which can be frozen (block instances can be too)
+export const FREEZABLE_TYPES = [...INITIALIZABLE_TYPES, 'BatchNorm1d', 'BatchNorm2d', 'LayerNorm', 'GroupNorm'];
+
+export const getLayerType = (type) => layerTypes.find(lt => lt.type === type);
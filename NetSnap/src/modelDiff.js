@@ -0,0 +1,152 @@
+// Compare two versions of a design: layers are aligned between them, then
+// reported as added, removed, changed or unchanged along with the settings
+// that differ and the effect on the parameter count.
+// Versions are { inputDimension, layers, blocks } as parseModel returns them.
+
+import { INPUT_NODE_ID, topologicalSort } from './graph.js';
+import { expandBlocks, propagateBlockShapes, collapseCosts } from './blocks.js';
+import { estimateCosts } from './modelStats.js';
+import { isAutoSetting } from './shapeInference.js';
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Layers in forward order with their auto settings filled in, their
+// parameter counts and a label numbered by position
+const prepare = ({ inputDimension, layers, blocks }) => {
+  const sorted = topologicalSort(propagateBlockShapes(inputDimension, layers, blocks));
+  const expansion = expandBlocks(sorted, blocks);
+  const costs = estimateCosts(inputDimension, expansion.layers);
+  const layerCosts = collapseCosts(sorted, expansion, costs.layers);
+  return {
+    inputDimension,
+    blocks,
+    totals: costs.totals,
+    layers: sorted.map((layer, index) => ({
+      layer,
+      label: `#${index + 1} ${layer.type}`,
+      params: layerCosts[index]?.params ?? null
+    }))
+  };
+};
+
+// Pair up layers of the two versions. A layer edited in place keeps its id,
+// so ids are matched first; the rest (e.g. a design rebuilt from pasted
+// code) are paired by the longest common sequence of layer types.
+// Returns a Map from before ids to after ids.
+const alignLayers = (before, after) => {
+  const matches = new Map();
+  const afterById = new Map(after.map(entry => [entry.layer.id, entry.layer]));
+  before.forEach(({ layer }) => {
+    if (afterById.get(layer.id)?.type === layer.type) matches.set(layer.id, layer.id);
+  });
+  const matchedAfter = new Set(matches.values());
+  const restBefore = before.filter(({ layer }) => !matches.has(layer.id)).map(entry => entry.layer);
+  const restAfter = after.filter(({ layer }) => !matchedAfter.has(layer.id)).map(entry => entry.layer);
+
+  const lengths = restBefore.map(() => new Array(restAfter.length + 1).fill(0));
+  lengths.push(new Array(restAfter.length + 1).fill(0));
+  for (let i = restBefore.length - 1; i >= 0; i--) {
+    for (let j = restAfter.length - 1; j >= 0; j--) {
+      lengths[i][j] = restBefore[i].type === restAfter[j].type
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+  for (let i = 0, j = 0; i < restBefore.length && j < restAfter.length;) {
+    if (restBefore[i].type === restAfter[j].type) {
+      matches.set(restBefore[i].id, restAfter[j].id);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return matches;
+};
+
+// Settings plus the init scheme and frozen flag, compared like settings
+const comparedSettings = (layer) => ({
+  ...layer.settings,
+  'weight init': layer.init?.weight ?? 'default',
+  'bias init': layer.init?.bias ?? null,
+  frozen: Boolean(layer.frozen)
+});
+
+const settingChanges = (type, beforeSettings, afterSettings) =>
+  [...new Set([...Object.keys(beforeSettings), ...Object.keys(afterSettings)])]
+    .filter(key => !sameValue(beforeSettings[key], afterSettings[key]))
+    .map(key => ({ key, before: beforeSettings[key], after: afterSettings[key], auto: isAutoSetting(type, key) }));
+
+// Compare two versions. Returns
+// { rows, inputDimension, blocks, params, trainable, counts } where rows
+// line the layers up side by side in forward order: each has a status
+// ('added' | 'removed' | 'changed' | 'unchanged'), before and after
+// ({ layer, label, params } or null), the changed settings
+// ([{ key, before, after, auto }]) and whether the layer's inputs changed.
+// Removed layers are listed after the closest layer before them that is kept.
+export const diffModels = (beforeVersion, afterVersion) => {
+  const before = prepare(beforeVersion);
+  const after = prepare(afterVersion);
+  const matches = alignLayers(before.layers, after.layers);
+  const matchedBefore = new Map([...matches].map(([beforeId, afterId]) => [afterId, beforeId]));
+  const beforeById = new Map(before.layers.map(entry => [entry.layer.id, entry]));
+
+  // Removed layers, grouped under the after id of the nearest kept layer before them
+  const removedAfter = new Map();
+  let anchor = null;
+  before.layers.forEach(entry => {
+    if (matches.has(entry.layer.id)) {
+      anchor = matches.get(entry.layer.id);
+    } else {
+      removedAfter.set(anchor, [...(removedAfter.get(anchor) ?? []), entry]);
+    }
+  });
+  const removedRows = (afterId) => (removedAfter.get(afterId) ?? []).map(entry => ({
+    status: 'removed', before: entry, after: null, settings: [], inputsChanged: false
+  }));
+
+  const rows = [...removedRows(null)];
+  after.layers.forEach(entry => {
+    const previous = beforeById.get(matchedBefore.get(entry.layer.id));
+    if (!previous) {
+      rows.push({ status: 'added', before: null, after: entry, settings: [], inputsChanged: false });
+    } else {
+      const settings = settingChanges(entry.layer.type, comparedSettings(previous.layer), comparedSettings(entry.layer));
+      const inputsChanged = !sameValue(
+        previous.layer.inputs.map(id => (id === INPUT_NODE_ID ? id : matches.get(id) ?? null)),
+        entry.layer.inputs
+      );
+      rows.push({
+        status: settings.length > 0 || inputsChanged ? 'changed' : 'unchanged',
+        before: previous,
+        after: entry,
+        settings,
+        inputsChanged
+      });
+    }
+    rows.push(...removedRows(entry.layer.id));
+  });
+
+  const blockNames = [...new Set([...Object.keys(before.blocks), ...Object.keys(after.blocks)])];
+  const blocks = blockNames.flatMap(name => {
+    if (!before.blocks[name]) return [{ name, status: 'added' }];
+    if (!after.blocks[name]) return [{ name, status: 'removed' }];
+    return sameValue(before.blocks[name], after.blocks[name]) ? [] : [{ name, status: 'changed' }];
+  });
+
+  const count = (status) => rows.filter(row => row.status === status).length;
+  return {
+    rows,
+    inputDimension: {
+      before: before.inputDimension,
+      after: after.inputDimension,
+      changed: !sameValue(before.inputDimension, after.inputDimension)
+    },
+    blocks,
+    params: { before: before.totals.params, after: after.totals.params },
+    trainable: { before: before.totals.trainable, after: after.totals.trainable },
+    counts: { added: count('added'), removed: count('removed'), changed: count('changed') }
+  };
+};
@@ -0,0 +1,342 @@
+// Versioned JSON model format, as written by "Download JSON" and read back
+// by the importer. Bump MODEL_FORMAT_VERSION and add a migration whenever
+// the shape of the file changes.
+
+import { layerTypes, getLayerType, SETTING_CHOICES, WEIGHT_INITS, INITIALIZABLE_TYPES, FREEZABLE_TYPES } from './layerTypes.js';
+import { INPUT_NODE_ID, topologicalSort, layoutLayers, getOutputLayers } from './graph.js';
+import { isAutoSetting } from './shapeInference.js';
+import { BLOCK_NAME_PATTERN, PARAM_NAME_PATTERN, RESERVED_PARAM_NAMES, isBindableSetting, usedBlocks } from './blocks.js';
+
+export const MODEL_FORMAT_VERSION = 2;
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// migrations[n] upgrades a version n model to version n + 1
+const migrations = {
+  // Version 0 had no version field, a scalar input_dim and a linear list of
+  // layers without ids or connections
+  0: (model) => ({
+    ...model,
+    version: 1,
+    input_dim: typeof model.input_dim === 'number' ? [model.input_dim] : model.input_dim,
+    layers: Array.isArray(model.layers)
+      ? model.layers.map((layer, index) => (isObject(layer)
+        ? { id: index + 1, inputs: [index === 0 ? INPUT_NODE_ID : index], ...layer }
+        : layer))
+      : model.layers
+  }),
+  // Version 2 added composite block definitions
+  1: (model) => ({ ...model, version: 2, blocks: model.blocks ?? {} })
+};
+
+// Upgrade a parsed model to the current version
+export const migrateModel = (model) => {
+  let migrated = model;
+  for (let version = model.version ?? 0; version < MODEL_FORMAT_VERSION; version++) {
+    migrated = migrations[version](migrated);
+  }
+  return migrated;
+};
+
+// Check one setting value against the type of its default
+const settingError = (key, value, defaultValue) => {
+  if (SETTING_CHOICES[key] && !SETTING_CHOICES[key].includes(value)) {
+    return `${key} must be one of ${SETTING_CHOICES[key].join(', ')} (got ${JSON.stringify(value)})`;
+  }
+  if (defaultValue === null) {
+    return value === null || typeof value === 'number' ? null : `${key} must be a number or null`;
+  }
+  if (typeof value !== typeof defaultValue) {
+    return `${key} must be a ${typeof defaultValue} (got ${JSON.stringify(value)})`;
+  }
+  return null;
+};
+
+// Check a sweep spec (see sweep.js): a list of numbers or a range
+const sweepSpecError = (key, spec) => {
+  if (isObject(spec) && Array.isArray(spec.values)) {
+    return spec.values.length > 0 && spec.values.every(Number.isFinite) ? null : `sweep of ${key}: values must be a non-empty list of numbers`;
+  }
+  if (isObject(spec) && Number.isFinite(spec.min) && Number.isFinite(spec.max)) {
+    if (!(spec.min < spec.max)) return `sweep of ${key}: min must be less than max`;
+    return spec.step === null || spec.step === undefined || spec.step > 0 ? null : `sweep of ${key}: step must be positive`;
+  }
+  return `sweep of ${key}: expected { values } or { min, max, step }`;
+};
+
+// Check an init entry, { weight: scheme, bias: constant } with both optional
+const initErrors = (type, init) => {
+  if (!isObject(init)) return ['init must be an object'];
+  if (!INITIALIZABLE_TYPES.includes(type)) return [`init: ${type} has no weights to initialize`];
+  return Object.entries(init).flatMap(([key, value]) => {
+    if (key === 'weight') {
+      return WEIGHT_INITS.includes(value) ? [] : [`init.weight must be one of ${WEIGHT_INITS.join(', ')} (got ${JSON.stringify(value)})`];
+    }
+    if (key === 'bias' && type !== 'Embedding') {
+      return Number.isFinite(value) ? [] : [`init.bias must be a number (got ${JSON.stringify(value)})`];
+    }
+    return [`init: unknown key "${key}"`];
+  });
+};
+
+// Validate and normalize one layer entry, pushing problems onto errors.
+// Block instances take their settings from the block's parameters.
+const parseLayer = (entry, index, errors, blocks = {}, prefix = '') => {
+  const label = `${prefix}Layer ${index + 1}`;
+  if (!isObject(entry)) {
+    errors.push(`${label}: expected an object`);
+    return null;
+  }
+  const layerType = getLayerType(entry.type) ??
+    (Object.hasOwn(blocks, entry.type) ? { defaultSettings: blocks[entry.type].params } : null);
+  if (!layerType) {
+    const known = [...layerTypes.map(lt => lt.type), ...Object.keys(blocks)];
+    errors.push(`${label}: unknown layer type ${JSON.stringify(entry.type)} (expected one of ${known.join(', ')})`);
+    return null;
+  }
+  if (typeof entry.id !== 'number' && typeof entry.id !== 'string') {
+    errors.push(`${label} (${entry.type}): id must be a number or string`);
+  } else if (entry.id === INPUT_NODE_ID) {
+    errors.push(`${label} (${entry.type}): id "${INPUT_NODE_ID}" is reserved for the model input`);
+  }
+  if (!Array.isArray(entry.inputs)) {
+    errors.push(`${label} (${entry.type}): inputs must be an array of layer ids`);
+  }
+  const settings = { ...layerType.defaultSettings };
+  if (entry.settings !== undefined && !isObject(entry.settings)) {
+    errors.push(`${label} (${entry.type}): settings must be an object`);
+  } else {
+    Object.entries(entry.settings ?? {}).forEach(([key, value]) => {
+      if (!(key in layerType.defaultSettings)) {
+        errors.push(`${label} (${entry.type}): unknown setting "${key}"`);
+        return;
+      }
+      const error = settingError(key, value, layerType.defaultSettings[key]);
+      if (error) {
+        errors.push(`${label} (${entry.type}): ${error}`);
+        return;
+      }
+      settings[key] = value;
+    });
+  }
+  // Sweep variables on numeric settings, see sweep.js
+  let sweep = null;
+  if (entry.sweep !== undefined && !isObject(entry.sweep)) {
+    errors.push(`${label} (${entry.type}): sweep must be an object`);
+  } else if (entry.sweep !== undefined) {
+    sweep = {};
+    Object.entries(entry.sweep).forEach(([key, spec]) => {
+      const defaultValue = layerType.defaultSettings[key];
+      if (!(key in layerType.defaultSettings) || SETTING_CHOICES[key] || isAutoSetting(entry.type, key) ||
+          !(defaultValue === null || typeof defaultValue === 'number')) {
+        errors.push(`${label} (${entry.type}): sweep of "${key}": not a numeric setting`);
+        return;
+      }
+      const error = sweepSpecError(key, spec);
+      if (error) {
+        errors.push(`${label} (${entry.type}): ${error}`);
+        return;
+      }
+      sweep[key] = spec.values ? { values: [...spec.values] } : { min: spec.min, max: spec.max, step: spec.step ?? null };
+    });
+  }
+  // Weight initialization and freezing, written out by the PyTorch generator
+  let init = null;
+  if (entry.init !== undefined) {
+    const problems = initErrors(entry.type, entry.init);
+    problems.forEach(problem => errors.push(`${label} (${entry.type}): ${problem}`));
+    if (problems.length === 0) {
+      init = {
+        ...(entry.init.weight && entry.init.weight !== 'default' ? { weight: entry.init.weight } : {}),
+        ...(entry.init.bias !== undefined ? { bias: entry.init.bias } : {})
+      };
+    }
+  }
+  if (entry.frozen !== undefined && typeof entry.frozen !== 'boolean') {
+    errors.push(`${label} (${entry.type}): frozen must be a boolean`);
+  } else if (entry.frozen && !FREEZABLE_TYPES.includes(entry.type) && !Object.hasOwn(blocks, entry.type)) {
+    errors.push(`${label} (${entry.type}): frozen: ${entry.type} has no parameters to freeze`);
+  }
+  const hasPosition = isObject(entry.position) &&
+    typeof entry.position.x === 'number' && typeof entry.position.y === 'number';
+  return {
+    id: entry.id,
+    type: entry.type,
+    inputs: Array.isArray(entry.inputs) ? [...entry.inputs] : [],
+    position: hasPosition ? { x: entry.position.x, y: entry.position.y } : null,
+    settings,
+    ...(sweep && Object.keys(sweep).length > 0 ? { sweep } : {}),
+    ...(init && Object.keys(init).length > 0 ? { init } : {}),
+    ...(entry.frozen === true ? { frozen: true } : {})
+  };
+};
+
+// Connections must point at known, unique ids and must not form cycles
+const checkConnections = (layers, errors, prefix = '') => {
+  const ids = new Set();
+  layers.forEach(layer => {
+    if (ids.has(layer.id)) errors.push(`${prefix}Duplicate layer id ${JSON.stringify(layer.id)}`);
+    ids.add(layer.id);
+  });
+  layers.forEach(layer => {
+    layer.inputs
+      .filter(id => id !== INPUT_NODE_ID && !ids.has(id))
+      .forEach(id => errors.push(`${prefix}${layer.type} ${JSON.stringify(layer.id)}: input ${JSON.stringify(id)} does not exist`));
+  });
+  if (errors.length === 0) {
+    const placed = new Set([INPUT_NODE_ID]);
+    topologicalSort(layers).forEach(layer => {
+      if (!layer.inputs.every(id => placed.has(id))) {
+        errors.push(`${prefix}${layer.type} ${JSON.stringify(layer.id)} is part of a cycle`);
+      }
+      placed.add(layer.id);
+    });
+  }
+};
+
+// Lay out layers that were saved without canvas positions
+const fillPositions = (layers) => {
+  const laidOut = layoutLayers(layers);
+  return layers.map((layer, index) => (layer.position ? layer : laidOut[index]));
+};
+
+// Validate one block definition; returns the normalized definition
+const parseBlock = (name, entry, errors) => {
+  const prefix = `Block ${name}: `;
+  if (!BLOCK_NAME_PATTERN.test(name) || getLayerType(name)) {
+    errors.push(`${prefix}the name must start with a capital letter, use only letters, digits and _, and differ from the built-in layer types`);
+  }
+  if (!isObject(entry) || !isObject(entry.params) || !Array.isArray(entry.bindings) || !Array.isArray(entry.layers)) {
+    errors.push(`${prefix}expected an object with params, bindings and layers`);
+    return null;
+  }
+  const count = errors.length;
+  Object.entries(entry.params).forEach(([param, value]) => {
+    if (!PARAM_NAME_PATTERN.test(param) || RESERVED_PARAM_NAMES.includes(param)) {
+      errors.push(`${prefix}invalid parameter name "${param}"`);
+    }
+    if (value !== null && typeof value !== 'number' && typeof value !== 'boolean') {
+      errors.push(`${prefix}parameter ${param} must be a number, boolean or null`);
+    }
+  });
+  const layers = entry.layers.map((layerEntry, index) => parseLayer(layerEntry, index, errors, {}, prefix)).filter(Boolean);
+  if (errors.length > count) return null;
+  if (layers.length === 0) {
+    errors.push(`${prefix}a block needs at least one layer`);
+    return null;
+  }
+  checkConnections(layers, errors, prefix);
+  if (errors.length > count) return null;
+  if (getOutputLayers(layers).length !== 1) {
+    errors.push(`${prefix}a block must have exactly one output layer`);
+  }
+  if (!layers.some(layer => layer.inputs.includes(INPUT_NODE_ID))) {
+    errors.push(`${prefix}no layer reads the block input`);
+  }
+  entry.bindings.forEach(binding => {
+    const layer = layers.find(inner => isObject(binding) && inner.id === binding.layer);
+    if (!layer || !isBindableSetting(layer.type, binding.setting) || !Object.hasOwn(entry.params, binding.param)) {
+      errors.push(`${prefix}invalid binding ${JSON.stringify(binding)}`);
+      return;
+    }
+    const error = settingError(binding.setting, entry.params[binding.param], getLayerType(layer.type).defaultSettings[binding.setting]);
+    if (error) errors.push(`${prefix}parameter ${binding.param}: ${error}`);
+  });
+  if (errors.length > count) return null;
+  return {
+    params: { ...entry.params },
+    bindings: entry.bindings.map(({ layer, setting, param }) => ({ layer, setting, param })),
+    layers: fillPositions(layers)
+  };
+};
+
+const parseBlocks = (entries, errors) => {
+  if (!isObject(entries)) {
+    errors.push('blocks must be an object of block definitions');
+    return {};
+  }
+  const blocks = {};
+  Object.entries(entries).forEach(([name, entry]) => {
+    const block = parseBlock(name, entry, errors);
+    if (block) blocks[name] = block;
+  });
+  return blocks;
+};
+
+// Turn a parsed JSON value into editor state.
+// Returns { inputDimension, batchFirst, layers, blocks, errors }; the model
+// is only usable when errors is empty.
+export const parseModel = (json) => {
+  const errors = [];
+  if (!isObject(json)) {
+    return { inputDimension: null, layers: [], blocks: {}, errors: ['The file does not contain a model object'] };
+  }
+  if (json.version !== undefined &&
+      !(Number.isInteger(json.version) && json.version >= 0 && json.version <= MODEL_FORMAT_VERSION)) {
+    const message = Number.isInteger(json.version) && json.version > MODEL_FORMAT_VERSION
+      ? `The model was saved by a newer version of NetSnap (format ${json.version}, this editor reads up to ${MODEL_FORMAT_VERSION})`
+      : `version must be an integer (got ${JSON.stringify(json.version)})`;
+    return { inputDimension: null, layers: [], blocks: {}, errors: [message] };
+  }
+  const model = migrateModel(json);
+
+  const inputDimension = model.input_dim;
+  if (!Array.isArray(inputDimension) || inputDimension.length === 0 ||
+      !inputDimension.every(size => Number.isInteger(size) && size > 0)) {
+    errors.push(`input_dim must be a list of positive integers (got ${JSON.stringify(inputDimension)})`);
+  }
+  // Sequence inputs [seq_len, features] may be fed seq-first; see serializeModel
+  const batchFirst = model.batch_first ?? true;
+  if (typeof batchFirst !== 'boolean') {
+    errors.push(`batch_first must be a boolean (got ${JSON.stringify(batchFirst)})`);
+  } else if (!batchFirst && Array.isArray(inputDimension) && inputDimension.length !== 2) {
+    errors.push(`batch_first: false only applies to sequence inputs [seq_len, features] (got input_dim ${JSON.stringify(inputDimension)})`);
+  }
+  if (!Array.isArray(model.layers)) {
+    errors.push('layers must be an array');
+    return { inputDimension: null, layers: [], blocks: {}, errors };
+  }
+
+  // A model without blocks just defines none
+  const blocks = parseBlocks(model.blocks ?? {}, errors);
+  const layers = model.layers.map((entry, index) => parseLayer(entry, index, errors, blocks)).filter(Boolean);
+  checkConnections(layers, errors);
+  if (errors.length > 0) {
+    return { inputDimension: null, layers: [], blocks: {}, errors };
+  }
+
+  return { inputDimension, batchFirst, layers: fillPositions(layers), blocks, errors };
+};
+
+// Parse the text of a .json file
+export const parseModelText = (text) => {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (err) {
+    return { inputDimension: null, layers: [], blocks: {}, errors: [`The file is not valid JSON: ${err.message}`] };
+  }
+  return parseModel(json);
+};
+
+// The model JSON for a design ({ inputDimension, batchFirst, layers, blocks }
+// as parseModel returns it), with the layers in forward order and only the
+// blocks they use. batch_first: false is only written for sequence inputs:
+// the model then takes and returns sequences as (seq, batch, features),
+// while the layers inside still work batch first.
+export const serializeModel = ({ inputDimension, batchFirst = true, layers, blocks }) => ({
+  version: MODEL_FORMAT_VERSION,
+  input_dim: inputDimension,
+  ...(batchFirst === false && inputDimension.length === 2 ? { batch_first: false } : {}),
+  blocks: usedBlocks(layers, blocks),
+  layers: topologicalSort(layers).map(layer => ({
+    id: layer.id,
+    type: layer.type,
+    inputs: [...layer.inputs],
+    position: { ...layer.position },
+    settings: { ...layer.settings },
+    ...(layer.sweep ? { sweep: { ...layer.sweep } } : {}),
+    ...(layer.init ? { init: { ...layer.init } } : {}),
+    ...(layer.frozen ? { frozen: true } : {})
+  }))
+});
@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { parseModel, serializeModel } from './modelFormat.js';
+
+const LSTM_MODEL = {
+  version: 2,
+  input_dim: [20, 32],
+  blocks: {},
+  layers: [{ id: 1, type: 'LSTM', inputs: ['input'], settings: { hidden_size: 64 } }]
+};
+
+describe('batch_first', () => {
+  it('defaults to batch first and is only written when false', () => {
+    const design = parseModel(LSTM_MODEL);
+    expect(design.errors).toEqual([]);
+    expect(design.batchFirst).toBe(true);
+    expect(serializeModel(design)).not.toHaveProperty('batch_first');
+  });
+
+  it('round-trips a seq-first model', () => {
+    const design = parseModel({ ...LSTM_MODEL, batch_first: false });
+    expect(design.batchFirst).toBe(false);
+    expect(serializeModel(design).batch_first).toBe(false);
+  });
+
+  it('only applies to sequence inputs', () => {
+    expect(parseModel({ ...LSTM_MODEL, batch_first: 'no' }).errors).toEqual(['batch_first must be a boolean (got "no")']);
+    expect(parseModel({ ...LSTM_MODEL, input_dim: [3, 32, 32], batch_first: false }).errors[0]).toContain('only applies to sequence inputs');
+  });
+});
+
+describe('blocks', () => {
+  it('reads a model without blocks as defining none', () => {
+    const { blocks: _blocks, ...model } = LSTM_MODEL;
+    const design = parseModel(model);
+    expect(design.errors).toEqual([]);
+    expect(design.blocks).toEqual({});
+  });
+
+  it('rejects blocks that are not an object', () => {
+    expect(parseModel({ ...LSTM_MODEL, blocks: [] }).errors).toEqual(['blocks must be an object of block definitions']);
+  });
+});
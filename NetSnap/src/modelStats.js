@@ -0,0 +1,154 @@
+// Cost estimates per layer and for the whole model: parameter counts,
+// multiply-accumulate operations (MACs) and activation memory, in the spirit
+// of torchsummary. Shapes come from shape inference and exclude the batch.
+// Elementwise work (activations, pooling, merges) is not counted as MACs.
+
+import { inferShapes } from './shapeInference.js';
+
+const BYTES_PER_FLOAT = 4;
+
+const size = (shape) => shape.reduce((total, dim) => total * dim, 1);
+
+// Convolutions: every output element sums over in_channels x kernel volume
+const convCosts = (settings, inputShape, outputShape) => {
+  const spatialRank = inputShape.length - 1;
+  const kernelSize = inputShape[0] * settings.kernel_size ** spatialRank;
+  return {
+    trainable: settings.out_channels * kernelSize + (settings.bias ? settings.out_channels : 0),
+    nonTrainable: 0,
+    macs: size(outputShape) * kernelSize
+  };
+};
+
+// One multiply-add per element to normalize, scale and shift
+const batchNormCosts = (settings, inputShape) => ({
+  trainable: settings.affine ? 2 * inputShape[0] : 0,
+  nonTrainable: settings.track_running_stats ? 2 * inputShape[0] : 0,
+  macs: size(inputShape)
+});
+
+// LSTM has 4 gates and GRU 3, each a linear map of [input, hidden] per
+// layer and direction; stacked layers read both directions of the one below
+const recurrentCosts = (gates) => (settings, inputShape) => {
+  const directions = settings.bidirectional ? 2 : 1;
+  const hidden = settings.hidden_size;
+  let weights = 0;
+  for (let layer = 0; layer < settings.num_layers; layer++) {
+    const inputSize = layer === 0 ? inputShape[1] : directions * hidden;
+    weights += directions * gates * hidden * (inputSize + hidden);
+  }
+  const biases = settings.bias ? settings.num_layers * directions * 2 * gates * hidden : 0;
+  return { trainable: weights + biases, nonTrainable: 0, macs: inputShape[0] * weights };
+};
+
+// { trainable, nonTrainable, macs } for one example. Non-trainable counts
+// buffers that are saved with the model, like BatchNorm running statistics.
+const layerCostRules = {
+  Linear: (settings, inputShape, outputShape) => {
+    const inFeatures = inputShape[inputShape.length - 1];
+    return {
+      trainable: inFeatures * settings.out_features + (settings.bias ? settings.out_features : 0),
+      nonTrainable: 0,
+      macs: size(outputShape) * inFeatures
+    };
+  },
+  Conv1d: convCosts,
+  Conv2d: convCosts,
+  Conv3d: convCosts,
+  // Every input element is spread over out_channels x kernel area
+  ConvTranspose2d: (settings, inputShape) => {
+    const kernelArea = settings.kernel_size * settings.kernel_size;
+    return {
+      trainable: inputShape[0] * settings.out_channels * kernelArea + (settings.bias ? settings.out_channels : 0),
+      nonTrainable: 0,
+      macs: size(inputShape) * settings.out_channels * kernelArea
+    };
+  },
+  BatchNorm1d: batchNormCosts,
+  BatchNorm2d: batchNormCosts,
+  LayerNorm: (settings, inputShape) => ({
+    trainable: settings.elementwise_affine ? (settings.bias ? 2 : 1) * inputShape[inputShape.length - 1] : 0,
+    nonTrainable: 0,
+    macs: size(inputShape)
+  }),
+  GroupNorm: (settings, inputShape) => ({
+    trainable: settings.affine ? 2 * inputShape[0] : 0,
+    nonTrainable: 0,
+    macs: size(inputShape)
+  }),
+  // A table lookup, no arithmetic
+  Embedding: (settings) => ({
+    trainable: settings.num_embeddings * settings.embedding_dim,
+    nonTrainable: 0,
+    macs: 0
+  }),
+  LSTM: recurrentCosts(4),
+  GRU: recurrentCosts(3),
+  // Q, K, V and output projections plus the two attention matmuls
+  MultiheadAttention: (settings, inputShape) => {
+    const [seq, embed] = inputShape;
+    return {
+      trainable: 4 * embed * embed + (settings.bias ? 4 * embed : 0) + (settings.add_bias_kv ? 2 * embed : 0),
+      nonTrainable: 0,
+      macs: 4 * seq * embed * embed + 2 * seq * seq * embed
+    };
+  }
+};
+
+const NO_COST = { trainable: 0, nonTrainable: 0, macs: 0 };
+
+// Per-layer costs aligned with `layers` ({ ...costs, activations } or null
+// for layers without a valid shape) and model totals, for a given batch size
+export const estimateCosts = (inputShape, layers, batchSize = 1) => {
+  const shapes = inferShapes(inputShape, layers);
+  const perLayer = layers.map((layer, index) => {
+    const { inputShape: layerInput, outputShape, error } = shapes[index];
+    if (error || !outputShape) return null;
+    const rule = layerCostRules[layer.type];
+    const ruleCosts = rule ? rule(layer.settings, layerInput, outputShape) : NO_COST;
+    // Frozen parameters are saved with the model but not trained
+    const costs = layer.frozen
+      ? { ...ruleCosts, trainable: 0, nonTrainable: ruleCosts.nonTrainable + ruleCosts.trainable }
+      : ruleCosts;
+    return {
+      ...costs,
+      params: costs.trainable + costs.nonTrainable,
+      macs: costs.macs * batchSize,
+      // Output elements kept for the backward pass
+      activations: size(outputShape) * batchSize,
+      activationBytes: size(outputShape) * batchSize * BYTES_PER_FLOAT
+    };
+  });
+
+  const known = perLayer.filter(Boolean);
+  const sum = (key) => known.reduce((total, costs) => total + costs[key], 0);
+  const trainable = sum('trainable');
+  const nonTrainable = sum('nonTrainable');
+  const inputBytes = size(inputShape) * batchSize * BYTES_PER_FLOAT;
+  // Forward activations plus their gradients, as torchsummary counts them
+  const activationBytes = 2 * sum('activationBytes');
+  const paramBytes = (trainable + nonTrainable) * BYTES_PER_FLOAT;
+  return {
+    layers: perLayer,
+    totals: {
+      trainable,
+      nonTrainable,
+      params: trainable + nonTrainable,
+      macs: sum('macs'),
+      inputBytes,
+      activationBytes,
+      paramBytes,
+      totalBytes: inputBytes + activationBytes + paramBytes
+    },
+    complete: known.length === layers.length
+  };
+};
+
+// 1234567 -> "1.23M"
+export const formatCount = (count) => {
+  const units = [[1e12, 'T'], [1e9, 'G'], [1e6, 'M'], [1e3, 'K']];
+  const unit = units.find(([threshold]) => count >= threshold);
+  return unit ? `${Number((count / unit[0]).toPrecision(3))}${unit[1]}` : String(count);
+};
+
+export const formatBytes = (bytes) => `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
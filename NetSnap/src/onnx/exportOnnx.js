@@ -0,0 +1,447 @@
+// ONNX exporter: builds an ONNX ModelProto from the generateModel JSON,
+// entirely in the browser. Tensors are channels-first and batch-first like
+// the designed model, with a symbolic batch dimension. Weights are either
+// random (PyTorch's default uniform init) or zero, so the file is meant for
+// inspecting and wiring up the architecture, not for inference results.
+
+import { INPUT_NODE_ID, getOutputLayers } from '../graph.js';
+import { inferShapes } from '../shapeInference.js';
+import { flattenModel } from '../blocks.js';
+import {
+  concatBytes, intField, floatField, stringField, bytesField, messageField, packedIntsField
+} from './protobuf.js';
+
+const IR_VERSION = 8;
+export const ONNX_OPSET = 17;
+
+const BATCH_DIM = 'batch';
+
+// TensorProto.DataType
+const FLOAT = 1;
+const INT64 = 7;
+
+// AttributeProto.AttributeType
+const ATTR_FLOAT = 1;
+const ATTR_INT = 2;
+const ATTR_STRING = 3;
+const ATTR_INTS = 7;
+
+const ONNX_ACTIVATIONS = {
+  ReLU: { op: 'Relu', attributes: [] },
+  Sigmoid: { op: 'Sigmoid', attributes: [] },
+  Tanh: { op: 'Tanh', attributes: [] },
+  LeakyReLU: { op: 'LeakyRelu', attributes: [['alpha', 'float', 0.01]] },
+  ELU: { op: 'Elu', attributes: [['alpha', 'float', 1.0]] }
+};
+
+// Protobuf messages, as lists of encoded fields
+
+const attributeProto = ([name, kind, value]) => {
+  if (kind === 'float') return [stringField(1, name), intField(20, ATTR_FLOAT), floatField(2, value)];
+  if (kind === 'ints') return [stringField(1, name), intField(20, ATTR_INTS), packedIntsField(8, value)];
+  if (kind === 'string') return [stringField(1, name), intField(20, ATTR_STRING), stringField(4, value)];
+  return [stringField(1, name), intField(20, ATTR_INT), intField(3, value)];
+};
+
+const nodeProto = ({ op, name, inputs, outputs, attributes }) => [
+  ...inputs.map(input => stringField(1, input)),
+  ...outputs.map(output => stringField(2, output)),
+  stringField(3, name),
+  stringField(4, op),
+  ...attributes.map(attribute => messageField(5, attributeProto(attribute)))
+];
+
+const tensorProto = ({ name, dims, dataType, rawData }) => [
+  ...(dims.length > 0 ? [packedIntsField(1, dims)] : []),
+  intField(2, dataType),
+  stringField(8, name),
+  bytesField(9, rawData)
+];
+
+// Shape entries are sizes or symbolic names
+const valueInfoProto = ({ name, shape }) => {
+  const dims = shape.map(size => messageField(1, [typeof size === 'string' ? stringField(2, size) : intField(1, size)]));
+  const tensorType = [intField(1, FLOAT), messageField(2, dims)];
+  return [stringField(1, name), messageField(2, [messageField(1, tensorType)])];
+};
+
+// Graph under construction. Layer converters add nodes and initializers
+// through these helpers and return the name of their output tensor.
+const createGraph = (weights) => {
+  const graph = { nodes: [], initializers: [] };
+
+  graph.node = (op, name, inputs, attributes = [], output = name) => {
+    graph.nodes.push({ op, name, inputs, outputs: [output], attributes });
+    return output;
+  };
+
+  graph.floats = (name, dims, values) => {
+    const rawData = new Uint8Array(Float32Array.from(values).buffer);
+    graph.initializers.push({ name, dims, dataType: FLOAT, rawData });
+    return name;
+  };
+
+  graph.ints = (name, values) => {
+    const rawData = new Uint8Array(BigInt64Array.from(values, BigInt).buffer);
+    graph.initializers.push({ name, dims: [values.length], dataType: INT64, rawData });
+    return name;
+  };
+
+  // Learnable weights: uniform in ±1/sqrt(fan_in) like PyTorch's defaults, or zeros
+  graph.weight = (name, dims, fanIn) => {
+    const count = dims.reduce((total, size) => total * size, 1);
+    const bound = 1 / Math.sqrt(fanIn);
+    const values = weights === 'zeros'
+      ? new Array(count).fill(0)
+      : Array.from({ length: count }, () => (Math.random() * 2 - 1) * bound);
+    return graph.floats(name, dims, values);
+  };
+
+  graph.constant = (name, dims, value) =>
+    graph.floats(name, dims, new Array(dims.reduce((total, size) => total * size, 1)).fill(value));
+
+  return graph;
+};
+
+const applyActivation = (graph, activation, x, name) => {
+  const onnxActivation = ONNX_ACTIVATIONS[activation];
+  if (!onnxActivation) return x;
+  return graph.node(onnxActivation.op, name, [x], onnxActivation.attributes);
+};
+
+// -inf above the diagonal so no position attends to a later one
+const causalMask = (seq) => Array.from({ length: seq * seq }, (_, i) => (i % seq > Math.floor(i / seq) ? -Infinity : 0));
+
+// Scaled dot-product self-attention, written out with primitive ops. There
+// is no key padding mask input; the graph matches calling the model without one.
+const attention = (graph, settings, x, name, seq) => {
+  const embed = settings.embed_dim;
+  const heads = settings.num_heads;
+  const headDim = embed / heads;
+  const projection = (suffix, input) => {
+    const weight = graph.weight(`${name}.${suffix}.weight`, [embed, embed], embed);
+    const projected = graph.node('MatMul', `${name}_${suffix}_matmul`, [input, weight]);
+    if (!settings.bias) return projected;
+    const bias = graph.weight(`${name}.${suffix}.bias`, [embed], embed);
+    return graph.node('Add', `${name}_${suffix}`, [projected, bias]);
+  };
+  const splitShape = graph.ints(`${name}.split_shape`, [0, 0, heads, headDim]);
+  const mergeShape = graph.ints(`${name}.merge_shape`, [0, 0, embed]);
+  // [batch, seq, embed] -> [batch, heads, seq, head_dim] (keys end up transposed)
+  const splitHeads = (suffix, perm) => {
+    const projected = projection(suffix, x);
+    const split = graph.node('Reshape', `${name}_${suffix}_split`, [projected, splitShape]);
+    return graph.node('Transpose', `${name}_${suffix}_heads`, [split], [['perm', 'ints', perm]]);
+  };
+  const q = splitHeads('q_proj', [0, 2, 1, 3]);
+  const k = splitHeads('k_proj', [0, 2, 3, 1]);
+  const v = splitHeads('v_proj', [0, 2, 1, 3]);
+  const scores = graph.node('MatMul', `${name}_scores`, [q, k]);
+  const scale = graph.constant(`${name}.scale`, [], 1 / Math.sqrt(headDim));
+  const scaled = graph.node('Mul', `${name}_scaled`, [scores, scale]);
+  const masked = settings.attn_mask === 'causal'
+    ? graph.node('Add', `${name}_masked`, [scaled, graph.floats(`${name}.causal_mask`, [seq, seq], causalMask(seq))])
+    : scaled;
+  const weights = graph.node('Softmax', `${name}_weights`, [masked], [['axis', 'int', -1]]);
+  const context = graph.node('MatMul', `${name}_context`, [weights, v]);
+  const merged = graph.node('Transpose', `${name}_merge`, [context], [['perm', 'ints', [0, 2, 1, 3]]]);
+  const reshaped = graph.node('Reshape', `${name}_concat`, [merged, mergeShape]);
+  return projection('out_proj', reshaped);
+};
+
+// Conv1d, Conv2d, Conv3d and ConvTranspose2d. The kernel, stride and
+// padding settings apply to every spatial axis.
+const convolution = (graph, layer, x, name, inputShape) => {
+  const { settings } = layer;
+  const transposed = layer.type === 'ConvTranspose2d';
+  const perAxis = (value) => new Array(inputShape.length - 1).fill(value);
+  const inChannels = inputShape[0];
+  const kernel = perAxis(settings.kernel_size);
+  // PyTorch keeps transposed weights as [in, out, ...kernel] and takes fan_in from the out channels
+  const fanIn = (transposed ? settings.out_channels : inChannels) * settings.kernel_size ** kernel.length;
+  const weight = graph.weight(`${name}.weight`, transposed
+    ? [inChannels, settings.out_channels, ...kernel]
+    : [settings.out_channels, inChannels, ...kernel], fanIn);
+  const bias = settings.bias ? [graph.weight(`${name}.bias`, [settings.out_channels], fanIn)] : [];
+  const activated = Boolean(ONNX_ACTIVATIONS[settings.activation]);
+  const conv = graph.node(transposed ? 'ConvTranspose' : 'Conv', activated ? `${name}_conv` : name, [x, weight, ...bias], [
+    ['kernel_shape', 'ints', kernel],
+    ['strides', 'ints', perAxis(settings.stride)],
+    ['pads', 'ints', [...perAxis(settings.padding), ...perAxis(settings.padding)]],
+    ['dilations', 'ints', perAxis(settings.dilation ?? 1)],
+    ...(transposed ? [['output_padding', 'ints', perAxis(settings.output_padding)]] : [])
+  ]);
+  return applyActivation(graph, settings.activation, conv, name);
+};
+
+// GroupNormalization needs opset 18, so normalize each group as one
+// instance of a [batch, groups, rest] reshape, then apply the per-channel
+// scale 1 and bias 0 as PyTorch initializes them
+const groupNorm = (graph, settings, x, name, inputShape) => {
+  const groups = [settings.num_groups];
+  const grouped = graph.node('Reshape', `${name}_groups`, [x, graph.ints(`${name}.group_shape`, [0, settings.num_groups, -1])]);
+  const normalized = graph.node('InstanceNormalization', `${name}_norm`, [
+    grouped,
+    graph.constant(`${name}.group_scale`, groups, 1),
+    graph.constant(`${name}.group_bias`, groups, 0)
+  ], [['epsilon', 'float', settings.eps]]);
+  const restored = graph.node('Reshape', settings.affine ? `${name}_restored` : name, [normalized, graph.ints(`${name}.shape`, [0, ...inputShape])]);
+  if (!settings.affine) return restored;
+  // Broadcast over the axes after the channels
+  const channels = [inputShape[0], ...inputShape.slice(1).map(() => 1)];
+  const scaled = graph.node('Mul', `${name}_scaled`, [restored, graph.constant(`${name}.weight`, channels, 1)]);
+  return graph.node('Add', name, [scaled, graph.constant(`${name}.bias`, channels, 0)]);
+};
+
+// GELU from Erf, or the tanh approximation, as torch.nn.GELU computes it
+const gelu = (graph, settings, x, name) => {
+  const half = graph.node('Mul', `${name}_half`, [x, graph.constant(`${name}.half`, [], 0.5)]);
+  let inner;
+  if (settings.approximate === 'tanh') {
+    const cube = graph.node('Pow', `${name}_cube`, [x, graph.constant(`${name}.three`, [], 3)]);
+    const cubic = graph.node('Mul', `${name}_cubic`, [cube, graph.constant(`${name}.coefficient`, [], 0.044715)]);
+    const sum = graph.node('Add', `${name}_sum`, [x, cubic]);
+    const scaled = graph.node('Mul', `${name}_scaled`, [sum, graph.constant(`${name}.scale`, [], Math.sqrt(2 / Math.PI))]);
+    inner = graph.node('Tanh', `${name}_tanh`, [scaled]);
+  } else {
+    const scaled = graph.node('Mul', `${name}_scaled`, [x, graph.constant(`${name}.scale`, [], Math.SQRT1_2)]);
+    inner = graph.node('Erf', `${name}_erf`, [scaled]);
+  }
+  const onePlus = graph.node('Add', `${name}_one_plus`, [inner, graph.constant(`${name}.one`, [], 1)]);
+  return graph.node('Mul', name, [half, onePlus]);
+};
+
+// Gates per hidden unit. The weights are random, so PyTorch's gate order
+// (LSTM i, f, g, o; GRU r, z, n) and ONNX's (i, o, f, c; z, r, h) only
+// matter when copying trained weights across.
+const RECURRENT_GATES = { LSTM: 4, GRU: 3 };
+
+// Stacked LSTM/GRU layers, keeping only the output sequence (Y). They run
+// seq first (layout 0) since runtimes rarely implement layout 1. Dropout
+// between layers only applies in training and is left out. GRU applies the
+// reset gate after the hidden linear layer like PyTorch.
+const recurrent = (graph, layer, x, name, inputShape) => {
+  const { settings } = layer;
+  const hidden = settings.hidden_size;
+  const directions = settings.bidirectional ? 2 : 1;
+  const gates = RECURRENT_GATES[layer.type] * hidden;
+  const outputShape = graph.ints(`${name}.output_shape`, [0, 0, directions * hidden]);
+  let sequence = graph.node('Transpose', `${name}_seq_first`, [x], [['perm', 'ints', [1, 0, 2]]]);
+  for (let i = 0; i < settings.num_layers; i++) {
+    const inputSize = i === 0 ? inputShape[1] : directions * hidden;
+    const prefix = `${name}.l${i}`;
+    const weights = [
+      graph.weight(`${prefix}.weight_ih`, [directions, gates, inputSize], hidden),
+      graph.weight(`${prefix}.weight_hh`, [directions, gates, hidden], hidden),
+      ...(settings.bias ? [graph.weight(`${prefix}.bias`, [directions, 2 * gates], hidden)] : [])
+    ];
+    const y = graph.node(layer.type, `${name}_l${i}`, [sequence, ...weights], [
+      ['hidden_size', 'int', hidden],
+      ['direction', 'string', settings.bidirectional ? 'bidirectional' : 'forward'],
+      ...(layer.type === 'GRU' ? [['linear_before_reset', 'int', 1]] : [])
+    ]);
+    // Y is [seq, directions, batch, hidden]; PyTorch concatenates the directions
+    const split = graph.node('Transpose', `${name}_l${i}_directions`, [y], [['perm', 'ints', [0, 2, 1, 3]]]);
+    sequence = graph.node('Reshape', `${name}_l${i}_output`, [split, outputShape]);
+  }
+  return graph.node('Transpose', name, [sequence], [['perm', 'ints', [1, 0, 2]]]);
+};
+
+// Binary ONNX ops chained over every input of an Add/Multiply merge
+const chain = (graph, op, inputs, name) =>
+  inputs.slice(1).reduce((result, input, i) =>
+    graph.node(op, i === inputs.length - 2 ? name : `${name}_${i}`, [result, input]), inputs[0]);
+
+const convertLayer = (graph, layer, index, inputs, inputShape, outputShape) => {
+  const { settings } = layer;
+  const x = inputs[0];
+  switch (layer.type) {
+    case 'Linear': {
+      const name = `fc${index}`;
+      const inFeatures = inputShape[inputShape.length - 1];
+      const activated = Boolean(ONNX_ACTIVATIONS[settings.activation]);
+      const out = activated ? `${name}_linear` : name;
+      let result;
+      if (inputShape.length === 1) {
+        // [batch, in] input: a single Gemm with the weight in PyTorch's [out, in] layout
+        const weight = graph.weight(`${name}.weight`, [settings.out_features, inFeatures], inFeatures);
+        const bias = settings.bias ? [graph.weight(`${name}.bias`, [settings.out_features], inFeatures)] : [];
+        result = graph.node('Gemm', out, [x, weight, ...bias], [['transB', 'int', 1]]);
+      } else {
+        // Gemm is 2D only; higher ranks use MatMul with the weight transposed
+        const weight = graph.weight(`${name}.weight_t`, [inFeatures, settings.out_features], inFeatures);
+        const product = graph.node('MatMul', settings.bias ? `${name}_matmul` : out, [x, weight]);
+        result = settings.bias
+          ? graph.node('Add', out, [product, graph.weight(`${name}.bias`, [settings.out_features], inFeatures)])
+          : product;
+      }
+      return applyActivation(graph, settings.activation, result, name);
+    }
+    case 'Conv1d':
+    case 'Conv2d':
+    case 'Conv3d':
+    case 'ConvTranspose2d':
+      return convolution(graph, layer, x, `conv${index}`, inputShape);
+    case 'BatchNorm1d':
+    case 'BatchNorm2d': {
+      // Inference form: scale 1, bias 0, running mean 0 and variance 1.
+      // ONNX momentum weighs the running average, PyTorch momentum weighs the new batch.
+      const name = `bn${index}`;
+      const channels = [inputShape[0]];
+      return graph.node('BatchNormalization', name, [
+        x,
+        graph.constant(`${name}.weight`, channels, 1),
+        graph.constant(`${name}.bias`, channels, 0),
+        graph.constant(`${name}.running_mean`, channels, 0),
+        graph.constant(`${name}.running_var`, channels, 1)
+      ], [['epsilon', 'float', settings.eps], ['momentum', 'float', 1 - settings.momentum]]);
+    }
+    case 'LayerNorm': {
+      // Normalizes over the last axis; scale 1 and bias 0 as PyTorch initializes them
+      const name = `ln${index}`;
+      const features = [settings.normalized_shape];
+      const bias = settings.elementwise_affine && settings.bias ? [graph.constant(`${name}.bias`, features, 0)] : [];
+      return graph.node('LayerNormalization', name, [x, graph.constant(`${name}.weight`, features, 1), ...bias], [
+        ['axis', 'int', -1],
+        ['epsilon', 'float', settings.eps]
+      ]);
+    }
+    case 'GroupNorm':
+      return groupNorm(graph, settings, x, `gn${index}`, inputShape);
+    case 'Dropout': {
+      // Without training_mode the ratio is ignored and Dropout passes its input through
+      const name = `dropout${index}`;
+      return graph.node('Dropout', name, [x, graph.constant(`${name}.ratio`, [], settings.p)]);
+    }
+    case 'MaxPool2d': {
+      const dilation = settings.dilation ?? 1;
+      return graph.node('MaxPool', `maxpool${index}`, [x], [
+        ['kernel_shape', 'ints', [settings.kernel_size, settings.kernel_size]],
+        ['strides', 'ints', [settings.stride, settings.stride]],
+        ['pads', 'ints', [settings.padding, settings.padding, settings.padding, settings.padding]],
+        ['dilations', 'ints', [dilation, dilation]],
+        ['ceil_mode', 'int', settings.ceil_mode ? 1 : 0]
+      ]);
+    }
+    case 'AvgPool2d':
+      return graph.node('AveragePool', `avgpool${index}`, [x], [
+        ['kernel_shape', 'ints', [settings.kernel_size, settings.kernel_size]],
+        ['strides', 'ints', [settings.stride, settings.stride]],
+        ['pads', 'ints', [settings.padding, settings.padding, settings.padding, settings.padding]],
+        ['ceil_mode', 'int', settings.ceil_mode ? 1 : 0],
+        ['count_include_pad', 'int', settings.count_include_pad ? 1 : 0]
+      ]);
+    case 'AdaptiveAvgPool2d': {
+      const name = `avgpool${index}`;
+      if (settings.output_size === 1) {
+        return graph.node('GlobalAveragePool', name, [x]);
+      }
+      // Other sizes are a plain average pool when they divide the input evenly
+      const [, height, width] = inputShape;
+      if (height % settings.output_size !== 0 || width % settings.output_size !== 0) {
+        throw new Error(`AdaptiveAvgPool2d to ${settings.output_size}x${settings.output_size} from ${height}x${width} is not supported by the ONNX exporter (the input size must be a multiple of output_size)`);
+      }
+      const kernel = [height / settings.output_size, width / settings.output_size];
+      return graph.node('AveragePool', name, [x], [['kernel_shape', 'ints', kernel], ['strides', 'ints', kernel]]);
+    }
+    case 'Embedding': {
+      // The graph input is float, so the token ids are cast before the lookup
+      const name = `embedding${index}`;
+      const indices = graph.node('Cast', `${name}_indices`, [x], [['to', 'int', INT64]]);
+      const weight = graph.weight(`${name}.weight`, [settings.num_embeddings, settings.embedding_dim], 1);
+      return graph.node('Gather', name, [weight, indices], [['axis', 'int', 0]]);
+    }
+    case 'Flatten': {
+      // ONNX Flatten always produces 2D; partial flattens become a Reshape (0 keeps the batch size)
+      const name = `flatten${index}`;
+      if (outputShape.length === 1) {
+        return graph.node('Flatten', name, [x], [['axis', 'int', 1]]);
+      }
+      return graph.node('Reshape', name, [x, graph.ints(`${name}.shape`, [0, ...outputShape])]);
+    }
+    case 'MultiheadAttention': {
+      if (settings.add_bias_kv || settings.add_zero_attn) {
+        throw new Error('MultiheadAttention with add_bias_kv or add_zero_attn is not supported by the ONNX exporter');
+      }
+      return attention(graph, settings, x, `mha${index}`, inputShape[0]);
+    }
+    case 'LSTM':
+    case 'GRU':
+      return recurrent(graph, layer, x, `${layer.type.toLowerCase()}${index}`, inputShape);
+    case 'Identity':
+      return graph.node('Identity', `identity${index}`, [x]);
+    case 'ReLU':
+      return graph.node('Relu', `relu${index}`, [x]);
+    case 'GELU':
+      return gelu(graph, settings, x, `gelu${index}`);
+    case 'SiLU': {
+      const name = `silu${index}`;
+      return graph.node('Mul', name, [x, graph.node('Sigmoid', `${name}_sigmoid`, [x])]);
+    }
+    case 'Softmax':
+      // dim indexes the batched tensor, as the ONNX axis does
+      return graph.node('Softmax', `softmax${index}`, [x], [['axis', 'int', settings.dim]]);
+    case 'Add':
+      return chain(graph, 'Add', inputs, `add${index}`);
+    case 'Multiply':
+      return chain(graph, 'Mul', inputs, `mul${index}`);
+    case 'Concat':
+      return graph.node('Concat', `concat${index}`, inputs, [['axis', 'int', settings.dim]]);
+    default:
+      throw new Error(`${layer.type} is not supported by the ONNX exporter`);
+  }
+};
+
+// Build the .onnx file for the generateModel JSON. `weights` is 'random' or
+// 'zeros'. Throws if the model has shape errors or unsupported layers.
+export const exportOnnxModel = (model, { weights = 'random' } = {}) => {
+  // Blocks are exported as their inner layers
+  const modelJSON = flattenModel(model);
+  const { layers } = modelJSON;
+  if (layers.length === 0) {
+    throw new Error('Add at least one layer before exporting to ONNX');
+  }
+  const shapes = inferShapes(modelJSON.input_dim, layers);
+  const failed = shapes.findIndex(shape => shape.error);
+  if (failed !== -1) {
+    throw new Error(`Layer ${failed + 1} (${layers[failed].type}): ${shapes[failed].error}`);
+  }
+
+  const graph = createGraph(weights);
+  // A batch_first: false model takes and returns sequences as (seq, batch,
+  // features); the layers in between work batch first
+  const seqFirst = modelJSON.batch_first === false;
+  const SWAP_BATCH = [['perm', 'ints', [1, 0, 2]]];
+  const tensors = { [INPUT_NODE_ID]: seqFirst ? graph.node('Transpose', 'input_batch_first', ['input'], SWAP_BATCH) : 'input' };
+  layers.forEach((layer, index) => {
+    const inputs = layer.inputs.map(id => tensors[id]);
+    tensors[layer.id] = convertLayer(graph, layer, index, inputs, shapes[index].inputShape, shapes[index].outputShape);
+  });
+
+  // Every layer output carries its inferred shape; the sinks are the graph outputs
+  const withBatch = (shape) => [BATCH_DIM, ...shape];
+  const withSeqFirst = (shape) => (seqFirst && shape.length === 2 ? [shape[0], BATCH_DIM, shape[1]] : withBatch(shape));
+  const outputIds = new Set(getOutputLayers(layers).map(layer => layer.id));
+  const valueInfo = layers.map((layer, index) => ({ id: layer.id, name: tensors[layer.id], shape: withBatch(shapes[index].outputShape) }));
+  const graphOutputs = valueInfo.filter(info => outputIds.has(info.id)).map(info => {
+    if (!seqFirst || info.shape.length !== 3) return info;
+    return { ...info, name: graph.node('Transpose', `${info.name}_seq_first`, [info.name], SWAP_BATCH), shape: withSeqFirst(info.shape.slice(1)) };
+  });
+  const intermediates = valueInfo.filter(info => !outputIds.has(info.id) || seqFirst && info.shape.length === 3);
+
+  const graphProto = [
+    ...graph.nodes.map(node => messageField(1, nodeProto(node))),
+    stringField(2, 'neural_network'),
+    ...graph.initializers.map(initializer => messageField(5, tensorProto(initializer))),
+    messageField(11, valueInfoProto({ name: 'input', shape: withSeqFirst(modelJSON.input_dim) })),
+    ...graphOutputs.map(info => messageField(12, valueInfoProto(info))),
+    ...intermediates.map(info => messageField(13, valueInfoProto(info)))
+  ];
+
+  return concatBytes([
+    intField(1, IR_VERSION),
+    stringField(2, 'NetSnap'),
+    messageField(7, graphProto),
+    messageField(8, [intField(2, ONNX_OPSET)])
+  ]);
+};
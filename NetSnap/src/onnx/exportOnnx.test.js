@@ -0,0 +1,208 @@
+import { describe, it, expect } from 'vitest';
+import { modelTemplates } from '../templates.js';
+import { exporterFor } from '../exportTestUtils.js';
+import { layerTypes } from '../layerTypes.js';
+import { MERGE_TYPES } from '../graph.js';
+
+const { generate: exportModel, singleLayer } = exporterFor('onnx', { weights: 'zeros' });
+
+// A base-128 varint at `offset` as a signed int64: [value, next offset]
+const readVarint = (bytes, offset) => {
+  let value = 0n;
+  let shift = 0n;
+  let byte;
+  do {
+    byte = bytes[offset++];
+    value |= BigInt(byte & 0x7f) << shift;
+    shift += 7n;
+  } while (byte & 0x80);
+  return [Number(BigInt.asIntN(64, value)), offset];
+};
+
+// Fields of one protobuf message by field number: varints as numbers,
+// fixed32 as floats and length-delimited fields as bytes
+const readMessage = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const fields = {};
+  let offset = 0;
+  while (offset < bytes.length) {
+    let key;
+    let value;
+    [key, offset] = readVarint(bytes, offset);
+    if ((key & 7) === 0) {
+      [value, offset] = readVarint(bytes, offset);
+    } else if ((key & 7) === 5) {
+      value = view.getFloat32(offset, true);
+      offset += 4;
+    } else {
+      let length;
+      [length, offset] = readVarint(bytes, offset);
+      value = bytes.subarray(offset, offset + length);
+      offset += length;
+    }
+    (fields[key >> 3] ??= []).push(value);
+  }
+  return fields;
+};
+
+const readPackedInts = (bytes) => {
+  const values = [];
+  let offset = 0;
+  while (offset < bytes.length) {
+    let value;
+    [value, offset] = readVarint(bytes, offset);
+    values.push(value);
+  }
+  return values;
+};
+
+const text = (bytes) => new TextDecoder().decode(bytes);
+
+const readAttribute = (bytes) => {
+  const fields = readMessage(bytes);
+  const name = text(fields[1][0]);
+  if (fields[8]) return [name, readPackedInts(fields[8][0])];
+  if (fields[4]) return [name, text(fields[4][0])];
+  return [name, fields[2]?.[0] ?? fields[3][0]];
+};
+
+const readValueInfo = (bytes) => {
+  const fields = readMessage(bytes);
+  const tensorType = readMessage(readMessage(fields[2][0])[1][0]);
+  const dims = (readMessage(tensorType[2][0])[1] ?? []).map(dim => {
+    const size = readMessage(dim);
+    return size[1] ? size[1][0] : text(size[2][0]);
+  });
+  return { name: text(fields[1][0]), shape: dims };
+};
+
+// The graph of an exported model: nodes with their op, inputs, outputs and
+// attributes, initializer names and the graph inputs and outputs
+const readGraph = (bytes) => {
+  const graph = readMessage(readMessage(bytes)[7][0]);
+  return {
+    nodes: (graph[1] ?? []).map(nodeBytes => {
+      const node = readMessage(nodeBytes);
+      return {
+        op: text(node[4][0]),
+        inputs: (node[1] ?? []).map(text),
+        outputs: (node[2] ?? []).map(text),
+        attributes: Object.fromEntries((node[5] ?? []).map(readAttribute))
+      };
+    }),
+    initializers: (graph[5] ?? []).map(tensor => text(readMessage(tensor)[8][0])),
+    inputs: (graph[11] ?? []).map(readValueInfo),
+    outputs: (graph[12] ?? []).map(readValueInfo)
+  };
+};
+
+// Every node reads the graph input, an initializer or an earlier node's output
+const expectConnected = (graph) => {
+  const available = new Set([...graph.inputs.map(input => input.name), ...graph.initializers]);
+  graph.nodes.forEach(node => {
+    node.inputs.forEach(input => expect(available, `${node.op} reads ${input}`).toContain(input));
+    node.outputs.forEach(output => available.add(output));
+  });
+  graph.outputs.forEach(output => expect(available).toContain(output.name));
+};
+
+// Nodes of one attention projection, split into heads
+const HEAD_SPLIT = ['MatMul', 'Add', 'Reshape', 'Transpose'];
+
+// One layer with non-default settings: its ops, in graph order, and its output shape
+const LAYER_CASES = [
+  ['Linear', [20], { out_features: 10 }, ['Gemm', 'Relu'], [10]],
+  ['Conv1d', [4, 100], { out_channels: 8, kernel_size: 5, stride: 2, activation: 'None' }, ['Conv'], [8, 49]],
+  ['Conv2d', [3, 32, 32], { out_channels: 16 }, ['Conv', 'Relu'], [16, 32, 32]],
+  ['Conv3d', [2, 8, 8, 8], { out_channels: 4, activation: 'None' }, ['Conv'], [4, 8, 8, 8]],
+  ['ConvTranspose2d', [8, 16, 16], { out_channels: 4, activation: 'None' }, ['ConvTranspose'], [4, 32, 32]],
+  ['BatchNorm1d', [32], {}, ['BatchNormalization'], [32]],
+  ['BatchNorm2d', [16, 8, 8], {}, ['BatchNormalization'], [16, 8, 8]],
+  ['GroupNorm', [16, 8, 8], { num_groups: 4 }, ['Reshape', 'InstanceNormalization', 'Reshape', 'Mul', 'Add'], [16, 8, 8]],
+  ['GroupNorm', [16, 8, 8], { num_groups: 4, affine: false }, ['Reshape', 'InstanceNormalization', 'Reshape'], [16, 8, 8]],
+  ['LayerNorm', [10, 64], {}, ['LayerNormalization'], [10, 64]],
+  ['Dropout', [20], {}, ['Dropout'], [20]],
+  ['MaxPool2d', [3, 32, 32], {}, ['MaxPool'], [3, 16, 16]],
+  ['AvgPool2d', [3, 32, 32], {}, ['AveragePool'], [3, 16, 16]],
+  ['AdaptiveAvgPool2d', [64, 7, 7], {}, ['GlobalAveragePool'], [64, 1, 1]],
+  ['Flatten', [16, 4, 4], {}, ['Flatten'], [256]],
+  ['Embedding', [12], { num_embeddings: 100, embedding_dim: 16 }, ['Cast', 'Gather'], [12, 16]],
+  ['Identity', [20], {}, ['Identity'], [20]],
+  ['MultiheadAttention', [10, 64], { num_heads: 4 }, [
+    ...HEAD_SPLIT, ...HEAD_SPLIT, ...HEAD_SPLIT, 'MatMul', 'Mul', 'Softmax', 'MatMul', 'Transpose', 'Reshape', 'MatMul', 'Add'
+  ], [10, 64]],
+  ['ReLU', [20], {}, ['Relu'], [20]],
+  ['Softmax', [10], {}, ['Softmax'], [10]],
+  ['GELU', [20], {}, ['Mul', 'Mul', 'Erf', 'Add', 'Mul'], [20]],
+  ['GELU', [20], { approximate: 'tanh' }, ['Mul', 'Pow', 'Mul', 'Add', 'Mul', 'Tanh', 'Add', 'Mul'], [20]],
+  ['SiLU', [20], {}, ['Sigmoid', 'Mul'], [20]],
+  ['LSTM', [20, 32], { hidden_size: 16 }, ['Transpose', 'LSTM', 'Transpose', 'Reshape', 'Transpose'], [20, 16]],
+  ['GRU', [20, 32], { hidden_size: 8, bidirectional: true }, ['Transpose', 'GRU', 'Transpose', 'Reshape', 'Transpose'], [20, 16]]
+];
+
+describe('ONNX export', () => {
+  it.each(modelTemplates.map(template => [template.name, template]))('exports the %s template', (name, template) => {
+    const graph = readGraph(exportModel(template.model));
+    expectConnected(graph);
+    expect(graph.inputs).toEqual([{ name: 'input', shape: ['batch', ...template.model.input_dim] }]);
+    expect(graph.outputs).toHaveLength(1);
+  });
+
+  it('has a case for every single-input layer type', () => {
+    const covered = new Set(LAYER_CASES.map(([type]) => type));
+    expect(layerTypes.map(layerType => layerType.type).filter(type => !MERGE_TYPES.includes(type) && !covered.has(type))).toEqual([]);
+  });
+
+  it.each(LAYER_CASES)('exports %s %j %j', (type, inputDim, settings, ops, outputShape) => {
+    const graph = readGraph(singleLayer(type, inputDim, settings));
+    expectConnected(graph);
+    expect(graph.nodes.map(node => node.op)).toEqual(ops);
+    expect(graph.inputs).toEqual([{ name: 'input', shape: ['batch', ...inputDim] }]);
+    expect(graph.outputs).toEqual([{ name: graph.nodes.at(-1).outputs[0], shape: ['batch', ...outputShape] }]);
+  });
+
+  it('applies convolution settings on every spatial axis', () => {
+    const [conv] = readGraph(singleLayer('Conv3d', [2, 8, 8, 8], { kernel_size: 3, stride: 2, padding: 1, activation: 'None' })).nodes;
+    expect(conv.attributes).toMatchObject({ kernel_shape: [3, 3, 3], strides: [2, 2, 2], pads: [1, 1, 1, 1, 1, 1] });
+    const [transposed] = readGraph(singleLayer('ConvTranspose2d', [8, 16, 16], { kernel_size: 3, stride: 2, padding: 1, output_padding: 1, activation: 'None' })).nodes;
+    expect(transposed.attributes.output_padding).toEqual([1, 1]);
+  });
+
+  it('pools to other sizes that divide the input evenly', () => {
+    const [pool] = readGraph(singleLayer('AdaptiveAvgPool2d', [8, 16, 16], { output_size: 4 })).nodes;
+    expect(pool).toMatchObject({ op: 'AveragePool', attributes: { kernel_shape: [4, 4], strides: [4, 4] } });
+  });
+
+  it('casts token ids before the embedding lookup', () => {
+    const [cast, gather] = readGraph(singleLayer('Embedding', [12])).nodes;
+    expect(cast.inputs).toEqual(['input']);
+    expect(gather.inputs[1]).toBe(cast.outputs[0]);
+  });
+
+  it('runs bidirectional GRUs in both directions with the reset gate after the linear layer', () => {
+    const gru = readGraph(singleLayer('GRU', [20, 32], { hidden_size: 8, bidirectional: true })).nodes[1];
+    expect(gru.attributes).toMatchObject({ hidden_size: 8, direction: 'bidirectional', linear_before_reset: 1 });
+  });
+
+  it('transposes the input and sequence outputs of a batch_first: false model', () => {
+    const graph = readGraph(exportModel({
+      input_dim: [10, 64],
+      batch_first: false,
+      layers: [{ id: 1, type: 'MultiheadAttention', inputs: ['input'], settings: { num_heads: 4 } }]
+    }));
+    expectConnected(graph);
+    expect(graph.inputs).toEqual([{ name: 'input', shape: [10, 'batch', 64] }]);
+    expect(graph.outputs[0].shape).toEqual([10, 'batch', 64]);
+    expect(graph.nodes[0]).toMatchObject({ op: 'Transpose', inputs: ['input'], attributes: { perm: [1, 0, 2] } });
+    expect(graph.nodes.at(-1)).toMatchObject({ op: 'Transpose', outputs: [graph.outputs[0].name] });
+  });
+
+  it('rejects adaptive pooling that does not divide the input', () => {
+    expect(() => singleLayer('AdaptiveAvgPool2d', [8, 7, 7], { output_size: 3 })).toThrow('not supported by the ONNX exporter');
+  });
+
+  it('rejects attention settings it has no ops for', () => {
+    expect(() => singleLayer('MultiheadAttention', [10, 64], { num_heads: 4, add_bias_kv: true }))
+      .toThrow('add_bias_kv or add_zero_attn is not supported by the ONNX exporter');
+  });
+});
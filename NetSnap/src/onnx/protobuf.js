@@ -0,0 +1,59 @@
+// Minimal protocol buffers encoder, just enough to write ONNX models.
+// Every helper returns a Uint8Array holding one encoded field; messages are
+// built by concatenating their fields.
+
+const WIRE_VARINT = 0;
+const WIRE_FIXED32 = 5;
+const WIRE_LENGTH_DELIMITED = 2;
+
+export const concatBytes = (chunks) => {
+  const result = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+  let offset = 0;
+  chunks.forEach(chunk => {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return result;
+};
+
+// Base-128 varint; negative numbers use the 10-byte two's complement form of int64
+const varint = (value) => {
+  let remaining = BigInt.asUintN(64, BigInt(value));
+  const bytes = [];
+  do {
+    let byte = Number(remaining & 0x7fn);
+    remaining >>= 7n;
+    if (remaining > 0n) byte |= 0x80;
+    bytes.push(byte);
+  } while (remaining > 0n);
+  return Uint8Array.from(bytes);
+};
+
+const key = (field, wireType) => varint((field << 3) | wireType);
+
+const lengthDelimited = (field, bytes) => concatBytes([key(field, WIRE_LENGTH_DELIMITED), varint(bytes.length), bytes]);
+
+// int32, int64 and enum fields
+export const intField = (field, value) => concatBytes([key(field, WIRE_VARINT), varint(value)]);
+
+export const floatField = (field, value) => {
+  const bytes = new Uint8Array(4);
+  new DataView(bytes.buffer).setFloat32(0, value, true);
+  return concatBytes([key(field, WIRE_FIXED32), bytes]);
+};
+
+export const stringField = (field, value) => lengthDelimited(field, new TextEncoder().encode(value));
+
+export const bytesField = (field, bytes) => lengthDelimited(field, bytes);
+
+// Embedded message; `fields` is the list of its encoded fields
+export const messageField = (field, fields) => lengthDelimited(field, concatBytes(fields));
+
+export const packedIntsField = (field, values) => lengthDelimited(field, concatBytes(values.map(varint)));
+
+export const packedFloatsField = (field, values) => {
+  const bytes = new Uint8Array(values.length * 4);
+  const view = new DataView(bytes.buffer);
+  values.forEach((value, i) => view.setFloat32(i * 4, value, true));
+  return lengthDelimited(field, bytes);
+};
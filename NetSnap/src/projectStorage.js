@@ -0,0 +1,107 @@
+// Named projects persisted in localStorage.
+// Each project stores the generateModel JSON under its own key; a small index
+// keeps names and timestamps so the project list loads without parsing every model.
+// Named snapshots of a project are kept in one more key per project.
+
+const INDEX_KEY = 'netsnap:projects';
+const LAST_PROJECT_KEY = 'netsnap:lastProject';
+const projectKey = (id) => `netsnap:project:${id}`;
+const snapshotsKey = (id) => `netsnap:snapshots:${id}`;
+
+const storage = () => globalThis.localStorage;
+
+const readJSON = (key, fallback) => {
+  try {
+    const text = storage()?.getItem(key);
+    return text ? JSON.parse(text) : fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+const writeIndex = (projects) => {
+  storage()?.setItem(INDEX_KEY, JSON.stringify(projects));
+};
+
+export const newProjectId = () => `project-${Date.now()}`;
+
+// Projects sorted with the most recently saved first
+export const listProjects = () =>
+  [...readJSON(INDEX_KEY, [])].sort((a, b) => b.updatedAt - a.updatedAt);
+
+export const loadProjectModel = (id) => readJSON(projectKey(id), null);
+
+// Create or update a project. `model` is the generateModel JSON, either as
+// an object or already serialized. Returns false if storage is unavailable or full.
+export const saveProject = (id, name, model) => {
+  try {
+    storage().setItem(projectKey(id), typeof model === 'string' ? model : JSON.stringify(model));
+    const projects = readJSON(INDEX_KEY, []).filter(project => project.id !== id);
+    writeIndex([...projects, { id, name, updatedAt: Date.now() }]);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+export const renameProject = (id, name) => {
+  writeIndex(readJSON(INDEX_KEY, []).map(project => (project.id === id ? { ...project, name } : project)));
+};
+
+// Copy a project and its snapshots under a new id and return that id
+export const duplicateProject = (id, name) => {
+  const copyId = newProjectId();
+  saveProject(copyId, name, loadProjectModel(id));
+  const snapshots = listSnapshots(id);
+  if (snapshots.length > 0) {
+    try {
+      storage().setItem(snapshotsKey(copyId), JSON.stringify(snapshots));
+    } catch {
+      // The copy is still usable without its snapshots
+    }
+  }
+  return copyId;
+};
+
+export const deleteProject = (id) => {
+  storage()?.removeItem(projectKey(id));
+  storage()?.removeItem(snapshotsKey(id));
+  writeIndex(readJSON(INDEX_KEY, []).filter(project => project.id !== id));
+  if (getLastProjectId() === id) {
+    storage()?.removeItem(LAST_PROJECT_KEY);
+  }
+};
+
+export const getLastProjectId = () => storage()?.getItem(LAST_PROJECT_KEY) ?? null;
+
+export const setLastProjectId = (id) => {
+  try {
+    storage()?.setItem(LAST_PROJECT_KEY, id);
+  } catch {
+    // Restoring the last project is a convenience; ignore a full storage
+  }
+};
+
+// Snapshots of a project, oldest first: [{ id, name, createdAt, model }]
+export const listSnapshots = (projectId) => readJSON(snapshotsKey(projectId), []);
+
+// Keep a version of the project under a name. `model` is the generateModel
+// JSON, as an object or serialized. Returns false if storage is unavailable or full.
+export const saveSnapshot = (projectId, name, model) => {
+  try {
+    const snapshot = {
+      id: `snapshot-${Date.now()}`,
+      name,
+      createdAt: Date.now(),
+      model: typeof model === 'string' ? JSON.parse(model) : model
+    };
+    storage().setItem(snapshotsKey(projectId), JSON.stringify([...listSnapshots(projectId), snapshot]));
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+export const deleteSnapshot = (projectId, snapshotId) => {
+  storage()?.setItem(snapshotsKey(projectId), JSON.stringify(listSnapshots(projectId).filter(snapshot => snapshot.id !== snapshotId)));
+};
@@ -0,0 +1,955 @@
+// Import of existing PyTorch code: nn.Sequential(...) definitions and simple
+// nn.Module classes whose __init__ assigns modules to self and whose forward
+// applies them. Only a small, literal subset of Python is understood (no
+// loops, conditionals or computed sizes beyond arithmetic on numbers); every
+// line that cannot be represented is reported instead of being dropped.
+
+import { INPUT_NODE_ID, getConsumers, layoutLayers } from './graph.js';
+import { getLayerType, SETTING_CHOICES } from './layerTypes.js';
+import { inferShapes, propagateShapes, isAutoSetting } from './shapeInference.js';
+
+// PyTorch constructor signatures: the order of the positional arguments and
+// the PyTorch defaults that differ from the palette defaults
+const convolution = {
+  args: ['in_channels', 'out_channels', 'kernel_size', 'stride', 'padding', 'dilation', 'groups', 'bias', 'padding_mode'],
+  defaults: { padding: 0, activation: 'None' }
+};
+
+const MODULES = {
+  Linear: { args: ['in_features', 'out_features', 'bias'], defaults: { activation: 'None' } },
+  Conv1d: convolution,
+  Conv2d: convolution,
+  Conv3d: convolution,
+  ConvTranspose2d: {
+    args: ['in_channels', 'out_channels', 'kernel_size', 'stride', 'padding', 'output_padding', 'groups', 'bias', 'dilation'],
+    defaults: { stride: 1, padding: 0, activation: 'None' }
+  },
+  BatchNorm1d: { args: ['num_features', 'eps', 'momentum', 'affine', 'track_running_stats'] },
+  BatchNorm2d: { args: ['num_features', 'eps', 'momentum', 'affine', 'track_running_stats'] },
+  LayerNorm: { args: ['normalized_shape', 'eps', 'elementwise_affine', 'bias'] },
+  GroupNorm: { args: ['num_groups', 'num_channels', 'eps', 'affine'] },
+  Dropout: { args: ['p', 'inplace'] },
+  MaxPool2d: { args: ['kernel_size', 'stride', 'padding', 'dilation', 'return_indices', 'ceil_mode'] },
+  AvgPool2d: { args: ['kernel_size', 'stride', 'padding', 'ceil_mode', 'count_include_pad', 'divisor_override'] },
+  AdaptiveAvgPool2d: { args: ['output_size'] },
+  Flatten: { args: ['start_dim', 'end_dim'] },
+  Identity: { args: [] },
+  Embedding: { args: ['num_embeddings', 'embedding_dim', 'padding_idx', 'max_norm', 'norm_type', 'scale_grad_by_freq', 'sparse'] },
+  LSTM: {
+    args: ['input_size', 'hidden_size', 'num_layers', 'bias', 'batch_first', 'dropout', 'bidirectional', 'proj_size'],
+    defaults: { batch_first: false }
+  },
+  GRU: {
+    args: ['input_size', 'hidden_size', 'num_layers', 'bias', 'batch_first', 'dropout', 'bidirectional'],
+    defaults: { batch_first: false }
+  },
+  MultiheadAttention: {
+    args: ['embed_dim', 'num_heads', 'dropout', 'bias', 'add_bias_kv', 'add_zero_attn', 'kdim', 'vdim', 'batch_first'],
+    defaults: { dropout: 0, batch_first: false }
+  },
+  GELU: { args: ['approximate'] },
+  SiLU: { args: ['inplace'] },
+  ReLU: { args: ['inplace'] },
+  Softmax: { args: ['dim'] }
+};
+
+// Activation modules without a layer of their own. They become the
+// activation setting of the Linear or convolution layer before them.
+const ACTIVATION_MODULES = {
+  Sigmoid: { args: [] },
+  Tanh: { args: [] },
+  LeakyReLU: { args: ['negative_slope', 'inplace'], fixed: { negative_slope: 0.01 } },
+  ELU: { args: ['alpha', 'inplace'], fixed: { alpha: 1 } }
+};
+
+// torch.nn.functional (and torch.*) calls in forward, with the tensor as the
+// first argument followed by these
+const FUNCTIONS = {
+  relu: { activation: 'ReLU', args: ['inplace'] },
+  sigmoid: { activation: 'Sigmoid', args: [] },
+  tanh: { activation: 'Tanh', args: [] },
+  leaky_relu: { activation: 'LeakyReLU', args: ['negative_slope', 'inplace'], fixed: { negative_slope: 0.01 } },
+  elu: { activation: 'ELU', args: ['alpha', 'inplace'], fixed: { alpha: 1 } },
+  gelu: { type: 'GELU', args: ['approximate'] },
+  silu: { type: 'SiLU', args: ['inplace'] },
+  softmax: { type: 'Softmax', args: ['dim'] },
+  dropout: { type: 'Dropout', args: ['p', 'training', 'inplace'] },
+  max_pool2d: { type: 'MaxPool2d', args: ['kernel_size', 'stride', 'padding', 'dilation', 'ceil_mode', 'return_indices'] },
+  avg_pool2d: { type: 'AvgPool2d', args: ['kernel_size', 'stride', 'padding', 'ceil_mode', 'count_include_pad', 'divisor_override'] },
+  adaptive_avg_pool2d: { type: 'AdaptiveAvgPool2d', args: ['output_size'] },
+  flatten: { type: 'Flatten', args: ['start_dim', 'end_dim'], defaults: { start_dim: 0 } }
+};
+
+// Tensor methods that do not change the values as far as the graph is concerned
+const NEUTRAL_METHODS = ['contiguous', 'clone', 'float'];
+
+// Arguments that NetSnap has no setting for. They are fine at these values
+// and reported otherwise; `training` and `inplace` never matter.
+const IGNORED_ARGUMENTS = {
+  dilation: 1,
+  groups: 1,
+  padding_mode: 'zeros',
+  divisor_override: null,
+  max_norm: null,
+  norm_type: 2,
+  scale_grad_by_freq: false,
+  sparse: false,
+  proj_size: 0,
+  device: null,
+  dtype: null
+};
+const ALWAYS_IGNORED = ['training', 'inplace'];
+
+const PYTHON_KEYWORDS = ['if', 'else', 'for', 'in', 'not', 'and', 'or', 'lambda', 'is', 'yield', 'await'];
+
+// Control-flow statements whose body cannot be imported
+const BLOCK_STATEMENT = /^(if|elif|else|for|while|with|try|except|finally)\b/;
+
+// Layers without weights, which can be applied more than once without
+// changing the model
+const STATELESS_TYPES = ['Dropout', 'MaxPool2d', 'AvgPool2d', 'AdaptiveAvgPool2d', 'Flatten', 'Identity', 'GELU', 'SiLU', 'ReLU', 'Softmax'];
+
+// Internal marker for an activation that still has to be folded into the
+// layer before it (see resolveActivations)
+const ACTIVATION = '__activation';
+
+// Remove a trailing comment and count how much the brackets open up
+const scanLine = (line) => {
+  let quote = null;
+  let depth = 0;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '#') {
+      return { code: line.slice(0, i), depth };
+    } else if ('([{'.includes(char)) {
+      depth++;
+    } else if (')]}'.includes(char)) {
+      depth--;
+    }
+  }
+  return { code: line, depth };
+};
+
+// Join physical lines into logical ones { line, indent, text }: open brackets
+// and trailing backslashes continue a line. Comments, docstrings and blank
+// lines are left out.
+const logicalLines = (source) => {
+  const result = [];
+  let current = null;
+  let depth = 0;
+  let docstring = null;
+  source.split(/\r?\n/).forEach((raw, index) => {
+    if (docstring) {
+      if (raw.includes(docstring)) docstring = null;
+      return;
+    }
+    const { code, depth: delta } = scanLine(raw);
+    const trimmed = code.trim();
+    if (current === null) {
+      if (trimmed === '') return;
+      const quote = trimmed.slice(0, 3);
+      if (quote === '"""' || quote === "'''") {
+        if (!trimmed.slice(3).includes(quote)) docstring = quote;
+        return;
+      }
+      current = { line: index + 1, indent: code.length - code.trimStart().length, text: trimmed };
+    } else {
+      current.text += ` ${trimmed}`;
+    }
+    depth += delta;
+    if (current.text.endsWith('\\')) {
+      current.text = current.text.slice(0, -1).trimEnd();
+    } else if (depth <= 0) {
+      result.push(current);
+      current = null;
+      depth = 0;
+    }
+  });
+  if (current) result.push(current);
+  return result;
+};
+
+// The indented lines that follow the line at index
+const bodyOf = (lines, index) => {
+  const body = [];
+  for (let i = index + 1; i < lines.length && lines[i].indent > lines[index].indent; i++) {
+    body.push(lines[i]);
+  }
+  return body;
+};
+
+const TOKEN = /\s*(?:(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_]\w*)|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|(\*\*|\/\/|==|!=|<=|>=|\+=|-=|\*=|->|[-+*/@%()[\]{},.:=<>]))/y;
+
+const tokenize = (text) => {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  while (text.slice(TOKEN.lastIndex).trim() !== '') {
+    const start = TOKEN.lastIndex;
+    const match = TOKEN.exec(text);
+    if (!match) throw new Error(`unexpected "${text.slice(start).trim()[0]}"`);
+    const [, number, name, string, op] = match;
+    if (number !== undefined) tokens.push({ kind: 'num', value: Number(number) });
+    else if (name !== undefined) tokens.push({ kind: 'name', value: name });
+    else if (string !== undefined) tokens.push({ kind: 'str', value: string.slice(1, -1) });
+    else tokens.push({ kind: 'op', value: op });
+  }
+  return tokens;
+};
+
+// Recursive-descent parser for one statement. Expressions become nodes:
+// num, str, const, name (dotted), call, attr, subscript, tuple and binary.
+const parseStatement = (text) => {
+  const tokens = tokenize(text);
+  let position = 0;
+  const peek = () => tokens[position];
+  const isOp = (value) => peek()?.kind === 'op' && peek().value === value;
+  const expectOp = (value) => {
+    if (!isOp(value)) throw new Error(peek() ? `expected "${value}" before "${peek().value}"` : `expected "${value}"`);
+    position++;
+  };
+
+  // Comma-separated items and keyword arguments up to the closing bracket
+  const sequence = (close) => {
+    const items = [];
+    const kwargs = {};
+    let trailingComma = false;
+    while (!isOp(close)) {
+      if (isOp('*') || isOp('**')) throw new Error('*args and **kwargs are not supported');
+      const next = tokens[position + 1];
+      if (peek()?.kind === 'name' && next?.kind === 'op' && next.value === '=') {
+        const key = peek().value;
+        position += 2;
+        kwargs[key] = expression();
+      } else {
+        items.push(expression());
+      }
+      trailingComma = isOp(',');
+      if (!trailingComma) break;
+      position++;
+    }
+    expectOp(close);
+    return { items, kwargs, trailingComma };
+  };
+
+  const atom = () => {
+    const token = peek();
+    if (!token) throw new Error('unexpected end of line');
+    position++;
+    if (token.kind === 'num' || token.kind === 'str') return { kind: token.kind, value: token.value };
+    if (token.kind === 'name') {
+      if (token.value === 'True' || token.value === 'False') return { kind: 'const', value: token.value === 'True' };
+      if (token.value === 'None') return { kind: 'const', value: null };
+      if (PYTHON_KEYWORDS.includes(token.value)) throw new Error(`"${token.value}" is not supported`);
+      return { kind: 'name', name: token.value };
+    }
+    if (token.value === '(') {
+      const { items, trailingComma } = sequence(')');
+      return items.length === 1 && !trailingComma ? items[0] : { kind: 'tuple', items };
+    }
+    if (token.value === '[') return { kind: 'tuple', items: sequence(']').items };
+    throw new Error(`unexpected "${token.value}"`);
+  };
+
+  const postfix = () => {
+    let node = atom();
+    for (;;) {
+      if (isOp('(')) {
+        position++;
+        const { items, kwargs } = sequence(')');
+        node = { kind: 'call', callee: node, args: items, kwargs };
+      } else if (isOp('.')) {
+        position++;
+        const name = peek();
+        if (name?.kind !== 'name') throw new Error('expected an attribute name after "."');
+        position++;
+        node = node.kind === 'name'
+          ? { kind: 'name', name: `${node.name}.${name.value}` }
+          : { kind: 'attr', object: node, name: name.value };
+      } else if (isOp('[')) {
+        position++;
+        node = { kind: 'subscript', object: node, items: sequence(']').items };
+      } else {
+        return node;
+      }
+    }
+  };
+
+  const unary = () => {
+    if (isOp('-')) {
+      position++;
+      const operand = unary();
+      return operand.kind === 'num'
+        ? { kind: 'num', value: -operand.value }
+        : { kind: 'binary', op: '*', left: { kind: 'num', value: -1 }, right: operand };
+    }
+    if (isOp('+')) {
+      position++;
+      return unary();
+    }
+    return postfix();
+  };
+
+  const binary = (operators, next) => () => {
+    let node = next();
+    while (operators.some(isOp)) {
+      const op = peek().value;
+      position++;
+      node = { kind: 'binary', op, left: node, right: next() };
+    }
+    return node;
+  };
+  const expression = binary(['+', '-'], binary(['*', '/', '//', '%', '@'], unary));
+
+  const expressionList = () => {
+    const items = [expression()];
+    while (isOp(',')) {
+      position++;
+      if (position < tokens.length && !isOp('=')) items.push(expression());
+    }
+    return items.length === 1 ? items[0] : { kind: 'tuple', items };
+  };
+
+  const end = (statement) => {
+    if (position < tokens.length) throw new Error(`unexpected "${peek().value}"`);
+    return statement;
+  };
+
+  if (peek()?.kind === 'name' && peek().value === 'return') {
+    position++;
+    return end({ kind: 'return', value: position < tokens.length ? expressionList() : null });
+  }
+  const first = expressionList();
+  const assignment = ['=', '+=', '*='].find(isOp);
+  if (!assignment) return end({ kind: 'expression', value: first });
+  position++;
+  const targets = (first.kind === 'tuple' ? first.items : [first]).map(target => {
+    if (target.kind !== 'name') throw new Error('only names can be assigned to');
+    return target.name;
+  });
+  return end({ kind: 'assign', op: assignment, targets, value: expressionList() });
+};
+
+// Parse the parameter list of a def line: names plus default expressions.
+// Type annotations are dropped.
+const parseParameters = (text) => {
+  const statement = parseStatement(`f(${text.replace(/:\s*[^,=]+/g, '')})`);
+  const call = statement.value;
+  return [
+    ...call.args.map(node => {
+      if (node.kind !== 'name') throw new Error('unsupported parameter');
+      return { name: node.name, default: undefined };
+    }),
+    ...Object.entries(call.kwargs).map(([name, node]) => ({ name, default: node }))
+  ];
+};
+
+// Evaluate a node that must be a constant, looking names up in env.
+// Returns undefined when it is not.
+const literal = (node, env = {}) => {
+  switch (node.kind) {
+    case 'num':
+    case 'str':
+    case 'const':
+      return node.value;
+    case 'name':
+      return env[node.name];
+    case 'tuple': {
+      const items = node.items.map(item => literal(item, env));
+      return items.includes(undefined) ? undefined : items;
+    }
+    case 'binary': {
+      const left = literal(node.left, env);
+      const right = literal(node.right, env);
+      if (typeof left !== 'number' || typeof right !== 'number') return undefined;
+      switch (node.op) {
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/': return left / right;
+        case '//': return Math.floor(left / right);
+        case '%': return left % right;
+        default: return undefined;
+      }
+    }
+    default:
+      return undefined;
+  }
+};
+
+const formatValue = (value) =>
+  Array.isArray(value) ? `(${value.map(formatValue).join(', ')})` : typeof value === 'string' ? `'${value}'` : String(value);
+
+// Python source for a node, for messages
+const describe = (node) => {
+  switch (node.kind) {
+    case 'name': return node.name;
+    case 'call': return `${describe(node.callee)}(...)`;
+    case 'attr': return `${describe(node.object)}.${node.name}`;
+    case 'subscript': return `${describe(node.object)}[...]`;
+    case 'binary': return `${describe(node.left)} ${node.op} ${describe(node.right)}`;
+    case 'tuple': return `(${node.items.map(describe).join(', ')})`;
+    default: return formatValue(node.value);
+  }
+};
+
+// Strip the module prefix of torch.nn.Linear, nn.Linear or a bare Linear
+const moduleName = (name) => name.replace(/^(torch\.)?nn\./, '');
+
+// Strip the prefix of F.relu, torch.nn.functional.relu or torch.relu
+const functionName = (name) => name.replace(/^(torch\.nn\.functional|nn\.functional|F|torch)\./, '');
+
+export const parsePyTorchCode = (source) => {
+  const issues = [];
+  const flag = (line, message) => issues.push({ line, message });
+  const lines = logicalLines(source);
+
+  // Split the source into classes and top-level statements
+  const classes = {};
+  const topLevel = [];
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const body = bodyOf(lines, i);
+    const classMatch = /^class\s+(\w+)\s*(?:\((.*)\))?\s*:$/.exec(line.text);
+    if (classMatch) {
+      const methods = {};
+      for (let j = 0; j < body.length; j++) {
+        const methodBody = bodyOf(body, j);
+        const defMatch = /^def\s+(\w+)\s*\((.*)\)\s*(?:->.*)?:$/.exec(body[j].text);
+        if (defMatch) {
+          methods[defMatch[1]] = { line: body[j].line, parameters: defMatch[2], body: methodBody };
+        } else if (body[j].text !== 'pass') {
+          flag(body[j].line, 'Class attributes are not imported');
+        }
+        j += methodBody.length;
+      }
+      classes[classMatch[1]] = { name: classMatch[1], line: line.line, bases: classMatch[2] ?? '', methods };
+    } else if (/^(async\s+)?def\s/.test(line.text) || line.text.startsWith('@')) {
+      flag(line.line, 'Functions outside a model class are not imported');
+    } else {
+      topLevel.push(line);
+    }
+    i += body.length;
+  }
+  const moduleClasses = Object.values(classes).filter(definition => definition.methods.forward);
+
+  let nextId = 1;
+  let layers = [];
+  // The code line each layer came from, for messages about it
+  const sourceLines = {};
+  const addLayer = (type, settings, inputs, line) => {
+    const layer = { id: nextId++, type, inputs, settings };
+    sourceLines[layer.id] = line;
+    layers.push(layer);
+    return layer.id;
+  };
+
+  // Settings of a layer from the arguments of a call, over the PyTorch defaults
+  const settingsFromCall = (type, spec, args, kwargs, env, line) => {
+    const layerType = getLayerType(type);
+    const settings = { ...(layerType?.defaultSettings ?? {}), ...spec.defaults };
+    const given = [
+      ...args.map((node, index) => [spec.args[index], node, index]),
+      ...Object.entries(kwargs)
+    ];
+    given.forEach(([key, node, index]) => {
+      if (key === undefined) {
+        flag(line, `${type}: positional argument ${index + 1} is not understood and was dropped`);
+        return;
+      }
+      if (ALWAYS_IGNORED.includes(key) && !(layerType && key in settings)) return;
+      let value = literal(node, env);
+      if (value === undefined) {
+        flag(line, `${type}: ${key}=${describe(node)} is not a constant, so the default is used`);
+        return;
+      }
+      if (spec.fixed && key in spec.fixed) {
+        if (value !== spec.fixed[key]) flag(line, `${type}: only ${key}=${spec.fixed[key]} is supported, not ${formatValue(value)}`);
+        return;
+      }
+      if (!layerType || !(key in settings)) {
+        const ignored = key in IGNORED_ARGUMENTS && JSON.stringify(IGNORED_ARGUMENTS[key]) === JSON.stringify(value);
+        if (!ignored) flag(line, `${type}: ${key}=${formatValue(value)} is not supported and was dropped`);
+        return;
+      }
+      // Square kernels, strides and paddings arrive as tuples
+      if (Array.isArray(value)) {
+        if (value.length === 0 || value.some(item => item !== value[0])) {
+          flag(line, `${type}: ${key}=${formatValue(value)} needs the same size in every dimension; the default is used`);
+          return;
+        }
+        value = value[0];
+      }
+      const fallback = getLayerType(type).defaultSettings[key];
+      const valid = SETTING_CHOICES[key]
+        ? SETTING_CHOICES[key].includes(value)
+        : fallback === null || fallback === undefined
+          ? value === null || typeof value === 'number'
+          : typeof value === typeof fallback;
+      if (!valid) {
+        flag(line, `${type}: ${key}=${formatValue(value)} is not supported; the default is used`);
+        return;
+      }
+      settings[key] = value;
+    });
+    // Pooling strides default to the kernel size
+    if ((type === 'MaxPool2d' || type === 'AvgPool2d') && (settings.stride === null || !given.some(([key]) => key === 'stride'))) {
+      settings.stride = settings.kernel_size;
+    }
+    if (type === 'Softmax' && settings.dim === null) {
+      flag(line, 'Softmax: dim=None is deprecated in PyTorch; dim=-1 is used');
+      settings.dim = -1;
+    }
+    return settings;
+  };
+
+  // A module instance: { kind: 'layer' | 'sequential' | 'class', ... }
+  const moduleFromExpression = (node, env, modules, line) => {
+    if (node.kind === 'name' && node.name.startsWith('self.') && modules[node.name.slice(5)]) {
+      return modules[node.name.slice(5)];
+    }
+    if (node.kind !== 'call' || node.callee.kind !== 'name') {
+      flag(line, `${describe(node)} is not a module that can be imported`);
+      return null;
+    }
+    const calleeName = node.callee.name;
+    const name = moduleName(calleeName);
+    if (name === 'Sequential') {
+      if (Object.keys(node.kwargs).length > 0) flag(line, 'nn.Sequential keyword arguments are ignored');
+      const items = node.args.map(arg => moduleFromExpression(arg, env, modules, line)).filter(Boolean);
+      return { kind: 'sequential', items, line };
+    }
+    if (calleeName !== name || !classes[name]) {
+      if (MODULES[name]) {
+        return { kind: 'layer', type: name, settings: settingsFromCall(name, MODULES[name], node.args, node.kwargs, env, line), line };
+      }
+      if (ACTIVATION_MODULES[name]) {
+        settingsFromCall(name, ACTIVATION_MODULES[name], node.args, node.kwargs, env, line);
+        return { kind: 'layer', type: ACTIVATION, settings: { activation: name }, line };
+      }
+    }
+    if (classes[name] && calleeName === name) {
+      const args = node.args.map(arg => literal(arg, env));
+      const kwargs = Object.fromEntries(Object.entries(node.kwargs).map(([key, arg]) => [key, literal(arg, env)]));
+      if (args.includes(undefined) || Object.values(kwargs).includes(undefined)) {
+        flag(line, `${name}(...) has arguments that are not constants`);
+      }
+      return instantiate(classes[name], args, kwargs, line);
+    }
+    flag(line, `${calleeName} is not supported`);
+    return null;
+  };
+
+  // Run __init__ of a class: bind its parameters and collect self.* modules
+  const instantiate = (definition, args, kwargs, line) => {
+    const env = {};
+    const modules = {};
+    const init = definition.methods.__init__;
+    if (init) {
+      let parameters = [];
+      try {
+        parameters = parseParameters(init.parameters).slice(1);
+      } catch (err) {
+        flag(init.line, `${definition.name}.__init__ parameters could not be read: ${err.message}`);
+      }
+      parameters.forEach((parameter, index) => {
+        const value = index < args.length ? args[index]
+          : parameter.name in kwargs ? kwargs[parameter.name]
+            : parameter.default ? literal(parameter.default, env)
+              : undefined;
+        if (value === undefined && index >= args.length && !(parameter.name in kwargs) && !parameter.default) {
+          flag(line, `${definition.name} needs a value for ${parameter.name}; instantiate it in the pasted code, e.g. model = ${definition.name}(...)`);
+        }
+        env[parameter.name] = value;
+      });
+      runStatements(init.body, (statement, codeLine) => {
+        if (statement.kind === 'expression' && /^super\b/.test(codeLine.text)) return;
+        if (statement.kind !== 'assign' || statement.op !== '=' || statement.targets.length !== 1) {
+          flag(codeLine.line, 'Only assignments of modules to self are imported from __init__');
+          return;
+        }
+        const [target] = statement.targets;
+        const value = literal(statement.value, env);
+        if (value !== undefined) {
+          env[target] = value;
+          return;
+        }
+        if (!target.startsWith('self.')) {
+          flag(codeLine.line, `${target} is not a constant`);
+          return;
+        }
+        const module = moduleFromExpression(statement.value, env, modules, codeLine.line);
+        if (module) modules[target.slice(5)] = module;
+      });
+    }
+    return { kind: 'class', definition, env, modules, line, used: new Set() };
+  };
+
+  // Parse and run each statement of a method body, skipping (and reporting)
+  // control flow along with the block it guards
+  const runStatements = (body, run) => {
+    for (let i = 0; i < body.length; i++) {
+      const codeLine = body[i];
+      if (BLOCK_STATEMENT.test(codeLine.text)) {
+        flag(codeLine.line, `${codeLine.text.match(BLOCK_STATEMENT)[1]} blocks are not supported; the block was skipped`);
+        i += bodyOf(body, i).length;
+        continue;
+      }
+      if (codeLine.text === 'pass') continue;
+      let statement;
+      try {
+        statement = parseStatement(codeLine.text);
+      } catch (err) {
+        flag(codeLine.line, `Could not read this line: ${err.message}`);
+        continue;
+      }
+      run(statement, codeLine);
+    }
+  };
+
+  const stack = [];
+
+  // Add the layers of a module applied to the value with the given id
+  const apply = (module, inputId, line) => {
+    if (module.kind === 'sequential') return module.items.reduce((id, item) => apply(item, id, line), inputId);
+    if (module.kind === 'class') return runForward(module, inputId);
+    module.calls = (module.calls ?? 0) + 1;
+    if (module.calls === 2 && module.type !== ACTIVATION && !STATELESS_TYPES.includes(module.type)) {
+      flag(line, `This applies a ${module.type} that is already used elsewhere; the import makes a separate layer, so the weights are no longer shared`);
+    }
+    return addLayer(module.type, { ...module.settings }, [inputId], line);
+  };
+
+  const runForward = (instance, inputId) => {
+    const { definition, modules } = instance;
+    if (stack.includes(definition.name)) {
+      flag(instance.line, `${definition.name} applies itself recursively`);
+      return inputId;
+    }
+    stack.push(definition.name);
+    const forward = definition.methods.forward;
+    let parameters = [];
+    try {
+      parameters = parseParameters(forward.parameters);
+    } catch (err) {
+      flag(forward.line, `forward parameters could not be read: ${err.message}`);
+    }
+    if (parameters.length < 2) flag(forward.line, 'forward needs an input tensor parameter');
+    const variables = { [parameters[1]?.name ?? 'x']: inputId };
+    parameters.slice(2).forEach(parameter => {
+      if (!parameter.default) flag(forward.line, `forward input ${parameter.name} is not imported; only the first input becomes the model input`);
+    });
+    let output = null;
+
+    // The id of the value an expression computes, or null
+    const tensor = (node, line) => {
+      if (node.kind === 'name') {
+        if (node.name in variables) return variables[node.name];
+        flag(line, `${node.name} is not a tensor computed in forward`);
+        return null;
+      }
+      if (node.kind === 'binary' && (node.op === '+' || node.op === '*')) {
+        const left = tensor(node.left, line);
+        const right = tensor(node.right, line);
+        if (left === null || right === null) return left ?? right;
+        return addLayer(node.op === '+' ? 'Add' : 'Multiply', {}, [left, right], line);
+      }
+      if (node.kind !== 'call') {
+        flag(line, `${describe(node)} is not supported`);
+        return null;
+      }
+      const { callee, args, kwargs } = node;
+      const calleeName = callee.kind === 'name' ? callee.name : null;
+
+      // self.module(x)
+      if (calleeName?.startsWith('self.')) {
+        const module = modules[calleeName.slice(5)];
+        if (!module) {
+          flag(line, `${calleeName} is not a module assigned in __init__`);
+          return args.length > 0 ? tensor(args[0], line) : null;
+        }
+        instance.used.add(calleeName.slice(5));
+        if (args.length === 0) {
+          flag(line, `${calleeName} is called without an input`);
+          return null;
+        }
+        const input = tensor(args[0], line);
+        if (args.slice(1).some(arg => describe(arg) !== describe(args[0]))) {
+          flag(line, `Only self-attention (the same tensor as query, key and value) is imported; ${calleeName} is applied to ${describe(args[0])}`);
+        }
+        if (Object.keys(kwargs).length > 0) {
+          flag(line, `${Object.keys(kwargs).join(', ')} of ${calleeName} ${Object.keys(kwargs).length === 1 ? 'is' : 'are'} not imported; set masks on the layer card`);
+        }
+        return input === null ? null : apply(module, input, line);
+      }
+
+      // x.view(x.size(0), -1), x.flatten(1), x.relu(), ...
+      const method = calleeName?.includes('.')
+        ? { object: calleeName.slice(0, calleeName.lastIndexOf('.')), name: calleeName.slice(calleeName.lastIndexOf('.') + 1) }
+        : callee.kind === 'attr' ? { object: callee.object, name: callee.name } : null;
+      if (method && (typeof method.object !== 'string' || method.object in variables)) {
+        const input = typeof method.object === 'string' ? variables[method.object] : tensor(method.object, line);
+        if (input === null) return null;
+        if (method.name === 'view' || method.name === 'reshape') {
+          if (args.length === 2) return addLayer('Flatten', { start_dim: 1, end_dim: -1 }, [input], line);
+          flag(line, `.${method.name}(...) is only imported as flattening to (batch, features); it was skipped`);
+          return input;
+        }
+        if (method.name === 'flatten') {
+          return addLayer('Flatten', settingsFromCall('Flatten', { args: ['start_dim', 'end_dim'], defaults: { start_dim: 0 } }, args, kwargs, {}, line), [input], line);
+        }
+        if (FUNCTIONS[method.name]?.activation) {
+          return addLayer(ACTIVATION, { activation: FUNCTIONS[method.name].activation }, [input], line);
+        }
+        if (NEUTRAL_METHODS.includes(method.name)) return input;
+        flag(line, `.${method.name}(...) is not supported; it was skipped`);
+        return input;
+      }
+
+      // torch.cat, torch.add, torch.mul and functional layers
+      const name = calleeName ? functionName(calleeName) : null;
+      if (name === 'cat' || name === 'concat') {
+        const list = args[0];
+        const dim = literal(kwargs.dim ?? args[1] ?? { kind: 'num', value: 0 });
+        if (list?.kind !== 'tuple' || typeof dim !== 'number') {
+          flag(line, 'torch.cat needs a literal list of tensors and a constant dim');
+          return null;
+        }
+        const inputs = list.items.map(item => tensor(item, line));
+        if (inputs.includes(null)) return inputs.find(id => id !== null) ?? null;
+        return addLayer('Concat', { dim }, inputs, line);
+      }
+      if ((name === 'add' || name === 'mul') && args.length === 2) {
+        const inputs = args.map(arg => tensor(arg, line));
+        if (inputs.includes(null)) return inputs.find(id => id !== null) ?? null;
+        return addLayer(name === 'add' ? 'Add' : 'Multiply', {}, inputs, line);
+      }
+      const spec = name && name !== calleeName ? FUNCTIONS[name] : null;
+      if (spec && args.length > 0) {
+        const input = tensor(args[0], line);
+        if (input === null) return null;
+        if (spec.activation) {
+          settingsFromCall(spec.activation, spec, args.slice(1), kwargs, {}, line);
+          return addLayer(ACTIVATION, { activation: spec.activation }, [input], line);
+        }
+        return addLayer(spec.type, settingsFromCall(spec.type, spec, args.slice(1), kwargs, instance.env, line), [input], line);
+      }
+      flag(line, `${calleeName ?? describe(callee)}(...) is not supported; it was skipped`);
+      const passThrough = args.find(arg => arg.kind === 'name' && arg.name in variables);
+      return passThrough ? variables[passThrough.name] : null;
+    };
+
+    runStatements(forward.body, (statement, codeLine) => {
+      if (output !== null) {
+        flag(codeLine.line, 'Code after return is ignored');
+        return;
+      }
+      if (statement.kind === 'return') {
+        if (!statement.value) {
+          flag(codeLine.line, 'forward must return a tensor');
+          return;
+        }
+        const value = statement.value.kind === 'tuple' ? statement.value.items[0] : statement.value;
+        if (statement.value.kind === 'tuple') flag(codeLine.line, 'Only the first returned value becomes the model output');
+        output = tensor(value, codeLine.line);
+        return;
+      }
+      if (statement.kind !== 'assign') {
+        flag(codeLine.line, 'Expressions without an assignment are not imported');
+        return;
+      }
+      let id = tensor(statement.value, codeLine.line);
+      if (id === null) return;
+      const [target, ...rest] = statement.targets;
+      if (statement.op !== '=') {
+        if (!(target in variables)) {
+          flag(codeLine.line, `${target} is not a tensor computed in forward`);
+          return;
+        }
+        id = addLayer(statement.op === '+=' ? 'Add' : 'Multiply', {}, [variables[target], id], codeLine.line);
+      }
+      // Tuple results such as `x, _ = self.lstm(x)` keep the first value
+      variables[target] = id;
+      rest.forEach(name => delete variables[name]);
+    });
+    if (output === null) flag(forward.line, `${definition.name}.forward does not return a tensor the import understands`);
+
+    Object.entries(modules).forEach(([name, module]) => {
+      if (!instance.used.has(name)) flag(module.line, `self.${name} is defined but never used in forward, so it was not imported`);
+    });
+    stack.pop();
+    return output ?? inputId;
+  };
+
+  // Pick the model: a class instantiated at the top level, the last class
+  // that no other class uses, or else the last nn.Sequential
+  let root = null;
+  let sequentialRoot = null;
+  topLevel.forEach(codeLine => {
+    if (/^(import|from)\s/.test(codeLine.text)) return;
+    let statement;
+    try {
+      statement = parseStatement(codeLine.text);
+    } catch (err) {
+      flag(codeLine.line, `Could not read this line: ${err.message}`);
+      return;
+    }
+    const value = statement.kind === 'return' ? null : statement.value;
+    const calleeName = value?.kind === 'call' && value.callee.kind === 'name' ? value.callee.name : null;
+    if (calleeName && moduleName(calleeName) === 'Sequential') {
+      sequentialRoot = { node: value, line: codeLine.line };
+    } else if (calleeName && classes[calleeName]) {
+      root = { node: value, line: codeLine.line };
+    } else if (calleeName && /\.(to|cuda|eval|train)$/.test(calleeName)) {
+      // model.to(device) and friends do not change the architecture
+    } else {
+      flag(codeLine.line, 'This line is not part of a model definition and was ignored');
+    }
+  });
+  if (!root && moduleClasses.length > 0) {
+    const usedNames = new Set(moduleClasses.flatMap(definition =>
+      Object.values(definition.methods).flatMap(method => method.body.map(line => line.text))
+    ).flatMap(text => text.match(/\b\w+(?=\s*\()/g) ?? []));
+    const outermost = moduleClasses.filter(definition => !usedNames.has(definition.name));
+    const definition = (outermost.length > 0 ? outermost : moduleClasses).at(-1);
+    root = { node: { kind: 'call', callee: { kind: 'name', name: definition.name }, args: [], kwargs: {} }, line: definition.line };
+  }
+  if (!root && !sequentialRoot) {
+    return { inputDimension: null, inputDimensionCertain: false, layers: [], issues, errors: ['No nn.Sequential(...) or nn.Module class with a forward method was found'] };
+  }
+
+  const module = root
+    ? moduleFromExpression(root.node, {}, {}, root.line)
+    : moduleFromExpression(sequentialRoot.node, {}, {}, sequentialRoot.line);
+  const outputId = module ? apply(module, INPUT_NODE_ID, (root ?? sequentialRoot).line) : INPUT_NODE_ID;
+
+  layers = keepAncestors(layers, outputId, (layer, message) => flag(sourceLines[layer.id], message));
+  layers = resolveActivations(layers, (layer, message) => flag(sourceLines[layer.id], message));
+  if (layers.length === 0) {
+    return { inputDimension: null, inputDimensionCertain: false, layers: [], issues, errors: ['The model has no layers that could be imported'] };
+  }
+  const { shape, certain } = guessInputShape(layers);
+  return {
+    inputDimension: shape,
+    inputDimensionCertain: certain,
+    batchFirst: guessBatchFirst(layers),
+    layers: layoutLayers(layers),
+    issues: issues.sort((a, b) => a.line - b.line),
+    errors: []
+  };
+};
+
+// Drop computations that do not lead to the output
+const keepAncestors = (layers, outputId, flag) => {
+  const needed = new Set([outputId]);
+  [...layers].reverse().forEach(layer => {
+    if (needed.has(layer.id)) layer.inputs.forEach(id => needed.add(id));
+  });
+  layers.filter(layer => !needed.has(layer.id)).forEach(layer => {
+    flag(layer, `The result of ${layer.type === ACTIVATION ? layer.settings.activation : layer.type} does not reach the output, so it was not imported`);
+  });
+  return layers.filter(layer => needed.has(layer.id));
+};
+
+// Fold each activation into the Linear or convolution layer that feeds only
+// it; a lone ReLU becomes a ReLU layer and anything else is reported
+const resolveActivations = (layers, flag) => {
+  let result = layers;
+  const bypass = (node, replacement) =>
+    result
+      .filter(layer => layer.id !== node.id)
+      .map(layer => ({ ...layer, inputs: layer.inputs.map(id => (id === node.id ? replacement : id)) }));
+  layers.filter(layer => layer.type === ACTIVATION).forEach(node => {
+    const { activation } = node.settings;
+    const source = result.find(layer => layer.id === node.inputs[0]);
+    if (source && source.settings.activation === 'None' && getConsumers(result, source.id).length === 1) {
+      result = bypass(node, source.id).map(layer =>
+        layer.id === source.id ? { ...layer, settings: { ...layer.settings, activation } } : layer
+      );
+    } else if (activation === 'ReLU') {
+      result = result.map(layer => (layer.id === node.id ? { ...layer, type: 'ReLU', settings: { inplace: false } } : layer));
+    } else {
+      flag(node, `${activation} is only available as the activation of a Linear or convolution layer, and the layer before it is not one; it was dropped`);
+      result = bypass(node, node.inputs[0]);
+    }
+  });
+  return result;
+};
+
+// Input sizes to try for each kind of first layer, most common first
+const SPATIAL_SIZES = { 1: [28, 32, 64, 128, 224, 256], 3: [224, 32, 64, 96, 128, 256, 299, 512] };
+const SEQUENCE_LENGTH = 32;
+
+const inputCandidates = (layer) => {
+  const { settings } = layer;
+  switch (layer.type) {
+    case 'Linear':
+      return settings.in_features ? [[settings.in_features]] : [];
+    case 'Conv1d':
+      return [16, 32, 64, 100, 128, 256, 512, 1000].map(length => [settings.in_channels ?? 1, length]);
+    case 'Conv3d':
+      return [[settings.in_channels ?? 1, 16, 112, 112], [settings.in_channels ?? 1, 16, 64, 64], [settings.in_channels ?? 1, 8, 32, 32]];
+    case 'Conv2d':
+    case 'ConvTranspose2d':
+    case 'BatchNorm2d':
+    case 'GroupNorm': {
+      const channels = settings.in_channels ?? settings.num_features ?? settings.num_channels ?? 3;
+      return (SPATIAL_SIZES[channels] ?? SPATIAL_SIZES[3]).map(size => [channels, size, size]);
+    }
+    case 'MaxPool2d':
+    case 'AvgPool2d':
+    case 'AdaptiveAvgPool2d':
+      return SPATIAL_SIZES[3].map(size => [3, size, size]);
+    case 'BatchNorm1d':
+      return settings.num_features ? [[settings.num_features]] : [];
+    case 'LayerNorm':
+      return settings.normalized_shape ? [[settings.normalized_shape]] : [];
+    case 'Embedding':
+      return [[SEQUENCE_LENGTH]];
+    case 'LSTM':
+    case 'GRU':
+      return settings.input_size ? [[SEQUENCE_LENGTH, settings.input_size]] : [];
+    case 'MultiheadAttention':
+      return settings.embed_dim ? [[SEQUENCE_LENGTH, settings.embed_dim]] : [];
+    default:
+      return [];
+  }
+};
+
+// Layers whose auto settings (in_features, ...) as written in the code
+// disagree with what the given input shape implies, plus shape errors.
+// Returns [{ layer, message }].
+export const inputShapeMismatches = (inputShape, layers) => {
+  const shapes = inferShapes(inputShape, layers);
+  const propagated = propagateShapes(inputShape, layers);
+  return layers.flatMap((layer, index) => {
+    if (shapes[index].error) return [{ layer, message: shapes[index].error }];
+    return Object.keys(layer.settings)
+      .filter(key => isAutoSetting(layer.type, key) && layer.settings[key] !== null)
+      .filter(key => propagated[index].settings[key] !== layer.settings[key])
+      .map(key => ({
+        layer,
+        message: `${key} is ${layer.settings[key]} in the code but ${propagated[index].settings[key]} for this input shape`
+      }));
+  });
+};
+
+// PyTorch sequence layers default to batch_first=False, so a model whose
+// sequence layers all keep that default is fed (seq, batch, features)
+const guessBatchFirst = (layers) => {
+  const sequenceLayers = layers.filter(layer => ['LSTM', 'GRU', 'MultiheadAttention'].includes(layer.type));
+  return sequenceLayers.length === 0 || sequenceLayers.some(layer => layer.settings.batch_first !== false);
+};
+
+// The code does not say how large the input is, so try the usual sizes for
+// the first layer and keep the first one every layer agrees with
+const guessInputShape = (layers) => {
+  const first = layers.find(layer => layer.inputs.includes(INPUT_NODE_ID));
+  const candidates = first ? inputCandidates(first) : [];
+  const fitting = candidates.filter(shape => inputShapeMismatches(shape, layers).length === 0);
+  return { shape: fitting[0] ?? candidates[0] ?? null, certain: fitting.length === 1 };
+};
@@ -0,0 +1,16 @@
+import { describe, it, expect } from 'vitest';
+import { parsePyTorchCode } from './pytorchImport.js';
+
+describe('parsePyTorchCode batch_first', () => {
+  it('reads a model of default recurrent layers as seq first', () => {
+    const result = parsePyTorchCode('model = nn.Sequential(\n    nn.LSTM(32, 64),\n)');
+    expect(result.errors).toEqual([]);
+    expect(result.layers[0].settings.batch_first).toBe(false);
+    expect(result.batchFirst).toBe(false);
+  });
+
+  it('reads a model of batch_first=True layers as batch first', () => {
+    expect(parsePyTorchCode('model = nn.Sequential(\n    nn.GRU(32, 64, batch_first=True),\n)').batchFirst).toBe(true);
+    expect(parsePyTorchCode('model = nn.Sequential(\n    nn.Linear(784, 10),\n)').batchFirst).toBe(true);
+  });
+});
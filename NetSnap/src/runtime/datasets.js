@@ -0,0 +1,65 @@
+// Toy datasets for the training playground. Each dataset is
+// { inputs: Float32Array (count x features), labels: Int32Array, count, features, classes }.
+
+export const DATASETS = [
+  { id: 'xor', label: 'XOR', features: 2, classes: 2, description: '2 features, 2 classes, 200 points' },
+  { id: 'spirals', label: 'Spirals', features: 2, classes: 3, description: '2 features, 3 classes, 300 points' },
+  { id: 'mnist', label: 'MNIST subset', features: 784, classes: 10, description: '28x28 digits, 10 classes, 300 images' }
+];
+
+export const getDataset = (id) => DATASETS.find(dataset => dataset.id === id);
+
+// Four noisy clusters; opposite corners share a class
+const xor = () => {
+  const count = 200;
+  const inputs = new Float32Array(count * 2);
+  const labels = new Int32Array(count);
+  for (let i = 0; i < count; i++) {
+    const a = i % 2;
+    const b = Math.floor(i / 2) % 2;
+    inputs[i * 2] = (a ? 1 : -1) + (Math.random() - 0.5) * 0.8;
+    inputs[i * 2 + 1] = (b ? 1 : -1) + (Math.random() - 0.5) * 0.8;
+    labels[i] = a ^ b;
+  }
+  return { inputs, labels, count, features: 2, classes: 2 };
+};
+
+// Three interleaved spiral arms
+const spirals = () => {
+  const perClass = 100;
+  const classes = 3;
+  const count = perClass * classes;
+  const inputs = new Float32Array(count * 2);
+  const labels = new Int32Array(count);
+  for (let c = 0; c < classes; c++) {
+    for (let i = 0; i < perClass; i++) {
+      const index = c * perClass + i;
+      const radius = i / perClass;
+      const angle = c * 4 + radius * 4 + (Math.random() - 0.5) * 0.4;
+      inputs[index * 2] = radius * Math.sin(angle);
+      inputs[index * 2 + 1] = radius * Math.cos(angle);
+      labels[index] = c;
+    }
+  }
+  return { inputs, labels, count, features: 2, classes };
+};
+
+// 30 digits per class from MNIST, bundled in public/datasets as all the
+// label bytes followed by all the images, 28x28 grayscale pixels each
+const mnist = async () => {
+  const baseUrl = import.meta.env?.BASE_URL ?? '/';
+  const response = await fetch(`${baseUrl}datasets/mnist-subset.bin`);
+  if (!response.ok) {
+    throw new Error(`Could not load the MNIST subset (${response.status})`);
+  }
+  const bytes = new Uint8Array(await response.arrayBuffer());
+  const features = 28 * 28;
+  const count = bytes.length / (features + 1);
+  const labels = Int32Array.from(bytes.subarray(0, count));
+  const inputs = Float32Array.from(bytes.subarray(count), value => value / 255);
+  return { inputs, labels, count, features, classes: 10 };
+};
+
+const loaders = { xor, spirals, mnist };
+
+export const loadDataset = async (id) => loaders[id]();
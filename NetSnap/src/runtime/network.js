@@ -0,0 +1,227 @@
+// Executable network built from the generateModel JSON. Parameters are
+// initialized like PyTorch's defaults and named like the generated module's
+// state_dict (fc0.weight, conv1.bias, ...). Blocks are expanded in place, so
+// their layers are numbered inline rather than nested under the block.
+
+import { INPUT_NODE_ID, getOutputLayers } from '../graph.js';
+import { inferShapes } from '../shapeInference.js';
+import { flattenModel } from '../blocks.js';
+import { parameter, constantParameter, fromValues } from './tensor.js';
+import {
+  linear, matmul, add, scale, relu, sigmoid, tanh, leakyRelu, elu, gelu, silu, softmax, reshape, transpose,
+  concat, conv2d, maxPool2d, avgPool2d, batchNorm, layerNorm, dropout, mul
+} from './ops.js';
+
+const RUNNABLE_TYPES = [
+  'Linear', 'Conv2d', 'BatchNorm1d', 'BatchNorm2d', 'LayerNorm', 'Dropout', 'MaxPool2d', 'AvgPool2d', 'Flatten', 'Identity',
+  'MultiheadAttention', 'ReLU', 'GELU', 'SiLU', 'Softmax', 'Add', 'Multiply', 'Concat'
+];
+
+const isBatchNorm = (layer) => layer.type === 'BatchNorm1d' || layer.type === 'BatchNorm2d';
+
+const activate = (x, activation) => {
+  switch (activation) {
+    case 'ReLU': return relu(x);
+    case 'Sigmoid': return sigmoid(x);
+    case 'Tanh': return tanh(x);
+    case 'LeakyReLU': return leakyRelu(x, 0.01);
+    case 'ELU': return elu(x, 1);
+    default: return x;
+  }
+};
+
+// -inf above the diagonal so no position attends to a later one
+const causalMask = (seq) =>
+  fromValues(Array.from({ length: seq * seq }, (_, i) => (i % seq > Math.floor(i / seq) ? -Infinity : 0)), [seq, seq]);
+
+// Self-attention over [batch, seq, embed], the same computation as the ONNX
+// export. Runs without a key padding mask, like calling the model without one.
+const attention = (x, params, name, settings, training) => {
+  const [batch, seq, embed] = x.shape;
+  const heads = settings.num_heads;
+  const headDim = embed / heads;
+  const project = (suffix, input) => linear(input, params[`${name}.${suffix}.weight`], params[`${name}.${suffix}.bias`] ?? null);
+  const splitHeads = (t) => transpose(reshape(t, [batch, seq, heads, headDim]), [0, 2, 1, 3]);
+  const q = splitHeads(project('q_proj', x));
+  const k = transpose(reshape(project('k_proj', x), [batch, seq, heads, headDim]), [0, 2, 3, 1]);
+  const v = splitHeads(project('v_proj', x));
+  const scores = scale(matmul(q, k), 1 / Math.sqrt(headDim));
+  const masked = settings.attn_mask === 'causal' ? add(scores, causalMask(seq)) : scores;
+  const weights = dropout(softmax(masked), settings.dropout, training);
+  const context = reshape(transpose(matmul(weights, v), [0, 2, 1, 3]), [batch, seq, embed]);
+  return project('out_proj', context);
+};
+
+// Parameters of one layer, keyed by state_dict name
+const layerParameters = (layer, index, inputShape) => {
+  const { settings } = layer;
+  switch (layer.type) {
+    case 'Linear': {
+      const inFeatures = inputShape[inputShape.length - 1];
+      const bound = 1 / Math.sqrt(inFeatures);
+      return {
+        [`fc${index}.weight`]: parameter([settings.out_features, inFeatures], bound),
+        ...(settings.bias ? { [`fc${index}.bias`]: parameter([settings.out_features], bound) } : {})
+      };
+    }
+    case 'Conv2d': {
+      const bound = 1 / Math.sqrt(inputShape[0] * settings.kernel_size * settings.kernel_size);
+      return {
+        [`conv${index}.weight`]: parameter([settings.out_channels, inputShape[0], settings.kernel_size, settings.kernel_size], bound),
+        ...(settings.bias ? { [`conv${index}.bias`]: parameter([settings.out_channels], bound) } : {})
+      };
+    }
+    case 'BatchNorm1d':
+    case 'BatchNorm2d':
+      return settings.affine
+        ? { [`bn${index}.weight`]: constantParameter([inputShape[0]], 1), [`bn${index}.bias`]: constantParameter([inputShape[0]], 0) }
+        : {};
+    case 'LayerNorm': {
+      const features = inputShape[inputShape.length - 1];
+      if (!settings.elementwise_affine) return {};
+      return {
+        [`ln${index}.weight`]: constantParameter([features], 1),
+        ...(settings.bias ? { [`ln${index}.bias`]: constantParameter([features], 0) } : {})
+      };
+    }
+    case 'MultiheadAttention': {
+      const embed = inputShape[inputShape.length - 1];
+      const bound = 1 / Math.sqrt(embed);
+      const params = {};
+      ['q_proj', 'k_proj', 'v_proj', 'out_proj'].forEach(suffix => {
+        params[`mha${index}.${suffix}.weight`] = parameter([embed, embed], bound);
+        if (settings.bias) params[`mha${index}.${suffix}.bias`] = constantParameter([embed], 0);
+      });
+      return params;
+    }
+    default:
+      return {};
+  }
+};
+
+const runLayer = (layer, index, inputs, params, buffers, training) => {
+  const { settings } = layer;
+  const x = inputs[0];
+  switch (layer.type) {
+    case 'Linear':
+      return activate(linear(x, params[`fc${index}.weight`], params[`fc${index}.bias`] ?? null), settings.activation);
+    case 'Conv2d':
+      return activate(conv2d(x, params[`conv${index}.weight`], params[`conv${index}.bias`] ?? null, {
+        stride: settings.stride,
+        padding: settings.padding,
+        dilation: settings.dilation ?? 1
+      }), settings.activation);
+    case 'BatchNorm1d':
+    case 'BatchNorm2d':
+      return batchNorm(x, params[`bn${index}.weight`] ?? null, params[`bn${index}.bias`] ?? null, buffers[`bn${index}`] ?? null, {
+        training,
+        momentum: settings.momentum,
+        eps: settings.eps
+      });
+    case 'LayerNorm':
+      return layerNorm(x, params[`ln${index}.weight`] ?? null, params[`ln${index}.bias`] ?? null, { eps: settings.eps });
+    case 'Dropout':
+      return dropout(x, settings.p, training);
+    case 'MaxPool2d':
+      return maxPool2d(x, {
+        kernel: settings.kernel_size,
+        stride: settings.stride,
+        padding: settings.padding,
+        dilation: settings.dilation,
+        ceilMode: settings.ceil_mode
+      });
+    case 'AvgPool2d':
+      return avgPool2d(x, {
+        kernel: settings.kernel_size,
+        stride: settings.stride,
+        padding: settings.padding,
+        ceilMode: settings.ceil_mode,
+        countIncludePad: settings.count_include_pad
+      });
+    case 'Flatten': {
+      // Dims count the batch, like torch.flatten
+      const rank = x.shape.length;
+      const start = settings.start_dim < 0 ? rank + settings.start_dim : settings.start_dim;
+      const end = settings.end_dim < 0 ? rank + settings.end_dim : settings.end_dim;
+      const merged = x.shape.slice(start, end + 1).reduce((total, size) => total * size, 1);
+      return reshape(x, [...x.shape.slice(0, start), merged, ...x.shape.slice(end + 1)]);
+    }
+    case 'MultiheadAttention':
+      return attention(x, params, `mha${index}`, settings, training);
+    case 'Identity':
+      return x;
+    case 'ReLU':
+      return relu(x);
+    case 'GELU':
+      return gelu(x, settings.approximate);
+    case 'SiLU':
+      return silu(x);
+    case 'Softmax': {
+      // dim counts the batch dimension, as in nn.Softmax; other dims are
+      // swapped to the end and back
+      const rank = x.shape.length;
+      const axis = settings.dim < 0 ? rank + settings.dim : settings.dim;
+      if (axis === rank - 1) return softmax(x);
+      const perm = [...x.shape.keys()].map(d => (d === axis ? rank - 1 : d === rank - 1 ? axis : d));
+      return transpose(softmax(transpose(x, perm)), perm);
+    }
+    case 'Add':
+      return inputs.slice(1).reduce((sum, input) => add(sum, input), x);
+    case 'Multiply':
+      return inputs.slice(1).reduce((product, input) => mul(product, input), x);
+    case 'Concat':
+      // The model's dim counts the batch dimension, as in torch.cat
+      return concat(inputs, settings.dim);
+    default:
+      throw new Error(`${layer.type} layers cannot run in the browser yet`);
+  }
+};
+
+// Build a runnable network. Throws if the model has shape errors.
+// forward(x, { training }) takes a [batch, ...input_dim] tensor and returns
+// the output tensor of the model's single output layer.
+export const createNetwork = (model) => {
+  // Blocks run as their inner layers
+  const modelJSON = flattenModel(model);
+  const { layers } = modelJSON;
+  const shapes = inferShapes(modelJSON.input_dim, layers);
+  const failed = shapes.findIndex(shape => shape.error);
+  if (failed !== -1) {
+    throw new Error(`Layer ${failed + 1} (${layers[failed].type}): ${shapes[failed].error}`);
+  }
+  const unsupported = layers.find(layer => !RUNNABLE_TYPES.includes(layer.type));
+  if (unsupported) {
+    throw new Error(`${unsupported.type} layers cannot run in the browser yet`);
+  }
+  if (layers.some(layer => layer.type === 'MultiheadAttention' && (layer.settings.add_bias_kv || layer.settings.add_zero_attn))) {
+    throw new Error('MultiheadAttention with add_bias_kv or add_zero_attn cannot run in the browser yet');
+  }
+  const outputs = getOutputLayers(layers);
+  if (outputs.length > 1) {
+    throw new Error('The model has more than one output');
+  }
+
+  const params = {};
+  const buffers = {};
+  layers.forEach((layer, index) => {
+    Object.assign(params, layerParameters(layer, index, shapes[index].inputShape));
+    if (isBatchNorm(layer) && layer.settings.track_running_stats) {
+      const channels = shapes[index].inputShape[0];
+      buffers[`bn${index}`] = { mean: new Float32Array(channels), variance: new Float32Array(channels).fill(1) };
+    }
+  });
+
+  const forward = (x, { training = false } = {}) => {
+    const values = { [INPUT_NODE_ID]: x };
+    layers.forEach((layer, index) => {
+      values[layer.id] = runLayer(layer, index, layer.inputs.map(id => values[id]), params, buffers, training);
+    });
+    return outputs.length > 0 ? values[outputs[0].id] : x;
+  };
+
+  return {
+    params,
+    outputShape: outputs.length > 0 ? shapes[layers.indexOf(outputs[0])].outputShape : modelJSON.input_dim,
+    forward
+  };
+};
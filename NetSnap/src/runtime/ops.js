@@ -0,0 +1,555 @@
+// Differentiable tensor ops for the in-browser runtime. Every op returns a new
+// tensor; when an input requires gradients the result carries a backward
+// function that accumulates into its inputs' gradients.
+// Image tensors are [batch, channels, height, width] like PyTorch.
+
+import { createTensor, accumulateGrad, shapeSize } from './tensor.js';
+
+const result = (data, shape, parents, backwardFn) => createTensor(data, shape, { parents, backwardFn });
+
+// x @ weight^T + bias over the last dimension; weight is [out, in] like nn.Linear
+export const linear = (x, weight, bias) => {
+  const [outFeatures, inFeatures] = weight.shape;
+  const rows = x.data.length / inFeatures;
+  const data = new Float32Array(rows * outFeatures);
+  for (let r = 0; r < rows; r++) {
+    for (let o = 0; o < outFeatures; o++) {
+      let sum = bias ? bias.data[o] : 0;
+      for (let i = 0; i < inFeatures; i++) sum += x.data[r * inFeatures + i] * weight.data[o * inFeatures + i];
+      data[r * outFeatures + o] = sum;
+    }
+  }
+  const parents = bias ? [x, weight, bias] : [x, weight];
+  return result(data, [...x.shape.slice(0, -1), outFeatures], parents, (grad) => {
+    const dx = new Float32Array(x.data.length);
+    const dw = new Float32Array(weight.data.length);
+    const db = new Float32Array(outFeatures);
+    for (let r = 0; r < rows; r++) {
+      for (let o = 0; o < outFeatures; o++) {
+        const g = grad[r * outFeatures + o];
+        if (g === 0) continue;
+        db[o] += g;
+        for (let i = 0; i < inFeatures; i++) {
+          dx[r * inFeatures + i] += g * weight.data[o * inFeatures + i];
+          dw[o * inFeatures + i] += g * x.data[r * inFeatures + i];
+        }
+      }
+    }
+    accumulateGrad(x, dx);
+    accumulateGrad(weight, dw);
+    if (bias) accumulateGrad(bias, db);
+  });
+};
+
+// Batched matrix product of [..., m, k] and [..., k, n] with equal leading dims
+export const matmul = (a, b) => {
+  const m = a.shape[a.shape.length - 2];
+  const k = a.shape[a.shape.length - 1];
+  const n = b.shape[b.shape.length - 1];
+  const batches = a.data.length / (m * k);
+  const data = new Float32Array(batches * m * n);
+  for (let batch = 0; batch < batches; batch++) {
+    const aOffset = batch * m * k;
+    const bOffset = batch * k * n;
+    const outOffset = batch * m * n;
+    for (let i = 0; i < m; i++) {
+      for (let p = 0; p < k; p++) {
+        const value = a.data[aOffset + i * k + p];
+        for (let j = 0; j < n; j++) data[outOffset + i * n + j] += value * b.data[bOffset + p * n + j];
+      }
+    }
+  }
+  return result(data, [...a.shape.slice(0, -1), n], [a, b], (grad) => {
+    const da = new Float32Array(a.data.length);
+    const db = new Float32Array(b.data.length);
+    for (let batch = 0; batch < batches; batch++) {
+      const aOffset = batch * m * k;
+      const bOffset = batch * k * n;
+      const outOffset = batch * m * n;
+      for (let i = 0; i < m; i++) {
+        for (let p = 0; p < k; p++) {
+          let sum = 0;
+          const value = a.data[aOffset + i * k + p];
+          for (let j = 0; j < n; j++) {
+            const g = grad[outOffset + i * n + j];
+            sum += g * b.data[bOffset + p * n + j];
+            db[bOffset + p * n + j] += value * g;
+          }
+          da[aOffset + i * k + p] = sum;
+        }
+      }
+    }
+    accumulateGrad(a, da);
+    accumulateGrad(b, db);
+  });
+};
+
+// Elementwise a + b and a * b; b may also be a trailing slice of a's shape
+// (or a scalar), repeated across the leading dimensions
+export const add = (a, b) => {
+  const size = b.data.length;
+  const data = new Float32Array(a.data.length);
+  for (let i = 0; i < data.length; i++) data[i] = a.data[i] + b.data[i % size];
+  return result(data, a.shape, [a, b], (grad) => {
+    accumulateGrad(a, grad);
+    if (!b.requiresGrad) return;
+    const db = new Float32Array(size);
+    for (let i = 0; i < grad.length; i++) db[i % size] += grad[i];
+    accumulateGrad(b, db);
+  });
+};
+
+export const mul = (a, b) => {
+  const size = b.data.length;
+  const data = new Float32Array(a.data.length);
+  for (let i = 0; i < data.length; i++) data[i] = a.data[i] * b.data[i % size];
+  return result(data, a.shape, [a, b], (grad) => {
+    const da = new Float32Array(a.data.length);
+    const db = new Float32Array(size);
+    for (let i = 0; i < grad.length; i++) {
+      da[i] = grad[i] * b.data[i % size];
+      db[i % size] += grad[i] * a.data[i];
+    }
+    accumulateGrad(a, da);
+    accumulateGrad(b, db);
+  });
+};
+
+export const scale = (x, factor) => {
+  const data = x.data.map(value => value * factor);
+  return result(data, x.shape, [x], (grad) => accumulateGrad(x, grad.map(g => g * factor)));
+};
+
+// Elementwise function with its derivative given the input and output values
+const unary = (x, fn, derivative) => {
+  const data = x.data.map(fn);
+  return result(data, x.shape, [x], (grad) => {
+    accumulateGrad(x, grad.map((g, i) => g * derivative(x.data[i], data[i])));
+  });
+};
+
+export const relu = (x) => unary(x, v => (v > 0 ? v : 0), v => (v > 0 ? 1 : 0));
+
+export const sigmoid = (x) => unary(x, v => 1 / (1 + Math.exp(-v)), (v, y) => y * (1 - y));
+
+export const tanh = (x) => unary(x, Math.tanh, (v, y) => 1 - y * y);
+
+export const leakyRelu = (x, slope = 0.01) => unary(x, v => (v > 0 ? v : slope * v), v => (v > 0 ? 1 : slope));
+
+export const elu = (x, alpha = 1) => unary(x, v => (v > 0 ? v : alpha * (Math.exp(v) - 1)), (v, y) => (v > 0 ? 1 : y + alpha));
+
+// Abramowitz and Stegun 7.1.26, within 1.5e-7 of erf
+const erf = (v) => {
+  const t = 1 / (1 + 0.3275911 * Math.abs(v));
+  const y = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-v * v);
+  return v < 0 ? -y : y;
+};
+
+const GELU_TANH_SCALE = Math.sqrt(2 / Math.PI);
+
+// x * P(X <= x) for a standard normal X, or nn.GELU's tanh approximation of it
+export const gelu = (x, approximate = 'none') => {
+  if (approximate === 'tanh') {
+    const inner = (v) => GELU_TANH_SCALE * (v + 0.044715 * v ** 3);
+    return unary(x, v => 0.5 * v * (1 + Math.tanh(inner(v))), v => {
+      const t = Math.tanh(inner(v));
+      return 0.5 * (1 + t) + 0.5 * v * (1 - t * t) * GELU_TANH_SCALE * (1 + 3 * 0.044715 * v * v);
+    });
+  }
+  return unary(x, v => 0.5 * v * (1 + erf(v / Math.SQRT2)),
+    v => 0.5 * (1 + erf(v / Math.SQRT2)) + (v * Math.exp(-v * v / 2)) / Math.sqrt(2 * Math.PI));
+};
+
+export const silu = (x) => unary(x, v => v / (1 + Math.exp(-v)), v => {
+  const s = 1 / (1 + Math.exp(-v));
+  return s * (1 + v * (1 - s));
+});
+
+// Softmax over the last dimension
+export const softmax = (x) => {
+  const n = x.shape[x.shape.length - 1];
+  const data = new Float32Array(x.data.length);
+  for (let offset = 0; offset < data.length; offset += n) {
+    let max = -Infinity;
+    for (let j = 0; j < n; j++) max = Math.max(max, x.data[offset + j]);
+    let sum = 0;
+    for (let j = 0; j < n; j++) {
+      data[offset + j] = Math.exp(x.data[offset + j] - max);
+      sum += data[offset + j];
+    }
+    for (let j = 0; j < n; j++) data[offset + j] /= sum;
+  }
+  return result(data, x.shape, [x], (grad) => {
+    const dx = new Float32Array(data.length);
+    for (let offset = 0; offset < data.length; offset += n) {
+      let dot = 0;
+      for (let j = 0; j < n; j++) dot += grad[offset + j] * data[offset + j];
+      for (let j = 0; j < n; j++) dx[offset + j] = data[offset + j] * (grad[offset + j] - dot);
+    }
+    accumulateGrad(x, dx);
+  });
+};
+
+export const reshape = (x, shape) => result(x.data, shape, [x], (grad) => accumulateGrad(x, grad));
+
+const strides = (shape) => {
+  const result = new Array(shape.length).fill(1);
+  for (let i = shape.length - 2; i >= 0; i--) result[i] = result[i + 1] * shape[i + 1];
+  return result;
+};
+
+// Permute dimensions: output dimension i is input dimension perm[i]
+export const transpose = (x, perm) => {
+  const shape = perm.map(axis => x.shape[axis]);
+  const inStrides = strides(x.shape);
+  const outStrides = strides(shape);
+  // Input offset of every output element
+  const sourceIndex = new Int32Array(x.data.length);
+  for (let i = 0; i < sourceIndex.length; i++) {
+    let remainder = i;
+    let source = 0;
+    for (let d = 0; d < shape.length; d++) {
+      const coordinate = Math.floor(remainder / outStrides[d]);
+      remainder -= coordinate * outStrides[d];
+      source += coordinate * inStrides[perm[d]];
+    }
+    sourceIndex[i] = source;
+  }
+  const data = new Float32Array(x.data.length);
+  for (let i = 0; i < data.length; i++) data[i] = x.data[sourceIndex[i]];
+  return result(data, shape, [x], (grad) => {
+    const dx = new Float32Array(x.data.length);
+    for (let i = 0; i < grad.length; i++) dx[sourceIndex[i]] = grad[i];
+    accumulateGrad(x, dx);
+  });
+};
+
+export const concat = (tensors, dim) => {
+  const rank = tensors[0].shape.length;
+  const axis = dim < 0 ? rank + dim : dim;
+  const outer = shapeSize(tensors[0].shape.slice(0, axis));
+  const chunks = tensors.map(tensor => shapeSize(tensor.shape.slice(axis)));
+  const rowSize = chunks.reduce((total, chunk) => total + chunk, 0);
+  const data = new Float32Array(outer * rowSize);
+  let offset = 0;
+  tensors.forEach((tensor, t) => {
+    for (let o = 0; o < outer; o++) {
+      data.set(tensor.data.subarray(o * chunks[t], (o + 1) * chunks[t]), o * rowSize + offset);
+    }
+    offset += chunks[t];
+  });
+  const shape = [...tensors[0].shape];
+  shape[axis] = tensors.reduce((total, tensor) => total + tensor.shape[axis], 0);
+  return result(data, shape, tensors, (grad) => {
+    let start = 0;
+    tensors.forEach((tensor, t) => {
+      const dx = new Float32Array(tensor.data.length);
+      for (let o = 0; o < outer; o++) {
+        dx.set(grad.subarray(o * rowSize + start, o * rowSize + start + chunks[t]), o * chunks[t]);
+      }
+      accumulateGrad(tensor, dx);
+      start += chunks[t];
+    });
+  });
+};
+
+export const conv2d = (x, weight, bias, { stride, padding, dilation }) => {
+  const [batch, inChannels, height, width] = x.shape;
+  const [outChannels, , kernel] = weight.shape;
+  const outHeight = Math.floor((height + 2 * padding - dilation * (kernel - 1) - 1) / stride) + 1;
+  const outWidth = Math.floor((width + 2 * padding - dilation * (kernel - 1) - 1) / stride) + 1;
+  const data = new Float32Array(batch * outChannels * outHeight * outWidth);
+  // Visit every (output, weight, input) triple that contributes
+  const each = (visit) => {
+    for (let n = 0; n < batch; n++) {
+      for (let oc = 0; oc < outChannels; oc++) {
+        for (let oy = 0; oy < outHeight; oy++) {
+          for (let ox = 0; ox < outWidth; ox++) {
+            const outIndex = ((n * outChannels + oc) * outHeight + oy) * outWidth + ox;
+            for (let ic = 0; ic < inChannels; ic++) {
+              for (let ky = 0; ky < kernel; ky++) {
+                const iy = oy * stride - padding + ky * dilation;
+                if (iy < 0 || iy >= height) continue;
+                for (let kx = 0; kx < kernel; kx++) {
+                  const ix = ox * stride - padding + kx * dilation;
+                  if (ix < 0 || ix >= width) continue;
+                  visit(outIndex, ((oc * inChannels + ic) * kernel + ky) * kernel + kx, ((n * inChannels + ic) * height + iy) * width + ix);
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  };
+  each((out, w, input) => {
+    data[out] += weight.data[w] * x.data[input];
+  });
+  const planeSize = outHeight * outWidth;
+  if (bias) {
+    for (let i = 0; i < data.length; i++) data[i] += bias.data[Math.floor(i / planeSize) % outChannels];
+  }
+  const parents = bias ? [x, weight, bias] : [x, weight];
+  return result(data, [batch, outChannels, outHeight, outWidth], parents, (grad) => {
+    const dx = new Float32Array(x.data.length);
+    const dw = new Float32Array(weight.data.length);
+    each((out, w, input) => {
+      dx[input] += grad[out] * weight.data[w];
+      dw[w] += grad[out] * x.data[input];
+    });
+    accumulateGrad(x, dx);
+    accumulateGrad(weight, dw);
+    if (bias) {
+      const db = new Float32Array(outChannels);
+      for (let i = 0; i < grad.length; i++) db[Math.floor(i / planeSize) % outChannels] += grad[i];
+      accumulateGrad(bias, db);
+    }
+  });
+};
+
+// Output size of a pooling window, with PyTorch's ceil_mode rule that the
+// last window must start inside the input or left padding
+const poolOutputSize = (size, kernel, stride, padding, dilation, ceilMode) => {
+  const span = size + 2 * padding - dilation * (kernel - 1) - 1;
+  let out = (ceilMode ? Math.ceil(span / stride) : Math.floor(span / stride)) + 1;
+  if (ceilMode && (out - 1) * stride >= size + padding) out -= 1;
+  return out;
+};
+
+export const maxPool2d = (x, { kernel, stride, padding, dilation, ceilMode }) => {
+  const [batch, channels, height, width] = x.shape;
+  const outHeight = poolOutputSize(height, kernel, stride, padding, dilation, ceilMode);
+  const outWidth = poolOutputSize(width, kernel, stride, padding, dilation, ceilMode);
+  const data = new Float32Array(batch * channels * outHeight * outWidth);
+  const argmax = new Int32Array(data.length);
+  for (let plane = 0; plane < batch * channels; plane++) {
+    for (let oy = 0; oy < outHeight; oy++) {
+      for (let ox = 0; ox < outWidth; ox++) {
+        const outIndex = (plane * outHeight + oy) * outWidth + ox;
+        let best = -Infinity;
+        let bestIndex = -1;
+        for (let ky = 0; ky < kernel; ky++) {
+          const iy = oy * stride - padding + ky * dilation;
+          if (iy < 0 || iy >= height) continue;
+          for (let kx = 0; kx < kernel; kx++) {
+            const ix = ox * stride - padding + kx * dilation;
+            if (ix < 0 || ix >= width) continue;
+            const index = (plane * height + iy) * width + ix;
+            if (x.data[index] > best) {
+              best = x.data[index];
+              bestIndex = index;
+            }
+          }
+        }
+        data[outIndex] = best;
+        argmax[outIndex] = bestIndex;
+      }
+    }
+  }
+  return result(data, [batch, channels, outHeight, outWidth], [x], (grad) => {
+    const dx = new Float32Array(x.data.length);
+    for (let i = 0; i < grad.length; i++) {
+      if (argmax[i] >= 0) dx[argmax[i]] += grad[i];
+    }
+    accumulateGrad(x, dx);
+  });
+};
+
+// Average pooling like nn.AvgPool2d: windows are cut off at the end of the
+// padding, and the padding only counts towards the average with countIncludePad
+export const avgPool2d = (x, { kernel, stride, padding, ceilMode, countIncludePad }) => {
+  const [batch, channels, height, width] = x.shape;
+  const outHeight = poolOutputSize(height, kernel, stride, padding, 1, ceilMode);
+  const outWidth = poolOutputSize(width, kernel, stride, padding, 1, ceilMode);
+  // Input range [start, end) of each window along one axis, and its length with padding
+  const windows = (outSize, size) => Array.from({ length: outSize }, (_, o) => {
+    const start = o * stride - padding;
+    const end = Math.min(start + kernel, size + padding);
+    return { start: Math.max(start, 0), end: Math.min(end, size), padded: end - start };
+  });
+  const rows = windows(outHeight, height);
+  const columns = windows(outWidth, width);
+  // Visit every (output, input) pair with the input's weight in the average
+  const each = (visit) => {
+    for (let plane = 0; plane < batch * channels; plane++) {
+      for (let oy = 0; oy < outHeight; oy++) {
+        for (let ox = 0; ox < outWidth; ox++) {
+          const row = rows[oy];
+          const column = columns[ox];
+          const divisor = countIncludePad ? row.padded * column.padded : (row.end - row.start) * (column.end - column.start);
+          const outIndex = (plane * outHeight + oy) * outWidth + ox;
+          for (let iy = row.start; iy < row.end; iy++) {
+            for (let ix = column.start; ix < column.end; ix++) visit(outIndex, (plane * height + iy) * width + ix, 1 / divisor);
+          }
+        }
+      }
+    }
+  };
+  const data = new Float32Array(batch * channels * outHeight * outWidth);
+  each((out, input, weight) => {
+    data[out] += x.data[input] * weight;
+  });
+  return result(data, [batch, channels, outHeight, outWidth], [x], (grad) => {
+    const dx = new Float32Array(x.data.length);
+    each((out, input, weight) => {
+      dx[input] += grad[out] * weight;
+    });
+    accumulateGrad(x, dx);
+  });
+};
+
+// Batch normalization over the channel dimension of [batch, channels, ...].
+// `stats` holds the running mean and variance and is updated in place while training.
+export const batchNorm = (x, gamma, beta, stats, { training, momentum, eps }) => {
+  const channels = x.shape[1];
+  const spatial = shapeSize(x.shape.slice(2));
+  const count = x.shape[0] * spatial;
+  const channelOf = (i) => Math.floor(i / spatial) % channels;
+  const useBatchStats = training || !stats;
+  const mean = new Float32Array(channels);
+  const variance = new Float32Array(channels);
+  if (useBatchStats) {
+    for (let i = 0; i < x.data.length; i++) mean[channelOf(i)] += x.data[i] / count;
+    for (let i = 0; i < x.data.length; i++) variance[channelOf(i)] += (x.data[i] - mean[channelOf(i)]) ** 2 / count;
+    if (training && stats) {
+      // Running variance is unbiased, as in PyTorch
+      for (let c = 0; c < channels; c++) {
+        stats.mean[c] = (1 - momentum) * stats.mean[c] + momentum * mean[c];
+        stats.variance[c] = (1 - momentum) * stats.variance[c] + momentum * variance[c] * count / Math.max(count - 1, 1);
+      }
+    }
+  } else {
+    mean.set(stats.mean);
+    variance.set(stats.variance);
+  }
+  const invStd = variance.map(v => 1 / Math.sqrt(v + eps));
+  const normalized = new Float32Array(x.data.length);
+  const data = new Float32Array(x.data.length);
+  for (let i = 0; i < data.length; i++) {
+    const c = channelOf(i);
+    normalized[i] = (x.data[i] - mean[c]) * invStd[c];
+    data[i] = gamma ? normalized[i] * gamma.data[c] + beta.data[c] : normalized[i];
+  }
+  const parents = gamma ? [x, gamma, beta] : [x];
+  return result(data, x.shape, parents, (grad) => {
+    const dGamma = new Float32Array(channels);
+    const dBeta = new Float32Array(channels);
+    for (let i = 0; i < grad.length; i++) {
+      dBeta[channelOf(i)] += grad[i];
+      dGamma[channelOf(i)] += grad[i] * normalized[i];
+    }
+    const dx = new Float32Array(x.data.length);
+    for (let i = 0; i < grad.length; i++) {
+      const c = channelOf(i);
+      const g = gamma ? gamma.data[c] : 1;
+      dx[i] = useBatchStats
+        ? g * invStd[c] * (grad[i] - dBeta[c] / count - normalized[i] * dGamma[c] / count)
+        : g * invStd[c] * grad[i];
+    }
+    accumulateGrad(x, dx);
+    if (gamma) {
+      accumulateGrad(gamma, dGamma);
+      accumulateGrad(beta, dBeta);
+    }
+  });
+};
+
+// Layer normalization over the last dimension, like nn.LayerNorm(features).
+// gamma and beta may each be null.
+export const layerNorm = (x, gamma, beta, { eps }) => {
+  const n = x.shape[x.shape.length - 1];
+  const rows = x.data.length / n;
+  const invStd = new Float32Array(rows);
+  const normalized = new Float32Array(x.data.length);
+  const data = new Float32Array(x.data.length);
+  for (let r = 0; r < rows; r++) {
+    const offset = r * n;
+    let mean = 0;
+    for (let j = 0; j < n; j++) mean += x.data[offset + j] / n;
+    let variance = 0;
+    for (let j = 0; j < n; j++) variance += (x.data[offset + j] - mean) ** 2 / n;
+    invStd[r] = 1 / Math.sqrt(variance + eps);
+    for (let j = 0; j < n; j++) {
+      normalized[offset + j] = (x.data[offset + j] - mean) * invStd[r];
+      data[offset + j] = normalized[offset + j] * (gamma ? gamma.data[j] : 1) + (beta ? beta.data[j] : 0);
+    }
+  }
+  const parents = [x, gamma, beta].filter(Boolean);
+  return result(data, x.shape, parents, (grad) => {
+    const dx = new Float32Array(x.data.length);
+    const dGamma = new Float32Array(n);
+    const dBeta = new Float32Array(n);
+    for (let r = 0; r < rows; r++) {
+      const offset = r * n;
+      // Gradient with respect to the normalized values, and its sums for the mean and variance terms
+      const dNormalized = new Float32Array(n);
+      let sum = 0;
+      let dot = 0;
+      for (let j = 0; j < n; j++) {
+        const g = grad[offset + j];
+        dGamma[j] += g * normalized[offset + j];
+        dBeta[j] += g;
+        dNormalized[j] = gamma ? g * gamma.data[j] : g;
+        sum += dNormalized[j];
+        dot += dNormalized[j] * normalized[offset + j];
+      }
+      for (let j = 0; j < n; j++) dx[offset + j] = invStd[r] * (dNormalized[j] - sum / n - (normalized[offset + j] * dot) / n);
+    }
+    accumulateGrad(x, dx);
+    if (gamma) accumulateGrad(gamma, dGamma);
+    if (beta) accumulateGrad(beta, dBeta);
+  });
+};
+
+// Inverted dropout: scale kept values by 1 / (1 - p) while training
+export const dropout = (x, p, training) => {
+  if (!training || p === 0) return x;
+  const mask = x.data.map(() => (Math.random() >= p ? 1 / (1 - p) : 0));
+  const data = x.data.map((value, i) => value * mask[i]);
+  return result(data, x.shape, [x], (grad) => accumulateGrad(x, grad.map((g, i) => g * mask[i])));
+};
+
+// Losses, averaged over the batch; `logits` and `predictions` are [batch, features]
+
+export const crossEntropyLoss = (logits, labels) => {
+  const classes = logits.shape[logits.shape.length - 1];
+  const rows = labels.length;
+  const probabilities = new Float32Array(logits.data.length);
+  let loss = 0;
+  for (let r = 0; r < rows; r++) {
+    const offset = r * classes;
+    let max = -Infinity;
+    for (let j = 0; j < classes; j++) max = Math.max(max, logits.data[offset + j]);
+    let sum = 0;
+    for (let j = 0; j < classes; j++) sum += Math.exp(logits.data[offset + j] - max);
+    for (let j = 0; j < classes; j++) probabilities[offset + j] = Math.exp(logits.data[offset + j] - max) / sum;
+    loss -= Math.log(Math.max(probabilities[offset + labels[r]], 1e-12));
+  }
+  return result(Float32Array.of(loss / rows), [], [logits], (grad) => {
+    const dx = new Float32Array(probabilities);
+    for (let r = 0; r < rows; r++) dx[r * classes + labels[r]] -= 1;
+    accumulateGrad(logits, dx.map(value => value * grad[0] / rows));
+  });
+};
+
+export const mseLoss = (predictions, targets) => {
+  const n = predictions.data.length;
+  let loss = 0;
+  for (let i = 0; i < n; i++) loss += (predictions.data[i] - targets[i]) ** 2;
+  return result(Float32Array.of(loss / n), [], [predictions], (grad) => {
+    accumulateGrad(predictions, predictions.data.map((value, i) => 2 * (value - targets[i]) * grad[0] / n));
+  });
+};
+
+// Binary cross-entropy on raw scores, like nn.BCEWithLogitsLoss
+export const bceWithLogitsLoss = (logits, targets) => {
+  const n = logits.data.length;
+  let loss = 0;
+  for (let i = 0; i < n; i++) {
+    const z = logits.data[i];
+    loss += Math.max(z, 0) - z * targets[i] + Math.log(1 + Math.exp(-Math.abs(z)));
+  }
+  return result(Float32Array.of(loss / n), [], [logits], (grad) => {
+    accumulateGrad(logits, logits.data.map((z, i) => (1 / (1 + Math.exp(-z)) - targets[i]) * grad[0] / n));
+  });
+};
@@ -0,0 +1,50 @@
+// Optimizers updating network parameters in place from their gradients,
+// with the same update rules as torch.optim.
+
+export const OPTIMIZERS = [
+  { id: 'sgd', label: 'SGD' },
+  { id: 'momentum', label: 'SGD + momentum (0.9)' },
+  { id: 'adam', label: 'Adam' }
+];
+
+// `params` is the network's { name: tensor } map
+export const createOptimizer = (type, params, learningRate) => {
+  const tensors = Object.values(params);
+  const state = tensors.map(tensor => ({
+    velocity: new Float32Array(tensor.data.length),
+    m: new Float32Array(tensor.data.length),
+    v: new Float32Array(tensor.data.length)
+  }));
+  let steps = 0;
+
+  const step = () => {
+    steps += 1;
+    tensors.forEach((tensor, t) => {
+      const { grad, data } = tensor;
+      if (!grad) return;
+      const { velocity, m, v } = state[t];
+      for (let i = 0; i < data.length; i++) {
+        if (type === 'momentum') {
+          velocity[i] = 0.9 * velocity[i] + grad[i];
+          data[i] -= learningRate * velocity[i];
+        } else if (type === 'adam') {
+          m[i] = 0.9 * m[i] + 0.1 * grad[i];
+          v[i] = 0.999 * v[i] + 0.001 * grad[i] * grad[i];
+          const mHat = m[i] / (1 - 0.9 ** steps);
+          const vHat = v[i] / (1 - 0.999 ** steps);
+          data[i] -= learningRate * mHat / (Math.sqrt(vHat) + 1e-8);
+        } else {
+          data[i] -= learningRate * grad[i];
+        }
+      }
+    });
+  };
+
+  const zeroGrad = () => {
+    tensors.forEach(tensor => {
+      tensor.grad = null;
+    });
+  };
+
+  return { step, zeroGrad };
+};
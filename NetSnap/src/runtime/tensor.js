@@ -0,0 +1,65 @@
+// Tensors for the in-browser runtime: a flat row-major Float32Array plus a
+// shape. Ops (see ops.js) record the tensors they were computed from and a
+// backward function, so backward() can propagate gradients to parameters.
+
+export const shapeSize = (shape) => shape.reduce((total, size) => total * size, 1);
+
+// `parents` and `backwardFn` are only set by ops; backwardFn receives the
+// output gradient and adds into the parents' gradients with accumulateGrad
+export const createTensor = (data, shape, { requiresGrad = false, parents = [], backwardFn = null } = {}) => ({
+  data,
+  shape,
+  grad: null,
+  requiresGrad: requiresGrad || parents.some(parent => parent.requiresGrad),
+  parents,
+  backwardFn
+});
+
+export const zeros = (shape) => createTensor(new Float32Array(shapeSize(shape)), shape);
+
+export const fromValues = (values, shape) => createTensor(Float32Array.from(values), shape);
+
+// Trainable parameter, uniform in [-bound, bound] (PyTorch's default init)
+export const parameter = (shape, bound) => {
+  const data = new Float32Array(shapeSize(shape));
+  for (let i = 0; i < data.length; i++) data[i] = (Math.random() * 2 - 1) * bound;
+  return createTensor(data, shape, { requiresGrad: true });
+};
+
+export const constantParameter = (shape, value) =>
+  createTensor(new Float32Array(shapeSize(shape)).fill(value), shape, { requiresGrad: true });
+
+// Standard normal samples (Box-Muller)
+export const randomNormal = (shape) => {
+  const data = new Float32Array(shapeSize(shape));
+  for (let i = 0; i < data.length; i++) {
+    data[i] = Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random());
+  }
+  return createTensor(data, shape);
+};
+
+export const accumulateGrad = (tensor, grad) => {
+  if (!tensor.requiresGrad) return;
+  if (!tensor.grad) {
+    tensor.grad = new Float32Array(grad.length);
+  }
+  for (let i = 0; i < grad.length; i++) tensor.grad[i] += grad[i];
+};
+
+// Backpropagate from a scalar output
+export const backward = (output) => {
+  const order = [];
+  const visited = new Set();
+  const visit = (tensor) => {
+    if (visited.has(tensor) || !tensor.requiresGrad) return;
+    visited.add(tensor);
+    tensor.parents.forEach(visit);
+    order.push(tensor);
+  };
+  visit(output);
+  output.grad = new Float32Array(output.data.length).fill(1);
+  for (let i = order.length - 1; i >= 0; i--) {
+    const tensor = order[i];
+    if (tensor.backwardFn && tensor.grad) tensor.backwardFn(tensor.grad);
+  }
+};
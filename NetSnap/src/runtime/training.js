@@ -0,0 +1,88 @@
+// Training loop pieces for the playground: batching, losses and accuracy.
+// The UI drives the loop one batch at a time so it can redraw between steps.
+
+import { createTensor, shapeSize, backward } from './tensor.js';
+import { crossEntropyLoss, mseLoss, bceWithLogitsLoss } from './ops.js';
+
+export const LOSSES = [
+  { id: 'cross_entropy', label: 'Cross-entropy' },
+  { id: 'mse', label: 'Mean squared error' },
+  { id: 'bce', label: 'Binary cross-entropy (logits)' }
+];
+
+// Why the network cannot be trained on the dataset, or null if it can.
+// Outputs are one score per class, or a single score for two classes with MSE/BCE.
+export const trainingProblem = (inputShape, outputShape, dataset, lossId) => {
+  if (shapeSize(inputShape) !== dataset.features) {
+    return `The dataset has ${dataset.features} features per example but the model input [${inputShape.join(', ')}] has ${shapeSize(inputShape)}`;
+  }
+  if (outputShape.length !== 1) {
+    return `The model output must be a vector of class scores (got [${outputShape.join(', ')}]); add a Flatten and Linear layer`;
+  }
+  const [outputs] = outputShape;
+  if (outputs === dataset.classes) return null;
+  if (outputs === 1 && dataset.classes === 2 && lossId !== 'cross_entropy') return null;
+  return `The model must output ${dataset.classes} class scores${dataset.classes === 2 && lossId !== 'cross_entropy' ? ' (or 1)' : ''} (got ${outputs})`;
+};
+
+// Shuffled example indices split into batches
+export const makeBatches = (count, batchSize) => {
+  const order = Array.from({ length: count }, (_, i) => i);
+  for (let i = count - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  const batches = [];
+  for (let start = 0; start < count; start += batchSize) batches.push(order.slice(start, start + batchSize));
+  return batches;
+};
+
+const batchInputs = (dataset, indices, inputShape) => {
+  const data = new Float32Array(indices.length * dataset.features);
+  indices.forEach((index, row) => {
+    data.set(dataset.inputs.subarray(index * dataset.features, (index + 1) * dataset.features), row * dataset.features);
+  });
+  return createTensor(data, [indices.length, ...inputShape]);
+};
+
+// Regression targets: the label itself for a single output, one-hot otherwise
+const targetsFor = (labels, outputs) => {
+  if (outputs === 1) return Float32Array.from(labels);
+  const targets = new Float32Array(labels.length * outputs);
+  labels.forEach((label, row) => {
+    targets[row * outputs + label] = 1;
+  });
+  return targets;
+};
+
+const lossFor = (lossId, output, labels) => {
+  const outputs = output.shape[output.shape.length - 1];
+  if (lossId === 'cross_entropy') return crossEntropyLoss(output, labels);
+  if (lossId === 'bce') return bceWithLogitsLoss(output, targetsFor(labels, outputs));
+  return mseLoss(output, targetsFor(labels, outputs));
+};
+
+const countCorrect = (lossId, output, labels) => {
+  const outputs = output.shape[output.shape.length - 1];
+  return labels.filter((label, row) => {
+    if (outputs === 1) {
+      return (output.data[row] > (lossId === 'bce' ? 0 : 0.5) ? 1 : 0) === label;
+    }
+    let best = 0;
+    for (let j = 1; j < outputs; j++) {
+      if (output.data[row * outputs + j] > output.data[row * outputs + best]) best = j;
+    }
+    return best === label;
+  }).length;
+};
+
+// One optimization step; returns the batch loss and number of correct predictions
+export const trainBatch = (network, optimizer, dataset, indices, inputShape, lossId) => {
+  const labels = indices.map(index => dataset.labels[index]);
+  const output = network.forward(batchInputs(dataset, indices, inputShape), { training: true });
+  const loss = lossFor(lossId, output, labels);
+  optimizer.zeroGrad();
+  backward(loss);
+  optimizer.step();
+  return { loss: loss.data[0], correct: countCorrect(lossId, output, labels) };
+};
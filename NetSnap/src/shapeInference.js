@@ -0,0 +1,274 @@
+// Tensor shape propagation for the layer graph.
+// Shapes never include the batch dimension: [C, H, W] for images,
+// [seq, embed] for sequences and [features] for flat vectors.
+
+import { INPUT_NODE_ID, isMergeLayer, topologicalSort } from './graph.js';
+
+// Value of an int-or-tuple hyperparameter for spatial dimension i
+const perDim = (value, i) => (Array.isArray(value) ? value[i] : value);
+
+// Output size of one spatial dimension for conv/pool style layers
+const convOutputSize = (size, kernel, stride, padding, dilation, ceilMode = false) => {
+  const numerator = size + 2 * padding - dilation * (kernel - 1) - 1;
+  let out = (ceilMode ? Math.ceil(numerator / stride) : Math.floor(numerator / stride)) + 1;
+  // PyTorch drops the last window if it would start inside the right padding
+  if (ceilMode && (out - 1) * stride >= size + padding) {
+    out -= 1;
+  }
+  return out;
+};
+
+// Shape of a conv/pool layer given [C, ...spatial] (1d, 2d or 3d)
+const spatialOutputShape = (channels, [, ...spatial], settings, ceilMode = false) => [
+  channels,
+  ...spatial.map((size, i) => convOutputSize(
+    size,
+    perDim(settings.kernel_size, i),
+    perDim(settings.stride ?? settings.kernel_size, i),
+    perDim(settings.padding ?? 0, i),
+    perDim(settings.dilation ?? 1, i),
+    ceilMode
+  ))
+];
+
+// Transposed convolutions grow each spatial dimension instead
+const transposedOutputShape = (channels, [, ...spatial], settings) => [
+  channels,
+  ...spatial.map((size, i) =>
+    (size - 1) * perDim(settings.stride, i) - 2 * perDim(settings.padding, i) +
+    perDim(settings.dilation ?? 1, i) * (perDim(settings.kernel_size, i) - 1) +
+    perDim(settings.output_padding ?? 0, i) + 1
+  )
+];
+
+const expectRank = (shape, rank, layerType) => {
+  if (shape.length !== rank) {
+    throw new Error(`${layerType} expects a ${rank}D input but got [${shape.join(', ')}]`);
+  }
+};
+
+const expectRanks = (shape, ranks, layerType) => {
+  if (!ranks.includes(shape.length)) {
+    throw new Error(`${layerType} expects a ${ranks.join('D or ')}D input but got [${shape.join(', ')}]`);
+  }
+};
+
+// Convolutions over `rank` spatial dimensions of a [C, ...spatial] input
+const convRule = (layerType, rank) => (settings, shape) => {
+  expectRank(shape, rank + 1, layerType);
+  return ensurePositive(spatialOutputShape(settings.out_channels, shape, settings), layerType);
+};
+
+// Layers that keep their input shape
+const sameShape = (settings, shape) => shape;
+
+const ensurePositive = (shape, layerType) => {
+  if (shape.some(size => !(size > 0))) {
+    throw new Error(`${layerType} produces an empty output [${shape.join(', ')}]`);
+  }
+  return shape;
+};
+
+// Output shape rules for each layer type
+const shapeRules = {
+  Linear: (settings, shape) => [...shape.slice(0, -1), settings.out_features],
+  Conv1d: convRule('Conv1d', 1),
+  Conv2d: convRule('Conv2d', 2),
+  Conv3d: convRule('Conv3d', 3),
+  ConvTranspose2d: (settings, shape) => {
+    expectRank(shape, 3, 'ConvTranspose2d');
+    return ensurePositive(transposedOutputShape(settings.out_channels, shape, settings), 'ConvTranspose2d');
+  },
+  BatchNorm2d: (settings, shape) => {
+    expectRank(shape, 3, 'BatchNorm2d');
+    return shape;
+  },
+  BatchNorm1d: (settings, shape) => {
+    expectRanks(shape, [1, 2], 'BatchNorm1d');
+    return shape;
+  },
+  LayerNorm: sameShape,
+  GroupNorm: sameShape,
+  Dropout: sameShape,
+  Identity: sameShape,
+  GELU: sameShape,
+  SiLU: sameShape,
+  ReLU: sameShape,
+  Softmax: (settings, shape) => {
+    // dim indexes the batched tensor like torch.softmax
+    const rank = shape.length + 1;
+    const dim = settings.dim < 0 ? rank + settings.dim : settings.dim;
+    if (dim < 1 || dim >= rank) {
+      throw new Error(`Softmax dim ${settings.dim} is out of range for [${shape.join(', ')}]`);
+    }
+    return shape;
+  },
+  // Token indices of any shape gain an embedding dimension
+  Embedding: (settings, shape) => [...shape, settings.embedding_dim],
+  LSTM: (settings, shape) => {
+    expectRank(shape, 2, 'LSTM');
+    return [shape[0], (settings.bidirectional ? 2 : 1) * settings.hidden_size];
+  },
+  GRU: (settings, shape) => {
+    expectRank(shape, 2, 'GRU');
+    return [shape[0], (settings.bidirectional ? 2 : 1) * settings.hidden_size];
+  },
+  MultiheadAttention: (settings, shape) => {
+    expectRank(shape, 2, 'MultiheadAttention');
+    return shape;
+  },
+  MaxPool2d: (settings, shape) => {
+    expectRank(shape, 3, 'MaxPool2d');
+    return ensurePositive(spatialOutputShape(shape[0], shape, settings, settings.ceil_mode), 'MaxPool2d');
+  },
+  AvgPool2d: (settings, shape) => {
+    expectRank(shape, 3, 'AvgPool2d');
+    return ensurePositive(spatialOutputShape(shape[0], shape, settings, settings.ceil_mode), 'AvgPool2d');
+  },
+  AdaptiveAvgPool2d: (settings, shape) => {
+    expectRank(shape, 3, 'AdaptiveAvgPool2d');
+    return [shape[0], settings.output_size, settings.output_size];
+  },
+  Flatten: (settings, shape) => {
+    // start_dim/end_dim index the batched tensor, so shift by one
+    const rank = shape.length + 1;
+    const start = settings.start_dim < 0 ? rank + settings.start_dim : settings.start_dim;
+    const end = settings.end_dim < 0 ? rank + settings.end_dim : settings.end_dim;
+    if (start < 1) {
+      throw new Error('Flatten over the batch dimension is not supported');
+    }
+    if (end >= rank || start > end) {
+      throw new Error(`Flatten dims (${settings.start_dim}, ${settings.end_dim}) are out of range for [${shape.join(', ')}]`);
+    }
+    const flattened = shape.slice(start - 1, end).reduce((product, size) => product * size, 1);
+    return [...shape.slice(0, start - 1), flattened, ...shape.slice(end)];
+  }
+};
+
+// Merge layers combine several input shapes into one
+const sameShapes = (layerType, shapes) => {
+  const [first, ...rest] = shapes;
+  if (rest.some(shape => formatShape(shape) !== formatShape(first))) {
+    throw new Error(`${layerType} needs inputs of the same shape but got ${shapes.map(formatShape).join(', ')}`);
+  }
+  return first;
+};
+
+const mergeRules = {
+  Add: (settings, shapes) => sameShapes('Add', shapes),
+  Multiply: (settings, shapes) => sameShapes('Multiply', shapes),
+  Concat: (settings, shapes) => {
+    // dim indexes the batched tensor like torch.cat
+    const rank = shapes[0].length + 1;
+    const dim = settings.dim < 0 ? rank + settings.dim : settings.dim;
+    if (dim < 1 || dim >= rank) {
+      throw new Error(`Concat dim ${settings.dim} is out of range for ${formatShape(shapes[0])}`);
+    }
+    const axis = dim - 1;
+    const mismatch = shapes.some(shape =>
+      shape.length !== shapes[0].length || shape.some((size, i) => i !== axis && size !== shapes[0][i])
+    );
+    if (mismatch) {
+      throw new Error(`Concat inputs must match outside dim ${settings.dim} but got ${shapes.map(formatShape).join(', ')}`);
+    }
+    const result = [...shapes[0]];
+    result[axis] = shapes.reduce((total, shape) => total + shape[axis], 0);
+    return result;
+  }
+};
+
+// Settings that are derived from the incoming shape rather than edited by hand
+const autoSettingRules = {
+  Linear: (shape) => ({ in_features: shape[shape.length - 1] }),
+  Conv1d: (shape) => ({ in_channels: shape[0] }),
+  Conv2d: (shape) => ({ in_channels: shape[0] }),
+  Conv3d: (shape) => ({ in_channels: shape[0] }),
+  ConvTranspose2d: (shape) => ({ in_channels: shape[0] }),
+  BatchNorm1d: (shape) => ({ num_features: shape[0] }),
+  BatchNorm2d: (shape) => ({ num_features: shape[0] }),
+  LayerNorm: (shape) => ({ normalized_shape: shape[shape.length - 1] }),
+  GroupNorm: (shape) => ({ num_channels: shape[0] }),
+  MultiheadAttention: (shape) => ({ embed_dim: shape[shape.length - 1] }),
+  LSTM: (shape) => ({ input_size: shape[shape.length - 1] }),
+  GRU: (shape) => ({ input_size: shape[shape.length - 1] })
+};
+
+const AUTO_SETTING_KEYS = ['in_features', 'in_channels', 'num_features', 'normalized_shape', 'num_channels', 'embed_dim', 'input_size'];
+
+export const isAutoSetting = (layerType, key) =>
+  AUTO_SETTING_KEYS.includes(key) && layerType in autoSettingRules;
+
+// Parse "1, 28, 28" into [1, 28, 28]; returns null on invalid input
+export const parseShape = (text) => {
+  const parts = String(text).split(',').map(part => part.trim()).filter(part => part !== '');
+  if (parts.length === 0) return null;
+  const shape = parts.map(Number);
+  return shape.every(size => Number.isInteger(size) && size > 0) ? shape : null;
+};
+
+export const formatShape = (shape) => (shape ? `[${shape.join(', ')}]` : '?');
+
+// Compute the output shape of a single layer, throwing on incompatible input
+export const getOutputShape = (layer, inputShape) => {
+  const rule = shapeRules[layer.type];
+  if (!rule) {
+    throw new Error(`Unknown layer type ${layer.type}`);
+  }
+  return rule({ ...layer.settings, ...autoSettingRules[layer.type]?.(inputShape) }, inputShape);
+};
+
+// Compute the output shape of a merge layer from all of its input shapes
+export const getMergeOutputShape = (layer, inputShapes) => {
+  if (inputShapes.length < 2) {
+    throw new Error(`${layer.type} needs at least two inputs`);
+  }
+  return mergeRules[layer.type](layer.settings, inputShapes);
+};
+
+// Infer one layer from the shapes of the nodes feeding it
+const inferLayer = (layer, inputShapes) => {
+  if (inputShapes.length === 0) {
+    return { inputShape: null, inputShapes, outputShape: null, error: 'Not connected to an input' };
+  }
+  if (!isMergeLayer(layer) && inputShapes.length > 1) {
+    return { inputShape: null, inputShapes, outputShape: null, error: `${layer.type} accepts a single input` };
+  }
+  // An unknown upstream shape leaves this layer unknown without blaming it
+  if (inputShapes.some(shape => !shape)) {
+    return { inputShape: null, inputShapes, outputShape: null, error: null };
+  }
+  try {
+    const outputShape = isMergeLayer(layer)
+      ? getMergeOutputShape(layer, inputShapes)
+      : getOutputShape(layer, inputShapes[0]);
+    return { inputShape: inputShapes[0], inputShapes, outputShape, error: null };
+  } catch (err) {
+    return { inputShape: inputShapes[0], inputShapes, outputShape: null, error: err.message };
+  }
+};
+
+// Walk the graph in topological order and return
+// { inputShape, inputShapes, outputShape, error } for every layer, in the
+// order of the layers array. Once a layer fails, everything downstream has
+// an unknown shape.
+export const inferShapes = (inputShape, layers) => {
+  const outputs = { [INPUT_NODE_ID]: inputShape };
+  const results = {};
+  topologicalSort(layers).forEach(layer => {
+    const result = inferLayer(layer, layer.inputs.map(id => outputs[id] ?? null));
+    results[layer.id] = result;
+    outputs[layer.id] = result.outputShape;
+  });
+  return layers.map(layer => results[layer.id]);
+};
+
+// Fill in the auto-adjusted settings of every layer from the inferred shapes
+export const propagateShapes = (inputShape, layers) => {
+  const shapes = inferShapes(inputShape, layers);
+  return layers.map((layer, index) => {
+    const incoming = shapes[index].inputShape;
+    const rule = autoSettingRules[layer.type];
+    if (!rule || !incoming) return layer;
+    return { ...layer, settings: { ...layer.settings, ...rule(incoming) } };
+  });
+};
@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest';
+import { getOutputShape, inferShapes, propagateShapes, parseShape, formatShape } from './shapeInference.js';
+import { getLayerType } from './layerTypes.js';
+
+// One layer with its defaults overridden by `settings`
+const layer = (type, settings = {}, id = 1, inputs = ['input']) =>
+  ({ id, type, inputs, settings: { ...getLayerType(type).defaultSettings, ...settings } });
+
+const outputShape = (type, inputShape, settings) => getOutputShape(layer(type, settings), inputShape);
+
+describe('getOutputShape', () => {
+  it.each([
+    ['Linear', [784], { out_features: 10 }, [10]],
+    ['Linear', [20, 64], { out_features: 32 }, [20, 32]],
+    ['Conv1d', [4, 100], { out_channels: 8, kernel_size: 5, stride: 2, padding: 0 }, [8, 48]],
+    ['Conv2d', [3, 32, 32], { out_channels: 16, kernel_size: 5, stride: 2, padding: 2 }, [16, 16, 16]],
+    ['Conv3d', [2, 8, 8, 8], { out_channels: 4 }, [4, 8, 8, 8]],
+    ['ConvTranspose2d', [8, 16, 16], { out_channels: 4, kernel_size: 3, stride: 2, padding: 1, output_padding: 1 }, [4, 32, 32]],
+    ['MaxPool2d', [3, 32, 32], {}, [3, 16, 16]],
+    ['MaxPool2d', [3, 7, 7], { ceil_mode: true }, [3, 4, 4]],
+    ['MaxPool2d', [3, 32, 32], { kernel_size: 3, stride: 1, dilation: 2 }, [3, 28, 28]],
+    ['AvgPool2d', [3, 7, 7], { ceil_mode: false }, [3, 3, 3]],
+    ['AdaptiveAvgPool2d', [64, 7, 7], { output_size: 1 }, [64, 1, 1]],
+    ['BatchNorm2d', [16, 8, 8], {}, [16, 8, 8]],
+    ['Embedding', [12], { embedding_dim: 64 }, [12, 64]],
+    ['LSTM', [20, 32], { hidden_size: 64 }, [20, 64]],
+    ['LSTM', [20, 32], { hidden_size: 64, bidirectional: true }, [20, 128]],
+    ['GRU', [20, 32], { hidden_size: 16 }, [20, 16]],
+    ['MultiheadAttention', [10, 64], { num_heads: 4 }, [10, 64]]
+  ])('%s %j %j -> %j', (type, inputShape, settings, expected) => {
+    expect(outputShape(type, inputShape, settings)).toEqual(expected);
+  });
+
+  it('flattens to the product of the flattened sizes', () => {
+    expect(outputShape('Flatten', [64, 5, 5])).toEqual([1600]);
+    expect(outputShape('Flatten', [16, 4, 4])).toEqual([256]);
+    expect(outputShape('Flatten', [4, 5, 6], { start_dim: 2 })).toEqual([4, 30]);
+    expect(outputShape('Flatten', [4, 5, 6], { start_dim: 1, end_dim: 2 })).toEqual([20, 6]);
+  });
+
+  it('rejects inputs a layer cannot take', () => {
+    expect(() => outputShape('Conv2d', [784])).toThrow();
+    expect(() => outputShape('MaxPool2d', [3, 1, 1], { kernel_size: 2, stride: 2 })).toThrow();
+    expect(() => outputShape('Flatten', [4, 5], { start_dim: 0 })).toThrow('batch dimension');
+  });
+});
+
+describe('inferShapes', () => {
+  it('follows the graph and reports each layer', () => {
+    const layers = [
+      layer('Conv2d', { out_channels: 6, kernel_size: 5, padding: 0 }, 1),
+      layer('MaxPool2d', {}, 2, [1]),
+      layer('Flatten', {}, 3, [2]),
+      layer('Linear', { out_features: 10 }, 4, [3])
+    ];
+    expect(inferShapes([1, 28, 28], layers).map(shape => shape.outputShape)).toEqual([[6, 24, 24], [6, 12, 12], [864], [10]]);
+  });
+
+  it('combines the inputs of merge layers', () => {
+    const layers = [
+      layer('Linear', { out_features: 8 }, 1),
+      layer('Linear', { out_features: 4 }, 2),
+      layer('Concat', { dim: 1 }, 3, [1, 2]),
+      layer('Add', {}, 4, [1, 1])
+    ];
+    const shapes = inferShapes([16], layers);
+    expect(shapes[2].outputShape).toEqual([12]);
+    expect(shapes[3].outputShape).toEqual([8]);
+  });
+
+  it('reports the failing layer and leaves the rest unknown', () => {
+    const layers = [
+      layer('Linear', { out_features: 10 }, 1),
+      layer('Conv2d', {}, 2, [1]),
+      layer('ReLU', {}, 3, [2])
+    ];
+    const shapes = inferShapes([20], layers);
+    expect(shapes[1].error).toBeTruthy();
+    expect(shapes[2]).toMatchObject({ outputShape: null, error: null });
+  });
+
+  it('reports layers that are not connected', () => {
+    expect(inferShapes([20], [layer('ReLU', {}, 1, [])])[0].error).toBe('Not connected to an input');
+  });
+});
+
+describe('propagateShapes', () => {
+  it('fills in auto settings from the incoming shape', () => {
+    const layers = propagateShapes([3, 32, 32], [
+      layer('Conv2d', { out_channels: 16 }, 1),
+      layer('BatchNorm2d', {}, 2, [1]),
+      layer('Flatten', {}, 3, [2]),
+      layer('Linear', {}, 4, [3])
+    ]);
+    expect(layers[0].settings.in_channels).toBe(3);
+    expect(layers[1].settings.num_features).toBe(16);
+    expect(layers[3].settings.in_features).toBe(16 * 32 * 32);
+  });
+});
+
+describe('parseShape and formatShape', () => {
+  it('reads comma-separated positive integers', () => {
+    expect(parseShape('1, 28, 28')).toEqual([1, 28, 28]);
+    expect(parseShape('784')).toEqual([784]);
+    expect(parseShape('3, 0')).toBeNull();
+    expect(parseShape('a, b')).toBeNull();
+    expect(parseShape('')).toBeNull();
+  });
+
+  it('formats shapes and unknown shapes', () => {
+    expect(formatShape([1, 28, 28])).toBe('[1, 28, 28]');
+    expect(formatShape(null)).toBe('?');
+  });
+});
@@ -0,0 +1,59 @@
+// Designs shared as links: the generateModel JSON is deflated and base64url
+// encoded into the URL hash, so a link carries the whole network and opens
+// without any server. #model=... opens an editable copy, #view=... a
+// read-only view for reviewers.
+
+import { parseModel } from './modelFormat.js';
+
+// Bumped if the payload encoding ever changes, so old links are recognized
+const SHARE_FORMAT = '1';
+
+const HASH_PATTERN = /^#(model|view)=(.*)$/;
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) =>
+  Uint8Array.from(atob(text.replace(/-/g, '+').replace(/_/g, '/')), char => char.charCodeAt(0));
+
+// Run bytes through a CompressionStream or DecompressionStream
+const pipeBytes = async (bytes, transform) =>
+  new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(transform)).arrayBuffer());
+
+// The location hash that opens the model: '#model=...' or, read-only, '#view=...'
+export const encodeShareHash = async (modelJSON, { readOnly = false } = {}) => {
+  const bytes = await pipeBytes(new TextEncoder().encode(JSON.stringify(modelJSON)), new CompressionStream('deflate-raw'));
+  return `#${readOnly ? 'view' : 'model'}=${SHARE_FORMAT}.${toBase64Url(bytes)}`;
+};
+
+// Whether a hash is a read-only link, known before the design is decoded
+export const isReadOnlyHash = (hash) => HASH_PATTERN.exec(hash)?.[1] === 'view';
+
+// Read the design out of a location hash. Returns null if the hash is not a
+// shared link, else { readOnly, inputDimension, layers, blocks }. Throws
+// when the link is damaged or the model in it is invalid.
+export const decodeShareHash = async (hash) => {
+  const match = HASH_PATTERN.exec(hash);
+  if (!match) return null;
+  const separator = match[2].indexOf('.');
+  const format = match[2].slice(0, separator);
+  const payload = match[2].slice(separator + 1);
+  if (separator === -1 || payload === '') throw new Error('The link is incomplete');
+  if (format !== SHARE_FORMAT) throw new Error(`The link was made by a newer version of NetSnap (format ${format})`);
+
+  let json;
+  try {
+    const bytes = await pipeBytes(fromBase64Url(payload), new DecompressionStream('deflate-raw'));
+    json = JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    throw new Error('The link is damaged; it may have been cut off when it was copied');
+  }
+  const { inputDimension, batchFirst, layers, blocks, errors } = parseModel(json);
+  if (errors.length > 0) throw new Error(errors.join('; '));
+  return { readOnly: match[1] === 'view', inputDimension, batchFirst, layers, blocks };
+};
@@ -0,0 +1,217 @@
+// Hyperparameter sweeps. Numeric settings of a layer card can be marked as
+// sweep variables, stored on the layer as sweep: { [setting]: spec }. A spec
+// is a list { values: [...] } or a range { min, max, step } (step may be
+// null). Expanding a design gives one concrete model per combination (grid)
+// or per sample (random), exported as model JSON and model.py files with a
+// train.py and a sweep.yaml that trains every variant.
+
+import { getLayerType } from './layerTypes.js';
+import { expandBlocks, propagateBlockShapes } from './blocks.js';
+import { validateModel } from './validation.js';
+import { estimateCosts } from './modelStats.js';
+import { createZip } from './zip.js';
+import { generatePyTorchCode } from './codegen/pytorch.js';
+import { generateTrainingScript, modelOutputShape, DEFAULT_TRAINING_SETUP } from './codegen/training.js';
+
+export const SWEEP_METHODS = [
+  { id: 'grid', label: 'Grid (every combination)' },
+  { id: 'random', label: 'Random samples' }
+];
+
+export const DEFAULT_SWEEP_OPTIONS = { method: 'grid', samples: 10, seed: 1 };
+
+// Larger sweeps are refused rather than freezing the page
+export const MAX_VARIANTS = 1000;
+
+// How many evenly spaced points a grid takes from a range without a step
+const RANGE_GRID_POINTS = 5;
+
+const NUMBER = String.raw`-?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?`;
+const RANGE_PATTERN = new RegExp(String.raw`^\s*(${NUMBER})\s*\.\.\s*(${NUMBER})\s*(?::\s*(${NUMBER})\s*)?$`, 'i');
+
+export const SWEEP_SPEC_HELP = 'A list like 64, 128, 256, a range like 0.1..0.5, or a range with a step like 32..256:32';
+
+// Drop floating point noise such as 0.30000000000000004
+const tidy = (value) => Number(value.toPrecision(12));
+
+// Read the text typed next to a setting. Returns { spec } or { error }.
+export const parseSweepSpec = (text) => {
+  const range = RANGE_PATTERN.exec(text);
+  if (range) {
+    const [min, max] = [Number(range[1]), Number(range[2])];
+    const step = range[3] === undefined ? null : Number(range[3]);
+    if (!(min < max)) return { error: 'The range must go from a smaller to a larger value' };
+    if (step !== null && !(step > 0)) return { error: 'The step must be positive' };
+    return { spec: { min, max, step } };
+  }
+  const items = text.split(',').map(item => item.trim()).filter(Boolean);
+  const values = items.map(Number);
+  if (items.length === 0 || !values.every(Number.isFinite)) return { error: SWEEP_SPEC_HELP };
+  return { spec: { values: [...new Set(values)] } };
+};
+
+export const formatSweepSpec = (spec) =>
+  spec.values ? spec.values.join(', ') : `${spec.min}..${spec.max}${spec.step === null ? '' : `:${spec.step}`}`;
+
+// Ranges without a step only give whole numbers for settings that are whole
+// numbers by default, like out_features
+const isIntegerVariable = (variable) =>
+  Number.isInteger(variable.defaultValue) && Number.isInteger(variable.spec.min) && Number.isInteger(variable.spec.max);
+
+// Every value a grid sweep tries for a variable
+const gridValues = (variable) => {
+  const { spec } = variable;
+  if (spec.values) return spec.values;
+  if (spec.step !== null) {
+    const values = [];
+    for (let k = 0; spec.min + k * spec.step <= spec.max + spec.step * 1e-9; k++) values.push(tidy(spec.min + k * spec.step));
+    return values;
+  }
+  const points = Array.from({ length: RANGE_GRID_POINTS }, (_, k) => spec.min + (k * (spec.max - spec.min)) / (RANGE_GRID_POINTS - 1));
+  return [...new Set(points.map(value => (isIntegerVariable(variable) ? Math.round(value) : tidy(value))))];
+};
+
+const sampleValue = (variable, random) => {
+  const { spec } = variable;
+  if (spec.values || spec.step !== null) {
+    const values = gridValues(variable);
+    return values[Math.floor(random() * values.length)];
+  }
+  if (isIntegerVariable(variable)) return spec.min + Math.floor(random() * (spec.max - spec.min + 1));
+  return tidy(spec.min + random() * (spec.max - spec.min));
+};
+
+// mulberry32, so a seed always gives the same samples
+const seededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// The sweep variables of a generateModel JSON, in layer order:
+// [{ layerId, label, setting, spec, defaultValue }]
+export const sweepVariables = (modelJSON) =>
+  modelJSON.layers.flatMap((layer, index) => Object.entries(layer.sweep ?? {}).map(([setting, spec]) => ({
+    layerId: layer.id,
+    label: `#${index + 1} ${layer.type}`,
+    setting,
+    spec,
+    defaultValue: (getLayerType(layer.type)?.defaultSettings ?? modelJSON.blocks?.[layer.type]?.params ?? {})[setting]
+  })));
+
+// The model with one value per variable filled in, auto settings updated
+// and the sweep markers removed
+const concreteModel = (modelJSON, variables, values) => {
+  const layers = modelJSON.layers.map(layer => {
+    const { sweep, ...rest } = layer;
+    if (!sweep) return layer;
+    const settings = { ...layer.settings };
+    variables.forEach((variable, i) => {
+      if (variable.layerId === layer.id) settings[variable.setting] = values[i];
+    });
+    return { ...rest, settings };
+  });
+  return { ...modelJSON, layers: propagateBlockShapes(modelJSON.input_dim, layers, modelJSON.blocks ?? {}) };
+};
+
+// Every combination of the variables' grid values
+const gridCombinations = (variables) => {
+  const lists = variables.map(gridValues);
+  const count = lists.reduce((total, list) => total * list.length, 1);
+  if (count > MAX_VARIANTS) {
+    throw new Error(`The grid has ${count.toLocaleString()} combinations; narrow the values or use random samples (at most ${MAX_VARIANTS})`);
+  }
+  return lists.reduce((combinations, list) => combinations.flatMap(combination => list.map(value => [...combination, value])), [[]]);
+};
+
+// Distinct random combinations; fewer than asked for if the space is small
+const randomCombinations = (variables, samples, seed) => {
+  const random = seededRandom(seed);
+  const wanted = Math.min(Math.max(1, Math.floor(samples)), MAX_VARIANTS);
+  const seen = new Map();
+  for (let attempt = 0; seen.size < wanted && attempt < wanted * 20; attempt++) {
+    const combination = variables.map(variable => sampleValue(variable, random));
+    seen.set(JSON.stringify(combination), combination);
+  }
+  return [...seen.values()];
+};
+
+// Validation and size of one variant: { errors, warnings, params,
+// outputChanged }, params being null when some layer's shape cannot be
+// inferred. The archive's one train.py is written for `trainedShape`, the
+// output shape of the base design, so a variant with another output shape
+// is an error.
+export const checkVariant = (model, trainedShape) => {
+  const { layers } = expandBlocks(model.layers, model.blocks ?? {});
+  const issues = validateModel(model.input_dim, layers);
+  const costs = estimateCosts(model.input_dim, layers);
+  const errors = issues.filter(issue => issue.severity === 'error').length;
+  const outputChanged = trainedShape !== undefined && JSON.stringify(modelOutputShape(model)) !== JSON.stringify(trainedShape);
+  return {
+    errors: errors + (outputChanged ? 1 : 0),
+    warnings: issues.length - errors,
+    params: costs.complete ? costs.totals.params : null,
+    outputChanged
+  };
+};
+
+// Expand a generateModel JSON into its variants:
+// [{ name, values, model, check }] with values aligned with sweepVariables.
+// Options: method ('grid' | 'random'), samples and seed. Throws when a grid
+// is too large.
+export const expandSweep = (modelJSON, options = {}) => {
+  const { method, samples, seed } = { ...DEFAULT_SWEEP_OPTIONS, ...options };
+  const variables = sweepVariables(modelJSON);
+  if (variables.length === 0) return [];
+  const combinations = method === 'random' ? randomCombinations(variables, samples, seed) : gridCombinations(variables);
+  const trainedShape = modelOutputShape(modelJSON);
+  const digits = String(combinations.length).length;
+  return combinations.map((values, index) => {
+    const model = concreteModel(modelJSON, variables, values);
+    return { name: `variant_${String(index + 1).padStart(digits, '0')}`, values, model, check: checkVariant(model, trainedShape) };
+  });
+};
+
+const variantModelFile = (variant) => `models/${variant.name}.py`;
+
+// A sweep file in the Weights & Biases format, which other sweep tools read
+// as well. Each run passes one variant's model file to train.py as
+// --model_config; the values each variant uses are listed in the comments.
+export const sweepYAML = (modelJSON, variants, { method } = DEFAULT_SWEEP_OPTIONS) => {
+  const variables = sweepVariables(modelJSON);
+  return [
+    `# NetSnap sweep: ${variants.length} model variant${variants.length === 1 ? '' : 's'} from ${method === 'random' ? 'random samples' : 'a grid'} over`,
+    ...variables.map(variable => `#   ${variable.label} ${variable.setting}: ${formatSweepSpec(variable.spec)}`),
+    '#',
+    ...variants.map(variant => `# ${variant.name}: ${variables.map((variable, i) => `${variable.setting}=${variant.values[i]}`).join(', ')}`),
+    'program: train.py',
+    'method: grid',
+    'metric:',
+    '  name: val_loss',
+    '  goal: minimize',
+    'parameters:',
+    '  model_config:',
+    '    values:',
+    ...variants.map(variant => `      - ${variantModelFile(variant)}`),
+    ''
+  ].join('\n');
+};
+
+// The files of a sweep: configs/<variant>.json (to open in the editor) and
+// models/<variant>.py for every variant, train.py for the training setup and
+// sweep.yaml. [{ name, data }]
+export const sweepFiles = (modelJSON, variants, options = DEFAULT_SWEEP_OPTIONS, trainingSetup = DEFAULT_TRAINING_SETUP) => [
+  ...variants.map(variant => ({ name: `configs/${variant.name}.json`, data: `${JSON.stringify(variant.model, null, 2)}\n` })),
+  ...variants.map(variant => ({ name: variantModelFile(variant), data: generatePyTorchCode(variant.model) })),
+  { name: 'train.py', data: generateTrainingScript(modelJSON, trainingSetup) },
+  { name: 'sweep.yaml', data: sweepYAML(modelJSON, variants, options) }
+];
+
+// The same files as a .zip
+export const sweepArchive = (modelJSON, variants, options = DEFAULT_SWEEP_OPTIONS, trainingSetup = DEFAULT_TRAINING_SETUP) =>
+  createZip(sweepFiles(modelJSON, variants, options, trainingSetup));
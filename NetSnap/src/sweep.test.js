@@ -0,0 +1,167 @@
+import { describe, it, expect } from 'vitest';
+import { expandSweep, sweepFiles, parseSweepSpec, SWEEP_SPEC_HELP, MAX_VARIANTS } from './sweep.js';
+
+const MODEL = {
+  version: 2,
+  input_dim: [1, 28, 28],
+  blocks: {},
+  layers: [
+    { id: 1, type: 'Flatten', inputs: ['input'], settings: { start_dim: 1, end_dim: -1 } },
+    {
+      id: 2,
+      type: 'Linear',
+      inputs: [1],
+      settings: { in_features: 784, out_features: 128, bias: true, activation: 'ReLU' },
+      sweep: { out_features: { values: [64, 128] } }
+    },
+    { id: 3, type: 'Linear', inputs: [2], settings: { in_features: 128, out_features: 10, bias: true, activation: 'None' } }
+  ]
+};
+
+// MODEL plus a Dropout layer, swept over the specs typed for each layer id
+// instead of its own sweep
+const sweeping = (specs) => ({
+  ...MODEL,
+  layers: [...MODEL.layers, { id: 4, type: 'Dropout', inputs: [3], settings: { p: 0.5, inplace: false } }]
+    .map(layer => {
+      const { sweep: _sweep, ...rest } = layer;
+      if (!specs[layer.id]) return rest;
+      return { ...rest, sweep: Object.fromEntries(Object.entries(specs[layer.id]).map(([setting, text]) => [setting, parseSweepSpec(text).spec])) };
+    })
+});
+
+const sweptValues = (specs, options) => expandSweep(sweeping(specs), options).map(variant => variant.values);
+
+// The program, and the parameters with their values, of a sweep.yaml
+const readSweepYAML = (text) => {
+  const lines = text.split('\n').filter(line => line.trim() !== '' && !line.startsWith('#'));
+  const program = lines.find(line => line.startsWith('program:')).split(':')[1].trim();
+  const parameters = {};
+  let current = null;
+  lines.slice(lines.indexOf('parameters:') + 1).forEach(line => {
+    if (/^ {2}\w+:$/.test(line)) {
+      current = line.trim().slice(0, -1);
+      parameters[current] = [];
+    } else if (line.trim().startsWith('- ')) {
+      parameters[current].push(line.trim().slice(2));
+    }
+  });
+  return { program, parameters };
+};
+
+describe('sweep export', () => {
+  const variants = expandSweep(MODEL);
+  const files = Object.fromEntries(sweepFiles(MODEL, variants).map(file => [file.name, file.data]));
+  const { program, parameters } = readSweepYAML(files['sweep.yaml']);
+
+  it('runs a training script that is in the archive', () => {
+    expect(program).toBe('train.py');
+    expect(files[program]).toBeDefined();
+  });
+
+  it('only passes options the training script accepts', () => {
+    expect(Object.keys(parameters)).not.toHaveLength(0);
+    Object.keys(parameters).forEach(name => {
+      expect(files['train.py']).toContain(`parser.add_argument('--${name}'`);
+    });
+  });
+
+  it('trains the model file each run is given', () => {
+    expect(files['train.py']).toContain('model = load_model_class(args.model_config)().to(device)');
+  });
+
+  it('points every run at a variant model in the archive', () => {
+    expect(parameters.model_config).toEqual(variants.map(variant => `models/${variant.name}.py`));
+    parameters.model_config.forEach((file, i) => {
+      expect(files[file]).toContain('class NeuralNetwork(nn.Module):');
+      expect(files[file]).toContain(`nn.Linear(784, ${variants[i].values[0]}, bias=True)`);
+    });
+  });
+
+  it('flags variants whose output does not fit the training script', () => {
+    const model = {
+      ...MODEL,
+      layers: MODEL.layers.map(layer => (layer.id === 3 ? { ...layer, sweep: { out_features: { values: [10, 5] } } } : layer))
+    };
+    expect(expandSweep(model).map(({ values, check }) => [values[1], check.outputChanged, check.errors])).toEqual([
+      [10, false, 0],
+      [5, true, 1],
+      [10, false, 0],
+      [5, true, 1]
+    ]);
+  });
+});
+
+describe('parseSweepSpec', () => {
+  it.each([
+    ['64, 128, 256', { values: [64, 128, 256] }],
+    ['64,128, 64', { values: [64, 128] }],
+    ['1e-3, .5', { values: [0.001, 0.5] }],
+    ['0.1..0.5', { min: 0.1, max: 0.5, step: null }],
+    ['32..256:32', { min: 32, max: 256, step: 32 }],
+    [' -1 .. 1 : 0.5 ', { min: -1, max: 1, step: 0.5 }]
+  ])('reads %j', (text, spec) => {
+    expect(parseSweepSpec(text)).toEqual({ spec });
+  });
+
+  it.each([
+    ['', SWEEP_SPEC_HELP],
+    ['64, wide', SWEEP_SPEC_HELP],
+    ['1..', SWEEP_SPEC_HELP],
+    ['256..32', 'The range must go from a smaller to a larger value'],
+    ['1..1', 'The range must go from a smaller to a larger value'],
+    ['32..256:0', 'The step must be positive'],
+    ['32..256:-32', 'The step must be positive']
+  ])('rejects %j', (text, error) => {
+    expect(parseSweepSpec(text)).toEqual({ error });
+  });
+});
+
+describe('grid sweeps', () => {
+  it('tries every combination of the values', () => {
+    expect(sweptValues({ 2: { out_features: '64, 128' }, 4: { p: '0.1, 0.2' } })).toEqual([
+      [64, 0.1], [64, 0.2], [128, 0.1], [128, 0.2]
+    ]);
+  });
+
+  it('steps through ranges up to and including the end', () => {
+    expect(sweptValues({ 2: { out_features: '32..128:32' } })).toEqual([[32], [64], [96], [128]]);
+    expect(sweptValues({ 4: { p: '0.1..0.3:0.1' } })).toEqual([[0.1], [0.2], [0.3]]);
+  });
+
+  it('takes evenly spaced points from ranges without a step, whole for whole-number settings', () => {
+    expect(sweptValues({ 2: { out_features: '10..20' } })).toEqual([[10], [13], [15], [18], [20]]);
+    expect(sweptValues({ 2: { out_features: '10..12' } })).toEqual([[10], [11], [12]]);
+    expect(sweptValues({ 4: { p: '0.1..0.5' } })).toEqual([[0.1], [0.2], [0.3], [0.4], [0.5]]);
+  });
+
+  it(`refuses grids of more than ${MAX_VARIANTS} variants`, () => {
+    const specs = { 2: { out_features: '1..40:1' }, 3: { out_features: '1..26:1' } };
+    expect(() => expandSweep(sweeping(specs))).toThrow('combinations');
+    expect(expandSweep(sweeping({ 2: { out_features: '1..40:1' }, 3: { out_features: '1..25:1' } }))).toHaveLength(MAX_VARIANTS);
+  });
+});
+
+describe('random sweeps', () => {
+  const specs = { 2: { out_features: '16..512' }, 4: { p: '0..0.5' } };
+
+  it('gives the same samples for the same seed', () => {
+    const samples = sweptValues(specs, { method: 'random', samples: 8, seed: 7 });
+    expect(samples).toHaveLength(8);
+    expect(sweptValues(specs, { method: 'random', samples: 8, seed: 7 })).toEqual(samples);
+    expect(sweptValues(specs, { method: 'random', samples: 8, seed: 8 })).not.toEqual(samples);
+  });
+
+  it('samples distinct values inside the ranges', () => {
+    const samples = sweptValues(specs, { method: 'random', samples: 50, seed: 1 });
+    expect(new Set(samples.map(sample => JSON.stringify(sample))).size).toBe(50);
+    samples.forEach(([outFeatures, p]) => {
+      expect(Number.isInteger(outFeatures) && outFeatures >= 16 && outFeatures <= 512).toBe(true);
+      expect(p >= 0 && p <= 0.5).toBe(true);
+    });
+  });
+
+  it('returns fewer samples than asked for when there are fewer combinations', () => {
+    expect(sweptValues({ 2: { out_features: '64, 128' } }, { method: 'random', samples: 10, seed: 1 })).toHaveLength(2);
+  });
+});
@@ -0,0 +1,184 @@
+// Built-in architectures to start a design from. Each template is a model in
+// the generateModel JSON format, so it goes through the same parser as an
+// imported file: missing settings take their defaults and layers without a
+// position are laid out automatically.
+
+import { INPUT_NODE_ID } from './graph.js';
+import { MODEL_FORMAT_VERSION } from './modelFormat.js';
+
+// Layers [type, settings] connected one after another, with ids from 1
+const sequence = (entries) =>
+  entries.map(([type, settings = {}], index) => ({
+    id: index + 1,
+    type,
+    inputs: [index === 0 ? INPUT_NODE_ID : index],
+    settings
+  }));
+
+const noActivation = { activation: 'None' };
+const conv3x3 = { out_channels: 64, kernel_size: 3, stride: 1, padding: 1, bias: false, ...noActivation };
+
+// ResNet basic block: two 3x3 convolutions with batch norm around an
+// identity shortcut, followed by the ReLU after the addition
+const basicBlock = {
+  params: { channels: 64 },
+  bindings: [
+    { layer: 1, setting: 'out_channels', param: 'channels' },
+    { layer: 4, setting: 'out_channels', param: 'channels' }
+  ],
+  layers: [
+    { id: 1, type: 'Conv2d', inputs: [INPUT_NODE_ID], settings: conv3x3 },
+    { id: 2, type: 'BatchNorm2d', inputs: [1] },
+    { id: 3, type: 'ReLU', inputs: [2] },
+    { id: 4, type: 'Conv2d', inputs: [3], settings: conv3x3 },
+    { id: 5, type: 'BatchNorm2d', inputs: [4] },
+    { id: 6, type: 'Add', inputs: [5, INPUT_NODE_ID] },
+    { id: 7, type: 'ReLU', inputs: [6] }
+  ]
+};
+
+// The first block of a stage halves the resolution and changes the channel
+// count, so its shortcut is a strided 1x1 convolution
+const downsampleBlock = {
+  params: { channels: 128 },
+  bindings: [
+    { layer: 1, setting: 'out_channels', param: 'channels' },
+    { layer: 4, setting: 'out_channels', param: 'channels' },
+    { layer: 6, setting: 'out_channels', param: 'channels' }
+  ],
+  layers: [
+    { id: 1, type: 'Conv2d', inputs: [INPUT_NODE_ID], settings: { ...conv3x3, stride: 2 } },
+    { id: 2, type: 'BatchNorm2d', inputs: [1] },
+    { id: 3, type: 'ReLU', inputs: [2] },
+    { id: 4, type: 'Conv2d', inputs: [3], settings: conv3x3 },
+    { id: 5, type: 'BatchNorm2d', inputs: [4] },
+    { id: 6, type: 'Conv2d', inputs: [INPUT_NODE_ID], settings: { ...conv3x3, kernel_size: 1, stride: 2, padding: 0 } },
+    { id: 7, type: 'BatchNorm2d', inputs: [6] },
+    { id: 8, type: 'Add', inputs: [5, 7] },
+    { id: 9, type: 'ReLU', inputs: [8] }
+  ]
+};
+
+// Post-norm encoder layer like nn.TransformerEncoderLayer: self-attention
+// and a feed-forward network, each added back onto its input and normalized.
+// d_model must match the width of the incoming sequence for the residual adds.
+const encoderLayer = {
+  params: { d_model: 64, num_heads: 4, dim_feedforward: 256, dropout: 0.1 },
+  bindings: [
+    { layer: 1, setting: 'num_heads', param: 'num_heads' },
+    { layer: 1, setting: 'dropout', param: 'dropout' },
+    { layer: 2, setting: 'p', param: 'dropout' },
+    { layer: 5, setting: 'out_features', param: 'dim_feedforward' },
+    { layer: 6, setting: 'p', param: 'dropout' },
+    { layer: 7, setting: 'out_features', param: 'd_model' },
+    { layer: 8, setting: 'p', param: 'dropout' }
+  ],
+  layers: [
+    { id: 1, type: 'MultiheadAttention', inputs: [INPUT_NODE_ID], settings: { num_heads: 4 } },
+    { id: 2, type: 'Dropout', inputs: [1], settings: { p: 0.1 } },
+    { id: 3, type: 'Add', inputs: [2, INPUT_NODE_ID] },
+    { id: 4, type: 'LayerNorm', inputs: [3] },
+    { id: 5, type: 'Linear', inputs: [4], settings: { out_features: 256, activation: 'ReLU' } },
+    { id: 6, type: 'Dropout', inputs: [5], settings: { p: 0.1 } },
+    { id: 7, type: 'Linear', inputs: [6], settings: { out_features: 64, ...noActivation } },
+    { id: 8, type: 'Dropout', inputs: [7], settings: { p: 0.1 } },
+    { id: 9, type: 'Add', inputs: [8, 4] },
+    { id: 10, type: 'LayerNorm', inputs: [9] }
+  ]
+};
+
+const template = (id, name, description, inputDim, layers, blocks = {}) => ({
+  id,
+  name,
+  description,
+  model: { version: MODEL_FORMAT_VERSION, input_dim: inputDim, blocks, layers }
+});
+
+export const modelTemplates = [
+  template(
+    'mnist-mlp',
+    'MNIST MLP',
+    'Two hidden layers on flattened 28x28 digits, ending in logits for the 10 classes. The quickest way to try training in the browser.',
+    [784],
+    sequence([
+      ['Linear', { out_features: 256 }],
+      ['Dropout', { p: 0.2 }],
+      ['Linear', { out_features: 128 }],
+      ['Dropout', { p: 0.2 }],
+      ['Linear', { out_features: 10, ...noActivation }]
+    ])
+  ),
+  template(
+    'lenet-5',
+    'LeNet-5',
+    'LeCun et al. (1998): two 5x5 convolutions with tanh and average-pool subsampling, then three fully connected layers. The first convolution pads 28x28 MNIST images to the original 32x32.',
+    [1, 28, 28],
+    sequence([
+      ['Conv2d', { out_channels: 6, kernel_size: 5, padding: 2, activation: 'Tanh' }],
+      ['AvgPool2d', { kernel_size: 2, stride: 2 }],
+      ['Conv2d', { out_channels: 16, kernel_size: 5, padding: 0, activation: 'Tanh' }],
+      ['AvgPool2d', { kernel_size: 2, stride: 2 }],
+      ['Flatten'],
+      ['Linear', { out_features: 120, activation: 'Tanh' }],
+      ['Linear', { out_features: 84, activation: 'Tanh' }],
+      ['Linear', { out_features: 10, ...noActivation }]
+    ])
+  ),
+  template(
+    'small-vgg',
+    'Small VGG',
+    'Three VGG-style stages of paired 3x3 convolutions and 2x2 max pooling for 32x32 CIFAR-10 images, followed by a dropout-regularized classifier.',
+    [3, 32, 32],
+    sequence([
+      ['Conv2d', { out_channels: 64 }],
+      ['Conv2d', { out_channels: 64 }],
+      ['MaxPool2d'],
+      ['Conv2d', { out_channels: 128 }],
+      ['Conv2d', { out_channels: 128 }],
+      ['MaxPool2d'],
+      ['Conv2d', { out_channels: 256 }],
+      ['Conv2d', { out_channels: 256 }],
+      ['MaxPool2d'],
+      ['Flatten'],
+      ['Linear', { out_features: 512 }],
+      ['Dropout', { p: 0.5 }],
+      ['Linear', { out_features: 10, ...noActivation }]
+    ])
+  ),
+  template(
+    'resnet-18',
+    'ResNet-18',
+    'He et al. (2015) for 224x224 ImageNet images: a strided 7x7 stem, four stages of two basic blocks (64 to 512 channels) and global average pooling. The residual blocks are reusable BasicBlock and DownsampleBlock blocks.',
+    [3, 224, 224],
+    sequence([
+      ['Conv2d', { out_channels: 64, kernel_size: 7, stride: 2, padding: 3, bias: false, ...noActivation }],
+      ['BatchNorm2d'],
+      ['ReLU'],
+      ['MaxPool2d', { kernel_size: 3, stride: 2, padding: 1 }],
+      ['BasicBlock', { channels: 64 }],
+      ['BasicBlock', { channels: 64 }],
+      ['DownsampleBlock', { channels: 128 }],
+      ['BasicBlock', { channels: 128 }],
+      ['DownsampleBlock', { channels: 256 }],
+      ['BasicBlock', { channels: 256 }],
+      ['DownsampleBlock', { channels: 512 }],
+      ['BasicBlock', { channels: 512 }],
+      ['AdaptiveAvgPool2d'],
+      ['Flatten'],
+      ['Linear', { out_features: 1000, ...noActivation }]
+    ]),
+    { BasicBlock: basicBlock, DownsampleBlock: downsampleBlock }
+  ),
+  template(
+    'tiny-transformer',
+    'Tiny Transformer Encoder',
+    'Token ids of a 32-token sequence are embedded into 64 dimensions and run through two post-norm encoder layers with 4 attention heads. There is no positional encoding, so add one if word order matters.',
+    [32],
+    sequence([
+      ['Embedding', { num_embeddings: 1000, embedding_dim: 64 }],
+      ['EncoderLayer'],
+      ['EncoderLayer']
+    ]),
+    { EncoderLayer: encoderLayer }
+  )
+];
@@ -0,0 +1,197 @@
+// Validation pass over the layer stack.
+// Produces a flat list of issues: { layerIndex, severity: 'error' | 'warning', message }.
+// Errors mean the generated PyTorch code would crash; warnings flag settings
+// that are legal but probably not what the user wants.
+
+import { inferShapes } from './shapeInference.js';
+import { getOutputLayers } from './graph.js';
+
+const isPositiveInt = (value) => Number.isInteger(value) && value > 0;
+const isNonNegativeInt = (value) => Number.isInteger(value) && value >= 0;
+const isProbability = (value) => typeof value === 'number' && value >= 0 && value <= 1;
+
+// Each check returns a list of [severity, message] pairs for one layer
+const requirePositiveInts = (settings, keys) =>
+  keys
+    .filter(key => settings[key] !== null && settings[key] !== undefined && !isPositiveInt(settings[key]))
+    .map(key => ['error', `${key} must be a positive integer (got ${settings[key]})`]);
+
+const requireNonNegativeInts = (settings, keys) =>
+  keys
+    .filter(key => settings[key] !== undefined && !isNonNegativeInt(settings[key]))
+    .map(key => ['error', `${key} must be a non-negative integer (got ${settings[key]})`]);
+
+const requireProbabilities = (settings, keys) =>
+  keys
+    .filter(key => settings[key] !== undefined && !isProbability(settings[key]))
+    .map(key => ['error', `${key} must be between 0 and 1 (got ${settings[key]})`]);
+
+// The dilated kernel has to fit inside the padded input ([C, ...spatial])
+const checkKernelFits = (settings, inputShape) => {
+  if (!inputShape || inputShape.length < 2 || !isPositiveInt(settings.kernel_size)) return [];
+  const dilation = settings.dilation ?? 1;
+  const padding = settings.padding ?? 0;
+  const effectiveKernel = dilation * (settings.kernel_size - 1) + 1;
+  const spatial = inputShape.slice(1);
+  if (effectiveKernel > Math.min(...spatial) + 2 * padding) {
+    return [['error', `kernel_size ${settings.kernel_size} is larger than the padded input ${spatial.join('x')}`]];
+  }
+  return [];
+};
+
+// Pooling windows may pad by at most half their size
+const checkPoolPadding = (settings) =>
+  isPositiveInt(settings.kernel_size) && settings.padding > settings.kernel_size / 2
+    ? [['error', `padding ${settings.padding} must be at most half of kernel_size ${settings.kernel_size}`]]
+    : [];
+
+const convChecks = (settings, inputShape) => [
+  ...requirePositiveInts(settings, ['in_channels', 'out_channels', 'kernel_size', 'stride']),
+  ...requireNonNegativeInts(settings, ['padding']),
+  ...checkKernelFits(settings, inputShape)
+];
+
+const normChecks = (settings) =>
+  settings.eps > 0 ? [] : [['error', `eps must be positive (got ${settings.eps})`]];
+
+const recurrentChecks = (settings) => {
+  const issues = [
+    ...requirePositiveInts(settings, ['input_size', 'hidden_size', 'num_layers']),
+    ...requireProbabilities(settings, ['dropout'])
+  ];
+  if (settings.dropout > 0 && settings.num_layers === 1) {
+    issues.push(['warning', 'dropout only applies between stacked layers, so it has no effect with num_layers = 1']);
+  }
+  return issues;
+};
+
+const checkDim = (settings) =>
+  Number.isInteger(settings.dim) ? [] : [['error', `dim must be an integer (got ${settings.dim})`]];
+
+const layerChecks = {
+  Linear: (settings) => requirePositiveInts(settings, ['in_features', 'out_features']),
+  Conv1d: convChecks,
+  Conv2d: convChecks,
+  Conv3d: convChecks,
+  ConvTranspose2d: (settings) => {
+    const issues = [
+      ...requirePositiveInts(settings, ['in_channels', 'out_channels', 'kernel_size', 'stride']),
+      ...requireNonNegativeInts(settings, ['padding', 'output_padding'])
+    ];
+    if (isPositiveInt(settings.stride) && settings.output_padding >= settings.stride) {
+      issues.push(['error', `output_padding ${settings.output_padding} must be smaller than stride ${settings.stride}`]);
+    }
+    return issues;
+  },
+  BatchNorm1d: (settings) => [
+    ...requirePositiveInts(settings, ['num_features']),
+    ...normChecks(settings),
+    ...requireProbabilities(settings, ['momentum'])
+  ],
+  BatchNorm2d: (settings) => [
+    ...requirePositiveInts(settings, ['num_features']),
+    ...normChecks(settings),
+    ...requireProbabilities(settings, ['momentum'])
+  ],
+  LayerNorm: (settings) => [
+    ...requirePositiveInts(settings, ['normalized_shape']),
+    ...normChecks(settings)
+  ],
+  GroupNorm: (settings) => {
+    const issues = [
+      ...requirePositiveInts(settings, ['num_groups', 'num_channels']),
+      ...normChecks(settings)
+    ];
+    if (isPositiveInt(settings.num_groups) && isPositiveInt(settings.num_channels) &&
+        settings.num_channels % settings.num_groups !== 0) {
+      issues.push(['error', `num_channels ${settings.num_channels} is not divisible by num_groups ${settings.num_groups}`]);
+    }
+    return issues;
+  },
+  Embedding: (settings) => {
+    const issues = requirePositiveInts(settings, ['num_embeddings', 'embedding_dim']);
+    if (settings.padding_idx !== null && isPositiveInt(settings.num_embeddings) &&
+        !(Number.isInteger(settings.padding_idx) &&
+          settings.padding_idx >= -settings.num_embeddings && settings.padding_idx < settings.num_embeddings)) {
+      issues.push(['error', `padding_idx must be an index into the ${settings.num_embeddings} embeddings (got ${settings.padding_idx})`]);
+    }
+    return issues;
+  },
+  LSTM: recurrentChecks,
+  GRU: recurrentChecks,
+  Softmax: checkDim,
+  Dropout: (settings) => [
+    ...requireProbabilities(settings, ['p']),
+    ...(settings.p === 1 ? [['warning', 'p = 1 zeroes every activation during training']] : [])
+  ],
+  MultiheadAttention: (settings) => {
+    const issues = [
+      ...requirePositiveInts(settings, ['embed_dim', 'num_heads', 'kdim', 'vdim']),
+      ...requireProbabilities(settings, ['dropout'])
+    ];
+    if (isPositiveInt(settings.embed_dim) && isPositiveInt(settings.num_heads) &&
+        settings.embed_dim % settings.num_heads !== 0) {
+      issues.push(['error', `embed_dim ${settings.embed_dim} is not divisible by num_heads ${settings.num_heads}`]);
+    }
+    if ((settings.kdim !== null && settings.kdim !== settings.embed_dim) ||
+        (settings.vdim !== null && settings.vdim !== settings.embed_dim)) {
+      issues.push(['error', 'kdim/vdim must match embed_dim because self-attention feeds the same tensor as query, key and value']);
+    }
+    return issues;
+  },
+  MaxPool2d: (settings, inputShape) => {
+    const issues = [
+      ...requirePositiveInts(settings, ['kernel_size', 'stride', 'dilation']),
+      ...requireNonNegativeInts(settings, ['padding']),
+      ...checkKernelFits(settings, inputShape),
+      ...checkPoolPadding(settings)
+    ];
+    if (settings.return_indices) {
+      issues.push(['warning', 'return_indices has no effect here: the generated forward() passes on the output and drops the indices']);
+    }
+    return issues;
+  },
+  AvgPool2d: (settings, inputShape) => [
+    ...requirePositiveInts(settings, ['kernel_size', 'stride']),
+    ...requireNonNegativeInts(settings, ['padding']),
+    ...checkKernelFits(settings, inputShape),
+    ...checkPoolPadding(settings)
+  ],
+  AdaptiveAvgPool2d: (settings) => requirePositiveInts(settings, ['output_size']),
+  Flatten: (settings, inputShape) =>
+    inputShape && inputShape.length === 1
+      ? [['warning', 'Input is already flat, so Flatten has no effect']]
+      : [],
+  Concat: checkDim
+};
+
+// Validate the whole model, combining shape inference errors with hyperparameter checks
+export const validateModel = (inputShape, layers) => {
+  const issues = [];
+  if (layers.length === 0) {
+    issues.push({ layerIndex: null, severity: 'warning', message: 'The model has no layers' });
+  }
+  const outputLayers = getOutputLayers(layers);
+  if (outputLayers.length > 1) {
+    issues.push({
+      layerIndex: null,
+      severity: 'error',
+      message: `The model has ${outputLayers.length} outputs; merge them so a single layer produces the output`
+    });
+  }
+  const shapes = inferShapes(inputShape, layers);
+  layers.forEach((layer, index) => {
+    const check = layerChecks[layer.type];
+    const layerIssues = check ? check(layer.settings, shapes[index].inputShape) : [];
+    // Only report the shape error when no hyperparameter error already explains it
+    if (shapes[index].error && !layerIssues.some(([severity]) => severity === 'error')) {
+      layerIssues.unshift(['error', shapes[index].error]);
+    }
+    layerIssues.forEach(([severity, message]) => {
+      issues.push({ layerIndex: index, severity, message });
+    });
+  });
+  return issues;
+};
+
+export const hasErrors = (issues) => issues.some(issue => issue.severity === 'error');
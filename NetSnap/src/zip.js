@@ -0,0 +1,60 @@
+// Minimal ZIP writer for exports that consist of several files. Entries are
+// stored uncompressed, which every unzip tool reads; the files are small text.
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  bytes.forEach(byte => {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  });
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// 1980-01-01 00:00, the earliest DOS date, so the same files give the same archive
+const DOS_TIME = 0;
+const DOS_DATE = (1 << 5) | 1;
+
+const header = (fields) => {
+  const bytes = new Uint8Array(fields.reduce((total, [size]) => total + size, 0));
+  const view = new DataView(bytes.buffer);
+  let offset = 0;
+  fields.forEach(([size, value]) => {
+    if (size === 2) view.setUint16(offset, value, true);
+    else view.setUint32(offset, value, true);
+    offset += size;
+  });
+  return bytes;
+};
+
+// Build a .zip archive from [{ name, data }], data being a string or bytes
+export const createZip = (files) => {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const central = [];
+  let offset = 0;
+  files.forEach(({ name, data }) => {
+    const nameBytes = encoder.encode(name);
+    const content = typeof data === 'string' ? encoder.encode(data) : data;
+    const crc = crc32(content);
+    // Version 2.0, UTF-8 names, stored
+    const common = [[2, 20], [2, 0x0800], [2, 0], [2, DOS_TIME], [2, DOS_DATE], [4, crc], [4, content.length], [4, content.length], [2, nameBytes.length], [2, 0]];
+    parts.push(header([[4, 0x04034b50], ...common]), nameBytes, content);
+    central.push(header([[4, 0x02014b50], [2, 20], ...common, [2, 0], [2, 0], [2, 0], [4, 0], [4, offset]]), nameBytes);
+    offset += 30 + nameBytes.length + content.length;
+  });
+  const centralSize = central.reduce((total, part) => total + part.length, 0);
+  const end = header([[4, 0x06054b50], [2, 0], [2, 0], [2, files.length], [2, files.length], [4, centralSize], [4, offset], [2, 0]]);
+  const all = [...parts, ...central, end];
+  const zip = new Uint8Array(all.reduce((total, part) => total + part.length, 0));
+  let position = 0;
+  all.forEach(part => {
+    zip.set(part, position);
+    position += part.length;
+  });
+  return zip;
+};